@@ -385,11 +385,21 @@ The PrecisionTrader Team
 /**
  * Build price alert notification email
  */
-function buildPriceAlertEmail({ to, ticker, alertType, priceLevel, triggeredAt, description }) {
+function buildPriceAlertEmail({ to, ticker, alertType, priceLevel, triggeredAt, description, triggerPrice, conditionSummary, rearms = false }) {
   const from = process.env.EMAIL_FROM || 'alerts@precisiontrader.tech';
   const frontendUrl = 'https://precisiontrader.tech';
-  const direction = alertType === 'above' || alertType === 'cross_above' ? 'crossed above' : 'crossed below';
-  const emailSubject = `🚨 Price Alert: ${ticker} ${direction} $${parseFloat(priceLevel).toFixed(2)}`;
+  // Composite, trailing and percentage-move alerts have no fixed price level,
+  // so show the price that triggered them
+  const hasNoFixedLevel = priceLevel === null || priceLevel === undefined;
+  const direction = hasNoFixedLevel
+    ? (alertType === 'composite' ? 'conditions met at' : 'alert triggered at')
+    : (alertType === 'above' || alertType === 'cross_above' ? 'crossed above' : 'crossed below');
+  const displayPrice = hasNoFixedLevel ? triggerPrice : priceLevel;
+  const priceLabel = hasNoFixedLevel ? 'Trigger Price' : 'Alert Price';
+  const headlineColor = hasNoFixedLevel
+    ? '#3b82f6'
+    : (alertType === 'above' || alertType === 'cross_above' ? '#48BB78' : '#F56565');
+  const emailSubject = `🚨 Price Alert: ${ticker} ${direction} $${parseFloat(displayPrice).toFixed(2)}`;
   
   const formattedTime = new Date(triggeredAt).toLocaleString('en-US', {
     weekday: 'short',
@@ -403,13 +413,13 @@ function buildPriceAlertEmail({ to, ticker, alertType, priceLevel, triggeredAt,
   const text = `
 Price Alert Triggered!
 
-${ticker} ${direction} your target price of $${parseFloat(priceLevel).toFixed(2)}
-
+${hasNoFixedLevel ? `${ticker} ${direction} $${parseFloat(displayPrice).toFixed(2)}` : `${ticker} ${direction} your target price of $${parseFloat(priceLevel).toFixed(2)}`}
+${conditionSummary ? `\nRule: ${conditionSummary}\n` : ''}
 Triggered At: ${formattedTime}
 ${description ? `Note: ${description}` : ''}
 
 ---
-This alert has been deactivated. Log in to PrecisionTrader to re-enable it or create new alerts.
+${rearms ? 'This alert will re-arm and can trigger again. Log in to PrecisionTrader to manage it.' : 'This alert has been deactivated. Log in to PrecisionTrader to re-enable it or create new alerts.'}
 
 PrecisionTrader - Trade Smarter
   `.trim();
@@ -442,8 +452,8 @@ PrecisionTrader - Trade Smarter
                   <tr>
                     <td align="center" style="padding-bottom:20px;">
                       <h2 style="margin:0;color:#e6edf3;font-size:24px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">${ticker}</h2>
-                      <p style="margin:8px 0 0 0;color:${alertType === 'above' || alertType === 'cross_above' ? '#48BB78' : '#F56565'};font-size:16px;font-weight:600;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
-                        ${direction} $${parseFloat(priceLevel).toFixed(2)}
+                      <p style="margin:8px 0 0 0;color:${headlineColor};font-size:16px;font-weight:600;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+                        ${direction} $${parseFloat(displayPrice).toFixed(2)}
                       </p>
                     </td>
                   </tr>
@@ -452,9 +462,14 @@ PrecisionTrader - Trade Smarter
                     <td style="background-color:#1f2937;border-radius:8px;padding:16px;margin-bottom:16px;">
                       <table width="100%" cellpadding="0" cellspacing="0" border="0">
                         <tr>
-                          <td style="color:#9ca3af;font-size:14px;padding-bottom:12px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">Alert Price</td>
-                          <td align="right" style="color:#e6edf3;font-weight:600;font-size:18px;padding-bottom:12px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">$${parseFloat(priceLevel).toFixed(2)}</td>
+                          <td style="color:#9ca3af;font-size:14px;padding-bottom:12px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">${priceLabel}</td>
+                          <td align="right" style="color:#e6edf3;font-weight:600;font-size:18px;padding-bottom:12px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">$${parseFloat(displayPrice).toFixed(2)}</td>
                         </tr>
+                        ${conditionSummary ? `
+                        <tr>
+                          <td colspan="2" style="color:#e6edf3;font-size:14px;padding-bottom:12px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">${conditionSummary}</td>
+                        </tr>
+                        ` : ''}
                         <tr>
                           <td style="color:#9ca3af;font-size:14px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">Triggered At</td>
                           <td align="right" style="color:#e6edf3;font-size:14px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">${formattedTime}</td>
@@ -480,7 +495,7 @@ PrecisionTrader - Trade Smarter
                   <tr>
                     <td align="center" style="padding-top:20px;">
                       <p style="margin:0;color:#9ca3af;font-size:12px;line-height:1.5;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
-                        This alert has been deactivated. Log in to re-enable it or create new alerts.
+                        ${rearms ? 'This alert will re-arm and can trigger again. Log in to manage it.' : 'This alert has been deactivated. Log in to re-enable it or create new alerts.'}
                       </p>
                     </td>
                   </tr>
@@ -641,6 +656,353 @@ PrecisionTrader - Trade Smarter
   return { from, to, subject: emailSubject, text, html };
 }
 
+/**
+ * Build daily loss limit alert notification email
+ */
+function buildDailyLossEmail({ to, accountId, thresholdAmount, lossAmount, realizedPL, unrealizedPL, lockoutExpiresAt, detectedAt }) {
+  const from = process.env.EMAIL_FROM || 'alerts@precisiontrader.tech';
+  const frontendUrl = 'https://precisiontrader.tech';
+  const emailSubject = `⚠️ Daily Loss Alert: ${accountId} reached its daily loss limit`;
+  
+  const formatTime = (value) => new Date(value).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+  const formattedTime = formatTime(detectedAt);
+  const formattedLockout = lockoutExpiresAt ? formatTime(lockoutExpiresAt) : 'end of session';
+  const formatPL = (value) => `${parseFloat(value) < 0 ? '-' : ''}$${Math.abs(parseFloat(value) || 0).toFixed(2)}`;
+
+  const text = `
+Daily Loss Alert
+
+Account ${accountId} has reached its daily loss limit.
+
+Account: ${accountId}
+Realized P&L: ${formatPL(realizedPL)}
+Unrealized P&L: ${formatPL(unrealizedPL)}
+Your Limit: $${parseFloat(thresholdAmount).toFixed(2)}
+Current Loss: $${parseFloat(lossAmount).toFixed(2)}
+
+Detected At: ${formattedTime}
+Locked Until: ${formattedLockout}
+
+New orders for this account are blocked until the lockout expires.
+
+PrecisionTrader - Trade Smarter
+  `.trim();
+
+  const row = (label, value, valueStyle = 'color:#e6edf3;font-size:14px;') => `
+                        <tr>
+                          <td style="color:#9ca3af;font-size:14px;padding-bottom:12px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">${label}</td>
+                          <td align="right" style="${valueStyle}padding-bottom:12px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">${value}</td>
+                        </tr>`;
+
+  const html = `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="dark">
+    <meta name="supported-color-schemes" content="dark">
+  </head>
+  <body style="margin:0;padding:0;background-color:#111827;color:#e6edf3;">
+    <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#111827;padding:32px 16px;">
+      <tr>
+        <td align="center">
+          <table width="560" cellpadding="0" cellspacing="0" border="0" style="max-width:560px;background-color:#151c2b;border-radius:12px;overflow:hidden;">
+            <!-- Header -->
+            <tr>
+              <td style="padding:20px 24px;border-bottom:1px solid #1f2937;background-color:#151c2b;">
+                <div style="font-weight:600;color:#e6edf3;font-size:18px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">⚠️ PrecisionTrader Alerts</div>
+              </td>
+            </tr>
+            <!-- Content -->
+            <tr>
+              <td style="padding:24px;background-color:#151c2b;">
+                <table width="100%" cellpadding="0" cellspacing="0" border="0">
+                  <tr>
+                    <td align="center" style="padding-bottom:20px;">
+                      <h2 style="margin:0;color:#e6edf3;font-size:24px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">${accountId}</h2>
+                      <p style="margin:8px 0 0 0;color:#F56565;font-size:16px;font-weight:600;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+                        Daily Loss Limit Reached
+                      </p>
+                    </td>
+                  </tr>
+                  <!-- P&L Details -->
+                  <tr>
+                    <td style="background-color:#1f2937;border-radius:8px;padding:16px;margin-bottom:16px;">
+                      <table width="100%" cellpadding="0" cellspacing="0" border="0">${row('Realized P&amp;L', formatPL(realizedPL))}${row('Unrealized P&amp;L', formatPL(unrealizedPL))}${row('Your Limit', `$${parseFloat(thresholdAmount).toFixed(2)}`, 'color:#e6edf3;font-weight:600;font-size:14px;')}${row('Current Loss', `$${parseFloat(lossAmount).toFixed(2)}`, 'color:#F56565;font-weight:600;font-size:18px;')}${row('Detected At', formattedTime)}${row('Locked Until', formattedLockout)}
+                      </table>
+                    </td>
+                  </tr>
+                  <!-- Warning Message -->
+                  <tr>
+                    <td style="padding-bottom:16px;">
+                      <div style="background-color:rgba(245,101,101,0.1);border:1px solid rgba(245,101,101,0.3);border-radius:8px;padding:12px;">
+                        <p style="margin:0;color:#F56565;font-size:14px;line-height:1.5;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+                          ⚠️ New orders for this account are blocked until the lockout expires.
+                        </p>
+                      </div>
+                    </td>
+                  </tr>
+                  <!-- Button -->
+                  <tr>
+                    <td align="center" style="padding-top:20px;">
+                      <a href="${frontendUrl}" style="display:inline-block;background-color:#3b82f6;color:#ffffff;text-decoration:none;padding:12px 24px;border-radius:8px;font-weight:600;font-size:14px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">Open PrecisionTrader</a>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>`;
+
+  return { from, to, subject: emailSubject, text, html };
+}
+
+/**
+ * Build notification digest email (notifications held by digest batching or quiet hours)
+ */
+function buildNotificationDigestEmail({ to, items, totalCount, timezone = 'America/New_York' }) {
+  const from = process.env.EMAIL_FROM || 'alerts@precisiontrader.tech';
+  const frontendUrl = 'https://precisiontrader.tech';
+  const count = totalCount || items.length;
+  const emailSubject = `🔔 ${count} notification${count === 1 ? '' : 's'} from PrecisionTrader`;
+
+  const formatTime = (value) => new Date(value).toLocaleString('en-US', {
+    timeZone: timezone,
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+  const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  const omitted = count - items.length;
+
+  const text = `
+Notification Digest
+
+${items.map(item => `[${formatTime(item.created_at)}] ${item.title}\n${item.message}`).join('\n\n')}
+${omitted > 0 ? `\n...and ${omitted} older notification${omitted === 1 ? '' : 's'}\n` : ''}
+PrecisionTrader - Trade Smarter
+  `.trim();
+
+  const rows = items.map(item => `
+                  <tr>
+                    <td style="padding:12px 16px;border-bottom:1px solid #1f2937;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+                      <div style="color:#9ca3af;font-size:12px;">${formatTime(item.created_at)}</div>
+                      <div style="color:#e6edf3;font-size:14px;font-weight:600;margin-top:4px;">${escapeHtml(item.title)}</div>
+                      <div style="color:#d1d5db;font-size:14px;margin-top:4px;line-height:1.5;">${escapeHtml(item.message)}</div>
+                    </td>
+                  </tr>`).join('');
+
+  const html = `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="dark">
+    <meta name="supported-color-schemes" content="dark">
+  </head>
+  <body style="margin:0;padding:0;background-color:#111827;color:#e6edf3;">
+    <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#111827;padding:32px 16px;">
+      <tr>
+        <td align="center">
+          <table width="560" cellpadding="0" cellspacing="0" border="0" style="max-width:560px;background-color:#151c2b;border-radius:12px;overflow:hidden;">
+            <!-- Header -->
+            <tr>
+              <td style="padding:20px 24px;border-bottom:1px solid #1f2937;background-color:#151c2b;">
+                <div style="font-weight:600;color:#e6edf3;font-size:18px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">🔔 PrecisionTrader Alerts</div>
+              </td>
+            </tr>
+            <!-- Content -->
+            <tr>
+              <td style="padding:24px;background-color:#151c2b;">
+                <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#1f2937;border-radius:8px;">${rows}
+                </table>${omitted > 0 ? `
+                <p style="margin:16px 0 0 0;color:#9ca3af;font-size:13px;text-align:center;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">…and ${omitted} older notification${omitted === 1 ? '' : 's'}</p>` : ''}
+                <div style="text-align:center;padding-top:20px;">
+                  <a href="${frontendUrl}" style="display:inline-block;background-color:#3b82f6;color:#ffffff;text-decoration:none;padding:12px 24px;border-radius:8px;font-weight:600;font-size:14px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">Open PrecisionTrader</a>
+                </div>
+                <p style="margin:16px 0 0 0;color:#6b7280;font-size:12px;text-align:center;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">You can change digest and quiet hours settings in your notification preferences.</p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>`;
+
+  return { from, to, subject: emailSubject, text, html };
+}
+
+/**
+ * Build stream failure email (background stream stopped reconnecting)
+ */
+function buildStreamFailureEmail({ to, streamType, description, failures, detectedAt }) {
+  const from = process.env.EMAIL_FROM || 'alerts@precisiontrader.tech';
+  const frontendUrl = 'https://precisiontrader.tech';
+  const emailSubject = `⚠️ Stream Failure: ${description}`;
+  const impact = streamType === 'positions'
+    ? 'Loss limits for this account are not being monitored until the stream reconnects.'
+    : 'Price alerts for this symbol are not being checked until the stream reconnects.';
+
+  const formattedTime = new Date(detectedAt).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+
+  const text = `
+Stream Failure
+
+The ${streamType} stream for ${description} failed ${failures} times in a row and stopped reconnecting.
+
+${impact}
+Reconnecting your TradeStation account or reopening PrecisionTrader restarts the stream.
+
+Detected At: ${formattedTime}
+
+PrecisionTrader - Trade Smarter
+  `.trim();
+
+  const html = `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="dark">
+    <meta name="supported-color-schemes" content="dark">
+  </head>
+  <body style="margin:0;padding:0;background-color:#111827;color:#e6edf3;">
+    <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#111827;padding:32px 16px;">
+      <tr>
+        <td align="center">
+          <table width="560" cellpadding="0" cellspacing="0" border="0" style="max-width:560px;background-color:#151c2b;border-radius:12px;overflow:hidden;">
+            <!-- Header -->
+            <tr>
+              <td style="padding:20px 24px;border-bottom:1px solid #1f2937;background-color:#151c2b;">
+                <div style="font-weight:600;color:#e6edf3;font-size:18px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">⚠️ PrecisionTrader Alerts</div>
+              </td>
+            </tr>
+            <!-- Content -->
+            <tr>
+              <td style="padding:24px;background-color:#151c2b;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+                <h2 style="margin:0;color:#e6edf3;font-size:22px;text-align:center;">${description}</h2>
+                <p style="margin:8px 0 20px 0;color:#F56565;font-size:16px;font-weight:600;text-align:center;">Stream stopped reconnecting</p>
+                <p style="margin:0 0 12px 0;color:#d1d5db;font-size:14px;line-height:1.5;">The ${streamType} stream failed ${failures} times in a row. ${impact}</p>
+                <p style="margin:0 0 12px 0;color:#d1d5db;font-size:14px;line-height:1.5;">Reconnecting your TradeStation account or reopening PrecisionTrader restarts the stream.</p>
+                <p style="margin:0;color:#9ca3af;font-size:13px;">Detected At: ${formattedTime}</p>
+                <div style="text-align:center;padding-top:20px;">
+                  <a href="${frontendUrl}" style="display:inline-block;background-color:#3b82f6;color:#ffffff;text-decoration:none;padding:12px 24px;border-radius:8px;font-weight:600;font-size:14px;">Open PrecisionTrader</a>
+                </div>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>`;
+
+  return { from, to, subject: emailSubject, text, html };
+}
+
+/**
+ * Build cooling-off lockout email (behavioral loss limit locked the account)
+ */
+function buildCoolingOffEmail({ to, accountId, title, message, lockoutExpiresAt, detectedAt }) {
+  const from = process.env.EMAIL_FROM || 'alerts@precisiontrader.tech';
+  const frontendUrl = 'https://precisiontrader.tech';
+  const emailSubject = `⚠️ Cooling-Off: ${accountId} is locked`;
+
+  const formatTime = (value) => new Date(value).toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+  const formattedTime = formatTime(detectedAt);
+  const formattedLockout = formatTime(lockoutExpiresAt);
+
+  const text = `
+${title}
+
+${message}
+
+Detected At: ${formattedTime}
+Locked Until: ${formattedLockout}
+
+New orders for this account are blocked until the lockout expires.
+
+PrecisionTrader - Trade Smarter
+  `.trim();
+
+  const html = `
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="dark">
+    <meta name="supported-color-schemes" content="dark">
+  </head>
+  <body style="margin:0;padding:0;background-color:#111827;color:#e6edf3;">
+    <table width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#111827;padding:32px 16px;">
+      <tr>
+        <td align="center">
+          <table width="560" cellpadding="0" cellspacing="0" border="0" style="max-width:560px;background-color:#151c2b;border-radius:12px;overflow:hidden;">
+            <!-- Header -->
+            <tr>
+              <td style="padding:20px 24px;border-bottom:1px solid #1f2937;background-color:#151c2b;">
+                <div style="font-weight:600;color:#e6edf3;font-size:18px;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">⚠️ PrecisionTrader Alerts</div>
+              </td>
+            </tr>
+            <!-- Content -->
+            <tr>
+              <td style="padding:24px;background-color:#151c2b;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+                <h2 style="margin:0;color:#e6edf3;font-size:22px;text-align:center;">${accountId}</h2>
+                <p style="margin:8px 0 20px 0;color:#F56565;font-size:16px;font-weight:600;text-align:center;">${title}</p>
+                <p style="margin:0 0 12px 0;color:#d1d5db;font-size:14px;line-height:1.5;">${message}</p>
+                <p style="margin:0 0 12px 0;color:#d1d5db;font-size:14px;line-height:1.5;">New orders for this account are blocked until the lockout expires.</p>
+                <p style="margin:0;color:#9ca3af;font-size:13px;">Detected At: ${formattedTime}<br>Locked Until: ${formattedLockout}</p>
+                <div style="text-align:center;padding-top:20px;">
+                  <a href="${frontendUrl}" style="display:inline-block;background-color:#3b82f6;color:#ffffff;text-decoration:none;padding:12px 24px;border-radius:8px;font-weight:600;font-size:14px;">Open PrecisionTrader</a>
+                </div>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>`;
+
+  return { from, to, subject: emailSubject, text, html };
+}
+
 /**
  * Build beta welcome email
  */
@@ -991,6 +1353,10 @@ module.exports = {
   buildBugReportConfirmationEmail,
   buildPriceAlertEmail,
   buildPositionLossEmail,
+  buildDailyLossEmail,
+  buildNotificationDigestEmail,
+  buildStreamFailureEmail,
+  buildCoolingOffEmail,
   buildBetaWelcomeEmail,
   buildEarlyAccessWelcomeEmail,
   buildVerificationCodeEmail
@@ -11,8 +11,16 @@ const backgroundStreamManager = require('./utils/backgroundStreamManager');
 const alertEngine = require('./workers/alertEngine');
 const positionLossEngine = require('./workers/positionLossEngine');
 const AccountSnapshotScheduler = require('./workers/accountSnapshotScheduler');
+const notificationDispatcher = require('./workers/notificationDispatcher');
+const notificationDigestWorker = require('./workers/notificationDigestWorker');
+const tradeJournalSync = require('./workers/tradeJournalSync');
+const intradayEquitySampler = require('./workers/intradayEquitySampler');
+const economicBlackoutWorker = require('./workers/economicBlackoutWorker');
+const coolingOffEngine = require('./workers/coolingOffEngine');
+const wsGateway = require('./utils/wsGateway');
 const logger = require('./config/logging');
 const { authenticateToken, optionalAuthenticateToken } = require('./routes/auth');
+const { requireSuperuser } = require('./middleware/superuserCheck');
 const { setupStripeWebhook } = require('./utils/stripeWebhookHandler');
 
 dotenv.config({ path: './.env'});
@@ -171,6 +179,14 @@ app.post('/debug/gc', asyncHandler(routes.debugRoutes.forceGc));
 app.get('/debug/streams', asyncHandler(routes.debugRoutes.streamState));
 app.post('/debug/streams/cleanup', asyncHandler(routes.debugRoutes.cleanupStreams));
 app.get('/debug/test-tradestation', authenticateToken, asyncHandler(routes.debugRoutes.testTradestation));
+// Stream recording and replay (superuser only)
+app.get('/debug/streams/recordings', authenticateToken, requireSuperuser, asyncHandler(routes.debugRoutes.listStreamRecordings));
+app.post('/debug/streams/recordings/start', authenticateToken, requireSuperuser, asyncHandler(routes.debugRoutes.startStreamRecording));
+app.post('/debug/streams/recordings/stop', authenticateToken, requireSuperuser, asyncHandler(routes.debugRoutes.stopStreamRecording));
+app.get('/debug/streams/recordings/:file', authenticateToken, requireSuperuser, asyncHandler(routes.debugRoutes.downloadStreamRecording));
+app.delete('/debug/streams/recordings/:file', authenticateToken, requireSuperuser, asyncHandler(routes.debugRoutes.deleteStreamRecording));
+app.post('/debug/streams/replay/start', authenticateToken, requireSuperuser, asyncHandler(routes.debugRoutes.startStreamReplay));
+app.post('/debug/streams/replay/stop', authenticateToken, requireSuperuser, asyncHandler(routes.debugRoutes.stopStreamReplay));
 
 // Auth routes
 app.post("/auth/register", asyncHandler(routes.authRoutes.register));
@@ -192,6 +208,8 @@ app.post('/auth/reset_password', routes.authRoutes.resetPassword);
 // Ticker options routes
 app.get('/ticker_options', asyncHandler(routes.tradeStationRoutes.getTickerOptions));
 app.get('/ticker_contracts/:ticker', asyncHandler(routes.tradeStationRoutes.getTickerContracts));
+app.get('/ticker_contracts/:ticker/spec', asyncHandler(routes.tradeStationRoutes.getTickerContractSpec));
+app.get('/ticker_contracts/:ticker/roll_schedule', asyncHandler(routes.tradeStationRoutes.getTickerRollSchedule));
 
 app.get('/trade_alerts', authenticateToken, asyncHandler(routes.tradeAlertsRoutes.getTradeAlerts));
 app.post('/trade_alerts', authenticateToken, asyncHandler(routes.tradeAlertsRoutes.createTradeAlert));
@@ -272,12 +290,30 @@ app.use('/loss_limits', lossLimitsRoutes);
 const tradingHoursRestrictionsRoutes = require('./routes/tradingHoursRestrictions');
 app.use('/trading_hours_restrictions', tradingHoursRestrictionsRoutes);
 
+// Notification channels (outbound webhooks) routes
+const notificationChannelsRoutes = require('./routes/notificationChannels');
+app.use('/notification_channels', notificationChannelsRoutes);
+
+// Market session calendar routes (public)
+const marketRoutes = require('./routes/market');
+app.use('/market', marketRoutes);
+
+// Economic calendar routes (events, blackout subscriptions)
+const economicEventsRoutes = require('./routes/economicEvents');
+app.use('/economic_events', economicEventsRoutes);
+
+// Trade ledger routes (FIFO round trips from filled orders)
+const tradesRoutes = require('./routes/trades');
+app.use('/trades', tradesRoutes);
+
 // Account snapshots routes (daily balance tracking)
 const accountSnapshotsRoutes = require('./routes/accountSnapshots');
-const { requireSuperuser } = require('./middleware/superuserCheck');
 app.post('/account_snapshots/capture', authenticateToken, asyncHandler(accountSnapshotsRoutes.captureAccountSnapshot));
+app.post('/account_snapshots/backfill', authenticateToken, asyncHandler(accountSnapshotsRoutes.backfillAccountSnapshots));
 app.get('/account_snapshots', authenticateToken, asyncHandler(accountSnapshotsRoutes.getAccountSnapshots));
 app.get('/account_snapshots/latest', authenticateToken, asyncHandler(accountSnapshotsRoutes.getLatestAccountSnapshots));
+app.get('/account_snapshots/analytics', authenticateToken, asyncHandler(accountSnapshotsRoutes.getAccountSnapshotAnalytics));
+app.get('/account_snapshots/intraday', authenticateToken, asyncHandler(accountSnapshotsRoutes.getIntradayEquity));
 // Superuser admin endpoint
 app.get('/admin/account_snapshots/overview', authenticateToken, requireSuperuser, asyncHandler(accountSnapshotsRoutes.getAdminSnapshotOverview));
 
@@ -331,6 +367,9 @@ const server = app.listen(PORT, '0.0.0.0', async () => {
     try {
       await alertEngine.start();
       await positionLossEngine.start();
+      await tradeJournalSync.start();
+      await intradayEquitySampler.start();
+      await coolingOffEngine.start();
       await backgroundStreamManager.initializeFromDatabase();
       console.log('Background services started');
     } catch (err) {
@@ -338,6 +377,27 @@ const server = app.listen(PORT, '0.0.0.0', async () => {
     }
   }
   
+  // Retry failed webhook deliveries (also covers test sends from /notification_channels)
+  try {
+    await notificationDispatcher.start();
+  } catch (err) {
+    console.error('Notification dispatcher failed to start:', err.message);
+  }
+  
+  // Send digest emails held by notification preferences (digest batching / quiet hours)
+  try {
+    await notificationDigestWorker.start();
+  } catch (err) {
+    console.error('Notification digest worker failed to start:', err.message);
+  }
+  
+  // Create trading blackouts around economic events for opted-in accounts
+  try {
+    await economicBlackoutWorker.start();
+  } catch (err) {
+    console.error('Economic blackout worker failed to start:', err.message);
+  }
+  
   // Start account snapshot scheduler (runs daily at 15:30 ET)
   try {
     await accountSnapshotScheduler.start();
@@ -347,5 +407,8 @@ const server = app.listen(PORT, '0.0.0.0', async () => {
   }
 });
 
+// WebSocket gateway: one authenticated connection for quotes, bars, depth, positions and orders
+wsGateway.attach(server);
+
 // Export app for Vercel serverless functions
 module.exports = app; 
\ No newline at end of file
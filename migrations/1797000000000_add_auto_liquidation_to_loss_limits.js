@@ -0,0 +1,79 @@
+const pool = require('../db');
+
+/**
+ * Migration: Add opt-in auto-liquidation to loss limits
+ *
+ * loss_limit_locks.auto_liquidate: When true, a breach cancels working orders and
+ * flattens the offending position (or all positions for daily breaches)
+ * loss_limit_liquidations: Audit trail of every order request sent to TradeStation
+ * for a breach, with the TradeStation response, linked to the loss_limit_alerts row
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Adding auto-liquidation support to loss limits...');
+
+    await client.query(`
+      ALTER TABLE loss_limit_locks
+      ADD COLUMN IF NOT EXISTS auto_liquidate BOOLEAN NOT NULL DEFAULT false
+    `);
+    console.log('✅ Added auto_liquidate column to loss_limit_locks');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS loss_limit_liquidations (
+        id SERIAL PRIMARY KEY,
+        alert_id INTEGER NOT NULL REFERENCES loss_limit_alerts(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        account_id VARCHAR(255) NOT NULL,
+        action VARCHAR(20) NOT NULL CHECK (action IN ('cancel', 'flatten')),
+        symbol VARCHAR(50),
+        order_id VARCHAR(100),
+        request_payload JSONB,
+        response_status INTEGER,
+        response_data JSONB,
+        success BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    console.log('✅ Created loss_limit_liquidations table');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_loss_limit_liquidations_alert ON loss_limit_liquidations(alert_id);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_loss_limit_liquidations_user ON loss_limit_liquidations(user_id, created_at DESC);
+    `);
+    console.log('✅ Created indexes for loss_limit_liquidations');
+
+    console.log('✅ Successfully added auto-liquidation support');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Removing auto-liquidation support from loss limits...');
+
+    await client.query('DROP TABLE IF EXISTS loss_limit_liquidations CASCADE;');
+    console.log('✅ Dropped loss_limit_liquidations table');
+
+    await client.query(`
+      ALTER TABLE loss_limit_locks
+      DROP COLUMN IF EXISTS auto_liquidate
+    `);
+    console.log('✅ Removed auto_liquidate column from loss_limit_locks');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
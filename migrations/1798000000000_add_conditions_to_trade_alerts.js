@@ -0,0 +1,83 @@
+const pool = require('../db');
+
+/**
+ * Migration: Add composite condition trees to trade_alerts
+ *
+ * conditions: JSON AND/OR tree of price, indicator and time-window conditions
+ * (see utils/alertConditions.js). Composite alerts use alert_type = 'composite'
+ * and have no single price_level, so price_level becomes nullable.
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Adding conditions column to trade_alerts...');
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      ADD COLUMN IF NOT EXISTS conditions JSONB
+    `);
+    console.log('✅ Added conditions column to trade_alerts');
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      ALTER COLUMN price_level DROP NOT NULL
+    `);
+    console.log('✅ Made price_level nullable');
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      DROP CONSTRAINT IF EXISTS trade_alerts_alert_type_check
+    `);
+    await client.query(`
+      ALTER TABLE trade_alerts
+      ADD CONSTRAINT trade_alerts_alert_type_check
+      CHECK (alert_type IN ('above', 'below', 'cross_above', 'cross_below', 'composite'))
+    `);
+    console.log('✅ Updated alert_type constraint to allow composite alerts');
+
+    console.log('✅ Successfully added composite alert support');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Removing composite alert support from trade_alerts...');
+
+    await client.query(`DELETE FROM trade_alerts WHERE alert_type = 'composite'`);
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      DROP CONSTRAINT IF EXISTS trade_alerts_alert_type_check
+    `);
+    await client.query(`
+      ALTER TABLE trade_alerts
+      ADD CONSTRAINT trade_alerts_alert_type_check
+      CHECK (alert_type IN ('above', 'below', 'cross_above', 'cross_below'))
+    `);
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      ALTER COLUMN price_level SET NOT NULL
+    `);
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      DROP COLUMN IF EXISTS conditions
+    `);
+    console.log('✅ Removed conditions column from trade_alerts');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,94 @@
+const pool = require('../db');
+
+/**
+ * Migration: Add trailing and percentage-move alert types to trade_alerts
+ *
+ * trailing_above / trailing_below: Follow the low/high watermark and trigger when
+ * price reverses by trail_amount (price units) or trail_ticks (ticks of the contract)
+ * watermark_price: Persisted by AlertEngine so restarts don't lose the watermark
+ * percent_move_up / percent_move_down: Trigger when price moves move_percent from
+ * the prior close or the session open (move_reference)
+ * reference_price: Reference the percentage move was measured from when it triggered
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Adding trailing and percentage-move alert columns to trade_alerts...');
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      ADD COLUMN IF NOT EXISTS trail_amount NUMERIC(12, 4),
+      ADD COLUMN IF NOT EXISTS trail_ticks INTEGER,
+      ADD COLUMN IF NOT EXISTS watermark_price NUMERIC(12, 4),
+      ADD COLUMN IF NOT EXISTS watermark_updated_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS move_percent NUMERIC(8, 4),
+      ADD COLUMN IF NOT EXISTS move_reference VARCHAR(20)
+        CHECK (move_reference IS NULL OR move_reference IN ('prior_close', 'session_open')),
+      ADD COLUMN IF NOT EXISTS reference_price NUMERIC(12, 4)
+    `);
+    console.log('✅ Added trailing and percentage-move columns');
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      DROP CONSTRAINT IF EXISTS trade_alerts_alert_type_check
+    `);
+    await client.query(`
+      ALTER TABLE trade_alerts
+      ADD CONSTRAINT trade_alerts_alert_type_check
+      CHECK (alert_type IN (
+        'above', 'below', 'cross_above', 'cross_below', 'composite',
+        'trailing_above', 'trailing_below', 'percent_move_up', 'percent_move_down'
+      ))
+    `);
+    console.log('✅ Updated alert_type constraint to allow trailing and percentage-move alerts');
+
+    console.log('✅ Successfully added trailing and percentage-move alerts');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Removing trailing and percentage-move alerts from trade_alerts...');
+
+    await client.query(`
+      DELETE FROM trade_alerts
+      WHERE alert_type IN ('trailing_above', 'trailing_below', 'percent_move_up', 'percent_move_down')
+    `);
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      DROP CONSTRAINT IF EXISTS trade_alerts_alert_type_check
+    `);
+    await client.query(`
+      ALTER TABLE trade_alerts
+      ADD CONSTRAINT trade_alerts_alert_type_check
+      CHECK (alert_type IN ('above', 'below', 'cross_above', 'cross_below', 'composite'))
+    `);
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      DROP COLUMN IF EXISTS trail_amount,
+      DROP COLUMN IF EXISTS trail_ticks,
+      DROP COLUMN IF EXISTS watermark_price,
+      DROP COLUMN IF EXISTS watermark_updated_at,
+      DROP COLUMN IF EXISTS move_percent,
+      DROP COLUMN IF EXISTS move_reference,
+      DROP COLUMN IF EXISTS reference_price
+    `);
+    console.log('✅ Removed trailing and percentage-move columns');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,79 @@
+const pool = require('../db');
+
+/**
+ * Migration: Add recurring (re-arming) alerts
+ *
+ * cooldown_seconds: Alert re-arms this long after firing
+ * reset_level: Alert re-arms once price moves back across this level
+ * max_triggers: Alert is deactivated after firing this many times (NULL = unlimited)
+ * expires_at: Alert is deactivated at this time (one-shot alerts too)
+ * trigger_count / last_triggered_at: Firing state, persisted so restarts resume it
+ * armed: false while waiting for price to cross back over reset_level
+ * alert_logs.trigger_number: Which firing of the alert a log row is
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Adding re-arming columns to trade_alerts...');
+
+    await client.query(`
+      ALTER TABLE trade_alerts
+      ADD COLUMN IF NOT EXISTS cooldown_seconds INTEGER CHECK (cooldown_seconds IS NULL OR cooldown_seconds > 0),
+      ADD COLUMN IF NOT EXISTS reset_level NUMERIC(12, 4),
+      ADD COLUMN IF NOT EXISTS max_triggers INTEGER CHECK (max_triggers IS NULL OR max_triggers > 0),
+      ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS trigger_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS last_triggered_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS armed BOOLEAN NOT NULL DEFAULT true
+    `);
+    console.log('✅ Added re-arming columns to trade_alerts');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trade_alerts_expires_at
+      ON trade_alerts(expires_at) WHERE expires_at IS NOT NULL AND is_active = true
+    `);
+    console.log('✅ Created expires_at index');
+
+    await client.query(`
+      ALTER TABLE alert_logs
+      ADD COLUMN IF NOT EXISTS trigger_number INTEGER
+    `);
+    console.log('✅ Added trigger_number column to alert_logs');
+
+    console.log('✅ Successfully added re-arming alerts');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Removing re-arming columns...');
+
+    await client.query('ALTER TABLE alert_logs DROP COLUMN IF EXISTS trigger_number');
+    await client.query('DROP INDEX IF EXISTS idx_trade_alerts_expires_at');
+    await client.query(`
+      ALTER TABLE trade_alerts
+      DROP COLUMN IF EXISTS cooldown_seconds,
+      DROP COLUMN IF EXISTS reset_level,
+      DROP COLUMN IF EXISTS max_triggers,
+      DROP COLUMN IF EXISTS expires_at,
+      DROP COLUMN IF EXISTS trigger_count,
+      DROP COLUMN IF EXISTS last_triggered_at,
+      DROP COLUMN IF EXISTS armed
+    `);
+    console.log('✅ Removed re-arming columns');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,98 @@
+const pool = require('../db');
+
+/**
+ * Migration: Create notification channels (outbound webhooks)
+ *
+ * notification_channels: Per-user webhook endpoints (Discord, Slack or a generic
+ * JSON webhook signed with an HMAC secret) subscribed to alert events
+ * notification_deliveries: Delivery log - one row per event per channel, with
+ * retry state (attempts, next_attempt_at) and the last response/error
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Creating notification channel tables...');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_channels (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        channel_type VARCHAR(20) NOT NULL CHECK (channel_type IN ('discord', 'slack', 'webhook')),
+        url TEXT NOT NULL,
+        -- HMAC secret for generic webhooks (encrypted with secureCredentials)
+        secret_encrypted TEXT,
+        events TEXT[] NOT NULL DEFAULT ARRAY['price_alert', 'loss_alert'],
+        is_active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    console.log('✅ Created notification_channels table');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_channels_user
+      ON notification_channels(user_id) WHERE is_active = true
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_deliveries (
+        id SERIAL PRIMARY KEY,
+        channel_id INTEGER NOT NULL REFERENCES notification_channels(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP WITH TIME ZONE,
+        last_attempt_at TIMESTAMP WITH TIME ZONE,
+        response_status INTEGER,
+        error TEXT,
+        delivered_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    console.log('✅ Created notification_deliveries table');
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_pending
+      ON notification_deliveries(next_attempt_at) WHERE status = 'pending'
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_user
+      ON notification_deliveries(user_id, created_at DESC)
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_deliveries_channel
+      ON notification_deliveries(channel_id, created_at DESC)
+    `);
+    console.log('✅ Created notification_deliveries indexes');
+
+    console.log('✅ Successfully created notification channels');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Dropping notification channel tables...');
+
+    await client.query('DROP TABLE IF EXISTS notification_deliveries');
+    await client.query('DROP TABLE IF EXISTS notification_channels');
+
+    console.log('✅ Dropped notification channel tables');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,67 @@
+const pool = require('../db');
+
+/**
+ * Migration: Add per-user notification preferences and digest queue
+ *
+ * users.notification_preferences: Per-event/per-channel toggles, quiet hours (in the
+ * user's timezone) and digest settings - NULL means defaults (everything on)
+ * notification_digest_items: Email notifications held for the next digest (digest
+ * batching or quiet hours), sent and stamped by the digest worker
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Adding notification preferences...');
+
+    await client.query(`
+      ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS notification_preferences JSONB
+    `);
+    console.log('✅ Added notification_preferences column to users');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_digest_items (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        title TEXT NOT NULL,
+        message TEXT NOT NULL,
+        payload JSONB,
+        sent_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_notification_digest_items_unsent
+      ON notification_digest_items(user_id, created_at) WHERE sent_at IS NULL
+    `);
+    console.log('✅ Created notification_digest_items table');
+
+    console.log('✅ Successfully added notification preferences');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Removing notification preferences...');
+
+    await client.query('DROP TABLE IF EXISTS notification_digest_items');
+    await client.query('ALTER TABLE users DROP COLUMN IF EXISTS notification_preferences');
+
+    console.log('✅ Removed notification preferences');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
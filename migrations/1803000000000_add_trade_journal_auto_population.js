@@ -0,0 +1,91 @@
+const pool = require('../db');
+
+/**
+ * Migration: Draft trade journal entries reconstructed from filled orders
+ *
+ * trade_journal: status ('draft' until the user finalizes it), source ('manual' | 'auto'),
+ * the account/symbol/times of the reconstructed round trip, the linked TradeStation
+ * order IDs and a trade_key that keeps each round trip from being journaled twice
+ * trade_journal_sync: Accounts opted into auto-population and how far they are synced
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Adding trade journal auto-population...');
+
+    await client.query(`
+      ALTER TABLE trade_journal
+      ADD COLUMN IF NOT EXISTS status VARCHAR(10) NOT NULL DEFAULT 'final' CHECK (status IN ('draft', 'final')),
+      ADD COLUMN IF NOT EXISTS source VARCHAR(10) NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'auto')),
+      ADD COLUMN IF NOT EXISTS account_id VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS symbol VARCHAR(50),
+      ADD COLUMN IF NOT EXISTS order_ids TEXT[],
+      ADD COLUMN IF NOT EXISTS trade_key TEXT,
+      ADD COLUMN IF NOT EXISTS opened_at TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE
+    `);
+    await client.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_trade_journal_user_trade_key
+      ON trade_journal(user_id, trade_key) WHERE trade_key IS NOT NULL
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trade_journal_order_ids ON trade_journal USING GIN (order_ids)
+    `);
+    console.log('✅ Added auto-population columns to trade_journal');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS trade_journal_sync (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        account_id VARCHAR(50) NOT NULL,
+        paper_trading BOOLEAN NOT NULL DEFAULT false,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        lookback_days INTEGER NOT NULL DEFAULT 7 CHECK (lookback_days BETWEEN 1 AND 90),
+        last_synced_at TIMESTAMP WITH TIME ZONE,
+        last_error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        PRIMARY KEY (user_id, account_id)
+      );
+    `);
+    console.log('✅ Created trade_journal_sync table');
+
+    console.log('✅ Successfully added trade journal auto-population');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Removing trade journal auto-population...');
+
+    await client.query('DROP TABLE IF EXISTS trade_journal_sync');
+    await client.query('DROP INDEX IF EXISTS idx_trade_journal_order_ids');
+    await client.query('DROP INDEX IF EXISTS idx_trade_journal_user_trade_key');
+    await client.query(`
+      ALTER TABLE trade_journal
+      DROP COLUMN IF EXISTS closed_at,
+      DROP COLUMN IF EXISTS opened_at,
+      DROP COLUMN IF EXISTS trade_key,
+      DROP COLUMN IF EXISTS order_ids,
+      DROP COLUMN IF EXISTS symbol,
+      DROP COLUMN IF EXISTS account_id,
+      DROP COLUMN IF EXISTS source,
+      DROP COLUMN IF EXISTS status
+    `);
+
+    console.log('✅ Removed trade journal auto-population');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
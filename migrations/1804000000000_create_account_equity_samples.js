@@ -0,0 +1,64 @@
+const pool = require('../db');
+
+/**
+ * Migration: Create account_equity_samples table
+ *
+ * Intraday equity time series written by IntradayEquitySampler. One row per
+ * account per bucket; resolution is the bucket size in minutes (5 = raw samples,
+ * 60 = hourly downsampled rows). equity is the value at the end of the bucket,
+ * equity_low/equity_high the extremes seen during it (intraday drawdown).
+ * session_key is the daily loss session the bucket belongs to.
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Creating account_equity_samples table...');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS account_equity_samples (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        account_id VARCHAR(255) NOT NULL,
+        is_paper_trading BOOLEAN NOT NULL DEFAULT false,
+        resolution SMALLINT NOT NULL,
+        sampled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        session_key DATE NOT NULL,
+        equity DECIMAL(15, 2) NOT NULL,
+        equity_low DECIMAL(15, 2) NOT NULL,
+        equity_high DECIMAL(15, 2) NOT NULL,
+        session_pnl DECIMAL(15, 2),
+        PRIMARY KEY (user_id, account_id, is_paper_trading, resolution, sampled_at)
+      );
+    `);
+    console.log('✅ Created account_equity_samples table');
+
+    // Retention deletes by resolution + age across all accounts
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_account_equity_samples_retention
+      ON account_equity_samples(resolution, sampled_at);
+    `);
+    console.log('✅ Created account_equity_samples indexes');
+
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Dropping account_equity_samples table...');
+    await client.query('DROP TABLE IF EXISTS account_equity_samples');
+    console.log('✅ Dropped account_equity_samples table');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+const pool = require('../db');
+
+/**
+ * Migration: Add source column to account_snapshots table
+ *
+ * source: 'scheduler' (daily capture), 'manual' (POST /account_snapshots/capture) or
+ * 'backfill' (reconstructed from historical orders). Backfilled rows never replace
+ * captured ones.
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Adding source column to account_snapshots table...');
+
+    await client.query(`
+      ALTER TABLE account_snapshots
+      ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'scheduler'
+      CHECK (source IN ('scheduler', 'manual', 'backfill'));
+    `);
+
+    console.log('✅ Added source column to account_snapshots');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Removing source column from account_snapshots table...');
+
+    await client.query(`DELETE FROM account_snapshots WHERE source = 'backfill'`);
+    await client.query('ALTER TABLE account_snapshots DROP COLUMN IF EXISTS source');
+
+    console.log('✅ Removed source column from account_snapshots');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
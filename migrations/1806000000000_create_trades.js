@@ -0,0 +1,86 @@
+const pool = require('../db');
+
+/**
+ * Migration: Create trades table (trade ledger)
+ *
+ * One row per round trip (flat to flat, per account and symbol) reconstructed from
+ * filled orders with FIFO matching. trade_key is the same key trade_journal uses, so
+ * a journal entry and its ledger trade can be joined. Open trades are stored with
+ * status 'open' and updated in place once they close; tags and notes are user-owned
+ * and never overwritten by a sync.
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Creating trades table...');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS trades (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        account_id VARCHAR(50) NOT NULL,
+        is_paper_trading BOOLEAN NOT NULL DEFAULT false,
+        trade_key TEXT NOT NULL,
+        symbol VARCHAR(50) NOT NULL,
+        side VARCHAR(5) NOT NULL CHECK (side IN ('long', 'short')),
+        status VARCHAR(10) NOT NULL CHECK (status IN ('open', 'closed')),
+        quantity NUMERIC(18, 4) NOT NULL,
+        open_quantity NUMERIC(18, 4) NOT NULL DEFAULT 0,
+        avg_entry_price NUMERIC(18, 6),
+        avg_exit_price NUMERIC(18, 6),
+        point_value NUMERIC(18, 4) NOT NULL DEFAULT 1,
+        gross_pnl NUMERIC(18, 2) NOT NULL DEFAULT 0,
+        fees NUMERIC(18, 2) NOT NULL DEFAULT 0,
+        net_pnl NUMERIC(18, 2) NOT NULL DEFAULT 0,
+        opened_at TIMESTAMPTZ NOT NULL,
+        closed_at TIMESTAMPTZ,
+        order_ids TEXT[] NOT NULL DEFAULT '{}',
+        fills JSONB NOT NULL DEFAULT '{}',
+        tags TEXT[] NOT NULL DEFAULT '{}',
+        notes TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        UNIQUE (user_id, trade_key)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trades_user_time
+      ON trades(user_id, (COALESCE(closed_at, opened_at)) DESC);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trades_user_symbol
+      ON trades(user_id, symbol);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_trades_tags
+      ON trades USING GIN (tags);
+    `);
+
+    console.log('✅ Created trades table');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Dropping trades table...');
+
+    await client.query('DROP TABLE IF EXISTS trades');
+
+    console.log('✅ Dropped trades table');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+const pool = require('../db');
+
+/**
+ * Migration: Add timezone and blackouts to trading_hours_restrictions
+ *
+ * timezone: IANA timezone the time windows are evaluated in (existing rows keep America/New_York)
+ * blackouts: [{ start, end, label?, scope? }] absolute periods when trading is blocked
+ * time_windows entries may now also carry days, scope and label (see utils/tradingSchedule.js)
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Adding timezone and blackouts columns to trading_hours_restrictions table...');
+
+    await client.query(`
+      ALTER TABLE trading_hours_restrictions
+      ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'America/New_York',
+      ADD COLUMN IF NOT EXISTS blackouts JSONB NOT NULL DEFAULT '[]'::jsonb;
+    `);
+
+    console.log('✅ Added timezone and blackouts columns to trading_hours_restrictions');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Removing timezone and blackouts columns from trading_hours_restrictions table...');
+
+    await client.query(`
+      ALTER TABLE trading_hours_restrictions
+      DROP COLUMN IF EXISTS blackouts,
+      DROP COLUMN IF EXISTS timezone;
+    `);
+
+    console.log('✅ Removed timezone and blackouts columns from trading_hours_restrictions');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
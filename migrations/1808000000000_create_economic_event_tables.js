@@ -0,0 +1,99 @@
+const pool = require('../db');
+
+/**
+ * Migration: Create economic calendar tables
+ *
+ * economic_events: Scheduled macro releases (FOMC, CPI, NFP, ...) imported from CSV/ICS
+ * economic_event_subscriptions: Per-account opt-in to blackouts around event categories
+ * economic_event_locks: Blackout periods created by the EconomicBlackoutWorker; orders are
+ *   rejected while one is active (kept apart from loss_limit_locks, which allows a single
+ *   manual lock per account)
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Creating economic calendar tables...');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS economic_events (
+        id SERIAL PRIMARY KEY,
+        event_key VARCHAR(255) NOT NULL UNIQUE,
+        title VARCHAR(255) NOT NULL,
+        category VARCHAR(30) NOT NULL,
+        impact VARCHAR(10) NOT NULL DEFAULT 'high' CHECK (impact IN ('low', 'medium', 'high')),
+        country VARCHAR(10) NOT NULL DEFAULT 'US',
+        scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        source VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (source IN ('csv', 'ics', 'manual')),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_economic_events_scheduled ON economic_events(scheduled_at);
+    `);
+    console.log('✅ Created economic_events table');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS economic_event_subscriptions (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        account_id VARCHAR(255) NOT NULL,
+        categories TEXT[] NOT NULL,
+        minutes_before INTEGER NOT NULL DEFAULT 5,
+        minutes_after INTEGER NOT NULL DEFAULT 5,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(user_id, account_id)
+      );
+    `);
+    console.log('✅ Created economic_event_subscriptions table');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS economic_event_locks (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        account_id VARCHAR(255) NOT NULL,
+        event_id INTEGER NOT NULL REFERENCES economic_events(id) ON DELETE CASCADE,
+        starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        start_notified_at TIMESTAMP WITH TIME ZONE,
+        end_notified_at TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        UNIQUE(user_id, account_id, event_id)
+      );
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_economic_event_locks_user_time ON economic_event_locks(user_id, starts_at, expires_at);
+    `);
+    console.log('✅ Created economic_event_locks table');
+
+    console.log('✅ Successfully created economic calendar tables');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Dropping economic calendar tables...');
+
+    await client.query('DROP TABLE IF EXISTS economic_event_locks CASCADE;');
+    await client.query('DROP TABLE IF EXISTS economic_event_subscriptions CASCADE;');
+    await client.query('DROP TABLE IF EXISTS economic_events CASCADE;');
+
+    console.log('✅ Dropped economic calendar tables');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
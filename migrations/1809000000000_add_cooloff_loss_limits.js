@@ -0,0 +1,86 @@
+const pool = require('../db');
+
+/**
+ * Migration: Add 'cooloff' behavioral loss limits
+ *
+ * loss_limit_locks (limit_type = 'cooloff'):
+ * - consecutive_losses: lock after this many losing round trips in a row
+ * - max_trades_per_session: lock after this many round trips in the daily session
+ * - cooloff_minutes: how long the account stays locked once a rule triggers
+ * loss_limit_alerts (alert_type = 'cooloff'): one row per cooling-off lockout
+ */
+
+// Replace every CHECK constraint on a column with a single named one
+async function replaceCheckConstraint(client, table, column, values) {
+  const constraintResult = await client.query(`
+    SELECT conname
+    FROM pg_constraint
+    WHERE conrelid = '${table}'::regclass
+    AND contype = 'c'
+    AND pg_get_constraintdef(oid) LIKE '%${column}%'
+  `);
+  for (const row of constraintResult.rows) {
+    await client.query(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${row.conname}`);
+  }
+
+  await client.query(`
+    ALTER TABLE ${table}
+    ADD CONSTRAINT ${table}_${column}_check
+    CHECK (${column} IN (${values.map(value => `'${value}'`).join(', ')}))
+  `);
+}
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Adding cooloff limit type to loss limit tables...');
+
+    await client.query(`
+      ALTER TABLE loss_limit_locks
+      ADD COLUMN IF NOT EXISTS consecutive_losses INTEGER,
+      ADD COLUMN IF NOT EXISTS max_trades_per_session INTEGER,
+      ADD COLUMN IF NOT EXISTS cooloff_minutes INTEGER;
+    `);
+    console.log('✅ Added cooloff columns to loss_limit_locks');
+
+    await replaceCheckConstraint(client, 'loss_limit_locks', 'limit_type', ['daily', 'trade', 'manual', 'cooloff']);
+    await replaceCheckConstraint(client, 'loss_limit_alerts', 'alert_type', ['daily', 'trade', 'cooloff']);
+    console.log('✅ Updated limit_type and alert_type constraints');
+
+    console.log('✅ Successfully added cooloff limit type');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Removing cooloff limit type from loss limit tables...');
+
+    await client.query(`DELETE FROM loss_limit_alerts WHERE alert_type = 'cooloff'`);
+    await client.query(`DELETE FROM loss_limit_locks WHERE limit_type = 'cooloff'`);
+
+    await replaceCheckConstraint(client, 'loss_limit_locks', 'limit_type', ['daily', 'trade', 'manual']);
+    await replaceCheckConstraint(client, 'loss_limit_alerts', 'alert_type', ['daily', 'trade']);
+
+    await client.query(`
+      ALTER TABLE loss_limit_locks
+      DROP COLUMN IF EXISTS consecutive_losses,
+      DROP COLUMN IF EXISTS max_trades_per_session,
+      DROP COLUMN IF EXISTS cooloff_minutes;
+    `);
+
+    console.log('✅ Removed cooloff limit type');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,83 @@
+const pool = require('../db');
+
+/**
+ * Migration: Create market_bars and market_bar_ranges tables (local bar store)
+ *
+ * market_bars keeps TradeStation barcharts bars (the Bars entry as returned, in data) per
+ * symbol, unit, interval and session template. market_bar_ranges records the time ranges
+ * known to be complete: every bar of the series between start_time and end_time is stored.
+ * Anything outside a range is a gap and gets fetched from TradeStation; checked_at is when
+ * the range's tail was last confirmed against TradeStation or the bars stream, fetched_at when
+ * its oldest bars were fetched (equity daily history is refetched once adjustments may apply).
+ */
+
+async function up() {
+  const client = await pool.connect();
+  try {
+    console.log('Creating market bar store tables...');
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS market_bars (
+        symbol VARCHAR(50) NOT NULL,
+        unit VARCHAR(10) NOT NULL,
+        bar_interval INTEGER NOT NULL,
+        session_template VARCHAR(30) NOT NULL DEFAULT 'Default',
+        bar_time TIMESTAMPTZ NOT NULL,
+        bar_status VARCHAR(10),
+        data JSONB NOT NULL,
+        updated_at TIMESTAMPTZ DEFAULT NOW(),
+        PRIMARY KEY (symbol, unit, bar_interval, session_template, bar_time)
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS market_bar_ranges (
+        id SERIAL PRIMARY KEY,
+        symbol VARCHAR(50) NOT NULL,
+        unit VARCHAR(10) NOT NULL,
+        bar_interval INTEGER NOT NULL,
+        session_template VARCHAR(30) NOT NULL DEFAULT 'Default',
+        start_time TIMESTAMPTZ NOT NULL,
+        end_time TIMESTAMPTZ NOT NULL,
+        checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CHECK (end_time >= start_time)
+      );
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_market_bar_ranges_series
+      ON market_bar_ranges(symbol, unit, bar_interval, session_template, end_time DESC);
+    `);
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_market_bars_time
+      ON market_bars(bar_time);
+    `);
+
+    console.log('✅ Created market bar store tables');
+  } catch (error) {
+    console.error('❌ Error in migration:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function down() {
+  const client = await pool.connect();
+  try {
+    console.log('Dropping market bar store tables...');
+
+    await client.query('DROP TABLE IF EXISTS market_bar_ranges');
+    await client.query('DROP TABLE IF EXISTS market_bars');
+
+    console.log('✅ Dropped market bar store tables');
+  } catch (error) {
+    console.error('❌ Error in rollback:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { up, down };
@@ -2,6 +2,12 @@ const pool = require('../db');
 const { tradestationRequest } = require('../utils/tradestationProxy');
 const { encryptToken, decryptToken } = require('../utils/secureCredentials');
 const logger = require('../config/logging');
+const { computeAccountAnalytics, computeIntradayDrawdown } = require('../utils/performanceAnalytics');
+const { backfillUserSnapshots } = require('../utils/snapshotBackfill');
+const { MAX_LOOKBACK_DAYS } = require('../utils/historicalOrders');
+
+// Users with a backfill in progress (one at a time per user)
+const backfillsInProgress = new Set();
 
 /**
  * Captures a snapshot of all accounts for a given user
@@ -119,8 +125,9 @@ async function captureAccountSnapshot(req, res) {
             equity,
             todays_profit_loss,
             day_trades,
-            is_paper_trading
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            is_paper_trading,
+            source
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'manual')
           ON CONFLICT (user_id, account_id, snapshot_date, is_paper_trading)
           DO UPDATE SET
             snapshot_time = EXCLUDED.snapshot_time,
@@ -128,6 +135,7 @@ async function captureAccountSnapshot(req, res) {
             equity = EXCLUDED.equity,
             todays_profit_loss = EXCLUDED.todays_profit_loss,
             day_trades = EXCLUDED.day_trades,
+            source = EXCLUDED.source,
             created_at = NOW()
           RETURNING id
         `;
@@ -187,6 +195,49 @@ async function captureAccountSnapshot(req, res) {
   }
 }
 
+/**
+ * Backfills snapshot history from TradeStation historical orders
+ * Rows are marked source = 'backfill' and never replace captured snapshots
+ * Body:
+ * - days: lookback in days (default and max: 90)
+ * - accountId: restrict to one account (optional)
+ */
+async function backfillAccountSnapshots(req, res) {
+  const userId = req.user.id;
+  const { days, accountId } = req.body || {};
+
+  if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > MAX_LOOKBACK_DAYS)) {
+    return res.status(400).json({ error: `days must be an integer between 1 and ${MAX_LOOKBACK_DAYS}` });
+  }
+  if (backfillsInProgress.has(userId)) {
+    return res.status(409).json({ error: 'A backfill is already running for this user' });
+  }
+
+  backfillsInProgress.add(userId);
+  try {
+    logger.info(`[Account Snapshot] Starting backfill for user ${userId}`);
+    const result = await backfillUserSnapshots(userId, { days, accountId });
+    const daysWritten = result.accounts.reduce((sum, account) => sum + account.daysWritten, 0);
+
+    res.status(200).json({
+      success: true,
+      message: `Backfilled ${daysWritten} snapshot(s) across ${result.accounts.length} account(s)`,
+      lookbackDays: result.lookbackDays,
+      accounts: result.accounts,
+      errors: result.errors.length > 0 ? result.errors : undefined
+    });
+
+  } catch (error) {
+    logger.error(`[Account Snapshot] Error backfilling snapshots for user ${userId}:`, error);
+    res.status(500).json({
+      error: 'Failed to backfill account snapshots',
+      message: error.message
+    });
+  } finally {
+    backfillsInProgress.delete(userId);
+  }
+}
+
 /**
  * Gets historical snapshots for the authenticated user
  * Query params:
@@ -211,6 +262,7 @@ async function getAccountSnapshots(req, res) {
         equity,
         todays_profit_loss,
         day_trades,
+        source,
         created_at
         ${includeBalanceData === 'true' ? ', balance_data_encrypted' : ''}
       FROM account_snapshots
@@ -259,6 +311,7 @@ async function getAccountSnapshots(req, res) {
         equity: row.equity,
         todaysProfitLoss: row.todays_profit_loss,
         dayTrades: row.day_trades,
+        source: row.source,
         createdAt: row.created_at
       };
       
@@ -309,6 +362,7 @@ async function getLatestAccountSnapshots(req, res) {
         equity,
         todays_profit_loss,
         day_trades,
+        source,
         created_at
         ${includeBalanceData === 'true' ? ', balance_data_encrypted' : ''}
       FROM account_snapshots
@@ -329,6 +383,7 @@ async function getLatestAccountSnapshots(req, res) {
         equity: row.equity,
         todaysProfitLoss: row.todays_profit_loss,
         dayTrades: row.day_trades,
+        source: row.source,
         createdAt: row.created_at
       };
       
@@ -361,6 +416,207 @@ async function getLatestAccountSnapshots(req, res) {
   }
 }
 
+/**
+ * Performance analytics per account, live and paper accounts reported separately
+ * Balances are decrypted server-side (Equity / TodaysProfitLoss), the summary columns
+ * are only used if decryption fails
+ * Query params:
+ * - accountId: restrict to one account (optional)
+ * - startDate / endDate: date range (optional, YYYY-MM-DD)
+ * - paperTrading: 'true' (paper only) or 'false' (live only) (optional)
+ * - riskFreeRate: annual rate for Sharpe/Sortino, e.g. 0.04 (default: 0)
+ */
+async function getAccountSnapshotAnalytics(req, res) {
+  const userId = req.user.id;
+  const { accountId, startDate, endDate, paperTrading } = req.query;
+  const riskFreeRate = req.query.riskFreeRate !== undefined ? parseFloat(req.query.riskFreeRate) : 0;
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((startDate && !datePattern.test(startDate)) || (endDate && !datePattern.test(endDate))) {
+    return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD' });
+  }
+  if (paperTrading !== undefined && !['true', 'false'].includes(paperTrading)) {
+    return res.status(400).json({ error: "paperTrading must be 'true' or 'false'" });
+  }
+  if (!Number.isFinite(riskFreeRate) || riskFreeRate < 0 || riskFreeRate > 1) {
+    return res.status(400).json({ error: 'riskFreeRate must be a number between 0 and 1' });
+  }
+
+  try {
+    let query = `
+      SELECT
+        id,
+        account_id,
+        account_type,
+        is_paper_trading,
+        to_char(snapshot_date, 'YYYY-MM-DD') AS snapshot_date,
+        equity,
+        todays_profit_loss,
+        balance_data_encrypted
+      FROM account_snapshots
+      WHERE user_id = $1
+    `;
+    const params = [userId];
+
+    if (accountId) {
+      params.push(accountId);
+      query += ` AND account_id = $${params.length}`;
+    }
+    if (startDate) {
+      params.push(startDate);
+      query += ` AND snapshot_date >= $${params.length}`;
+    }
+    if (endDate) {
+      params.push(endDate);
+      query += ` AND snapshot_date <= $${params.length}`;
+    }
+    if (paperTrading !== undefined) {
+      params.push(paperTrading === 'true');
+      query += ` AND is_paper_trading = $${params.length}`;
+    }
+    query += ' ORDER BY account_id, is_paper_trading, snapshot_date ASC';
+
+    const result = await pool.query(query, params);
+
+    // Group by account + paper flag (the same account id can exist in both environments)
+    const accounts = new Map();
+    let decryptErrors = 0;
+    for (const row of result.rows) {
+      const isPaperTrading = row.is_paper_trading || false;
+      const key = `${row.account_id}_${isPaperTrading}`;
+      if (!accounts.has(key)) {
+        accounts.set(key, { accountId: row.account_id, accountType: row.account_type, isPaperTrading, points: [] });
+      }
+
+      let equity = row.equity != null ? parseFloat(row.equity) : null;
+      let todaysProfitLoss = row.todays_profit_loss != null ? parseFloat(row.todays_profit_loss) : null;
+      try {
+        const balanceData = JSON.parse(decryptToken(row.balance_data_encrypted));
+        const decryptedEquity = parseFloat(balanceData.Equity);
+        const decryptedPnL = parseFloat(balanceData.TodaysProfitLoss);
+        if (Number.isFinite(decryptedEquity)) equity = decryptedEquity;
+        if (Number.isFinite(decryptedPnL)) todaysProfitLoss = decryptedPnL;
+      } catch (decryptError) {
+        decryptErrors++;
+        logger.error(`[Account Snapshot] Failed to decrypt balance data for snapshot ${row.id}:`, decryptError.message);
+      }
+
+      if (equity === null) continue;
+      accounts.get(key).points.push({ date: row.snapshot_date, equity, todaysProfitLoss });
+    }
+
+    const live = [];
+    const paper = [];
+    for (const account of accounts.values()) {
+      const analytics = {
+        accountId: account.accountId,
+        accountType: account.accountType,
+        isPaperTrading: account.isPaperTrading,
+        ...computeAccountAnalytics(account.points, { riskFreeRate })
+      };
+      (account.isPaperTrading ? paper : live).push(analytics);
+    }
+
+    res.status(200).json({
+      success: true,
+      riskFreeRate,
+      live,
+      paper,
+      decryptErrors: decryptErrors > 0 ? decryptErrors : undefined
+    });
+
+  } catch (error) {
+    logger.error(`[Account Snapshot] Error computing analytics for user ${userId}:`, error);
+    res.status(500).json({
+      error: 'Failed to compute account analytics',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Intraday equity samples and drawdown per session for one account
+ * Query params:
+ * - accountId: account to chart (required)
+ * - paperTrading: 'true' for the paper account (default: 'false')
+ * - startDate / endDate: session dates (YYYY-MM-DD, default: current session)
+ * - resolution: 'raw' (5-minute samples) or 'hourly' (default: raw when the range is
+ *   within raw retention, hourly otherwise)
+ */
+async function getIntradayEquity(req, res) {
+  const userId = req.user.id;
+  const { accountId, startDate, endDate } = req.query;
+  const paperTrading = req.query.paperTrading === 'true';
+  const intradayEquitySampler = require('../workers/intradayEquitySampler');
+  const positionLossEngine = require('../workers/positionLossEngine');
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!accountId) {
+    return res.status(400).json({ error: 'accountId is required' });
+  }
+  if ((startDate && !datePattern.test(startDate)) || (endDate && !datePattern.test(endDate))) {
+    return res.status(400).json({ error: 'startDate and endDate must be YYYY-MM-DD' });
+  }
+  if (req.query.resolution && !['raw', 'hourly'].includes(req.query.resolution)) {
+    return res.status(400).json({ error: "resolution must be 'raw' or 'hourly'" });
+  }
+
+  try {
+    const currentSession = positionLossEngine.getDailySession().key;
+    const from = startDate || endDate || currentSession;
+    const to = endDate || startDate || currentSession;
+
+    const rawCutoff = new Date(Date.now() - intradayEquitySampler.rawRetentionDays * 24 * 60 * 60 * 1000)
+      .toISOString().slice(0, 10);
+    const resolution = req.query.resolution || (from >= rawCutoff ? 'raw' : 'hourly');
+    const resolutionMinutes = resolution === 'raw'
+      ? intradayEquitySampler.sampleMinutes
+      : intradayEquitySampler.hourlyResolution;
+
+    const result = await pool.query(`
+      SELECT sampled_at, to_char(session_key, 'YYYY-MM-DD') AS session_key,
+             equity, equity_low, equity_high, session_pnl
+      FROM account_equity_samples
+      WHERE user_id = $1 AND account_id = $2 AND is_paper_trading = $3
+        AND resolution = $4 AND session_key BETWEEN $5 AND $6
+      ORDER BY sampled_at ASC
+    `, [userId, accountId, paperTrading, resolutionMinutes, from, to]);
+
+    const sessions = new Map();
+    for (const row of result.rows) {
+      if (!sessions.has(row.session_key)) sessions.set(row.session_key, []);
+      sessions.get(row.session_key).push({
+        sampledAt: row.sampled_at,
+        equity: parseFloat(row.equity),
+        low: parseFloat(row.equity_low),
+        high: parseFloat(row.equity_high),
+        sessionPnL: row.session_pnl != null ? parseFloat(row.session_pnl) : null
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      accountId,
+      isPaperTrading: paperTrading,
+      resolution,
+      resolutionMinutes,
+      sessions: [...sessions.entries()].map(([sessionKey, samples]) => ({
+        sessionKey,
+        samples,
+        ...computeIntradayDrawdown(samples)
+      })),
+      live: intradayEquitySampler.getLiveEquity(userId, accountId, paperTrading)
+    });
+
+  } catch (error) {
+    logger.error(`[Account Snapshot] Error fetching intraday equity for user ${userId}:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch intraday equity',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Gets snapshot data for the authenticated user (superuser only)
  * Returns personal stats and per-account time series data for charts
@@ -485,7 +741,10 @@ async function getAdminSnapshotOverview(req, res) {
 
 module.exports = {
   captureAccountSnapshot,
+  backfillAccountSnapshots,
   getAccountSnapshots,
   getLatestAccountSnapshots,
+  getAccountSnapshotAnalytics,
+  getIntradayEquity,
   getAdminSnapshotOverview
 };
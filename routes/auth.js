@@ -4,6 +4,7 @@ const pool = require("../db");
 const crypto = require('crypto');
 const { createTransport, buildResetEmail, buildVerificationCodeEmail } = require('../config/email');
 const logger = require("../config/logging");
+const { normalizePreferences, validatePreferences, clearPreferencesCache } = require("../utils/notificationPreferences");
 
 const register = async (req, res) => {
     const { email, password, password_confirm, referral_code, registration_source } = req.body;
@@ -465,7 +466,7 @@ const getUserSettings = async (req, res) => {
         
         const result = await pool.query(
             `SELECT id, email, trade_confirmation, show_tooltips, email_alerts_enabled, superuser, beta_user, early_access, early_access_started_at, referral_code,
-                    app_settings, account_defaults, cost_basis_data,
+                    app_settings, account_defaults, cost_basis_data, notification_preferences,
                     tos_accepted_at, privacy_policy_accepted_at, risk_disclosure_accepted_at,
                     EXISTS(SELECT 1 FROM api_credentials ac WHERE ac.user_id = $1) AS has_tradestation_credentials
              FROM users WHERE id = $1`,
@@ -580,6 +581,7 @@ const getUserSettings = async (req, res) => {
             tradeConfirmation: user.trade_confirmation !== false, // Default to true
             showTooltips: user.show_tooltips !== false, // Default to true
             emailAlertsEnabled: user.email_alerts_enabled || false,
+            notificationPreferences: normalizePreferences(user.notification_preferences),
             superuser: user.superuser || false,
             beta_user: user.beta_user || false,
             early_access: user.early_access || false,
@@ -614,18 +616,30 @@ const updateUserSettings = async (req, res) => {
             emailAlertsEnabled,
             appSettings, // JSON object of global user settings (e.g., showStdDevLines, showLiquidity, showOrders, sessionTemplate)
             accountDefaults, // JSON object keyed by accountId with risk/riskPercentage/isPaperTrading (no loss limits here)
+            notificationPreferences, // Partial update merged into stored preferences (see utils/notificationPreferences)
         } = req.body;
 
+        let preferences = null;
+        if (notificationPreferences !== undefined) {
+            const currentResult = await pool.query('SELECT notification_preferences FROM users WHERE id = $1', [userId]);
+            const validated = validatePreferences(notificationPreferences, currentResult.rows[0]?.notification_preferences);
+            if (validated.error) {
+                return res.status(400).json({ error: validated.error });
+            }
+            preferences = validated.preferences;
+        }
+
         const result = await pool.query(
             `UPDATE users SET 
                 trade_confirmation = COALESCE($1, trade_confirmation),
                 show_tooltips = COALESCE($2, show_tooltips),
                 email_alerts_enabled = COALESCE($3, email_alerts_enabled),
                 app_settings = COALESCE($4::jsonb, app_settings),
-                account_defaults = COALESCE($5::jsonb, account_defaults)
+                account_defaults = COALESCE($5::jsonb, account_defaults),
+                notification_preferences = COALESCE($7::jsonb, notification_preferences)
             WHERE id = $6
-            RETURNING trade_confirmation, show_tooltips, email_alerts_enabled, superuser, beta_user, referral_code, app_settings, account_defaults`,
-            [tradeConfirmation, showTooltips, emailAlertsEnabled, appSettings ? JSON.stringify(appSettings) : null, accountDefaults ? JSON.stringify(accountDefaults) : null, userId]
+            RETURNING trade_confirmation, show_tooltips, email_alerts_enabled, superuser, beta_user, referral_code, app_settings, account_defaults, notification_preferences`,
+            [tradeConfirmation, showTooltips, emailAlertsEnabled, appSettings ? JSON.stringify(appSettings) : null, accountDefaults ? JSON.stringify(accountDefaults) : null, userId, preferences ? JSON.stringify(preferences) : null]
         );
 
         if (result.rows.length === 0) {
@@ -634,6 +648,9 @@ const updateUserSettings = async (req, res) => {
 
         const user = result.rows[0];
         
+        // Engines cache preferences briefly - apply the change immediately
+        clearPreferencesCache(userId);
+        
         // Get active loss limit locks to merge into response
         const locksResult = await pool.query(`
             SELECT account_id, limit_type, threshold_amount, expires_at
@@ -670,6 +687,7 @@ const updateUserSettings = async (req, res) => {
             tradeConfirmation: user.trade_confirmation !== false, // Default to true
             showTooltips: user.show_tooltips !== false, // Default to true
             emailAlertsEnabled: user.email_alerts_enabled || false,
+            notificationPreferences: normalizePreferences(user.notification_preferences),
             superuser: user.superuser || false,
             beta_user: user.beta_user || false,
             early_access: user.early_access || false,
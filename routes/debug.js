@@ -255,7 +255,10 @@ const debug = async (req, res) => {
         positions: positionsManager.getDebugInfo ? positionsManager.getDebugInfo() : []
       },
       backgroundStreams: backgroundStreamManager.getStatus(),
-      alertEngine: alertEngine.getStats()
+      alertEngine: alertEngine.getStats(),
+      wsGateway: require('../utils/wsGateway').getStats(),
+      barAggregation: require('../utils/barAggregationService').getStats(),
+      barStore: require('../utils/barStore').getStats()
     };
     
     res.json(debugInfo);
@@ -880,6 +883,141 @@ const testTradestation = async (req, res) => {
   }
 };
 
+/**
+ * Close the replay users' upstreams of the named multiplexers so their subscribers reconnect:
+ * live ones when a replay starts (clients come back to the replay), replayed ones when it stops
+ */
+const closeUpstreams = async (streamNames, userIds, replayed) => {
+  const managers = [
+    require('../utils/quoteStreamManager').multiplexer,
+    require('../utils/barsStreamManager').multiplexer,
+    require('../utils/positionsStreamManager').multiplexer,
+    require('../utils/ordersStreamManager').multiplexer,
+    require('../utils/marketAggregatesStreamManager').multiplexer
+  ];
+  let closed = 0;
+  for (const manager of managers) {
+    if (!manager || !streamNames.includes(manager.name)) continue;
+    for (const [key, state] of Array.from(manager.keyToConnection.entries())) {
+      if (!!state.replayed !== replayed || !userIds.some(userId => key.startsWith(`${userId}|`))) continue;
+      await manager.closeKey(key);
+      closed++;
+    }
+  }
+  return closed;
+};
+
+const sendStreamToolError = (res, error, message) => {
+  if (!error.status) console.error(`${message}:`, error);
+  res.status(error.status || 500).json({ success: false, error: error.status ? error.message : message, details: error.message });
+};
+
+/**
+ * Recorder/replay status and recordings on disk (superuser)
+ * GET /debug/streams/recordings
+ */
+const listStreamRecordings = async (req, res) => {
+  try {
+    const streamRecorder = require('../utils/streamRecorder');
+    const streamReplay = require('../utils/streamReplay');
+    res.json({
+      success: true,
+      recorder: streamRecorder.getStatus(),
+      replay: streamReplay.getStatus(),
+      recordings: streamRecorder.listRecordings()
+    });
+  } catch (error) {
+    sendStreamToolError(res, error, 'Failed to list stream recordings');
+  }
+};
+
+/**
+ * Start recording upstream chunks (superuser)
+ * POST /debug/streams/recordings/start { userIds: [...], name?, streams?: ['Quotes', 'Bars', 'Positions', 'Orders'], maxMinutes? }
+ */
+const startStreamRecording = async (req, res) => {
+  try {
+    const { name, streams, maxMinutes, userIds } = req.body || {};
+    const status = require('../utils/streamRecorder').start({ name, streams, maxMinutes, userIds });
+    res.json({ success: true, recorder: status });
+  } catch (error) {
+    sendStreamToolError(res, error, 'Failed to start stream recording');
+  }
+};
+
+/**
+ * Stop the current recording (superuser)
+ * POST /debug/streams/recordings/stop
+ */
+const stopStreamRecording = async (req, res) => {
+  try {
+    const recording = await require('../utils/streamRecorder').stop();
+    if (!recording) return res.status(409).json({ success: false, error: 'Not recording' });
+    res.json({ success: true, recording });
+  } catch (error) {
+    sendStreamToolError(res, error, 'Failed to stop stream recording');
+  }
+};
+
+/**
+ * Download a recording (gzip NDJSON, superuser)
+ * GET /debug/streams/recordings/:file
+ */
+const downloadStreamRecording = async (req, res) => {
+  try {
+    const filepath = require('../utils/streamRecorder').resolveFile(req.params.file);
+    res.download(filepath, req.params.file);
+  } catch (error) {
+    sendStreamToolError(res, error, 'Failed to download stream recording');
+  }
+};
+
+/**
+ * Delete a recording (superuser)
+ * DELETE /debug/streams/recordings/:file
+ */
+const deleteStreamRecording = async (req, res) => {
+  try {
+    require('../utils/streamRecorder').deleteRecording(req.params.file);
+    res.json({ success: true });
+  } catch (error) {
+    sendStreamToolError(res, error, 'Failed to delete stream recording');
+  }
+};
+
+/**
+ * Replay a recording through the stream multiplexers (superuser)
+ * POST /debug/streams/replay/start { file, userIds: [...], speed?: 1 | 10 | 'max' }
+ */
+const startStreamReplay = async (req, res) => {
+  try {
+    const { file, speed, userIds } = req.body || {};
+    const streamReplay = require('../utils/streamReplay');
+    const status = await streamReplay.start({ file, speed, userIds });
+    const closedUpstreams = await closeUpstreams(status.streams, status.userIds, false);
+    res.json({ success: true, replay: status, closedUpstreams });
+  } catch (error) {
+    sendStreamToolError(res, error, 'Failed to start stream replay');
+  }
+};
+
+/**
+ * Stop replaying, streams go back to TradeStation (superuser)
+ * POST /debug/streams/replay/stop
+ */
+const stopStreamReplay = async (req, res) => {
+  try {
+    const streamReplay = require('../utils/streamReplay');
+    const streams = streamReplay.getStatus().streams || [];
+    const replay = streamReplay.stop();
+    if (!replay) return res.status(409).json({ success: false, error: 'No replay running' });
+    const closedUpstreams = await closeUpstreams(streams, replay.userIds, true);
+    res.json({ success: true, replay, closedUpstreams });
+  } catch (error) {
+    sendStreamToolError(res, error, 'Failed to stop stream replay');
+  }
+};
+
 module.exports = {
   health,
   status,
@@ -892,6 +1030,13 @@ module.exports = {
   forceGc,
   streamState,
   cleanupStreams,
-  testTradestation
+  testTradestation,
+  listStreamRecordings,
+  startStreamRecording,
+  stopStreamRecording,
+  downloadStreamRecording,
+  deleteStreamRecording,
+  startStreamReplay,
+  stopStreamReplay
 };
 
@@ -0,0 +1,317 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const jwt = require('jsonwebtoken');
+const moment = require('moment-timezone');
+const { requireSuperuser } = require('../middleware/superuserCheck');
+const economicCalendar = require('../utils/economicCalendar');
+
+// Auth middleware (same pattern as watchlists.js)
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return res.sendStatus(401);
+  jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] }, (err, user) => {
+    if (err) return res.sendStatus(403);
+    req.user = user;
+    next();
+  });
+};
+
+const MAX_BLACKOUT_MINUTES = 240;
+const SUBSCRIPTION_COLUMNS = 'id, account_id, categories, minutes_before, minutes_after, enabled, created_at, updated_at';
+
+// Raw calendar uploads (Content-Type text/csv or text/calendar)
+const calendarText = express.text({ type: ['text/csv', 'text/calendar', 'text/plain'], limit: '2mb' });
+
+const parseMinutes = (value, fallback) => {
+  if (value === undefined || value === null) return fallback;
+  const minutes = Number(value);
+  return Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_BLACKOUT_MINUTES ? minutes : NaN;
+};
+
+// ============================================================================
+// EVENTS
+// ============================================================================
+
+/**
+ * GET /economic_events
+ * Scheduled events
+ * Query: from? (default now), to? (default +7 days), category? (comma-separated), impact?
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const from = req.query.from ? moment(req.query.from, moment.ISO_8601, true) : moment();
+    const to = req.query.to ? moment(req.query.to, moment.ISO_8601, true) : from.clone().add(7, 'days');
+    if (!from.isValid() || !to.isValid()) {
+      return res.status(400).json({ success: false, error: 'from and to must be ISO 8601 dates' });
+    }
+
+    const categories = req.query.category
+      ? String(req.query.category).split(',').map(c => c.trim().toLowerCase()).filter(Boolean)
+      : null;
+    if (categories && categories.some(c => !economicCalendar.EVENT_CATEGORIES.includes(c))) {
+      return res.status(400).json({ success: false, error: `category must be one of: ${economicCalendar.EVENT_CATEGORIES.join(', ')}` });
+    }
+    const impact = req.query.impact || null;
+    if (impact && !economicCalendar.EVENT_IMPACTS.includes(impact)) {
+      return res.status(400).json({ success: false, error: `impact must be one of: ${economicCalendar.EVENT_IMPACTS.join(', ')}` });
+    }
+
+    const result = await pool.query(
+      `SELECT ${economicCalendar.EVENT_COLUMNS}
+       FROM economic_events
+       WHERE scheduled_at >= $1 AND scheduled_at <= $2
+         AND ($3::text[] IS NULL OR category = ANY($3::text[]))
+         AND ($4::text IS NULL OR impact = $4)
+       ORDER BY scheduled_at
+       LIMIT 500`,
+      [from.toISOString(), to.toISOString(), categories, impact]
+    );
+
+    res.json({ success: true, events: result.rows, categories: economicCalendar.EVENT_CATEGORIES });
+  } catch (err) {
+    console.error('[EconomicEvents] Error fetching events:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch economic events' });
+  }
+});
+
+/**
+ * POST /economic_events/import (superuser)
+ * Import events from CSV or ICS
+ * Body: raw text (Content-Type text/csv | text/calendar) or JSON { format: 'csv' | 'ics', content }
+ * Query/body: timezone? for times without an offset (default America/New_York)
+ */
+router.post('/import', authenticateToken, requireSuperuser, calendarText, async (req, res) => {
+  try {
+    const isText = typeof req.body === 'string';
+    const content = isText ? req.body : req.body?.content;
+    const timezone = (isText ? req.query.timezone : req.body?.timezone || req.query.timezone) || undefined;
+    let format = isText ? req.query.format : req.body?.format;
+    if (!format && isText) {
+      format = req.is('text/calendar') || /^\s*BEGIN:VCALENDAR/.test(content) ? 'ics' : 'csv';
+    }
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ success: false, error: 'Calendar content is required' });
+    }
+    if (!['csv', 'ics'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'format must be "csv" or "ics"' });
+    }
+    if (timezone && !moment.tz.zone(timezone)) {
+      return res.status(400).json({ success: false, error: 'timezone must be an IANA timezone' });
+    }
+
+    const parse = format === 'ics' ? economicCalendar.parseIcs : economicCalendar.parseCsv;
+    const { events, errors } = parse(content, { timezone });
+    if (events.length === 0) {
+      return res.status(400).json({ success: false, error: 'No valid events found', errors });
+    }
+    if (events.length > economicCalendar.MAX_IMPORT_EVENTS) {
+      return res.status(400).json({ success: false, error: `At most ${economicCalendar.MAX_IMPORT_EVENTS} events per import` });
+    }
+
+    const { inserted, updated } = await economicCalendar.upsertEvents(events, format);
+
+    res.json({ success: true, inserted, updated, skipped: errors.length, errors: errors.slice(0, 50) });
+  } catch (err) {
+    console.error('[EconomicEvents] Error importing events:', err);
+    res.status(500).json({ success: false, error: 'Failed to import economic events' });
+  }
+});
+
+/**
+ * POST /economic_events (superuser)
+ * Add a single event
+ * Body: { title, scheduledAt, category?, impact?, country?, timezone? }
+ */
+router.post('/', authenticateToken, requireSuperuser, async (req, res) => {
+  try {
+    const { timezone } = req.body || {};
+    if (timezone && !moment.tz.zone(timezone)) {
+      return res.status(400).json({ success: false, error: 'timezone must be an IANA timezone' });
+    }
+
+    const { event, error } = economicCalendar.normalizeEvent(req.body || {}, timezone || undefined);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    await economicCalendar.upsertEvents([event], 'manual');
+    const result = await pool.query(
+      `SELECT ${economicCalendar.EVENT_COLUMNS} FROM economic_events WHERE event_key = $1`,
+      [event.eventKey]
+    );
+
+    res.status(201).json({ success: true, event: result.rows[0] });
+  } catch (err) {
+    console.error('[EconomicEvents] Error creating event:', err);
+    res.status(500).json({ success: false, error: 'Failed to create economic event' });
+  }
+});
+
+// ============================================================================
+// SUBSCRIPTIONS
+// ============================================================================
+
+/**
+ * GET /economic_events/subscriptions
+ * Accounts opted in to event blackouts
+ */
+router.get('/subscriptions', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS} FROM economic_event_subscriptions WHERE user_id = $1 ORDER BY account_id`,
+      [req.user.id]
+    );
+    res.json({ success: true, subscriptions: result.rows });
+  } catch (err) {
+    console.error('[EconomicEvents] Error fetching subscriptions:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch event subscriptions' });
+  }
+});
+
+/**
+ * PUT /economic_events/subscriptions/:accountId
+ * Opt an account in to blackouts around event categories
+ * Body: { categories: ['fomc', 'cpi', 'nfp'], minutesBefore? (default 5), minutesAfter? (default 5), enabled? }
+ * Blackouts that haven't started yet are rescheduled; active ones run until they end.
+ */
+router.put('/subscriptions/:accountId', authenticateToken, async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const { categories, enabled = true } = req.body || {};
+    const minutesBefore = parseMinutes(req.body?.minutesBefore, 5);
+    const minutesAfter = parseMinutes(req.body?.minutesAfter, 5);
+
+    if (!Array.isArray(categories) || categories.length === 0
+      || categories.some(c => !economicCalendar.EVENT_CATEGORIES.includes(c))) {
+      return res.status(400).json({ success: false, error: `categories must be a non-empty array of: ${economicCalendar.EVENT_CATEGORIES.join(', ')}` });
+    }
+    if (Number.isNaN(minutesBefore) || Number.isNaN(minutesAfter)) {
+      return res.status(400).json({ success: false, error: `minutesBefore and minutesAfter must be whole minutes between 0 and ${MAX_BLACKOUT_MINUTES}` });
+    }
+    if (minutesBefore + minutesAfter === 0) {
+      return res.status(400).json({ success: false, error: 'Blackout must last at least one minute' });
+    }
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'enabled must be a boolean' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO economic_event_subscriptions (user_id, account_id, categories, minutes_before, minutes_after, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (user_id, account_id) DO UPDATE SET
+         categories = EXCLUDED.categories,
+         minutes_before = EXCLUDED.minutes_before,
+         minutes_after = EXCLUDED.minutes_after,
+         enabled = EXCLUDED.enabled,
+         updated_at = NOW()
+       RETURNING ${SUBSCRIPTION_COLUMNS}`,
+      [req.user.id, accountId, [...new Set(categories)], minutesBefore, minutesAfter, enabled]
+    );
+
+    // Drop pending blackouts; the worker recreates them from the new settings
+    await pool.query(
+      `DELETE FROM economic_event_locks WHERE user_id = $1 AND account_id = $2 AND starts_at > NOW()`,
+      [req.user.id, accountId]
+    );
+
+    res.json({ success: true, subscription: result.rows[0] });
+  } catch (err) {
+    console.error('[EconomicEvents] Error saving subscription:', err);
+    res.status(500).json({ success: false, error: 'Failed to save event subscription' });
+  }
+});
+
+/**
+ * DELETE /economic_events/subscriptions/:accountId
+ * Opt an account out (an active blackout still runs until it ends)
+ */
+router.delete('/subscriptions/:accountId', authenticateToken, async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const result = await pool.query(
+      'DELETE FROM economic_event_subscriptions WHERE user_id = $1 AND account_id = $2 RETURNING id',
+      [req.user.id, accountId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Event subscription not found' });
+    }
+
+    await pool.query(
+      `DELETE FROM economic_event_locks WHERE user_id = $1 AND account_id = $2 AND starts_at > NOW()`,
+      [req.user.id, accountId]
+    );
+
+    res.status(204).send();
+  } catch (err) {
+    console.error('[EconomicEvents] Error deleting subscription:', err);
+    res.status(500).json({ success: false, error: 'Failed to delete event subscription' });
+  }
+});
+
+// ============================================================================
+// BLACKOUTS
+// ============================================================================
+
+/**
+ * GET /economic_events/blackouts
+ * Active and upcoming blackouts for the user's accounts
+ * Query: accountId?
+ */
+router.get('/blackouts', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT l.id, l.account_id, l.starts_at, l.expires_at,
+              e.id AS event_id, e.title, e.category, e.impact, e.scheduled_at
+       FROM economic_event_locks l
+       JOIN economic_events e ON e.id = l.event_id
+       WHERE l.user_id = $1
+         AND l.expires_at > NOW()
+         AND ($2::text IS NULL OR l.account_id = $2)
+       ORDER BY l.starts_at`,
+      [req.user.id, req.query.accountId || null]
+    );
+
+    const now = Date.now();
+    const blackouts = result.rows.map(row => ({
+      id: row.id,
+      accountId: row.account_id,
+      startsAt: row.starts_at,
+      expiresAt: row.expires_at,
+      isActive: new Date(row.starts_at).getTime() <= now,
+      event: {
+        id: row.event_id,
+        title: row.title,
+        category: row.category,
+        impact: row.impact,
+        scheduledAt: row.scheduled_at
+      }
+    }));
+
+    res.json({ success: true, blackouts });
+  } catch (err) {
+    console.error('[EconomicEvents] Error fetching blackouts:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch event blackouts' });
+  }
+});
+
+/**
+ * DELETE /economic_events/:id (superuser)
+ * Remove an event (its blackouts are removed with it)
+ */
+router.delete('/:id', authenticateToken, requireSuperuser, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM economic_events WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Economic event not found' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error('[EconomicEvents] Error deleting event:', err);
+    res.status(500).json({ success: false, error: 'Failed to delete economic event' });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,13 @@
 // Native fetch is available in Node.js 18+
 const { TTLCache } = require('../utils/ttlCache');
 const { authenticateToken } = require('./auth');
+const indicatorService = require('../utils/indicatorService');
+const { LOCAL_FUNCTIONS, getTimeframeConfig, formatAlphaVantageResponse } = require('../utils/indicatorService');
 
 // Allowed indicator functions for v1
-const ALLOWED_FUNCTIONS = new Set(['SMA', 'EMA', 'VWAP', 'BBANDS', 'RSI', 'WMA', 'DEMA', 'TEMA', 'SAR', 'MACD', 'STOCH', 'CCI', 'ADX']);
+// SMA/EMA/RSI/MACD/BBANDS/VWAP/ATR are computed locally from TradeStation bars (utils/indicatorService),
+// the rest are still proxied to Alpha Vantage
+const ALLOWED_FUNCTIONS = new Set(['SMA', 'EMA', 'VWAP', 'BBANDS', 'RSI', 'WMA', 'DEMA', 'TEMA', 'SAR', 'MACD', 'STOCH', 'CCI', 'ADX', 'ATR']);
 
 // Whitelisted params per function (lowercased keys as in Alpha Vantage)
 const PARAM_WHITELIST = {
@@ -20,6 +24,7 @@ const PARAM_WHITELIST = {
   STOCH: ['function', 'symbol', 'interval', 'fastkperiod', 'slowkperiod', 'slowdperiod', 'slowkmatype', 'slowdmatype', 'apikey'],
   CCI: ['function', 'symbol', 'interval', 'time_period', 'apikey'],
   ADX: ['function', 'symbol', 'interval', 'time_period', 'apikey'],
+  ATR: ['function', 'symbol', 'interval', 'time_period', 'apikey'],
 };
 
 // Interval-based TTL mapping
@@ -82,6 +87,74 @@ function buildSignature(qs) {
   return entries.map(([k, v]) => `${k}=${String(v)}`).join('&');
 }
 
+// Resolve the Alpha Vantage style interval from either interval or TradeStation-style hints
+function resolveInterval(query) {
+  const hasUnit = Boolean(query.unit || query.ts_unit || query.chart_unit);
+  if (query.interval && (!hasUnit || !Number.isFinite(Number(query.interval)))) {
+    return normalizeIntervalForAV(query.interval);
+  }
+  if (hasUnit) {
+    const unit = String(query.unit || query.ts_unit || query.chart_unit).toLowerCase();
+    const n = Number(query.interval || query.ts_interval || query.barsize || query.chart_interval);
+    if (unit === 'minute') {
+      return normalizeIntervalForAV(Number.isFinite(n) ? `${n}` : '5');
+    }
+    if (unit === 'daily' || unit === 'weekly' || unit === 'monthly') {
+      return unit;
+    }
+  }
+  return 'daily';
+}
+
+// Locally computed indicator in the Alpha Vantage response shape
+async function getLocalIndicator(req, res, fn) {
+  const symbol = typeof req.query.symbol === 'string' ? req.query.symbol.trim().toUpperCase() : '';
+  if (!symbol) {
+    return res.status(400).json({ error: 'symbol is required' });
+  }
+
+  const interval = resolveInterval(req.query || {});
+  if (!getTimeframeConfig(interval)) {
+    return res.status(400).json({ error: 'Unsupported interval' });
+  }
+
+  // Same whitelist as the Alpha Vantage proxy, minus credentials
+  const allowedParams = new Set(PARAM_WHITELIST[fn] || []);
+  const params = {};
+  for (const [k, v] of Object.entries(req.query || {})) {
+    const key = String(k).toLowerCase();
+    if (allowedParams.has(key) && key !== 'apikey') {
+      params[key] = v;
+    }
+  }
+  params.function = fn;
+  params.symbol = symbol;
+  params.interval = interval;
+
+  const signature = `local|${buildSignature(params)}`;
+  const cached = indicatorCache.get(signature);
+  if (cached && !cached.isStale) {
+    res.setHeader('X-Cache', 'HIT');
+    return res.json(cached.data);
+  }
+
+  try {
+    const points = await indicatorService.getIndicatorSeries(req.user.id, symbol, fn, interval, params);
+    const data = formatAlphaVantageResponse(fn, symbol, interval, params, points);
+    // Bars refresh at most once a minute, so there's no point caching longer than that
+    indicatorCache.set(signature, data, Math.min(getTtlMs(interval), 60_000), { interval, function: fn, source: 'tradestation' });
+    res.setHeader('X-Cache', 'MISS');
+    return res.json(data);
+  } catch (error) {
+    if (cached) {
+      res.setHeader('X-Cache', 'STALE');
+      return res.json(cached.data);
+    }
+    const status = error.status && error.status >= 400 && error.status < 600 ? error.status : 502;
+    return res.status(status).json({ error: 'TradeStation bars request failed', details: error.message });
+  }
+}
+
 // Express handler: GET /api/indicators (pass-through)
 async function getIndicator(req, res) {
   try {
@@ -91,6 +164,10 @@ async function getIndicator(req, res) {
       return res.status(400).json({ error: 'Unsupported function' });
     }
 
+    if (LOCAL_FUNCTIONS.has(fn)) {
+      return await getLocalIndicator(req, res, fn);
+    }
+
     const apiKey = process.env.ALPHA_VANTAGE_API_KEY;
     if (!apiKey) {
       return res.status(500).json({ error: 'Alpha Vantage API key not configured' });
@@ -259,6 +336,7 @@ async function getCacheInfo(req, res) {
 
     return res.json({
       indicators: indicatorCache.info(),
+      indicatorService: indicatorService.getStats(),
       streams: streamCaches
     });
   } catch (error) {
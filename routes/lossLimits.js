@@ -1,7 +1,6 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const moment = require('moment-timezone');
 const jwt = require('jsonwebtoken');
 
 // Auth middleware (same pattern as watchlists.js)
@@ -36,17 +35,14 @@ const getPusher = () => {
   return pusher;
 };
 
-// Helper: Calculate next 4 PM EST (default session end)
+const MAX_ALERT_ID = 2147483647; // loss_limit_alerts.id is SERIAL
+const isAlertId = (value) => /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= MAX_ALERT_ID;
+
+// Helper: End of the current daily loss session (default lock expiry)
+// Same window PositionLossEngine uses: next equities regular close from the session calendar
 function getNextSessionEnd() {
-  const now = moment().tz('America/New_York');
-  let nextEnd = now.clone().hour(16).minute(0).second(0).millisecond(0);
-  
-  // If it's already past 4 PM EST today, get tomorrow's 4 PM EST
-  if (now.isAfter(nextEnd)) {
-    nextEnd = nextEnd.add(1, 'day');
-  }
-  
-  return nextEnd.toISOString();
+  const positionLossEngine = require('../workers/positionLossEngine');
+  return positionLossEngine.getDailySession().end.toISOString();
 }
 
 // ============================================================================
@@ -60,7 +56,8 @@ function getNextSessionEnd() {
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT id, account_id, limit_type, threshold_amount, enabled_at, expires_at, created_at
+      `SELECT id, account_id, limit_type, threshold_amount, auto_liquidate, consecutive_losses,
+              max_trades_per_session, cooloff_minutes, enabled_at, expires_at, created_at
        FROM loss_limit_locks
        WHERE user_id = $1
        ORDER BY account_id, limit_type`,
@@ -84,29 +81,51 @@ router.get('/', authenticateToken, async (req, res) => {
 /**
  * POST /loss_limits
  * Enable a loss limit for an account
- * Body: { accountId, limitType, thresholdAmount?, expiresAt? }
+ * Body: { accountId, limitType, thresholdAmount?, expiresAt?, autoLiquidate?,
+ *         consecutiveLosses?, maxTradesPerSession?, cooloffMinutes? }
  * Note: thresholdAmount is optional for 'manual' lock type, required for 'daily' and 'trade'
+ * Note: autoLiquidate (daily/trade only) cancels working orders and flattens positions on breach
+ * Note: 'cooloff' locks the account for cooloffMinutes after consecutiveLosses losing round trips
+ *       in a row and/or maxTradesPerSession round trips in the daily session (CoolingOffEngine)
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { accountId, limitType, thresholdAmount, expiresAt } = req.body || {};
+    const { accountId, limitType, thresholdAmount, expiresAt, autoLiquidate, consecutiveLosses, maxTradesPerSession, cooloffMinutes } = req.body || {};
     
     // Validation
     if (!accountId || !accountId.trim()) {
       return res.status(400).json({ success: false, error: 'accountId is required' });
     }
-    if (!limitType || !['daily', 'trade', 'manual'].includes(limitType)) {
-      return res.status(400).json({ success: false, error: 'limitType must be "daily", "trade", or "manual"' });
+    if (!limitType || !['daily', 'trade', 'manual', 'cooloff'].includes(limitType)) {
+      return res.status(400).json({ success: false, error: 'limitType must be "daily", "trade", "manual", or "cooloff"' });
     }
-    // For manual locks, thresholdAmount is optional (defaults to 0)
+    // For manual and cooloff locks, thresholdAmount is optional (defaults to 0)
     // For daily/trade locks, thresholdAmount is required
-    if (limitType !== 'manual') {
+    if (limitType === 'daily' || limitType === 'trade') {
       if (!thresholdAmount || isNaN(parseFloat(thresholdAmount)) || parseFloat(thresholdAmount) <= 0) {
         return res.status(400).json({ success: false, error: 'thresholdAmount must be a positive number' });
       }
     }
+    if (autoLiquidate !== undefined && typeof autoLiquidate !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'autoLiquidate must be a boolean' });
+    }
+    if (autoLiquidate && (limitType === 'manual' || limitType === 'cooloff')) {
+      return res.status(400).json({ success: false, error: 'autoLiquidate is only supported for "daily" and "trade" limits' });
+    }
+    const isCount = (value, max) => value === undefined || value === null || (Number.isInteger(value) && value >= 1 && value <= max);
+    if (limitType === 'cooloff') {
+      if (!isCount(consecutiveLosses, 50) || !isCount(maxTradesPerSession, 500)) {
+        return res.status(400).json({ success: false, error: 'consecutiveLosses (1-50) and maxTradesPerSession (1-500) must be positive integers' });
+      }
+      if (!consecutiveLosses && !maxTradesPerSession) {
+        return res.status(400).json({ success: false, error: 'cooloff limits need consecutiveLosses and/or maxTradesPerSession' });
+      }
+      if (cooloffMinutes === undefined || !isCount(cooloffMinutes, 1440)) {
+        return res.status(400).json({ success: false, error: 'cooloffMinutes must be an integer between 1 and 1440' });
+      }
+    }
     
-    // Use provided expiresAt or default to next 4 PM EST
+    // Use provided expiresAt or default to the end of the daily session
     const finalExpiresAt = expiresAt ? new Date(expiresAt).toISOString() : getNextSessionEnd();
     
     // Validate expiresAt is in the future
@@ -141,16 +160,24 @@ router.post('/', authenticateToken, async (req, res) => {
     }
     
     // Insert new lock
-    // For manual locks, use 0 as threshold_amount if not provided
-    const finalThresholdAmount = limitType === 'manual' 
+    // For manual and cooloff locks, use 0 as threshold_amount if not provided
+    const finalThresholdAmount = limitType === 'manual' || limitType === 'cooloff'
       ? (thresholdAmount ? parseFloat(thresholdAmount) : 0)
       : parseFloat(thresholdAmount);
+    const isCooloff = limitType === 'cooloff';
     
     const insertResult = await pool.query(
-      `INSERT INTO loss_limit_locks (user_id, account_id, limit_type, threshold_amount, expires_at)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, account_id, limit_type, threshold_amount, enabled_at, expires_at, created_at`,
-      [req.user.id, accountId.trim(), limitType, finalThresholdAmount, finalExpiresAt]
+      `INSERT INTO loss_limit_locks (user_id, account_id, limit_type, threshold_amount, expires_at, auto_liquidate,
+                                     consecutive_losses, max_trades_per_session, cooloff_minutes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, account_id, limit_type, threshold_amount, auto_liquidate, consecutive_losses,
+                 max_trades_per_session, cooloff_minutes, enabled_at, expires_at, created_at`,
+      [
+        req.user.id, accountId.trim(), limitType, finalThresholdAmount, finalExpiresAt, autoLiquidate === true,
+        isCooloff ? consecutiveLosses || null : null,
+        isCooloff ? maxTradesPerSession || null : null,
+        isCooloff ? cooloffMinutes : null
+      ]
     );
     
     const newLock = insertResult.rows[0];
@@ -183,6 +210,12 @@ router.post('/', authenticateToken, async (req, res) => {
       await positionLossEngine.loadMonitoredAccounts();
     }
     
+    // Notify CoolingOffEngine to start watching the account's orders
+    const coolingOffEngine = require('../workers/coolingOffEngine');
+    if (isCooloff && coolingOffEngine.isRunning) {
+      await coolingOffEngine.loadRules();
+    }
+    
     res.status(201).json({ success: true, lock: newLock });
   } catch (err) {
     console.error('[LossLimits] Error creating lock:', err);
@@ -342,6 +375,11 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         await positionLossEngine.loadLossLimits();
         await positionLossEngine.loadMonitoredAccounts();
       }
+      
+      const coolingOffEngine = require('../workers/coolingOffEngine');
+      if (lock.limit_type === 'cooloff' && coolingOffEngine.isRunning) {
+        await coolingOffEngine.loadRules();
+      }
     }
     
     res.status(204).send();
@@ -354,16 +392,16 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 /**
  * GET /loss_limits/lockout_status
  * Check if any accounts are currently locked out from trading
- * Includes both daily loss limit alerts and manual lockouts
+ * Includes daily loss limit and cooling-off alerts, manual lockouts and active economic event blackouts
  */
 router.get('/lockout_status', authenticateToken, async (req, res) => {
   try {
-    // Find daily alerts where lockout hasn't expired yet
+    // Find daily and cooling-off alerts where lockout hasn't expired yet
     const alertsResult = await pool.query(
-      `SELECT id, account_id, threshold_amount, loss_amount, lockout_expires_at, detected_at
+      `SELECT id, account_id, alert_type, threshold_amount, loss_amount, position_snapshot, lockout_expires_at, detected_at
        FROM loss_limit_alerts
        WHERE user_id = $1 
-         AND alert_type = 'daily'
+         AND alert_type IN ('daily', 'cooloff')
          AND lockout_expires_at > NOW()
        ORDER BY detected_at DESC`,
       [req.user.id]
@@ -380,19 +418,37 @@ router.get('/lockout_status', authenticateToken, async (req, res) => {
       [req.user.id]
     );
     
+    // Find economic event blackouts in progress
+    const eventLocksResult = await pool.query(
+      `SELECT l.id, l.account_id, l.starts_at, l.expires_at, e.id AS event_id, e.title, e.category, e.scheduled_at
+       FROM economic_event_locks l
+       JOIN economic_events e ON e.id = l.event_id
+       WHERE l.user_id = $1
+         AND l.starts_at <= NOW()
+         AND l.expires_at > NOW()
+       ORDER BY l.starts_at DESC`,
+      [req.user.id]
+    );
+    
     const lockedOutAccounts = [];
     
-    // Add daily loss limit alerts
+    // Add daily loss limit and cooling-off alerts
     alertsResult.rows.forEach(row => {
-      lockedOutAccounts.push({
+      const lockout = {
         alertId: row.id,
         accountId: row.account_id,
-        alertType: 'daily',
+        alertType: row.alert_type,
         thresholdAmount: parseFloat(row.threshold_amount),
         lossAmount: parseFloat(row.loss_amount),
         lockoutExpiresAt: row.lockout_expires_at,
         detectedAt: row.detected_at
-      });
+      };
+      if (row.alert_type === 'cooloff') {
+        const snapshot = typeof row.position_snapshot === 'string' ? JSON.parse(row.position_snapshot) : row.position_snapshot;
+        lockout.rule = snapshot?.Rule || null;
+        lockout.tradeCount = snapshot?.TradeCount ?? null;
+      }
+      lockedOutAccounts.push(lockout);
     });
     
     // Add manual lockouts
@@ -407,6 +463,18 @@ router.get('/lockout_status', authenticateToken, async (req, res) => {
       });
     });
     
+    // Add economic event blackouts
+    eventLocksResult.rows.forEach(row => {
+      lockedOutAccounts.push({
+        lockId: row.id,
+        accountId: row.account_id,
+        alertType: 'event',
+        event: { id: row.event_id, title: row.title, category: row.category, scheduledAt: row.scheduled_at },
+        lockoutExpiresAt: row.expires_at,
+        enabledAt: row.starts_at
+      });
+    });
+    
     res.json({ 
       success: true, 
       lockedOutAccounts,
@@ -535,6 +603,44 @@ router.get('/alerts', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /loss_limits/alerts/:id/liquidations
+ * Get the auto-liquidation audit trail (orders cancelled/submitted and TradeStation responses) for an alert
+ */
+router.get('/alerts/:id/liquidations', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!isAlertId(id)) {
+      return res.status(400).json({ success: false, error: 'Invalid alert id' });
+    }
+    
+    const result = await pool.query(
+      `SELECT id, action, symbol, order_id, request_payload, response_status, response_data, success, created_at
+       FROM loss_limit_liquidations
+       WHERE alert_id = $1 AND user_id = $2
+       ORDER BY created_at ASC, id ASC`,
+      [id, req.user.id]
+    );
+    
+    const liquidations = result.rows.map(row => ({
+      id: row.id,
+      action: row.action,
+      symbol: row.symbol,
+      orderId: row.order_id,
+      request: row.request_payload,
+      responseStatus: row.response_status,
+      response: row.response_data,
+      success: row.success,
+      createdAt: row.created_at
+    }));
+    
+    res.json({ success: true, liquidations });
+  } catch (err) {
+    console.error('[LossLimits] Error fetching liquidations:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch liquidations' });
+  }
+});
+
 /**
  * PATCH /loss_limits/alerts/:id/archive
  * Archive a loss limit alert (soft delete for audit trail)
@@ -851,7 +957,7 @@ router.get('/admin/locks', authenticateToken, async (req, res) => {
 
     const result = await pool.query(
       `SELECT 
-        l.id, l.user_id, l.account_id, l.limit_type, l.threshold_amount, l.enabled_at, l.expires_at,
+        l.id, l.user_id, l.account_id, l.limit_type, l.threshold_amount, l.auto_liquidate, l.enabled_at, l.expires_at,
         u.email
        FROM loss_limit_locks l
        LEFT JOIN users u ON l.user_id = u.id
@@ -868,6 +974,7 @@ router.get('/admin/locks', authenticateToken, async (req, res) => {
         accountId: row.account_id,
         limitType: row.limit_type,
         thresholdAmount: parseFloat(row.threshold_amount),
+        autoLiquidate: row.auto_liquidate,
         enabledAt: row.enabled_at,
         expiresAt: row.expires_at,
         isExpired: new Date(row.expires_at) < now,
@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment-timezone');
+const sessionCalendar = require('../utils/sessionCalendar');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_DAYS = 31;
+
+/**
+ * GET /market/sessions
+ * Market status and trading day calendar (public, no TradeStation access needed)
+ * Query: market? ('equities' | 'futures', default both), date? (YYYY-MM-DD, default today ET),
+ *        days? (default 7, max 31)
+ */
+router.get('/sessions', (req, res) => {
+  try {
+    const { market, date } = req.query;
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), MAX_DAYS);
+
+    if (market && !sessionCalendar.MARKETS[market]) {
+      return res.status(400).json({ success: false, error: `market must be one of: ${Object.keys(sessionCalendar.MARKETS).join(', ')}` });
+    }
+    if (date && (!DATE_PATTERN.test(date) || !moment.utc(date, 'YYYY-MM-DD', true).isValid())) {
+      return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+    }
+
+    const now = new Date();
+    const startDate = date || moment(now).tz(sessionCalendar.MARKET_TIMEZONE).format('YYYY-MM-DD');
+    const markets = {};
+
+    for (const name of market ? [market] : Object.keys(sessionCalendar.MARKETS)) {
+      const calendar = [];
+      for (let offset = 0; offset < days; offset++) {
+        calendar.push(sessionCalendar.getTradingDay(name, moment.utc(startDate).add(offset, 'days').format('YYYY-MM-DD')));
+      }
+      markets[name] = {
+        ...sessionCalendar.getMarketStatus(name, now),
+        days: calendar
+      };
+    }
+
+    res.json({ success: true, now: now.toISOString(), markets });
+  } catch (err) {
+    console.error('[Market] Error fetching sessions:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch market sessions' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const jwt = require('jsonwebtoken');
+const { encryptToken } = require('../utils/secureCredentials');
+const {
+  MAX_CHANNELS_PER_USER,
+  generateSecret,
+  parseChannelInput,
+  maskUrl
+} = require('../utils/notificationChannels');
+
+// Auth middleware (same pattern as watchlists.js)
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return res.sendStatus(401);
+  jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] }, (err, user) => {
+    if (err) return res.sendStatus(403);
+    req.user = user;
+    next();
+  });
+};
+
+const CHANNEL_COLUMNS = 'id, name, channel_type, url, events, is_active, created_at, updated_at';
+
+// Webhook URLs embed their credentials (Discord/Slack tokens), never echo them back in full
+const formatChannel = (channel) => ({
+  ...channel,
+  url: maskUrl(channel.url)
+});
+
+async function getOwnedChannel(userId, channelId) {
+  const result = await pool.query(
+    `SELECT ${CHANNEL_COLUMNS} FROM notification_channels WHERE id = $1 AND user_id = $2`,
+    [channelId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// ============================================================================
+// NOTIFICATION CHANNELS CRUD
+// ============================================================================
+
+/**
+ * GET /notification_channels
+ * List the user's webhook channels
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${CHANNEL_COLUMNS} FROM notification_channels WHERE user_id = $1 ORDER BY created_at`,
+      [req.user.id]
+    );
+    res.json({ success: true, channels: result.rows.map(formatChannel) });
+  } catch (err) {
+    console.error('[NotificationChannels] Error fetching channels:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch notification channels' });
+  }
+});
+
+/**
+ * GET /notification_channels/deliveries
+ * Delivery log for the user's channels
+ * Query: channel_id?, status? ('pending' | 'delivered' | 'failed'), limit? (default 50, max 200), offset?
+ */
+router.get('/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const { channel_id, status } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if (channel_id && !Number.isInteger(Number(channel_id))) {
+      return res.status(400).json({ success: false, error: 'channel_id must be an integer' });
+    }
+    if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be "pending", "delivered", or "failed"' });
+    }
+
+    const params = [req.user.id];
+    let where = 'd.user_id = $1';
+    if (channel_id) {
+      params.push(parseInt(channel_id, 10));
+      where += ` AND d.channel_id = $${params.length}`;
+    }
+    if (status) {
+      params.push(status);
+      where += ` AND d.status = $${params.length}`;
+    }
+    params.push(limit, offset);
+
+    const result = await pool.query(
+      `SELECT d.id, d.channel_id, c.name AS channel_name, c.channel_type, d.event_type, d.payload,
+              d.status, d.attempts, d.response_status, d.error, d.next_attempt_at,
+              d.last_attempt_at, d.delivered_at, d.created_at
+       FROM notification_deliveries d
+       JOIN notification_channels c ON c.id = d.channel_id
+       WHERE ${where}
+       ORDER BY d.created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    res.json({ success: true, deliveries: result.rows, limit, offset });
+  } catch (err) {
+    console.error('[NotificationChannels] Error fetching deliveries:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch deliveries' });
+  }
+});
+
+/**
+ * POST /notification_channels
+ * Register a webhook channel
+ * Body: { name, channel_type: 'discord' | 'slack' | 'webhook', url, events?: ['price_alert', 'loss_alert', 'stream_failure'] }
+ * Generic webhooks get an HMAC secret, returned only in this response
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const parsed = parseChannelInput(req.body || {});
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    const { name, channel_type, url, events, is_active } = parsed.fields;
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM notification_channels WHERE user_id = $1',
+      [req.user.id]
+    );
+    if (countResult.rows[0].count >= MAX_CHANNELS_PER_USER) {
+      return res.status(400).json({ success: false, error: `A maximum of ${MAX_CHANNELS_PER_USER} notification channels is allowed` });
+    }
+
+    const secret = channel_type === 'webhook' ? generateSecret() : null;
+
+    const result = await pool.query(
+      `INSERT INTO notification_channels (user_id, name, channel_type, url, secret_encrypted, events, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${CHANNEL_COLUMNS}`,
+      [req.user.id, name, channel_type, url, secret ? encryptToken(secret) : null, events, is_active]
+    );
+
+    res.status(201).json({
+      success: true,
+      channel: formatChannel(result.rows[0]),
+      ...(secret ? { secret } : {})
+    });
+  } catch (err) {
+    console.error('[NotificationChannels] Error creating channel:', err);
+    res.status(500).json({ success: false, error: 'Failed to create notification channel' });
+  }
+});
+
+/**
+ * PUT /notification_channels/:id
+ * Update a channel
+ * Body: { name?, url?, events?, is_active?, rotate_secret? }
+ * rotate_secret (generic webhooks) issues a new HMAC secret, returned only in this response
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const existing = await getOwnedChannel(req.user.id, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Notification channel not found' });
+    }
+
+    const parsed = parseChannelInput(body, existing);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    if (body.rotate_secret && existing.channel_type !== 'webhook') {
+      return res.status(400).json({ success: false, error: 'rotate_secret is only supported for webhook channels' });
+    }
+
+    const { name, url, events, is_active } = parsed.fields;
+    const secret = body.rotate_secret ? generateSecret() : null;
+
+    const result = await pool.query(
+      `UPDATE notification_channels
+       SET name = $1, url = $2, events = $3, is_active = $4,
+           secret_encrypted = COALESCE($5, secret_encrypted),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $6 AND user_id = $7
+       RETURNING ${CHANNEL_COLUMNS}`,
+      [name, url, events, is_active, secret ? encryptToken(secret) : null, existing.id, req.user.id]
+    );
+
+    res.json({
+      success: true,
+      channel: formatChannel(result.rows[0]),
+      ...(secret ? { secret } : {})
+    });
+  } catch (err) {
+    console.error('[NotificationChannels] Error updating channel:', err);
+    res.status(500).json({ success: false, error: 'Failed to update notification channel' });
+  }
+});
+
+/**
+ * DELETE /notification_channels/:id
+ * Delete a channel and its delivery log
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM notification_channels WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Notification channel not found' });
+    }
+    res.json({ success: true, message: 'Notification channel deleted' });
+  } catch (err) {
+    console.error('[NotificationChannels] Error deleting channel:', err);
+    res.status(500).json({ success: false, error: 'Failed to delete notification channel' });
+  }
+});
+
+/**
+ * POST /notification_channels/:id/test
+ * Send a test event to a channel and return the first delivery attempt
+ * Failed test deliveries are retried like any other delivery
+ */
+router.post('/:id/test', authenticateToken, async (req, res) => {
+  try {
+    const channel = await getOwnedChannel(req.user.id, req.params.id);
+    if (!channel) {
+      return res.status(404).json({ success: false, error: 'Notification channel not found' });
+    }
+
+    const notificationDispatcher = require('../workers/notificationDispatcher');
+    const [delivery] = await notificationDispatcher.dispatch(req.user.id, 'test', {
+      title: 'Test notification',
+      message: `This is a test notification for channel "${channel.name}".`,
+      data: { channelId: channel.id }
+    }, { channelId: channel.id });
+
+    if (!delivery) {
+      return res.status(500).json({ success: false, error: 'Failed to send test notification' });
+    }
+
+    res.json({ success: delivery.status === 'delivered', delivery });
+  } catch (err) {
+    console.error('[NotificationChannels] Error sending test notification:', err);
+    res.status(500).json({ success: false, error: 'Failed to send test notification' });
+  }
+});
+
+module.exports = router;
@@ -76,12 +76,22 @@ const getAlphaVantageIndicatorValue = async (ticker, function_name, timeframe =
 };
 
 // Get RSI value for alerts
-const getRSIValue = async (ticker, timeframe = '1hour') => {
-  return await getAlphaVantageIndicatorValue(ticker, 'RSI', timeframe, '14');
+// With a userId the value is computed locally from TradeStation bars (covers futures),
+// otherwise Alpha Vantage is used
+const getRSIValue = async (ticker, timeframe = '1hour', period = 14, userId = null) => {
+  if (userId) {
+    const indicatorService = require('../utils/indicatorService');
+    return await indicatorService.getLatestValue(userId, ticker, 'RSI', timeframe, period);
+  }
+  return await getAlphaVantageIndicatorValue(ticker, 'RSI', timeframe, period.toString());
 };
 
 // Get EMA value for alerts
-const getEMAValue = async (ticker, timeframe = '1hour', period = 20) => {
+const getEMAValue = async (ticker, timeframe = '1hour', period = 20, userId = null) => {
+  if (userId) {
+    const indicatorService = require('../utils/indicatorService');
+    return await indicatorService.getLatestValue(userId, ticker, 'EMA', timeframe, period);
+  }
   return await getAlphaVantageIndicatorValue(ticker, 'EMA', timeframe, period.toString());
 };
 
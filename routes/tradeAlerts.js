@@ -3,6 +3,9 @@ const pool = require("../db");
 const { getCurrentContractSymbol } = require('../utils/contractSymbols');
 const logger = require('../config/logging');
 const { roundStdDevLevels, roundToTickSize, roundToTwoDecimals } = require('../utils/tickSizeUtils');
+const { validateConditionTree, normalizeConditionTree } = require('../utils/alertConditions');
+const { isTrailingAlert, isPercentMoveAlert, parseTrailingParams } = require('../utils/trailingAlerts');
+const { parseRearmParams } = require('../utils/alertRearm');
 const { refreshAccessTokenForUser } = require('./tradestation');
 
 // Get alert engine for real-time updates (lazy load to avoid circular deps)
@@ -32,6 +35,28 @@ const transformTickerToCurrentContract = (ticker) => {
   return ticker.toUpperCase();
 };
 
+// Helper to validate the condition tree of a composite alert
+// Returns { conditions } (normalized) or { error }
+const parseCompositeConditions = (alertType, conditions) => {
+  if (alertType !== 'composite') {
+    if (conditions !== undefined && conditions !== null) {
+      return { error: 'conditions are only supported for alert_type "composite"' };
+    }
+    return { conditions: null };
+  }
+
+  if (!conditions) {
+    return { error: 'conditions are required for composite alerts' };
+  }
+
+  const validation = validateConditionTree(conditions);
+  if (!validation.valid) {
+    return { error: validation.error };
+  }
+
+  return { conditions: normalizeConditionTree(conditions) };
+};
+
 // Helper to get cached std dev levels
 async function getCachedStdDevLevels(ticker, timeframe) {
   const cacheQuery = `
@@ -61,19 +86,36 @@ const getTradeAlerts = async (req, res) => {
 // Create a new trade alert
 const createTradeAlert = async (req, res) => {
   try {
-    const { ticker, alert_type, price_level, std_dev_level, timeframe } = req.body;
+    const { ticker, alert_type, price_level, std_dev_level, timeframe, conditions } = req.body;
     
     if (!ticker || !alert_type) {
       return res.status(400).json({ error: 'Missing required fields: ticker, alert_type' });
     }
     
+    const composite = parseCompositeConditions(alert_type, conditions);
+    if (composite.error) {
+      return res.status(400).json({ error: composite.error });
+    }
+    
+    const trailing = parseTrailingParams(alert_type, req.body);
+    if (trailing.error) {
+      return res.status(400).json({ error: trailing.error });
+    }
+    
     // Transform ticker to current contract if needed
     const transformedTicker = transformTickerToCurrentContract(ticker);
     
     let finalPriceLevel = price_level;
     
-    // If this is a std dev alert, get the price level from std dev levels
-    if (std_dev_level) {
+    if (alert_type === 'composite' || isPercentMoveAlert(alert_type)) {
+      // Composite alerts are driven entirely by their condition tree,
+      // percentage-move alerts by the prior close / session open
+      finalPriceLevel = null;
+    } else if (isTrailingAlert(alert_type)) {
+      // Trailing alerts have no fixed level; the watermark starts at the first quote
+      finalPriceLevel = null;
+    } else if (std_dev_level) {
+      // If this is a std dev alert, get the price level from std dev levels
       // Get current std dev levels using the transformed ticker
       let levels = await getCachedStdDevLevels(transformedTicker, timeframe);
       
@@ -108,9 +150,37 @@ const createTradeAlert = async (req, res) => {
       finalPriceLevel = roundToTickSize(parseFloat(price_level), transformedTicker);
     }
     
+    const rearm = parseRearmParams(alert_type, req.body, finalPriceLevel);
+    if (rearm.error) {
+      return res.status(400).json({ error: rearm.error });
+    }
+    
     // Insert the alert
-    const query = 'INSERT INTO trade_alerts (user_id, ticker, alert_type, price_level, std_dev_level, timeframe) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *';
-    const values = [req.user.id, transformedTicker, alert_type, finalPriceLevel, std_dev_level || null, timeframe || null];
+    const query = `
+      INSERT INTO trade_alerts
+      (user_id, ticker, alert_type, price_level, std_dev_level, timeframe, conditions,
+       trail_amount, trail_ticks, move_percent, move_reference,
+       cooldown_seconds, reset_level, max_triggers, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *
+    `;
+    const values = [
+      req.user.id,
+      transformedTicker,
+      alert_type,
+      finalPriceLevel,
+      std_dev_level || null,
+      timeframe || null,
+      composite.conditions ? JSON.stringify(composite.conditions) : null,
+      trailing.fields.trail_amount,
+      trailing.fields.trail_ticks,
+      trailing.fields.move_percent,
+      trailing.fields.move_reference,
+      rearm.fields.cooldown_seconds,
+      rearm.fields.reset_level,
+      rearm.fields.max_triggers,
+      rearm.fields.expires_at
+    ];
     
     const result = await pool.query(query, values);
     const newAlert = result.rows[0];
@@ -252,9 +322,9 @@ const createTechnicalIndicatorAlert = async (req, res) => {
     
     let currentValue = null;
     if (indicator.toLowerCase() === 'rsi') {
-      currentValue = await getRSIValue(transformedTicker, timeframe);
+      currentValue = await getRSIValue(transformedTicker, timeframe, period ? parseInt(period) : 14, req.user.id);
     } else if (indicator.toLowerCase() === 'ema') {
-      currentValue = await getEMAValue(transformedTicker, timeframe, parseInt(period));
+      currentValue = await getEMAValue(transformedTicker, timeframe, parseInt(period), req.user.id);
     }
     
     if (currentValue === null) {
@@ -280,6 +350,12 @@ const createTechnicalIndicatorAlert = async (req, res) => {
     
     const result = await pool.query(query, values);
     
+    // Notify AlertEngine of new alert (evaluated against locally computed indicator values)
+    const alertEngine = getAlertEngine();
+    if (alertEngine && alertEngine.isRunning) {
+      alertEngine.addOrUpdateAlert(result.rows[0]);
+    }
+    
     // Refresh the real-time alert checker with the new alert
     if (req.app.locals.realtimeAlertChecker) {
       await req.app.locals.realtimeAlertChecker.refreshAlerts();
@@ -302,18 +378,30 @@ const createTechnicalIndicatorAlert = async (req, res) => {
 const updateTradeAlert = async (req, res) => {
   try {
     const { id } = req.params;
-    const { ticker, alert_type, price_level, std_dev_level, timeframe, is_active } = req.body;
+    const { ticker, alert_type, price_level, std_dev_level, timeframe, is_active, conditions } = req.body;
     
     // Debug logging
     logger.debug('Update trade alert request:', { id, ticker, alert_type, price_level, std_dev_level, timeframe, is_active });
     
+    const composite = parseCompositeConditions(alert_type, conditions);
+    if (composite.error) {
+      return res.status(400).json({ error: composite.error });
+    }
+    
+    const trailing = parseTrailingParams(alert_type, req.body);
+    if (trailing.error) {
+      return res.status(400).json({ error: trailing.error });
+    }
+    
     // Transform ticker to current contract if needed
     const transformedTicker = transformTickerToCurrentContract(ticker);
     
     // If std_dev_level is provided, calculate the price level from current std dev levels
     let finalPriceLevel = price_level;
     
-    if (std_dev_level) {
+    if (alert_type === 'composite' || isTrailingAlert(alert_type) || isPercentMoveAlert(alert_type)) {
+      finalPriceLevel = null;
+    } else if (std_dev_level) {
       if (!timeframe) {
         return res.status(400).json({ error: 'Timeframe is required when using std_dev_level' });
       }
@@ -371,18 +459,48 @@ const updateTradeAlert = async (req, res) => {
       finalPriceLevel = roundToTwoDecimals(roundToTickSize(parseFloat(price_level), transformedTicker));
     }
     
-    // If re-enabling alert (is_active = true), clear triggered_at
+    const rearm = parseRearmParams(alert_type, req.body, finalPriceLevel);
+    if (rearm.error) {
+      return res.status(400).json({ error: rearm.error });
+    }
+    
+    // If re-enabling alert (is_active = true), clear triggered_at and the firing count
     const clearTriggeredAt = is_active === true;
     
     const query = `
       UPDATE trade_alerts 
       SET ticker = $1, alert_type = $2, price_level = $3, std_dev_level = $4, timeframe = $5, is_active = $6, 
+          conditions = $9,
+          trail_amount = $10, trail_ticks = $11, move_percent = $12, move_reference = $13,
+          watermark_price = NULL, watermark_updated_at = NULL, reference_price = NULL,
+          cooldown_seconds = $14, reset_level = $15, max_triggers = $16, expires_at = $17,
+          armed = true,
+          trigger_count = ${clearTriggeredAt ? '0' : 'trigger_count'},
+          last_triggered_at = ${clearTriggeredAt ? 'NULL' : 'last_triggered_at'},
           triggered_at = ${clearTriggeredAt ? 'NULL' : 'triggered_at'},
           updated_at = CURRENT_TIMESTAMP 
       WHERE id = $7 AND user_id = $8 
       RETURNING *
     `;
-    const values = [transformedTicker, alert_type, finalPriceLevel, std_dev_level || null, timeframe || null, is_active, id, req.user.id];
+    const values = [
+      transformedTicker,
+      alert_type,
+      finalPriceLevel,
+      std_dev_level || null,
+      timeframe || null,
+      is_active,
+      id,
+      req.user.id,
+      composite.conditions ? JSON.stringify(composite.conditions) : null,
+      trailing.fields.trail_amount,
+      trailing.fields.trail_ticks,
+      trailing.fields.move_percent,
+      trailing.fields.move_reference,
+      rearm.fields.cooldown_seconds,
+      rearm.fields.reset_level,
+      rearm.fields.max_triggers,
+      rearm.fields.expires_at
+    ];
     const result = await pool.query(query, values);
     
     if (result.rows.length === 0) {
@@ -515,6 +633,7 @@ const runAlertChecker = async (req, res) => {
 const calculateStdDevLevels = async (ticker, timeframe = '1hour', userId = 1) => {
   try {
     const { tradestationRequest } = require('../utils/tradestationProxy');
+    const barStore = require('../utils/barStore');
     
     // Map timeframe to TradeStation API unit and barsback
     const timeframeConfig = {
@@ -532,18 +651,27 @@ const calculateStdDevLevels = async (ticker, timeframe = '1hour', userId = 1) =>
       return null;
     }
     
-    // Fetch market data from TradeStation API
-    const result = await tradestationRequest(userId, {
-      method: 'GET',
-      path: `/marketdata/barcharts/${ticker}`,
-      query: { unit: config.unit, interval: config.interval, barsback: config.barsback },
-    });
-    if (!result.ok) {
-      logger.error('Failed to fetch market data from TradeStation:', result.status);
-      return null;
+    // Fetch market data: the local bar store only asks TradeStation for bars it doesn't have
+    let bars;
+    if (barStore.supports(config)) {
+      try {
+        bars = await barStore.getBars(userId, { ticker, ...config });
+      } catch (error) {
+        logger.error('Failed to fetch market data from TradeStation:', error.status || error.message);
+        return null;
+      }
+    } else {
+      const result = await tradestationRequest(userId, {
+        method: 'GET',
+        path: `/marketdata/barcharts/${ticker}`,
+        query: { unit: config.unit, interval: config.interval, barsback: config.barsback },
+      });
+      if (!result.ok) {
+        logger.error('Failed to fetch market data from TradeStation:', result.status);
+        return null;
+      }
+      bars = result.data.Bars || [];
     }
-    const data = result.data;
-    const bars = data.Bars || [];
     
     if (bars.length < 20) {
       logger.error('Insufficient data for std dev calculation. Got', bars.length, 'bars, need at least 20');
@@ -3,6 +3,9 @@ const router = express.Router();
 const pool = require('../db');
 const { authenticateToken } = require('./auth');
 
+const JOURNAL_STATUSES = ['draft', 'final'];
+const JOURNAL_COLUMNS = 'id, user_id, entry, status, source, account_id, symbol, order_ids, opened_at, closed_at';
+
 // Create a new trade journal entry (JSONB-based)
 router.post('/trade_journals', authenticateToken, async (req, res) => {
   try {
@@ -12,7 +15,7 @@ router.post('/trade_journals', authenticateToken, async (req, res) => {
     }
     const userId = req.user.id;
     const result = await pool.query(
-      `INSERT INTO trade_journal (user_id, entry) VALUES ($1, $2::jsonb) RETURNING id, user_id, entry`,
+      `INSERT INTO trade_journal (user_id, entry) VALUES ($1, $2::jsonb) RETURNING ${JOURNAL_COLUMNS}`,
       [userId, JSON.stringify(entry)]
     );
     return res.status(201).json(result.rows[0]);
@@ -22,13 +25,20 @@ router.post('/trade_journals', authenticateToken, async (req, res) => {
   }
 });
 
-// Get all trade journals (currently global; can be filtered per user if column exists)
+// Get all trade journals for the user
+// Query: status? ('draft' | 'final') - drafts are created from filled orders by TradeJournalSync
 router.get('/trade_journals', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
+    const { status } = req.query;
+    if (status && !JOURNAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'status must be "draft" or "final"' });
+    }
     const result = await pool.query(
-      'SELECT id, user_id, entry FROM trade_journal WHERE user_id = $1 ORDER BY id DESC',
-      [userId]
+      `SELECT ${JOURNAL_COLUMNS} FROM trade_journal
+       WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY id DESC`,
+      [userId, status || null]
     );
     return res.json(result.rows);
   } catch (error) {
@@ -129,18 +139,28 @@ router.put('/trade_journal_template', authenticateToken, async (req, res) => {
 });
 
 // Update a trade journal by id
+// Body: { entry?, status? } - status 'final' finalizes an auto-created draft
 router.put('/trade_journals/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { entry } = req.body || {};
-    if (!entry || typeof entry !== 'object') {
+    const { entry, status } = req.body || {};
+    if (entry === undefined && status === undefined) {
+      return res.status(400).json({ error: 'Invalid entry payload' });
+    }
+    if (entry !== undefined && (!entry || typeof entry !== 'object')) {
       return res.status(400).json({ error: 'Invalid entry payload' });
     }
+    if (status !== undefined && !JOURNAL_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'status must be "draft" or "final"' });
+    }
     const userId = req.user.id;
     // Allow updating when the row belongs to the user OR is legacy (user_id IS NULL). Also claim legacy row.
     const result = await pool.query(
-      'UPDATE trade_journal SET entry = $3::jsonb, user_id = COALESCE(user_id, $2) WHERE id = $1 AND (user_id = $2 OR user_id IS NULL) RETURNING id, user_id, entry',
-      [id, userId, JSON.stringify(entry)]
+      `UPDATE trade_journal
+       SET entry = COALESCE($3::jsonb, entry), status = COALESCE($4, status), user_id = COALESCE(user_id, $2)
+       WHERE id = $1 AND (user_id = $2 OR user_id IS NULL)
+       RETURNING ${JOURNAL_COLUMNS}`,
+      [id, userId, entry !== undefined ? JSON.stringify(entry) : null, status || null]
     );
     if (result.rows.length === 0) return res.status(404).json({ error: 'Not found' });
     return res.json(result.rows[0]);
@@ -150,6 +170,100 @@ router.put('/trade_journals/:id', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
+// ============================================================================
+// AUTO-POPULATION FROM FILLED ORDERS
+// ============================================================================
+
+const SYNC_COLUMNS = 'account_id, paper_trading, enabled, lookback_days, last_synced_at, last_error, created_at, updated_at';
+
+// List accounts whose filled orders create draft journal entries
+router.get('/trade_journal_sync', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${SYNC_COLUMNS} FROM trade_journal_sync WHERE user_id = $1 ORDER BY account_id`,
+      [req.user.id]
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching trade journal sync settings:', error);
+    return res.status(500).json({ error: 'Failed to fetch trade journal sync settings' });
+  }
+});
+
+// Enable/update auto-population for an account
+// Body: { enabled?, paper_trading?, lookback_days? (1-90, default 7) }
+router.put('/trade_journal_sync/:accountId', authenticateToken, async (req, res) => {
+  try {
+    const { accountId } = req.params;
+    const { enabled, paper_trading, lookback_days } = req.body || {};
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be a boolean' });
+    }
+    if (paper_trading !== undefined && typeof paper_trading !== 'boolean') {
+      return res.status(400).json({ error: 'paper_trading must be a boolean' });
+    }
+    if (lookback_days !== undefined && (!Number.isInteger(lookback_days) || lookback_days < 1 || lookback_days > 90)) {
+      return res.status(400).json({ error: 'lookback_days must be an integer between 1 and 90' });
+    }
 
+    const result = await pool.query(
+      `INSERT INTO trade_journal_sync (user_id, account_id, paper_trading, enabled, lookback_days)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (user_id, account_id) DO UPDATE SET
+         paper_trading = COALESCE($6, trade_journal_sync.paper_trading),
+         enabled = COALESCE($7, trade_journal_sync.enabled),
+         lookback_days = COALESCE($8, trade_journal_sync.lookback_days),
+         updated_at = NOW()
+       RETURNING ${SYNC_COLUMNS}`,
+      [
+        req.user.id,
+        accountId,
+        paper_trading !== undefined ? paper_trading : accountId.startsWith('SIM'),
+        enabled !== undefined ? enabled : true,
+        lookback_days || 7,
+        paper_trading !== undefined ? paper_trading : null,
+        enabled !== undefined ? enabled : null,
+        lookback_days || null
+      ]
+    );
+    return res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Error updating trade journal sync settings:', error);
+    return res.status(500).json({ error: 'Failed to update trade journal sync settings' });
+  }
+});
 
+// Disable auto-population for an account (existing drafts are kept)
+router.delete('/trade_journal_sync/:accountId', authenticateToken, async (req, res) => {
+  try {
+    await pool.query(
+      'DELETE FROM trade_journal_sync WHERE user_id = $1 AND account_id = $2',
+      [req.user.id, req.params.accountId]
+    );
+    return res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting trade journal sync settings:', error);
+    return res.status(500).json({ error: 'Failed to delete trade journal sync settings' });
+  }
+});
+
+// Sync an account now and return how many drafts were created
+router.post('/trade_journal_sync/:accountId/run', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT user_id, account_id, paper_trading, lookback_days
+       FROM trade_journal_sync WHERE user_id = $1 AND account_id = $2`,
+      [req.user.id, req.params.accountId]
+    );
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+
+    const tradeJournalSync = require('../workers/tradeJournalSync');
+    const summary = await tradeJournalSync.syncAccount(result.rows[0]);
+    return res.json(summary);
+  } catch (error) {
+    console.error('Error syncing trade journal:', error);
+    return res.status(502).json({ error: 'Failed to sync trade journal', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const jwt = require('jsonwebtoken');
+const { MAX_LOOKBACK_DAYS } = require('../utils/historicalOrders');
+const {
+  TRADE_SIDES,
+  TRADE_STATUSES,
+  TRADE_COLUMNS,
+  syncUserTrades
+} = require('../utils/tradeLedger');
+
+// Auth middleware (same pattern as watchlists.js)
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return res.sendStatus(401);
+  jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] }, (err, user) => {
+    if (err) return res.sendStatus(403);
+    req.user = user;
+    next();
+  });
+};
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TRADE_ID = 2147483647; // trades.id is SERIAL
+
+// Trades are bucketed into days by their close (or open, while open) in exchange time
+const TRADE_DATE_SQL = "(COALESCE(closed_at, opened_at) AT TIME ZONE 'America/New_York')::date";
+
+const NUMERIC_COLUMNS = ['quantity', 'open_quantity', 'avg_entry_price', 'avg_exit_price', 'point_value', 'gross_pnl', 'fees', 'net_pnl'];
+
+// pg returns NUMERIC as strings
+const formatTrade = (trade) => {
+  const formatted = { ...trade };
+  for (const column of NUMERIC_COLUMNS) {
+    if (formatted[column] !== null && formatted[column] !== undefined) {
+      formatted[column] = parseFloat(formatted[column]);
+    }
+  }
+  return formatted;
+};
+
+const isTradeId = (value) => /^\d+$/.test(value) && Number(value) >= 1 && Number(value) <= MAX_TRADE_ID;
+
+/**
+ * Trim, dedupe and validate a tags array
+ * @returns {{ tags?: string[], error?: string }}
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    return { error: 'tags must be an array of strings' };
+  }
+  const normalized = [...new Set(tags.map(tag => tag.trim()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) {
+    return { error: `At most ${MAX_TAGS} tags are allowed` };
+  }
+  if (normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+  }
+  return { tags: normalized };
+}
+
+// Users with a ledger sync in progress (one at a time per user)
+const syncsInProgress = new Set();
+
+// ============================================================================
+// TRADE LEDGER
+// ============================================================================
+
+/**
+ * GET /trades
+ * Round trips with totals for the whole filtered set
+ * Query: startDate?, endDate? (YYYY-MM-DD, New York time), symbol? (full symbol or root, e.g. MNQ),
+ *        side? ('long' | 'short'), status? ('open' | 'closed'), tag? (comma-separated, all must match),
+ *        accountId?, paperTrading? ('true' | 'false'), limit? (default 100, max 500), offset?
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { startDate, endDate, symbol, side, status, tag, accountId, paperTrading } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    if ((startDate && !DATE_PATTERN.test(startDate)) || (endDate && !DATE_PATTERN.test(endDate))) {
+      return res.status(400).json({ success: false, error: 'startDate and endDate must be YYYY-MM-DD' });
+    }
+    if (side && !TRADE_SIDES.includes(side)) {
+      return res.status(400).json({ success: false, error: 'side must be "long" or "short"' });
+    }
+    if (status && !TRADE_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be "open" or "closed"' });
+    }
+    // Repeated query parameters arrive as arrays
+    if ([symbol, tag, accountId].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ success: false, error: 'symbol, tag and accountId must be single values' });
+    }
+
+    const params = [req.user.id];
+    let where = 'user_id = $1';
+    if (startDate) {
+      params.push(startDate);
+      where += ` AND ${TRADE_DATE_SQL} >= $${params.length}::date`;
+    }
+    if (endDate) {
+      params.push(endDate);
+      where += ` AND ${TRADE_DATE_SQL} <= $${params.length}::date`;
+    }
+    if (symbol) {
+      // A root (MNQ) matches every contract month (MNQZ25, MNQH26, ...): compared by equality on the
+      // symbol without its month code, so the filter value is never interpreted as a pattern
+      params.push(symbol.trim().toUpperCase());
+      where += ` AND (symbol = $${params.length}
+        OR (symbol ~ '[FGHJKMNQUVXZ][0-9]{2}$' AND left(symbol, length(symbol) - 3) = $${params.length}))`;
+    }
+    if (side) {
+      params.push(side);
+      where += ` AND side = $${params.length}`;
+    }
+    if (status) {
+      params.push(status);
+      where += ` AND status = $${params.length}`;
+    }
+    if (tag) {
+      params.push(tag.split(',').map(value => value.trim()).filter(Boolean));
+      where += ` AND tags @> $${params.length}::text[]`;
+    }
+    if (accountId) {
+      params.push(accountId);
+      where += ` AND account_id = $${params.length}`;
+    }
+    if (paperTrading !== undefined) {
+      params.push(paperTrading === 'true');
+      where += ` AND is_paper_trading = $${params.length}`;
+    }
+
+    const summaryResult = await pool.query(
+      `SELECT COUNT(*)::int AS count,
+              COUNT(*) FILTER (WHERE status = 'closed')::int AS closed,
+              COUNT(*) FILTER (WHERE status = 'closed' AND net_pnl > 0)::int AS winners,
+              COUNT(*) FILTER (WHERE status = 'closed' AND net_pnl < 0)::int AS losers,
+              COALESCE(SUM(gross_pnl), 0) AS gross_pnl,
+              COALESCE(SUM(fees), 0) AS fees,
+              COALESCE(SUM(net_pnl), 0) AS net_pnl
+       FROM trades
+       WHERE ${where}`,
+      params
+    );
+
+    const listParams = [...params, limit, offset];
+    const result = await pool.query(
+      `SELECT ${TRADE_COLUMNS}
+       FROM trades
+       WHERE ${where}
+       ORDER BY COALESCE(closed_at, opened_at) DESC, id DESC
+       LIMIT $${listParams.length - 1} OFFSET $${listParams.length}`,
+      listParams
+    );
+
+    const totals = summaryResult.rows[0];
+    res.json({
+      success: true,
+      trades: result.rows.map(formatTrade),
+      total: totals.count,
+      summary: {
+        closedTrades: totals.closed,
+        winners: totals.winners,
+        losers: totals.losers,
+        winRate: totals.closed > 0 ? Math.round((totals.winners / totals.closed) * 10000) / 100 : null,
+        grossPnL: parseFloat(totals.gross_pnl),
+        fees: parseFloat(totals.fees),
+        netPnL: parseFloat(totals.net_pnl)
+      },
+      limit,
+      offset
+    });
+  } catch (err) {
+    console.error('[Trades] Error fetching trades:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch trades' });
+  }
+});
+
+/**
+ * GET /trades/tags
+ * Tags in use with their trade counts
+ */
+router.get('/tags', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT tag, COUNT(*)::int AS count
+       FROM trades, UNNEST(tags) AS tag
+       WHERE user_id = $1
+       GROUP BY tag
+       ORDER BY count DESC, tag ASC`,
+      [req.user.id]
+    );
+    res.json({ success: true, tags: result.rows });
+  } catch (err) {
+    console.error('[Trades] Error fetching tags:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch trade tags' });
+  }
+});
+
+/**
+ * POST /trades/sync
+ * Rebuild the ledger from TradeStation order history
+ * Body: days? (default and max: 90), accountId?
+ */
+router.post('/sync', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const { days, accountId } = req.body || {};
+
+  if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > MAX_LOOKBACK_DAYS)) {
+    return res.status(400).json({ success: false, error: `days must be an integer between 1 and ${MAX_LOOKBACK_DAYS}` });
+  }
+  if (syncsInProgress.has(userId)) {
+    return res.status(409).json({ success: false, error: 'A trade sync is already running for this user' });
+  }
+
+  syncsInProgress.add(userId);
+  try {
+    const result = await syncUserTrades(userId, { days, accountId });
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('[Trades] Error syncing trades:', err);
+    res.status(500).json({ success: false, error: 'Failed to sync trades' });
+  } finally {
+    syncsInProgress.delete(userId);
+  }
+});
+
+/**
+ * GET /trades/:id
+ * One trade with its fills and FIFO matches
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!isTradeId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid trade id' });
+    }
+    const result = await pool.query(
+      `SELECT ${TRADE_COLUMNS}, fills FROM trades WHERE id = $1 AND user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trade not found' });
+    }
+    res.json({ success: true, trade: formatTrade(result.rows[0]) });
+  } catch (err) {
+    console.error('[Trades] Error fetching trade:', err);
+    res.status(500).json({ success: false, error: 'Failed to fetch trade' });
+  }
+});
+
+/**
+ * PUT /trades/:id
+ * Body: tags? (string[]), notes? (string | null)
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!isTradeId(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid trade id' });
+    }
+    const { tags, notes } = req.body || {};
+    if (tags === undefined && notes === undefined) {
+      return res.status(400).json({ success: false, error: 'tags or notes is required' });
+    }
+
+    const updates = [];
+    const params = [req.params.id, req.user.id];
+    if (tags !== undefined) {
+      const normalized = normalizeTags(tags);
+      if (normalized.error) {
+        return res.status(400).json({ success: false, error: normalized.error });
+      }
+      params.push(normalized.tags);
+      updates.push(`tags = $${params.length}`);
+    }
+    if (notes !== undefined) {
+      if (notes !== null && typeof notes !== 'string') {
+        return res.status(400).json({ success: false, error: 'notes must be a string or null' });
+      }
+      params.push(notes);
+      updates.push(`notes = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `UPDATE trades SET ${updates.join(', ')}, updated_at = NOW()
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${TRADE_COLUMNS}`,
+      params
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Trade not found' });
+    }
+    res.json({ success: true, trade: formatTrade(result.rows[0]) });
+  } catch (err) {
+    console.error('[Trades] Error updating trade:', err);
+    res.status(500).json({ success: false, error: 'Failed to update trade' });
+  }
+});
+
+module.exports = router;
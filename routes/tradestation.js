@@ -2,7 +2,11 @@ const jwt = require("jsonwebtoken")
 // Native fetch is available in Node.js 18+
 const pool = require("../db");
 const {json} = require("express");
-const { getCommonFuturesContracts, getContractSeries } = require('../utils/contractSymbols');
+const moment = require('moment-timezone');
+const { getCommonFuturesContracts } = require('../utils/contractSymbols');
+const { parseContractSymbol, getContractSpec, getContractChain, EXCHANGE_TIMEZONE } = require('../utils/contractRegistry');
+const { getExchangeHolidays } = require('../utils/exchangeCalendar');
+const { calculatePositionSize } = require('../utils/tickSizeUtils');
 const { getUserAccessToken } = require('../utils/tradestationProxy');
 const { getUserCredentials } = require('../utils/secureCredentials');
 const { refreshAccessTokenForUserLocked } = require('../utils/tokenRefresh');
@@ -332,21 +336,27 @@ const getTickerOptions = async (req, res) => {
 };
 
 // Get available contracts for a ticker (e.g., MNQZ24, MNQH25, etc.)
+// The first contract is the front month; it stays front until nextRollDate
 const getTickerContracts = async (req, res) => {
   try {
     const { ticker } = req.params;
-    const { count = 4 } = req.query;
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 4, 1), 24);
     
     // Extract the base product (e.g., 'MNQ' from 'MNQZ24')
-    const baseProduct = ticker.replace(/[A-Z]\d{2}$/, '').toUpperCase();
+    const parsed = parseContractSymbol(ticker);
+    const baseProduct = parsed ? parsed.root : ticker.toUpperCase();
     
-    const contracts = getContractSeries(baseProduct, parseInt(count));
+    const chain = getContractChain(baseProduct, count);
     
     res.json({
       success: true,
-      contracts: contracts.map(contract => ({
-        value: contract,
-        label: contract
+      frontMonth: chain[0].symbol,
+      nextRollDate: chain[0].rollDate,
+      contracts: chain.map(contract => ({
+        value: contract.symbol,
+        label: contract.symbol,
+        expirationDate: contract.expirationDate,
+        rollDate: contract.rollDate
       }))
     });
     
@@ -359,6 +369,104 @@ const getTickerContracts = async (req, res) => {
   }
 };
 
+// Get the roll schedule for a futures ticker: expiration and roll date per contract
+// plus the exchange holidays that were skipped when counting business days
+const getTickerRollSchedule = async (req, res) => {
+  try {
+    const { ticker } = req.params;
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 8, 1), 24);
+
+    const spec = getContractSpec(ticker);
+    const parsed = parseContractSymbol(ticker);
+    const baseProduct = spec ? spec.root : (parsed ? parsed.root : ticker.toUpperCase());
+
+    // One extra contract so the last entry knows what it rolls into
+    const chain = getContractChain(baseProduct, count + 1);
+    const schedule = chain.slice(0, count).map((contract, index) => ({
+      symbol: contract.symbol,
+      monthName: contract.monthName,
+      year: contract.year,
+      expirationDate: contract.expirationDate,
+      rollDate: contract.rollDate,
+      rollsTo: chain[index + 1].symbol
+    }));
+
+    const today = moment().tz(EXCHANGE_TIMEZONE).format('YYYY-MM-DD');
+    const lastDate = schedule[schedule.length - 1].expirationDate;
+    const holidays = [];
+    for (let year = parseInt(today.slice(0, 4), 10); year <= parseInt(lastDate.slice(0, 4), 10); year++) {
+      holidays.push(...getExchangeHolidays(year).filter(h => h.date >= today && h.date <= lastDate));
+    }
+
+    res.json({
+      success: true,
+      root: baseProduct,
+      name: spec ? spec.name : null,
+      // Unknown products fall back to the quarterly third-Friday cycle
+      isKnownProduct: !!spec,
+      frontMonth: schedule[0].symbol,
+      nextRollDate: schedule[0].rollDate,
+      schedule,
+      holidays
+    });
+  } catch (error) {
+    console.error('Error getting roll schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get roll schedule'
+    });
+  }
+};
+
+// Get the contract specification for a futures ticker (e.g., MNQZ24 or MNQ)
+// Optional position sizing: ?riskAmount=<dollars>&stopDistance=<points>
+const getTickerContractSpec = async (req, res) => {
+  try {
+    const { ticker } = req.params;
+    const spec = getContractSpec(ticker);
+    if (!spec) {
+      return res.status(404).json({
+        success: false,
+        error: `No contract specification for ${ticker}`
+      });
+    }
+
+    const response = {
+      success: true,
+      spec,
+      contracts: getContractChain(spec.root, 4)
+    };
+
+    const { riskAmount, stopDistance } = req.query;
+    if (riskAmount !== undefined || stopDistance !== undefined) {
+      const risk = parseFloat(riskAmount);
+      const stop = parseFloat(stopDistance);
+      if (!(risk > 0) || !(stop > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'riskAmount and stopDistance must be positive numbers'
+        });
+      }
+      const quantity = calculatePositionSize(ticker, risk, stop);
+      const stopTicks = Math.ceil(stop / spec.tickSize - 1e-9);
+      response.positionSize = {
+        quantity,
+        stopTicks,
+        riskPerContract: stopTicks * spec.tickValue,
+        totalRisk: quantity * stopTicks * spec.tickValue
+      };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error getting ticker contract spec:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get contract specification'
+    });
+  }
+};
+
 // Reusable function to refresh access token for a user
 const refreshAccessTokenForUser = async (userId) => {
   // Get credentials from DB
@@ -392,6 +500,7 @@ const refreshAccessTokenForUser = async (userId) => {
 
 const { respondWithTradestation } = require('../utils/tradestationProxy');
 const { getMaintenanceStatus } = require('../utils/maintenance');
+const { checkPreTradeGate, getOrderAccountIds, getOrderSymbols } = require('../utils/tradingGuard');
 
 // Proxy: Get accounts from TradeStation using stored access token (no refresh logic)
 const getAccounts = async (req, res) => {
@@ -485,6 +594,8 @@ const getTickerDetails = async (req, res) => {
 };
 
 // Proxy: Market data - bar charts
+const barAggregationService = require('../utils/barAggregationService');
+const barStore = require('../utils/barStore');
 const getBarCharts = async (req, res) => {
   const maint = await getMaintenanceStatus();
   if (maint.is_enabled) {
@@ -492,6 +603,22 @@ const getBarCharts = async (req, res) => {
   }
   const { ticker } = req.params;
   const { interval, unit, barsback, sessiontemplate, lastdate, firstdate } = req.query;
+  // Aggregated timeframes come from the same 1-minute bars as the bars streams, native
+  // timeframes from the local bar store (only the missing tail is fetched from TradeStation)
+  let localSource = null;
+  if (!lastdate && !firstdate) {
+    if (barAggregationService.handles({ interval, unit, barsback })) localSource = barAggregationService;
+    else if (barStore.supports({ interval, unit })) localSource = barStore;
+  }
+  if (localSource) {
+    try {
+      const bars = await localSource.getBars(req.user.id, { ticker, interval, unit, barsback, sessiontemplate });
+      return res.json({ Bars: bars });
+    } catch (error) {
+      try { captureException(error, { route: 'getBarCharts', ticker, interval, unit }); } catch (_) {}
+      return res.status(error.status || 500).json({ error: error.message || 'Failed to load bars' });
+    }
+  }
   return respondWithTradestation(req, res, {
     method: 'GET',
     path: `/marketdata/barcharts/${ticker}`,
@@ -524,6 +651,10 @@ const createOrder = async (req, res) => {
   if (maint.is_enabled) {
     return res.status(503).json({ error: 'Service unavailable (maintenance mode)', maintenance: maint });
   }
+  const blocked = await checkPreTradeGate(req.user.id, getOrderAccountIds(req.body), getOrderSymbols(req.body));
+  if (blocked) {
+    return res.status(blocked.status).json(blocked.body);
+  }
   const paperTrading = String(req.query.paperTrading).toLowerCase() === 'true';
   return respondWithTradestation(req, res, {
     method: 'POST',
@@ -553,6 +684,10 @@ const updateOrder = async (req, res) => {
   if (maint.is_enabled) {
     return res.status(503).json({ error: 'Service unavailable (maintenance mode)', maintenance: maint });
   }
+  const blocked = await checkPreTradeGate(req.user.id, getOrderAccountIds(req.body), getOrderSymbols(req.body));
+  if (blocked) {
+    return res.status(blocked.status).json(blocked.body);
+  }
   const paperTrading = String(req.query.paperTrading).toLowerCase() === 'true';
   const { orderId } = req.params;
   return respondWithTradestation(req, res, {
@@ -583,6 +718,10 @@ const createOrderGroup = async (req, res) => {
   if (maint.is_enabled) {
     return res.status(503).json({ error: 'Service unavailable (maintenance mode)', maintenance: maint });
   }
+  const blocked = await checkPreTradeGate(req.user.id, getOrderAccountIds(req.body), getOrderSymbols(req.body));
+  if (blocked) {
+    return res.status(blocked.status).json(blocked.body);
+  }
   const paperTrading = String(req.query.paperTrading).toLowerCase() === 'true';
   return respondWithTradestation(req, res, {
     method: 'POST',
@@ -702,6 +841,8 @@ module.exports = {
   getStoredCredentials,
   getTickerOptions,
   getTickerContracts,
+  getTickerContractSpec,
+  getTickerRollSchedule,
   refreshAccessTokenForUser,
   getAccounts,
   getBalances,
@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const pool = require('../db');
-const moment = require('moment-timezone');
 const jwt = require('jsonwebtoken');
+const tradingSchedule = require('../utils/tradingSchedule');
 
 // Auth middleware
 const authenticateToken = (req, res, next) => {
@@ -16,29 +16,6 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
-// Helper: Check if current time is within any of the trading windows
-function isWithinTradingWindow(timeWindows) {
-  if (!timeWindows || timeWindows.length === 0) {
-    return false;
-  }
-
-  const now = moment().tz('America/New_York');
-  const currentMinutes = now.hours() * 60 + now.minutes();
-
-  for (const window of timeWindows) {
-    const [startHour, startMin] = window.startTime.split(':').map(Number);
-    const [endHour, endMin] = window.endTime.split(':').map(Number);
-    const startMinutes = startHour * 60 + startMin;
-    const endMinutes = endHour * 60 + endMin;
-
-    if (currentMinutes >= startMinutes && currentMinutes < endMinutes) {
-      return true;
-    }
-  }
-
-  return false;
-}
-
 // ============================================================================
 // TRADING HOURS RESTRICTIONS CRUD
 // ============================================================================
@@ -50,7 +27,7 @@ function isWithinTradingWindow(timeWindows) {
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT id, account_id, time_windows, enabled_at, expires_at, created_at
+      `SELECT id, account_id, time_windows, timezone, blackouts, enabled_at, expires_at, created_at
        FROM trading_hours_restrictions
        WHERE user_id = $1
        ORDER BY account_id`,
@@ -74,30 +51,36 @@ router.get('/', authenticateToken, async (req, res) => {
 /**
  * POST /trading_hours_restrictions
  * Enable trading hours restrictions for an account
- * Body: { accountId, timeWindows: [{startTime, endTime}], expiresAt }
+ * Body: {
+ *   accountId,
+ *   timeWindows: [{ startTime, endTime, days?, scope?: { symbols?, assetClasses? }, label? }],
+ *   timezone?, (IANA, default America/New_York)
+ *   blackouts?: [{ start, end, scope?, label? }],
+ *   expiresAt
+ * }
+ * A window whose endTime is at or before its startTime runs past midnight; days are ISO weekdays
+ * (1 = Monday) of the start. See utils/tradingSchedule.js for scope rules.
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { accountId, timeWindows, expiresAt } = req.body || {};
+    const { accountId, expiresAt } = req.body || {};
     
     // Validation
     if (!accountId || !accountId.trim()) {
       return res.status(400).json({ success: false, error: 'accountId is required' });
     }
-    if (!timeWindows || !Array.isArray(timeWindows) || timeWindows.length === 0) {
-      return res.status(400).json({ success: false, error: 'timeWindows is required and must be a non-empty array' });
+
+    const windows = tradingSchedule.validateTimeWindows(req.body.timeWindows);
+    if (windows.error) {
+      return res.status(400).json({ success: false, error: windows.error });
     }
-    
-    // Validate each time window
-    for (const window of timeWindows) {
-      if (!window.startTime || !window.endTime) {
-        return res.status(400).json({ success: false, error: 'Each time window must have startTime and endTime' });
-      }
-      // Validate time format (HH:MM)
-      const timeRegex = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
-      if (!timeRegex.test(window.startTime) || !timeRegex.test(window.endTime)) {
-        return res.status(400).json({ success: false, error: 'Time must be in HH:MM format (24-hour)' });
-      }
+    const blackouts = tradingSchedule.validateBlackouts(req.body.blackouts);
+    if (blackouts.error) {
+      return res.status(400).json({ success: false, error: blackouts.error });
+    }
+    const timezone = tradingSchedule.validateTimezone(req.body.timezone);
+    if (timezone.error) {
+      return res.status(400).json({ success: false, error: timezone.error });
     }
     
     if (!expiresAt) {
@@ -132,10 +115,10 @@ router.post('/', authenticateToken, async (req, res) => {
     
     // Create the new restriction
     const result = await pool.query(
-      `INSERT INTO trading_hours_restrictions (user_id, account_id, time_windows, expires_at, enabled_at, created_at)
-       VALUES ($1, $2, $3, $4, NOW(), NOW())
-       RETURNING id, account_id, time_windows, enabled_at, expires_at, created_at`,
-      [req.user.id, accountId, JSON.stringify(timeWindows), expiresAt]
+      `INSERT INTO trading_hours_restrictions (user_id, account_id, time_windows, timezone, blackouts, expires_at, enabled_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       RETURNING id, account_id, time_windows, timezone, blackouts, enabled_at, expires_at, created_at`,
+      [req.user.id, accountId, JSON.stringify(windows.timeWindows), timezone.timezone, JSON.stringify(blackouts.blackouts), expiresAt]
     );
     
     const restriction = result.rows[0];
@@ -197,11 +180,13 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 /**
  * GET /trading_hours_restrictions/status
  * Check if trading is currently allowed based on trading hours restrictions
- * Returns: { canTrade: boolean, restriction: {...} | null, reason: string | null }
+ * Query: accountId, symbol? (applies symbol/asset class scopes; without it every window and blackout applies)
+ * Returns: { canTrade, restriction: {...} | null, reason, code, blackout, allowedUntil, nextAllowedWindow }
+ * nextAllowedWindow is { start, end } while blocked (end null when open-ended), null while allowed
  */
 router.get('/status', authenticateToken, async (req, res) => {
   try {
-    const { accountId } = req.query;
+    const { accountId, symbol } = req.query;
     
     if (!accountId) {
       return res.status(400).json({ success: false, error: 'accountId is required' });
@@ -209,7 +194,7 @@ router.get('/status', authenticateToken, async (req, res) => {
     
     // Get active restriction for this account
     const result = await pool.query(
-      `SELECT id, account_id, time_windows, enabled_at, expires_at
+      `SELECT id, account_id, time_windows, timezone, blackouts, enabled_at, expires_at
        FROM trading_hours_restrictions
        WHERE user_id = $1 AND account_id = $2
        AND expires_at > NOW()
@@ -223,27 +208,33 @@ router.get('/status', authenticateToken, async (req, res) => {
         success: true,
         canTrade: true,
         restriction: null,
-        reason: null
+        reason: null,
+        nextAllowedWindow: null
       });
     }
     
     const restriction = result.rows[0];
-    // time_windows is JSONB, so it's already parsed by pg driver
-    const timeWindows = typeof restriction.time_windows === 'string' 
-      ? JSON.parse(restriction.time_windows) 
-      : restriction.time_windows;
-    const withinWindow = isWithinTradingWindow(timeWindows);
+    const { timeWindows, blackouts, timezone } = tradingSchedule.readRestriction(restriction);
+    const evaluation = tradingSchedule.evaluateRestriction(restriction, {
+      symbols: symbol ? [String(symbol).trim().toUpperCase()] : []
+    });
     
     res.json({
       success: true,
-      canTrade: withinWindow,
+      canTrade: evaluation.canTrade,
       restriction: {
         id: restriction.id,
         accountId: restriction.account_id,
         timeWindows,
+        timezone,
+        blackouts,
         expiresAt: restriction.expires_at
       },
-      reason: withinWindow ? null : 'Outside of allowed trading hours'
+      reason: evaluation.reason,
+      code: evaluation.code,
+      blackout: evaluation.blackout,
+      allowedUntil: evaluation.allowedUntil,
+      nextAllowedWindow: evaluation.nextAllowedWindow
     });
   } catch (err) {
     console.error('[TradingHoursRestrictions] Error checking status:', err);
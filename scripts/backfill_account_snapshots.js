@@ -0,0 +1,62 @@
+/**
+ * Script to backfill account snapshot history from TradeStation historical orders
+ * Run with: node scripts/backfill_account_snapshots.js <userId|--all> [days] [accountId]
+ *
+ * --all backfills every user with TradeStation credentials. Rows are written with
+ * source = 'backfill' and never replace scheduler or manual captures.
+ */
+
+const pool = require('../db');
+const { backfillUserSnapshots } = require('../utils/snapshotBackfill');
+
+const target = process.argv[2];
+const days = parseInt(process.argv[3], 10) || 90;
+const accountId = process.argv[4] || null;
+
+async function backfill() {
+  if (!target) {
+    console.error('Usage: node scripts/backfill_account_snapshots.js <userId|--all> [days] [accountId]');
+    process.exit(1);
+  }
+
+  try {
+    let userIds = [target];
+    if (target === '--all') {
+      const usersResult = await pool.query(`
+        SELECT DISTINCT u.id
+        FROM users u
+        INNER JOIN api_credentials ac ON u.id = ac.user_id
+        WHERE ac.access_token IS NOT NULL
+        AND ac.refresh_token IS NOT NULL
+        ORDER BY u.id
+      `);
+      userIds = usersResult.rows.map(row => row.id);
+    }
+
+    console.log(`\nBackfilling ${days} day(s) of snapshots for ${userIds.length} user(s)${accountId ? ` (account ${accountId})` : ''}\n`);
+
+    let failedUsers = 0;
+    for (const userId of userIds) {
+      try {
+        const result = await backfillUserSnapshots(userId, { days, accountId });
+        for (const account of result.accounts) {
+          console.log(`✅ User ${userId} ${account.accountId} (${account.isPaperTrading ? 'paper' : 'live'}): ${account.daysWritten} written, ${account.daysSkipped} already captured, net P&L $${account.totalNetPnL}`);
+        }
+        for (const error of result.errors) {
+          console.log(`❌ User ${userId} ${error.accountId} (${error.isPaperTrading ? 'paper' : 'live'}): ${error.error}`);
+        }
+      } catch (error) {
+        failedUsers++;
+        console.error(`❌ User ${userId}:`, error.message);
+      }
+    }
+
+    console.log(`\nDone. ${userIds.length - failedUsers}/${userIds.length} user(s) processed.`);
+    process.exit(failedUsers > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+backfill();
@@ -0,0 +1,195 @@
+/**
+ * Test suite for bar aggregation (utils/barAggregator)
+ *
+ * Tests:
+ * - Bar spec parsing
+ * - Time bar buckets aligned to the session open and cut at its end
+ * - Time bars merged from 1-minute bars (OHLC, summed volumes, Open/Closed status)
+ * - Range, Renko and tick bars built from 1-minute bars
+ *
+ * Run with: node tests/test_bar_aggregator.js
+ */
+
+const moment = require('moment-timezone');
+const {
+  parseBarSpec,
+  createSessionResolver,
+  getBucketEnd,
+  aggregateTimeBars,
+  getLastTimeBar,
+  createPathBarBuilder
+} = require('../utils/barAggregator');
+
+// Test utilities
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+function assert(condition, message) {
+  testCount++;
+  if (condition) {
+    passCount++;
+    console.log(`✅ ${message}`);
+  } else {
+    failCount++;
+    console.error(`❌ FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  testCount++;
+  if (actual === expected) {
+    passCount++;
+    console.log(`✅ ${message}`);
+  } else {
+    failCount++;
+    console.error(`❌ FAIL: ${message} - Expected: ${expected}, Got: ${actual}`);
+  }
+}
+
+// Exchange time (America/New_York) on Tuesday 2026-10-20 in ms
+const at = (time, date = '2026-10-20') => moment.tz(`${date} ${time}`, 'America/New_York').valueOf();
+
+// 1-minute base bar entry closing at `time`
+const minute = (time, open, high, low, close, extra = {}) => ({
+  time,
+  closed: extra.closed !== false,
+  bar: {
+    Open: String(open),
+    High: String(high),
+    Low: String(low),
+    Close: String(close),
+    TotalVolume: String(extra.volume || 10),
+    TotalTicks: String(extra.ticks || 5),
+    UpTicks: '0',
+    DownTicks: '0',
+    UnchangedTicks: '0'
+  }
+});
+
+async function runTests() {
+  console.log('\n🧪 Bar Aggregator Test Suite\n');
+
+  // Test 1: Bar specs
+  console.log('\n📋 Test 1: Bar spec parsing');
+  {
+    assertEqual(parseBarSpec({ unit: 'Minute', interval: '5' }).key, 'time:5', 'Minute bars should be time bars');
+    assertEqual(parseBarSpec({ unit: 'Range', interval: '2.5' }).key, 'range:2.5', 'Range size should accept fractions');
+    assert(!!parseBarSpec({ unit: 'Tick', interval: '0' }).error, 'Tick bars of 0 ticks should be rejected');
+    assert(!!parseBarSpec({ unit: 'Renko', interval: '-1' }).error, 'Negative Renko bricks should be rejected');
+    assertEqual(parseBarSpec({ unit: 'Daily', interval: '1' }), null, 'Daily bars should not be aggregated');
+  }
+
+  // Test 2: Bucket ends
+  console.log('\n📋 Test 2: Time bar buckets follow the session');
+  {
+    // CME Globex: the Tuesday session opens Monday 18:00 and closes Tuesday 17:00
+    const futures = createSessionResolver('ESZ26');
+    assertEqual(getBucketEnd(futures, at('09:31'), 5), at('09:35'), '5-minute bucket of the 09:30 bar should end at 09:35');
+    assertEqual(getBucketEnd(futures, at('09:35'), 5), at('09:35'), 'Bar closing on the boundary should end its bucket');
+    assertEqual(getBucketEnd(futures, at('09:31'), 60), at('10:00'), 'Hourly buckets should align to the 18:00 open');
+    assertEqual(getBucketEnd(futures, at('16:31'), 240), at('17:00'), 'Last bucket should be cut at the session close');
+    assertEqual(getBucketEnd(futures, at('18:01', '2026-10-19'), 240), at('22:00', '2026-10-19'), 'First bucket should start at the session open');
+
+    // US equities with extended hours open at 04:00
+    const equities = createSessionResolver('AAPL');
+    assertEqual(getBucketEnd(equities, at('04:01'), 90), at('05:30'), 'Equity buckets should align to the 04:00 open');
+  }
+
+  // Test 3: Time bars
+  console.log('\n📋 Test 3: Time bars from 1-minute bars');
+  {
+    const resolveSession = () => ({ start: at('09:30'), end: at('16:00') });
+    const entries = [
+      minute(at('09:31'), 100, 101, 99, 100.5),
+      minute(at('09:32'), 100.5, 103, 100, 102),
+      minute(at('09:33'), 102, 102.5, 98, 99),
+      minute(at('09:34'), 99, 100, 97.5, 99.5),
+      minute(at('09:35'), 99.5, 101, 99, 100),
+      minute(at('09:36'), 100, 104, 100, 104, { volume: 25 }),
+      minute(at('09:37'), 104, 105, 103, 103.5, { closed: false })
+    ];
+
+    const bars = aggregateTimeBars(entries, 5, resolveSession);
+    assertEqual(bars.length, 2, 'Seven minutes should make two 5-minute bars');
+    const [first, second] = bars;
+    assertEqual(first.TimeStamp, new Date(at('09:35')).toISOString().replace('.000', ''), 'Bar TimeStamp should be its close');
+    assert(first.Open === '100' && first.High === '103' && first.Low === '97.5' && first.Close === '100', 'Bar should merge OHLC of its minutes');
+    assertEqual(first.TotalVolume, '50', 'Bar volume should be the sum of its minutes');
+    assertEqual(first.BarStatus, 'Closed', 'Completed period should be Closed');
+    assertEqual(second.BarStatus, 'Open', 'Forming period should be Open');
+    assertEqual(second.TotalVolume, '35', 'Forming bar should sum the minutes so far');
+
+    const last = getLastTimeBar(entries, 5, resolveSession);
+    assert(last.Close === second.Close && last.High === second.High && last.BarStatus === 'Open', 'Last time bar should match the aggregated forming bar');
+
+    const closing = entries.slice(0, 6).concat(minute(at('09:40'), 103.5, 104, 103, 103.75));
+    assertEqual(aggregateTimeBars(closing, 5, resolveSession)[1].BarStatus, 'Closed', 'Bar whose last minute closed the period should be Closed');
+  }
+
+  // Test 4: Range bars
+  console.log('\n📋 Test 4: Range bars');
+  {
+    const builder = createPathBarBuilder(parseBarSpec({ unit: 'Range', interval: '2' }), 'TEST');
+    let completed = builder.add(minute(at('09:31'), 100, 103, 100, 103));
+    assertEqual(completed.length, 1, 'A 3 point move should complete one 2 point range bar');
+    assert(completed[0].Low === '100' && completed[0].High === '102' && completed[0].Close === '102', 'Range bar should span exactly its size');
+    assert(builder.current().Open === '102' && builder.current().Close === '103', 'Next bar should form from the completion price');
+
+    completed = builder.add(minute(at('09:32'), 103, 103, 99, 99));
+    assertEqual(completed.length, 2, 'A 4 point drop should complete two more range bars');
+    assert(completed[0].High === '103' && completed[0].Low === '101', 'First bar of the drop should span the forming bar high minus the size');
+    assert(completed[1].High === '101' && completed[1].Low === '99', 'Second bar of the drop should continue from the first');
+    assert(completed[0].Epoch < completed[1].Epoch, 'Completion times should increase within the minute');
+  }
+
+  // Test 5: Renko bars
+  console.log('\n📋 Test 5: Renko bricks');
+  {
+    const builder = createPathBarBuilder(parseBarSpec({ unit: 'Renko', interval: '2' }), 'TEST');
+    let completed = builder.add(minute(at('09:31'), 100, 105, 100, 105));
+    assertEqual(completed.length, 2, 'A 5 point rise should complete two 2 point bricks');
+    assert(completed[1].Open === '102' && completed[1].Close === '104', 'Bricks should stack one size apart');
+
+    completed = builder.add(minute(at('09:32'), 105, 105, 101, 101));
+    assertEqual(completed.length, 0, 'A reversal smaller than two bricks should not complete a brick');
+
+    completed = builder.add(minute(at('09:33'), 101, 101, 99, 99));
+    assertEqual(completed.length, 1, 'A two brick reversal should complete a down brick');
+    assert(completed[0].Open === '102' && completed[0].Close === '100' && completed[0].High === '102' && completed[0].Low === '100', 'Down brick should start at the previous brick low and have no wicks');
+  }
+
+  // Test 6: Tick bars
+  console.log('\n📋 Test 6: Tick bars');
+  {
+    const builder = createPathBarBuilder(parseBarSpec({ unit: 'Tick', interval: '100' }), 'TEST');
+    assertEqual(builder.add(minute(at('09:31'), 100, 101, 99, 100, { ticks: 60, volume: 6 })).length, 0, 'Minute below the tick count should keep the bar forming');
+    const completed = builder.add(minute(at('09:32'), 100, 102, 100, 101.5, { ticks: 50, volume: 5 }));
+    assertEqual(completed.length, 1, 'Bar should close once the tick count is reached');
+    assert(completed[0].Open === '100' && completed[0].High === '102' && completed[0].Low === '99' && completed[0].Close === '101.5', 'Tick bar should merge OHLC of its minutes');
+    assert(completed[0].TotalTicks === '110' && completed[0].TotalVolume === '11', 'Tick bar should sum ticks and volume');
+    assertEqual(builder.current(), null, 'No bar should be forming after a completed tick bar');
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Summary:`);
+  console.log(`   Total tests: ${testCount}`);
+  console.log(`   Passed: ${passCount}`);
+  console.log(`   Failed: ${failCount}`);
+
+  if (failCount === 0) {
+    console.log(`\n✅ All tests passed!`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failCount} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests().catch(err => {
+  console.error('Fatal test error:', err);
+  console.error(err.stack);
+  process.exit(1);
+});
@@ -0,0 +1,311 @@
+/**
+ * Test suite for the local bar store (utils/barStore)
+ *
+ * Runs against an in-memory stand-in for the market_bars / market_bar_ranges queries and a fake
+ * TradeStation barcharts endpoint, with a controlled clock.
+ *
+ * Tests:
+ * - First request fetched and stored, repeated request answered from the store
+ * - Tail refetch from the last stored bar
+ * - Backfill of older bars merged into the same range
+ * - Gap between a stream-recorded range and an older range closed and merged
+ * - Series without older history not backfilled again
+ * - Equity daily history refetched once it may have been adjusted (futures kept)
+ * - Remembered history starts stay bounded
+ *
+ * Run with: node tests/test_bar_store.js
+ */
+
+// Test utilities
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+function assert(condition, message) {
+  testCount++;
+  if (condition) {
+    passCount++;
+    console.log(`✅ ${message}`);
+  } else {
+    failCount++;
+    console.error(`❌ FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  testCount++;
+  if (actual === expected) {
+    passCount++;
+    console.log(`✅ ${message}`);
+  } else {
+    failCount++;
+    console.error(`❌ FAIL: ${message} - Expected: ${expected}, Got: ${actual}`);
+  }
+}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Controlled clock
+const realDateNow = Date.now;
+let now = Date.parse('2026-10-20T16:00:30Z');
+
+// In-memory market_bars / market_bar_ranges, keyed by series
+const db = { bars: new Map(), ranges: [], nextRangeId: 1 };
+const seriesKey = (params) => params.slice(0, 4).join('|');
+const barsOf = (params) => {
+  const key = seriesKey(params);
+  if (!db.bars.has(key)) db.bars.set(key, new Map());
+  return db.bars.get(key);
+};
+const rangesOf = (params) => db.ranges.filter(range => range.key === seriesKey(params));
+
+async function query(sql, params = []) {
+  if (sql.includes('INSERT INTO market_bars')) {
+    const bars = barsOf(params);
+    params[4].forEach((time, index) => bars.set(time.getTime(), JSON.parse(params[6][index])));
+    return { rows: [], rowCount: params[4].length };
+  }
+  if (sql.includes('SELECT data')) {
+    const rows = Array.from(barsOf(params).entries())
+      .filter(([time]) => time >= params[4].getTime() && time <= params[5].getTime())
+      .sort((a, b) => b[0] - a[0])
+      .slice(0, params[6])
+      .map(([, data]) => ({ data }));
+    return { rows };
+  }
+  if (sql.includes('FOR UPDATE')) {
+    return { rows: rangesOf(params).filter(range => range.start_time <= params[5] && range.end_time >= params[4]) };
+  }
+  if (sql.includes('ORDER BY end_time DESC')) {
+    const before = sql.includes('end_time < $5') ? params[4] : null;
+    const rows = rangesOf(params)
+      .filter(range => !before || range.end_time < before)
+      .sort((a, b) => b.end_time - a.end_time)
+      .slice(0, 1);
+    return { rows };
+  }
+  if (sql.includes('DELETE FROM market_bar_ranges WHERE id = ANY')) {
+    db.ranges = db.ranges.filter(range => !params[0].includes(range.id));
+    return { rows: [] };
+  }
+  if (sql.includes('INSERT INTO market_bar_ranges')) {
+    db.ranges.push({
+      id: db.nextRangeId++,
+      key: seriesKey(params),
+      start_time: params[4],
+      end_time: params[5],
+      checked_at: params[6],
+      fetched_at: params[7]
+    });
+    return { rows: [] };
+  }
+  if (sql.includes('DELETE FROM market_bar_ranges')) {
+    db.ranges = db.ranges.filter(range => range.key !== seriesKey(params));
+    return { rows: [] };
+  }
+  if (sql.includes('DELETE FROM market_bars')) {
+    db.bars.delete(seriesKey(params));
+    return { rows: [], rowCount: 0 };
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+const poolStub = {
+  query,
+  connect: async () => ({ query, release() {} })
+};
+
+// Fake TradeStation barcharts: one bar per step up to the current bar, none before firstBar
+const tradestation = { calls: [], firstBar: null, price: 100 };
+const toIso = (time) => new Date(time).toISOString().replace('.000Z', 'Z');
+
+async function tradestationRequest(userId, { path, query: params }) {
+  tradestation.calls.push({ path, ...params });
+  const step = params.unit === 'Daily' ? DAY_MS : MINUTE_MS * params.interval;
+  const current = Math.floor(now / step) * step;
+  const last = params.lastdate ? Date.parse(params.lastdate) : current;
+  let first = params.firstdate ? Date.parse(params.firstdate) : last - (params.barsback - 1) * step;
+  if (tradestation.firstBar !== null) first = Math.max(first, tradestation.firstBar);
+
+  const bars = [];
+  for (let time = first; time <= last; time += step) {
+    bars.push({
+      TimeStamp: toIso(time),
+      Close: String(tradestation.price),
+      BarStatus: time === current ? 'Open' : 'Closed'
+    });
+  }
+  return { ok: true, status: 200, data: { Bars: bars } };
+}
+
+const isContiguous = (bars, step) => bars.every((bar, index) => (
+  index === 0 || Date.parse(bar.TimeStamp) - Date.parse(bars[index - 1].TimeStamp) === step
+));
+
+async function runTests() {
+  console.log('\n🧪 Bar Store Test Suite\n');
+
+  // Load a barStore bound to the stubs
+  const dbPath = require.resolve('../db');
+  const proxyPath = require.resolve('../utils/tradestationProxy');
+  const storePath = require.resolve('../utils/barStore');
+  const realDb = require(dbPath);
+  const realProxy = require(proxyPath);
+  const cachedStore = require.cache[storePath];
+  require.cache[dbPath].exports = poolStub;
+  require.cache[proxyPath].exports = { ...realProxy, tradestationRequest };
+  delete require.cache[storePath];
+  const barStore = require(storePath);
+  require.cache[dbPath].exports = realDb;
+  require.cache[proxyPath].exports = realProxy;
+  if (cachedStore) require.cache[storePath] = cachedStore;
+  else delete require.cache[storePath];
+
+  Date.now = () => now;
+  // Pruning is not under test
+  barStore.lastPruneAt = Infinity;
+
+  try {
+    const minuteParams = { ticker: 'esz26', unit: 'Minute', interval: '1' };
+    const minuteKey = 'ESZ26|Minute|1|Default';
+    const minuteRanges = () => db.ranges.filter(range => range.key === minuteKey);
+
+    // Test 1: Miss, then hit
+    console.log('\n📋 Test 1: First request is fetched and stored');
+    {
+      const bars = await barStore.getBars(1, { ...minuteParams, barsback: 50 });
+      assertEqual(bars.length, 50, 'First request should return the requested bars');
+      assertEqual(tradestation.calls.pop().barsback, 50, 'First request should ask TradeStation for barsback bars');
+      assertEqual(minuteRanges().length, 1, 'Fetched bars should be recorded as one range');
+
+      now += 5000;
+      const again = await barStore.getBars(1, { ...minuteParams, barsback: 50 });
+      assertEqual(again.length, 50, 'Repeated request should return the same number of bars');
+      assertEqual(tradestation.calls.length, 0, 'Repeated request within the tail refresh window should not reach TradeStation');
+    }
+
+    // Test 2: Tail refetch
+    console.log('\n📋 Test 2: Tail is fetched from the last stored bar');
+    {
+      const lastBefore = minuteRanges()[0].end_time.getTime();
+      now += 3 * MINUTE_MS;
+      const bars = await barStore.getBars(1, { ...minuteParams, barsback: 50 });
+      const call = tradestation.calls.pop();
+      assertEqual(call.firstdate, toIso(lastBefore), 'Tail request should start at the last stored bar');
+      assertEqual(Date.parse(bars[bars.length - 1].TimeStamp), Math.floor(now / MINUTE_MS) * MINUTE_MS, 'Latest bar should be the current bar');
+      assertEqual(minuteRanges().length, 1, 'Tail should extend the existing range');
+    }
+
+    // Test 3: Backfill
+    console.log('\n📋 Test 3: Older bars are backfilled into the range');
+    {
+      const startBefore = minuteRanges()[0].start_time.getTime();
+      const bars = await barStore.getBars(1, { ...minuteParams, barsback: 100 });
+      const call = tradestation.calls.pop();
+      assertEqual(call.lastdate, toIso(startBefore), 'Backfill should end at the range start');
+      assert(call.barsback > 0 && !call.firstdate, 'Backfill should ask for barsback bars before the range');
+      assertEqual(bars.length, 100, 'Backfilled request should return the requested bars');
+      assert(isContiguous(bars, MINUTE_MS), 'Backfilled bars should have no gaps');
+      assertEqual(minuteRanges().length, 1, 'Backfilled bars should merge into the same range');
+    }
+
+    // Test 4: Gap between a stream-recorded range and the stored range
+    console.log('\n📋 Test 4: Gaps between ranges are closed');
+    {
+      const storedEnd = minuteRanges()[0].end_time.getTime();
+      now += 20 * MINUTE_MS;
+      const current = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+      const streamBars = [];
+      for (let time = current - 5 * MINUTE_MS; time < current; time += MINUTE_MS) {
+        streamBars.push({ TimeStamp: toIso(time), Close: '100', BarStatus: 'Closed' });
+      }
+      await barStore.recordStreamBars(minuteParams, streamBars, Date.parse(streamBars[0].TimeStamp));
+      assertEqual(minuteRanges().length, 2, 'Stream bars after a gap should form their own range');
+
+      const bars = await barStore.getBars(1, { ...minuteParams, barsback: 120 });
+      const gapCall = tradestation.calls.find(call => call.firstdate && call.lastdate);
+      assert(!!gapCall, 'Gap should be fetched between the two ranges');
+      assertEqual(gapCall && gapCall.firstdate, toIso(storedEnd), 'Gap request should start at the older range end');
+      assertEqual(minuteRanges().length, 1, 'Closing the gap should merge both ranges');
+      assertEqual(bars.length, 120, 'Request across the gap should return the requested bars');
+      assert(isContiguous(bars, MINUTE_MS), 'Bars across the closed gap should have no gaps');
+      tradestation.calls.length = 0;
+    }
+
+    // Test 5: History start
+    console.log('\n📋 Test 5: Series without older history is not backfilled again');
+    {
+      const params = { ticker: 'NQZ26', unit: 'Minute', interval: '1' };
+      tradestation.firstBar = Math.floor(now / MINUTE_MS) * MINUTE_MS - 30 * MINUTE_MS;
+      await barStore.getBars(1, { ...params, barsback: 20 });
+      const bars = await barStore.getBars(1, { ...params, barsback: 60 });
+      assertEqual(bars.length, 31, 'Backfill should stop at the first bar TradeStation has');
+      tradestation.calls.length = 0;
+
+      const again = await barStore.getBars(1, { ...params, barsback: 60 });
+      assertEqual(again.length, 31, 'Repeated request should return the stored history');
+      assertEqual(tradestation.calls.length, 0, 'Known history start should not be backfilled again');
+      tradestation.firstBar = null;
+    }
+
+    // Test 6: Adjusted equity history
+    console.log('\n📋 Test 6: Equity daily history is refetched once it may be adjusted');
+    {
+      const equity = { ticker: 'AAPL', unit: 'Daily', interval: '1' };
+      const futures = { ticker: 'ESZ26', unit: 'Daily', interval: '1' };
+      await barStore.getBars(1, { ...equity, barsback: 30 });
+      await barStore.getBars(1, { ...futures, barsback: 30 });
+      tradestation.calls.length = 0;
+
+      // A split halves every historical price
+      tradestation.price = 50;
+      now += DAY_MS + MINUTE_MS;
+      const bars = await barStore.getBars(1, { ...equity, barsback: 30 });
+      assertEqual(tradestation.calls.shift().barsback, 30, 'Day-old equity history should be fetched fresh');
+      assert(bars.length === 30 && bars.every(bar => bar.Close === '50'), 'Refetched equity bars should replace the stored bars');
+      assertEqual(db.ranges.filter(range => range.key === 'AAPL|Daily|1|Default').length, 1, 'Refetched equity history should have one range');
+
+      const futuresBars = await barStore.getBars(1, { ...futures, barsback: 30 });
+      const futuresCall = tradestation.calls.shift();
+      assert(!!futuresCall && !!futuresCall.firstdate && !futuresCall.barsback, 'Futures history should only have its tail fetched');
+      assertEqual(futuresBars[0].Close, '100', 'Stored futures bars should be kept');
+      assertEqual(barStore.getStats().refreshes, 1, 'Only the equity series should be refreshed');
+      tradestation.price = 100;
+      tradestation.calls.length = 0;
+    }
+
+    // Test 7: Bounded history starts
+    console.log('\n📋 Test 7: Remembered history starts are bounded');
+    {
+      for (let index = 0; index < 1500; index++) barStore.setHistoryStart(`TEST${index}|Minute|1|Default`, index);
+      assertEqual(barStore.historyStarts.size, 1000, 'History starts should be capped');
+      assert(!barStore.historyStarts.has('TEST0|Minute|1|Default'), 'Oldest history starts should be evicted first');
+      assert(barStore.historyStarts.has('TEST1499|Minute|1|Default'), 'Newest history start should be kept');
+    }
+  } finally {
+    Date.now = realDateNow;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Summary:`);
+  console.log(`   Total tests: ${testCount}`);
+  console.log(`   Passed: ${passCount}`);
+  console.log(`   Failed: ${failCount}`);
+
+  if (failCount === 0) {
+    console.log(`\n✅ All tests passed!`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failCount} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests().catch(err => {
+  console.error('Fatal test error:', err);
+  console.error(err.stack);
+  process.exit(1);
+});
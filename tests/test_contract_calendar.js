@@ -0,0 +1,150 @@
+/**
+ * Test suite for futures expiration and roll dates (utils/contractRegistry, utils/exchangeCalendar)
+ *
+ * Tests:
+ * - CME holidays and business day arithmetic
+ * - Expiration rules against known contract months (third Friday, business days before a day,
+ *   nth last business day, business days before the third Wednesday)
+ * - Roll dates and the front-month chain around a roll
+ *
+ * Run with: node tests/test_contract_calendar.js
+ */
+
+const {
+  getExchangeHoliday,
+  isBusinessDay,
+  addBusinessDays
+} = require('../utils/exchangeCalendar');
+const {
+  parseContractSymbol,
+  getExpirationDate,
+  getRollDate,
+  getContractChain
+} = require('../utils/contractRegistry');
+
+// Test utilities
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+function assert(condition, message) {
+  testCount++;
+  if (condition) {
+    passCount++;
+    console.log(`✅ ${message}`);
+  } else {
+    failCount++;
+    console.error(`❌ FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  testCount++;
+  if (actual === expected) {
+    passCount++;
+    console.log(`✅ ${message}`);
+  } else {
+    failCount++;
+    console.error(`❌ FAIL: ${message} - Expected: ${expected}, Got: ${actual}`);
+  }
+}
+
+// Contract dates as 'YYYY-MM-DD' for a symbol such as ESZ25
+const expiration = (symbol) => {
+  const { root, year, month } = parseContractSymbol(symbol);
+  return getExpirationDate(root, year, month).format('YYYY-MM-DD');
+};
+const roll = (symbol) => {
+  const { root, year, month } = parseContractSymbol(symbol);
+  return getRollDate(root, year, month).format('YYYY-MM-DD');
+};
+
+async function runTests() {
+  console.log('\n🧪 Contract Calendar Test Suite\n');
+
+  // Test 1: Exchange calendar
+  console.log('\n📋 Test 1: Holidays and business days');
+  {
+    assertEqual(getExchangeHoliday('2025-12-25'), 'Christmas Day', 'Christmas should be a holiday');
+    assertEqual(getExchangeHoliday('2026-04-03'), 'Good Friday', 'Good Friday 2026 should follow Easter');
+    assertEqual(getExchangeHoliday('2026-07-03'), 'Independence Day', 'Independence Day on a Saturday should be observed Friday');
+    assertEqual(getExchangeHoliday('2021-12-31'), null, "New Year's Day on a Saturday should not be observed");
+    assert(!isBusinessDay('2025-12-27'), 'Saturday should not be a business day');
+    assertEqual(addBusinessDays('2025-12-24', 1).format('YYYY-MM-DD'), '2025-12-26', 'Business days should skip holidays');
+    assertEqual(addBusinessDays('2025-12-29', -3).format('YYYY-MM-DD'), '2025-12-23', 'Negative offsets should skip weekends and holidays');
+
+    let error = null;
+    try {
+      addBusinessDays('not-a-date', -3);
+    } catch (err) {
+      error = err;
+    }
+    assert(error instanceof Error, 'Invalid date should throw instead of looping');
+  }
+
+  // Test 2: Third Friday (equity index)
+  console.log('\n📋 Test 2: Third Friday expirations');
+  {
+    assertEqual(expiration('ESZ25'), '2025-12-19', 'ESZ25 should expire the third Friday of December');
+    assertEqual(expiration('ESH26'), '2026-03-20', 'ESH26 should expire the third Friday of March');
+    assertEqual(expiration('ESM26'), '2026-06-18', 'ESM26 third Friday on Juneteenth should move to the business day before');
+    assertEqual(roll('ESZ25'), '2025-12-11', 'ESZ25 should roll 6 business days before expiration');
+    assertEqual(roll('ESH26'), '2026-03-12', 'ESH26 should roll 6 business days before expiration');
+    assertEqual(expiration('6EZ25'), '2025-12-15', '6EZ25 should expire two business days before the third Wednesday');
+  }
+
+  // Test 3: Business days before a day (energy)
+  console.log('\n📋 Test 3: Business days before a calendar day');
+  {
+    assertEqual(expiration('CLZ25'), '2025-11-20', 'CLZ25 should expire 3 business days before November 25');
+    assertEqual(expiration('CLF26'), '2025-12-19', 'CLF26 reference on Christmas should move to the business day before');
+    assertEqual(expiration('CLH26'), '2026-02-20', 'CLH26 should expire 3 business days before February 25');
+    assertEqual(roll('CLF26'), '2025-12-12', 'CLF26 should roll 5 business days before expiration');
+    assertEqual(expiration('NGF26'), '2025-12-29', 'NGF26 should expire 3 business days before the contract month');
+  }
+
+  // Test 4: Last business days of the month (metals, rates)
+  console.log('\n📋 Test 4: Last business day rules');
+  {
+    assertEqual(expiration('GCG26'), '2026-02-25', 'GCG26 should expire the third last business day');
+    assertEqual(roll('GCG26'), '2026-01-28', 'GCG26 should roll 3 business days before the contract month');
+    assertEqual(expiration('ZNZ25'), '2025-12-19', 'ZNZ25 should expire 7 business days before the last business day');
+    assertEqual(roll('ZNZ25'), '2025-11-25', 'ZNZ25 should roll ahead of first notice');
+  }
+
+  // Test 5: Front-month chain
+  console.log('\n📋 Test 5: Front-month chain around a roll');
+  {
+    const beforeRoll = getContractChain('ES', 2, new Date('2025-12-10T15:00:00Z'));
+    assertEqual(beforeRoll.map(contract => contract.symbol).join(','), 'ESZ25,ESH26', 'ESZ25 should be front before its roll date');
+    assertEqual(beforeRoll[0].expirationDate, '2025-12-19', 'Chain should carry expiration dates');
+
+    const onRoll = getContractChain('ES', 2, new Date('2025-12-11T15:00:00Z'));
+    assertEqual(onRoll[0].symbol, 'ESH26', 'Next contract should be front from the roll date');
+
+    const crude = getContractChain('CL', 2, new Date('2025-12-15T15:00:00Z'));
+    assertEqual(crude.map(contract => contract.symbol).join(','), 'CLG26,CLH26', 'CLF26 should be rolled out of before it expires');
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Summary:`);
+  console.log(`   Total tests: ${testCount}`);
+  console.log(`   Passed: ${passCount}`);
+  console.log(`   Failed: ${failCount}`);
+
+  if (failCount === 0) {
+    console.log(`\n✅ All tests passed!`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failCount} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests().catch(err => {
+  console.error('Fatal test error:', err);
+  console.error(err.stack);
+  process.exit(1);
+});
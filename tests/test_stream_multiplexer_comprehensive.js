@@ -11,6 +11,7 @@
  */
 
 const { StreamMultiplexer } = require('../utils/streamMultiplexer');
+const { InternalSubscriber } = require('../utils/internalSubscriber');
 const EventEmitter = require('events');
 const { Readable } = require('stream');
 
@@ -785,6 +786,241 @@ async function runTests() {
     res.destroy();
   }
 
+  // Test 16: Recorded session replay (offline)
+  // Set STREAM_REPLAY_FILE=/path/to/recording.ndjson.gz to replay a real captured session
+  console.log('\n📋 Test 16: Recorded session replay (offline)');
+  {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const streamRecorder = require('../utils/streamRecorder');
+    const streamReplay = require('../utils/streamReplay');
+
+    // Replays every recorded upstream's own request through a multiplexer named like its stream
+    const replayMultiplexer = (name) => new StreamMultiplexer({
+      name,
+      makeKey: (userId, request) => `${userId}|${request.path}|${JSON.stringify(request.query || {})}`,
+      buildRequest: (userId, request) => request
+    });
+    const collect = async (multiplexer, request) => {
+      const res = new MockResponse();
+      // addSubscriber listens for the request closing
+      res.req = Object.assign(new EventEmitter(), res.req);
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+      const ended = new Promise((resolve) => res.once('finish', resolve));
+      await multiplexer.addSubscriber('replay-user', request, res);
+      await Promise.race([ended, sleep(5000)]);
+      return { res, body: Buffer.concat(chunks).toString('utf8') };
+    };
+
+    const previousDir = process.env.STREAM_RECORDINGS_DIR;
+    let tempDir = null;
+    let file;
+
+    if (process.env.STREAM_REPLAY_FILE) {
+      process.env.STREAM_RECORDINGS_DIR = path.dirname(path.resolve(process.env.STREAM_REPLAY_FILE));
+      file = path.basename(process.env.STREAM_REPLAY_FILE);
+    } else {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-replay-test-'));
+      process.env.STREAM_RECORDINGS_DIR = tempDir;
+
+      let rejected = null;
+      try { streamRecorder.start({ name: 'test', streams: ['Quotes'] }); } catch (error) { rejected = error; }
+      assertEqual(rejected && rejected.status, 400, 'Recording without userIds should be rejected');
+
+      streamRecorder.start({ name: 'test', streams: ['Quotes'], userIds: ['user1'] });
+      const request = { path: '/marketdata/stream/quotes/ESZ25', paperTrading: false };
+      streamRecorder.recordOpen('Quotes', 'user1|ESZ25', request, 'user1');
+      streamRecorder.recordOpen('Quotes', 'user2|ESZ25', request, 'user2');
+      streamRecorder.record('Quotes', 'user1|ESZ25', request, Buffer.from('{"Symbol":"ESZ25","Last":"6000.25"}\n'), 'user1');
+      streamRecorder.record('Quotes', 'user2|ESZ25', request, Buffer.from('{"Symbol":"ESZ25","Last":"6000.25"}\n'), 'user2');
+      await sleep(500);
+      streamRecorder.record('Quotes', 'user1|ESZ25', request, Buffer.from('{"Heartbeat":1}\n{"Symbol":"ESZ25",'), 'user1');
+      streamRecorder.record('Quotes', 'user1|ESZ25', request, Buffer.from('"Last":"6000.50"}\n'), 'user1');
+      streamRecorder.recordEnd('Quotes', 'user1|ESZ25', 'Upstream ended');
+      streamRecorder.recordEnd('Quotes', 'user2|ESZ25', 'Upstream ended');
+      const recording = await streamRecorder.stop();
+      assertEqual(recording.chunks, 3, 'Recorder should capture every chunk of the listed users only');
+      file = recording.file;
+    }
+
+    let replayRejected = null;
+    try { await streamReplay.start({ file, speed: 'max' }); } catch (error) { replayRejected = error; }
+    assertEqual(replayRejected && replayRejected.status, 400, 'Replay without userIds should be rejected');
+
+    await streamReplay.start({ file, speed: 'max', userIds: ['replay-user'] });
+    const upstreams = streamReplay.replay.upstreams;
+
+    // Only client subscribers of replay users get replayed upstreams
+    {
+      const multiplexer = replayMultiplexer(upstreams[0].stream);
+      const request = upstreams[0].request;
+      const background = new InternalSubscriber(() => {}, () => {});
+      assert(multiplexer.keyFor('replay-user', request, new MockResponse()).endsWith('|replay'), 'Replay user client should get a replayed upstream');
+      assert(!multiplexer.keyFor('other-user', request, new MockResponse()).endsWith('|replay'), 'Other users should stay on TradeStation');
+      assert(!multiplexer.keyFor('replay-user', request, background).endsWith('|replay'), 'Background subscribers of the replay user should stay on TradeStation');
+    }
+    assert(upstreams.length > 0, `Recording ${file} should contain upstream data`);
+
+    for (const upstream of upstreams) {
+      const multiplexer = replayMultiplexer(upstream.stream);
+      const expected = Buffer.concat(upstream.chunks.map(chunk => chunk.data)).toString('utf8');
+      const { res, body } = await collect(multiplexer, upstream.request);
+      assertEqual(body, expected, `${upstream.stream} ${upstream.request.path} should replay byte for byte`);
+      assert(res.writableEnded, 'Subscriber should be ended when the replayed upstream ends');
+      assertEqual(multiplexer.keyToConnection.size, 0, 'Replayed upstream should be cleaned up after it ends');
+    }
+
+    const unmatched = await collect(replayMultiplexer(upstreams[0].stream), { path: '/not/recorded/path', paperTrading: false });
+    assertEqual(unmatched.res.statusCode, 404, 'Unrecorded upstream should get a 404 during replay');
+    streamReplay.stop();
+
+    if (!process.env.STREAM_REPLAY_FILE) {
+      // Account ids are aliased in paths, keys and AccountID fields, even when split across chunks
+      const zlib = require('zlib');
+      const previousKey = process.env.CREDENTIALS_ENCRYPTION_KEY;
+      process.env.CREDENTIALS_ENCRYPTION_KEY = previousKey || 'stream-recording-test-key';
+      streamRecorder.start({ name: 'accounts', streams: ['Positions'], userIds: ['user1'] });
+      const request = { path: '/brokerage/stream/accounts/SIM123456/positions', paperTrading: false };
+      streamRecorder.recordOpen('Positions', 'user1|SIM123456|0', request, 'user1');
+      streamRecorder.record('Positions', 'user1|SIM123456|0', request, Buffer.from('{"AccountID":"SIM12'), 'user1');
+      streamRecorder.record('Positions', 'user1|SIM123456|0', request, Buffer.from('3456","Quantity":"1"}\n'), 'user1');
+      streamRecorder.recordEnd('Positions', 'user1|SIM123456|0', 'Upstream ended');
+      const accounts = await streamRecorder.stop();
+      const written = zlib.gunzipSync(fs.readFileSync(path.join(tempDir, accounts.file))).toString('utf8');
+      const events = written.trim().split('\n').map(line => JSON.parse(line));
+      assert(!written.includes('SIM123456'), 'Recording should not contain the account id');
+      assert(/^\/brokerage\/stream\/accounts\/acct-[0-9a-f]{12}\/positions$/.test(events.find(event => event.type === 'open').request.path), 'Recorded path should carry the account alias');
+      const chunks = events.filter(event => event.type === 'chunk');
+      assert(chunks.length === 1 && /^\{"AccountID":"acct-[0-9a-f]{12}","Quantity":"1"\}\n$/.test(chunks[0].data), 'Account chunks should be recorded as whole lines with the AccountID aliased');
+
+      // Account paths match on the full path, so only the recorded account replays
+      await streamReplay.start({ file: accounts.file, speed: 'max', userIds: ['replay-user'] });
+      const sameAccount = await collect(replayMultiplexer('Positions'), request);
+      assertEqual(sameAccount.body, chunks[0].data, 'Recorded account should replay its aliased positions');
+      const otherAccount = await collect(replayMultiplexer('Positions'), { ...request, path: '/brokerage/stream/accounts/SIM654321/positions' });
+      assertEqual(otherAccount.res.statusCode, 404, 'Another account should not match the recording');
+      streamReplay.stop();
+      if (previousKey === undefined) delete process.env.CREDENTIALS_ENCRYPTION_KEY;
+      else process.env.CREDENTIALS_ENCRYPTION_KEY = previousKey;
+
+      // Recorded 500ms apart: 10x should take about 50ms
+      await streamReplay.start({ file, speed: 10, userIds: ['replay-user'] });
+      const startedAt = Date.now();
+      const { body } = await collect(replayMultiplexer('Quotes'), { path: '/marketdata/stream/quotes/ESZ25', paperTrading: false });
+      const elapsed = Date.now() - startedAt;
+      assert(body.includes('6000.50'), 'Replay at 10x should deliver the whole recording');
+      assert(elapsed >= 30 && elapsed < 400, `Replay at 10x should compress recorded gaps (took ${elapsed}ms)`);
+      streamReplay.stop();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+
+    if (previousDir === undefined) delete process.env.STREAM_RECORDINGS_DIR;
+    else process.env.STREAM_RECORDINGS_DIR = previousDir;
+  }
+
+  // Test 17: Shared quote streams (SharedMarketDataMultiplexer) against a fake TradeStation
+  console.log('\n📋 Test 17: Shared quote streams (one upstream per symbol group)');
+  {
+    // Load a separate copy of the multiplexer module whose token lookup is stubbed
+    const proxyPath = require.resolve('../utils/tradestationProxy');
+    const muxPath = require.resolve('../utils/streamMultiplexer');
+    const realProxy = require(proxyPath);
+    const cachedMux = require.cache[muxPath];
+    require.cache[proxyPath].exports = { ...realProxy, getUserAccessToken: async (userId) => `token-${userId}` };
+    delete require.cache[muxPath];
+    const { SharedMarketDataMultiplexer } = require(muxPath);
+    require.cache[proxyPath].exports = realProxy;
+    require.cache[muxPath] = cachedMux;
+
+    // Fake upstreams: one per fetch, fed by the test through their stream controller
+    const realFetch = global.fetch;
+    const upstreams = [];
+    let failOpens = false;
+    global.fetch = async (url, { headers, signal }) => {
+      if (failOpens) return { ok: false, status: 500, body: null, text: async () => '{"error":"Unavailable"}' };
+      const upstream = { symbols: decodeURIComponent(String(url).split('/quotes/')[1].split('?')[0]), token: headers.Authorization, cancelled: false };
+      upstream.body = new ReadableStream({
+        start(controller) { upstream.controller = controller; },
+        cancel() { upstream.cancelled = true; }
+      });
+      signal.addEventListener('abort', () => { upstream.cancelled = true; }, { once: true });
+      upstreams.push(upstream);
+      return { ok: true, status: 200, body: upstream.body, text: async () => '' };
+    };
+    const push = (upstream, ...quotes) => {
+      upstream.controller.enqueue(new TextEncoder().encode(quotes.map(quote => JSON.stringify(quote) + '\n').join('')));
+    };
+    const subscribe = async (multiplexer, userId, symbols) => {
+      const res = new MockResponse();
+      res.req = Object.assign(new EventEmitter(), res.req);
+      res.lines = [];
+      res.on('data', (chunk) => {
+        res.lines.push(...String(chunk).split('\n').filter(Boolean).map(line => JSON.parse(line)));
+      });
+      await multiplexer.addSubscriber(userId, symbols, res);
+      return res;
+    };
+
+    const shared = new SharedMarketDataMultiplexer({
+      name: 'SharedQuotesTest',
+      buildPath: (symbolsCsv) => `/marketdata/stream/quotes/${symbolsCsv}`,
+      resubscribeDebounceMs: 20,
+      releaseDelayMs: 300,
+      reopenDelayMs: 20
+    });
+
+    try {
+      // Two users sharing a symbol
+      const resA = await subscribe(shared, 'user-a', 'ESZ25');
+      assertEqual(upstreams.length, 1, 'First subscriber should open one upstream');
+      assertEqual(upstreams[0].symbols, 'ESZ25', 'Upstream should stream the subscribed symbol');
+      push(upstreams[0], { Symbol: 'ESZ25', Last: '6000.25' });
+      await sleep(20);
+
+      const resB = await subscribe(shared, 'user-b', 'esz25');
+      assertEqual(upstreams.length, 1, 'Second user on the same symbol should reuse the upstream');
+      assert(resB.lines[0]?.LateJoin === true && resB.lines[1]?.Last === '6000.25', 'Late joiner should get LateJoin and the latest quote');
+      push(upstreams[0], { Symbol: 'ESZ25', Last: '6000.50' }, { Heartbeat: 1 });
+      await sleep(20);
+      assert(resA.lines.some(line => line.Last === '6000.50') && resB.lines.some(line => line.Last === '6000.50'), 'Both users should receive the shared quote');
+      assert(resA.lines.some(line => line.Heartbeat) && resB.lines.some(line => line.Heartbeat), 'Heartbeats should reach every subscriber of the group');
+
+      // Resubscribe when the group's symbol set changes (make-before-break)
+      const resC = await subscribe(shared, 'user-c', 'NQZ25');
+      assertEqual(upstreams.length, 2, 'A new symbol should reopen the group upstream');
+      assertEqual(upstreams[1].symbols, 'ESZ25,NQZ25', 'Reopened upstream should carry every symbol of the group');
+      await sleep(20);
+      assert(upstreams[0].cancelled, 'Previous upstream should be closed once the new one is open');
+      assertEqual(shared.getSharedStats().resubscribes, 1, 'Resubscribe should be counted');
+      push(upstreams[1], { Symbol: 'NQZ25', Last: '21000' });
+      await sleep(20);
+      assert(resC.lines.some(line => line.Symbol === 'NQZ25'), 'Lines should reach the subscribers of their symbol');
+      assert(!resA.lines.some(line => line.Symbol === 'NQZ25'), 'Lines should not reach subscribers of other symbols');
+
+      // Release delay: a released symbol keeps streaming briefly before the group shrinks
+      resC.end();
+      await sleep(150);
+      assertEqual(upstreams.length, 2, 'Released symbol should keep streaming during the release delay');
+      await sleep(300);
+      assertEqual(upstreams.length, 3, 'Group should be reopened without the released symbol after the delay');
+      assertEqual(upstreams[2].symbols, 'ESZ25', 'Reopened upstream should only carry the remaining symbol');
+
+      // Reopen failure: subscribers are ended after the reopen attempts run out
+      failOpens = true;
+      upstreams[2].controller.close();
+      await sleep(1500);
+      assert(resA.writableEnded && resB.writableEnded, 'Subscribers should be ended when the group cannot be reopened');
+      assertEqual(shared.getSharedStats().subscribers, 0, 'Ended subscribers should be removed');
+    } finally {
+      global.fetch = realFetch;
+      for (const upstream of upstreams) {
+        try { upstream.controller.close(); } catch (_) {}
+      }
+    }
+  }
+
   // Summary
   console.log('\n' + '='.repeat(60));
   console.log(`\n📊 Test Summary:`);
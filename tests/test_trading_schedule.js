@@ -0,0 +1,195 @@
+/**
+ * Test suite for trading hours schedules (utils/tradingSchedule)
+ *
+ * Tests:
+ * - Windows that wrap past midnight (and the days they start on)
+ * - Blackouts inside a window
+ * - Per-symbol and asset class scopes vs unscoped (account-wide) windows and blackouts
+ * - Unknown order symbols: unscoped windows when present, otherwise the intersection of every scope
+ *
+ * Run with: node tests/test_trading_schedule.js
+ */
+
+const moment = require('moment-timezone');
+const {
+  validateTimeWindows,
+  evaluateRestriction
+} = require('../utils/tradingSchedule');
+
+// Test utilities
+let testCount = 0;
+let passCount = 0;
+let failCount = 0;
+
+function assert(condition, message) {
+  testCount++;
+  if (condition) {
+    passCount++;
+    console.log(`✅ ${message}`);
+  } else {
+    failCount++;
+    console.error(`❌ FAIL: ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  testCount++;
+  if (actual === expected) {
+    passCount++;
+    console.log(`✅ ${message}`);
+  } else {
+    failCount++;
+    console.error(`❌ FAIL: ${message} - Expected: ${expected}, Got: ${actual}`);
+  }
+}
+
+// Exchange time (America/New_York) on Tuesday 2026-10-20 as a Date
+const at = (time, date = '2026-10-20') => moment.tz(`${date} ${time}`, 'America/New_York').toDate();
+const iso = (time, date) => at(time, date).toISOString();
+
+// trading_hours_restrictions row as read from the database (JSON columns as strings)
+const restriction = (timeWindows, blackouts = []) => ({
+  time_windows: JSON.stringify(timeWindows),
+  blackouts: JSON.stringify(blackouts),
+  timezone: 'America/New_York',
+  expires_at: null
+});
+
+async function runTests() {
+  console.log('\n🧪 Trading Schedule Test Suite\n');
+
+  // Test 1: Overnight windows
+  console.log('\n📋 Test 1: Windows wrapping past midnight');
+  {
+    const { timeWindows, error } = validateTimeWindows([{ startTime: '18:00', endTime: '02:00', days: [1, 2, 3, 4, 5] }]);
+    assertEqual(error, undefined, 'Overnight window should validate');
+    const row = restriction(timeWindows);
+
+    const lateMonday = evaluateRestriction(row, { now: at('23:00', '2026-10-19') });
+    assert(lateMonday.canTrade, 'Monday 23:00 should be inside the Monday 18:00-02:00 window');
+    assertEqual(lateMonday.allowedUntil, iso('02:00'), 'Window should end at 02:00 the next day');
+
+    const earlyTuesday = evaluateRestriction(row, { now: at('01:30') });
+    assert(earlyTuesday.canTrade, 'Tuesday 01:30 should still be inside the window that began Monday');
+
+    const tuesdayMorning = evaluateRestriction(row, { now: at('02:00') });
+    assertEqual(tuesdayMorning.code, 'OUTSIDE_TRADING_HOURS', 'Window end should be exclusive');
+    assertEqual(tuesdayMorning.nextAllowedWindow?.start, iso('18:00'), 'Next window should open Tuesday 18:00');
+    assertEqual(tuesdayMorning.nextAllowedWindow?.end, iso('02:00', '2026-10-21'), 'Next window should close Wednesday 02:00');
+
+    const saturday = evaluateRestriction(row, { now: at('01:00', '2026-10-24') });
+    assert(saturday.canTrade, 'Saturday 01:00 should be inside the window that began Friday');
+
+    const sunday = evaluateRestriction(row, { now: at('01:00', '2026-10-25') });
+    assert(!sunday.canTrade, 'Sunday 01:00 should be outside (no window starts Saturday)');
+    assertEqual(sunday.nextAllowedWindow?.start, iso('18:00', '2026-10-26'), 'Next window should open Monday 18:00');
+  }
+
+  // Test 2: Blackouts
+  console.log('\n📋 Test 2: Blackouts');
+  {
+    const row = restriction(
+      [{ startTime: '09:30', endTime: '16:00' }],
+      [{ start: iso('10:00'), end: iso('10:30'), label: 'CPI release' }]
+    );
+
+    const before = evaluateRestriction(row, { now: at('09:45') });
+    assert(before.canTrade, 'Trading should be allowed before the blackout');
+    assertEqual(before.allowedUntil, iso('10:00'), 'Allowed time should end at the blackout start');
+
+    const during = evaluateRestriction(row, { now: at('10:15') });
+    assertEqual(during.code, 'BLACKOUT', 'Blackout inside a window should block trading');
+    assertEqual(during.reason, 'Trading blackout: CPI release', 'Blackout reason should carry its label');
+    assertEqual(during.nextAllowedWindow?.start, iso('10:30'), 'Trading should resume at the blackout end');
+    assertEqual(during.nextAllowedWindow?.end, iso('16:00'), 'Resumed window should end at the window end');
+
+    const after = evaluateRestriction(row, { now: at('10:30') });
+    assert(after.canTrade, 'Blackout end should be exclusive');
+
+    const nextDay = evaluateRestriction(row, { now: at('10:15', '2026-10-21') });
+    assert(nextDay.canTrade, 'Blackout should only cover its own date');
+  }
+
+  // Test 3: Scopes
+  console.log('\n📋 Test 3: Per-symbol and asset class scopes');
+  {
+    const row = restriction(
+      [
+        { startTime: '09:30', endTime: '16:00', scope: { assetClasses: ['stocks'] } },
+        { startTime: '18:00', endTime: '17:00', scope: { symbols: ['ES'] } }
+      ],
+      [
+        { start: iso('10:00'), end: iso('11:00'), scope: { assetClasses: ['energy'] }, label: 'EIA inventories' },
+        { start: iso('14:00'), end: iso('14:30'), label: 'FOMC' }
+      ]
+    );
+
+    const evening = at('20:00');
+    assert(evaluateRestriction(row, { now: evening, symbols: ['ESZ26'] }).canTrade, 'ES contract month should match its root scope');
+    assertEqual(evaluateRestriction(row, { now: evening, symbols: ['AAPL'] }).code, 'OUTSIDE_TRADING_HOURS', 'Stock should only get the stocks window');
+    assert(evaluateRestriction(row, { now: evening, symbols: ['NQZ26'] }).canTrade, 'Symbol no window applies to should be unrestricted by windows');
+
+    const multi = evaluateRestriction(row, { now: evening, symbols: ['ESZ26', 'AAPL'] });
+    assertEqual(multi.symbol, 'AAPL', 'Order should be blocked by the first symbol outside its windows');
+
+    const inventories = at('10:30');
+    assertEqual(evaluateRestriction(row, { now: inventories, symbols: ['CLZ26'] }).code, 'BLACKOUT', 'Energy blackout should block crude oil');
+    assert(evaluateRestriction(row, { now: inventories, symbols: ['ESZ26'] }).canTrade, 'Energy blackout should not block equity futures');
+    assert(evaluateRestriction(row, { now: inventories, symbols: ['AAPL'] }).canTrade, 'Energy blackout should not block stocks');
+
+    const fomc = at('14:15');
+    assertEqual(evaluateRestriction(row, { now: fomc, symbols: ['AAPL'] }).code, 'BLACKOUT', 'Unscoped blackout should block stocks');
+    assertEqual(evaluateRestriction(row, { now: fomc, symbols: ['CLZ26'] }).code, 'BLACKOUT', 'Unscoped blackout should block symbols without windows');
+  }
+
+  // Test 4: Unknown symbol
+  console.log('\n📋 Test 4: Unknown order symbol');
+  {
+    const scoped = [
+      { startTime: '09:30', endTime: '16:00', scope: { assetClasses: ['stocks'] } },
+      { startTime: '08:00', endTime: '12:00', scope: { symbols: ['ES'] } }
+    ];
+    const row = restriction(scoped, [{ start: iso('10:00'), end: iso('10:15'), scope: { symbols: ['ES'] } }]);
+
+    const morning = evaluateRestriction(row, { now: at('09:45') });
+    assert(morning.canTrade, 'Unknown symbol should trade where every scope allows it');
+    assertEqual(morning.allowedUntil, iso('10:00'), 'Scoped blackouts should apply to an unknown symbol');
+
+    const early = evaluateRestriction(row, { now: at('09:00') });
+    assert(!early.canTrade, 'Unknown symbol should be blocked when only some scopes allow it');
+    assertEqual(early.nextAllowedWindow?.start, iso('09:30'), 'Intersection should open at the later window start');
+    assert(evaluateRestriction(row, { now: at('09:00'), symbols: ['ESZ26'] }).canTrade, 'Known ES symbol should still trade in its own window');
+
+    const afternoon = evaluateRestriction(row, { now: at('13:00') });
+    assert(!afternoon.canTrade, 'Unknown symbol should be blocked after the earlier window end');
+    assertEqual(afternoon.nextAllowedWindow?.start, iso('09:30', '2026-10-21'), 'Intersection should reopen the next day');
+
+    const withUnscoped = restriction([...scoped, { startTime: '06:00', endTime: '20:00' }]);
+    const unscoped = evaluateRestriction(withUnscoped, { now: at('13:00') });
+    assert(unscoped.canTrade, 'Unknown symbol should get the unscoped windows when there are any');
+    assertEqual(unscoped.allowedUntil, iso('20:00'), 'Unscoped window end should bound an unknown symbol');
+    assert(!evaluateRestriction(withUnscoped, { now: at('21:00') }).canTrade, 'Unknown symbol should be blocked outside the unscoped windows');
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n📊 Test Summary:`);
+  console.log(`   Total tests: ${testCount}`);
+  console.log(`   Passed: ${passCount}`);
+  console.log(`   Failed: ${failCount}`);
+
+  if (failCount === 0) {
+    console.log(`\n✅ All tests passed!`);
+    process.exit(0);
+  } else {
+    console.log(`\n❌ ${failCount} test(s) failed`);
+    process.exit(1);
+  }
+}
+
+// Run tests
+runTests().catch(err => {
+  console.error('Fatal test error:', err);
+  console.error(err.stack);
+  process.exit(1);
+});
@@ -0,0 +1,259 @@
+/**
+ * Composite alert conditions
+ *
+ * A composite trade alert stores a condition tree in trade_alerts.conditions:
+ *
+ *   { "op": "and", "conditions": [
+ *       { "type": "price", "operator": "above", "value": 21000 },
+ *       { "type": "indicator", "indicator": "rsi", "period": 14, "timeframe": "5min", "operator": "below", "value": 30 },
+ *       { "type": "time", "start": "09:30", "end": "11:00" }
+ *   ] }
+ *
+ * Groups ("op": "and" | "or") can be nested. Leaves are evaluated against the
+ * quote being processed, cached indicator values (computed from TradeStation
+ * bars by utils/indicatorService) and the current time.
+ */
+
+const moment = require('moment-timezone');
+
+const GROUP_OPS = ['and', 'or'];
+const PRICE_OPERATORS = ['above', 'below', 'cross_above', 'cross_below'];
+const INDICATOR_OPERATORS = ['above', 'below'];
+const INDICATORS = ['rsi', 'ema', 'sma', 'atr', 'vwap'];
+const INDICATOR_TIMEFRAMES = ['1min', '5min', '15min', '30min', '1hour', '4hour', 'daily'];
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const MAX_DEPTH = 4;
+const MAX_LEAVES = 10;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Validate a condition tree
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateConditionTree(tree) {
+  let leafCount = 0;
+
+  const validateNode = (node, path, depth) => {
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      return `${path} must be an object`;
+    }
+
+    if (node.op !== undefined) {
+      if (!GROUP_OPS.includes(node.op)) {
+        return `${path}.op must be one of: ${GROUP_OPS.join(', ')}`;
+      }
+      if (depth >= MAX_DEPTH) {
+        return `Conditions cannot be nested more than ${MAX_DEPTH} levels deep`;
+      }
+      if (!Array.isArray(node.conditions) || node.conditions.length === 0) {
+        return `${path}.conditions must be a non-empty array`;
+      }
+      for (let i = 0; i < node.conditions.length; i++) {
+        const error = validateNode(node.conditions[i], `${path}.conditions[${i}]`, depth + 1);
+        if (error) return error;
+      }
+      return null;
+    }
+
+    leafCount++;
+    if (leafCount > MAX_LEAVES) {
+      return `An alert can have at most ${MAX_LEAVES} conditions`;
+    }
+
+    switch (node.type) {
+      case 'price':
+        if (!PRICE_OPERATORS.includes(node.operator)) {
+          return `${path}.operator must be one of: ${PRICE_OPERATORS.join(', ')}`;
+        }
+        if (!Number.isFinite(Number(node.value))) {
+          return `${path}.value must be a number`;
+        }
+        return null;
+
+      case 'indicator':
+        if (!INDICATORS.includes(String(node.indicator).toLowerCase())) {
+          return `${path}.indicator must be one of: ${INDICATORS.join(', ')}`;
+        }
+        if (!INDICATOR_OPERATORS.includes(node.operator)) {
+          return `${path}.operator must be one of: ${INDICATOR_OPERATORS.join(', ')}`;
+        }
+        if (!Number.isFinite(Number(node.value))) {
+          return `${path}.value must be a number`;
+        }
+        if (node.period !== undefined && (!Number.isInteger(Number(node.period)) || Number(node.period) < 2 || Number(node.period) > 500)) {
+          return `${path}.period must be an integer between 2 and 500`;
+        }
+        if (node.timeframe !== undefined && !INDICATOR_TIMEFRAMES.includes(node.timeframe)) {
+          return `${path}.timeframe must be one of: ${INDICATOR_TIMEFRAMES.join(', ')}`;
+        }
+        return null;
+
+      case 'time':
+        if (!TIME_PATTERN.test(node.start || '') || !TIME_PATTERN.test(node.end || '')) {
+          return `${path}.start and ${path}.end must be HH:MM (24-hour)`;
+        }
+        if (node.start === node.end) {
+          return `${path}.start and ${path}.end cannot be equal`;
+        }
+        if (node.timezone !== undefined && !moment.tz.zone(node.timezone)) {
+          return `${path}.timezone is not a valid IANA timezone`;
+        }
+        return null;
+
+      default:
+        return `${path}.type must be one of: price, indicator, time (or a group with op)`;
+    }
+  };
+
+  const error = validateNode(tree, 'conditions', 0);
+  return error ? { valid: false, error } : { valid: true };
+}
+
+/**
+ * Normalize a validated tree (numbers as numbers, defaults filled in)
+ */
+function normalizeConditionTree(node) {
+  if (node.op !== undefined) {
+    return { op: node.op, conditions: node.conditions.map(normalizeConditionTree) };
+  }
+
+  switch (node.type) {
+    case 'price':
+      return { type: 'price', operator: node.operator, value: Number(node.value) };
+    case 'indicator': {
+      const indicator = String(node.indicator).toLowerCase();
+      return {
+        type: 'indicator',
+        indicator,
+        period: node.period !== undefined ? Number(node.period) : (indicator === 'rsi' || indicator === 'atr' ? 14 : 20),
+        timeframe: node.timeframe || '1hour',
+        operator: node.operator,
+        value: Number(node.value)
+      };
+    }
+    case 'time':
+      return { type: 'time', start: node.start, end: node.end, timezone: node.timezone || DEFAULT_TIMEZONE };
+    default:
+      return node;
+  }
+}
+
+/**
+ * Cache key for an indicator leaf (shared by every alert on the same symbol)
+ */
+function getIndicatorKey(symbol, node) {
+  return `${symbol.toUpperCase()}|${node.indicator}|${node.period}|${node.timeframe}`;
+}
+
+/**
+ * Collect the indicator leaves a tree depends on
+ */
+function collectIndicatorConditions(tree, out = []) {
+  if (!tree) return out;
+  if (tree.op !== undefined) {
+    tree.conditions.forEach(child => collectIndicatorConditions(child, out));
+  } else if (tree.type === 'indicator') {
+    out.push(tree);
+  }
+  return out;
+}
+
+function isWithinTimeCondition(node, now) {
+  const local = moment(now).tz(node.timezone || DEFAULT_TIMEZONE);
+  const current = local.hours() * 60 + local.minutes();
+  const [startHour, startMin] = node.start.split(':').map(Number);
+  const [endHour, endMin] = node.end.split(':').map(Number);
+  const start = startHour * 60 + startMin;
+  const end = endHour * 60 + endMin;
+
+  // Windows that wrap midnight (e.g. 18:00-02:00)
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Evaluate a condition tree
+ *
+ * @param {object} tree - Normalized condition tree
+ * @param {object} context
+ * @param {string} context.symbol
+ * @param {number} context.price - Current price
+ * @param {number|null} context.previousPrice - Previous price for the symbol (needed for cross operators)
+ * @param {Date} context.now
+ * @param {function(string): (number|null|undefined)} context.getIndicatorValue - Lookup by getIndicatorKey()
+ * @returns {boolean}
+ */
+function evaluateConditionTree(tree, context) {
+  if (tree.op === 'and') {
+    return tree.conditions.every(child => evaluateConditionTree(child, context));
+  }
+  if (tree.op === 'or') {
+    return tree.conditions.some(child => evaluateConditionTree(child, context));
+  }
+
+  switch (tree.type) {
+    case 'price': {
+      const { price, previousPrice } = context;
+      switch (tree.operator) {
+        case 'above':
+          return price >= tree.value;
+        case 'below':
+          return price <= tree.value;
+        case 'cross_above':
+          return previousPrice != null && previousPrice < tree.value && price >= tree.value;
+        case 'cross_below':
+          return previousPrice != null && previousPrice > tree.value && price <= tree.value;
+        default:
+          return false;
+      }
+    }
+
+    case 'indicator': {
+      const value = context.getIndicatorValue(getIndicatorKey(context.symbol, tree));
+      // Unknown indicator value never satisfies a condition
+      if (value === null || value === undefined || !Number.isFinite(value)) return false;
+      return tree.operator === 'above' ? value >= tree.value : value <= tree.value;
+    }
+
+    case 'time':
+      return isWithinTimeCondition(tree, context.now || new Date());
+
+    default:
+      return false;
+  }
+}
+
+/**
+ * Human readable summary used in notifications
+ */
+function describeConditionTree(tree, nested = false) {
+  if (tree.op !== undefined) {
+    const joined = tree.conditions.map(child => describeConditionTree(child, true)).join(` ${tree.op.toUpperCase()} `);
+    return nested && tree.conditions.length > 1 ? `(${joined})` : joined;
+  }
+
+  switch (tree.type) {
+    case 'price':
+      return `price ${tree.operator.replace('_', ' ')} ${tree.value}`;
+    case 'indicator':
+      return `${tree.indicator.toUpperCase()}(${tree.period}) ${tree.timeframe} ${tree.operator} ${tree.value}`;
+    case 'time':
+      return `time ${tree.start}-${tree.end}${tree.timezone && tree.timezone !== DEFAULT_TIMEZONE ? ` ${tree.timezone}` : ' ET'}`;
+    default:
+      return '';
+  }
+}
+
+module.exports = {
+  INDICATORS,
+  INDICATOR_TIMEFRAMES,
+  validateConditionTree,
+  normalizeConditionTree,
+  getIndicatorKey,
+  collectIndicatorConditions,
+  evaluateConditionTree,
+  describeConditionTree
+};
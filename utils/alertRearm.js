@@ -0,0 +1,126 @@
+/**
+ * Recurring (re-arming) trade alerts
+ *
+ * A recurring alert stays active after firing and re-arms when:
+ * - cooldown_seconds have passed since last_triggered_at, and/or
+ * - price has moved back across reset_level (armed = false until then)
+ * When both are set, both must be satisfied. max_triggers and expires_at
+ * deactivate the alert; expires_at also applies to one-shot alerts.
+ */
+
+const MAX_COOLDOWN_SECONDS = 7 * 24 * 60 * 60;
+const MAX_TRIGGERS = 1000;
+
+// reset_level only makes sense for alerts with a fixed level to cross back over
+const RESET_LEVEL_ALERT_TYPES = ['above', 'below', 'cross_above', 'cross_below'];
+
+const isUpwardAlert = (alertType) => alertType === 'above' || alertType === 'cross_above';
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Validate re-arming parameters from a request body
+ * @param {string} alertType
+ * @param {object} body
+ * @param {number|null} priceLevel - Final price level of the alert (to check reset_level is on the other side)
+ * @returns {{ error: string } | { fields: object }} fields are the trade_alerts columns to store
+ */
+function parseRearmParams(alertType, body = {}, priceLevel = null) {
+  const fields = {
+    cooldown_seconds: null,
+    reset_level: null,
+    max_triggers: null,
+    expires_at: null
+  };
+
+  if (isSet(body.cooldown_seconds)) {
+    const cooldown = Number(body.cooldown_seconds);
+    if (!Number.isInteger(cooldown) || cooldown <= 0 || cooldown > MAX_COOLDOWN_SECONDS) {
+      return { error: `cooldown_seconds must be an integer between 1 and ${MAX_COOLDOWN_SECONDS}` };
+    }
+    fields.cooldown_seconds = cooldown;
+  }
+
+  if (isSet(body.reset_level)) {
+    if (!RESET_LEVEL_ALERT_TYPES.includes(alertType)) {
+      return { error: `reset_level is only supported for alert types: ${RESET_LEVEL_ALERT_TYPES.join(', ')}` };
+    }
+    const resetLevel = Number(body.reset_level);
+    if (!Number.isFinite(resetLevel)) {
+      return { error: 'reset_level must be a number' };
+    }
+    if (priceLevel !== null && Number.isFinite(Number(priceLevel))) {
+      const level = Number(priceLevel);
+      if (isUpwardAlert(alertType) && resetLevel >= level) {
+        return { error: 'reset_level must be below price_level for above alerts' };
+      }
+      if (!isUpwardAlert(alertType) && resetLevel <= level) {
+        return { error: 'reset_level must be above price_level for below alerts' };
+      }
+    }
+    fields.reset_level = resetLevel;
+  }
+
+  if (isSet(body.max_triggers)) {
+    const maxTriggers = Number(body.max_triggers);
+    if (!Number.isInteger(maxTriggers) || maxTriggers <= 0 || maxTriggers > MAX_TRIGGERS) {
+      return { error: `max_triggers must be an integer between 1 and ${MAX_TRIGGERS}` };
+    }
+    if (maxTriggers > 1 && fields.cooldown_seconds === null && fields.reset_level === null) {
+      return { error: 'max_triggers above 1 requires cooldown_seconds or reset_level' };
+    }
+    fields.max_triggers = maxTriggers;
+  }
+
+  if (isSet(body.expires_at)) {
+    const expiresAt = new Date(body.expires_at);
+    if (Number.isNaN(expiresAt.getTime())) {
+      return { error: 'expires_at must be a valid date' };
+    }
+    if (expiresAt <= new Date()) {
+      return { error: 'expires_at must be in the future' };
+    }
+    fields.expires_at = expiresAt.toISOString();
+  }
+
+  return { fields };
+}
+
+function isRecurring(alert) {
+  return Boolean(alert.cooldown_seconds) || (alert.reset_level !== null && alert.reset_level !== undefined);
+}
+
+function isExpired(alert, now = new Date()) {
+  return Boolean(alert.expires_at) && new Date(alert.expires_at) <= now;
+}
+
+function isCoolingDown(alert, now = new Date()) {
+  if (!alert.cooldown_seconds || !alert.last_triggered_at) return false;
+  return now.getTime() - new Date(alert.last_triggered_at).getTime() < alert.cooldown_seconds * 1000;
+}
+
+/**
+ * Whether price has moved back across the reset level
+ * (below it for above alerts, above it for below alerts)
+ */
+function hasCrossedResetLevel(alert, price) {
+  const resetLevel = parseFloat(alert.reset_level);
+  return isUpwardAlert(alert.alert_type) ? price <= resetLevel : price >= resetLevel;
+}
+
+/**
+ * Whether this firing exhausts the alert (count includes the firing)
+ */
+function isFinalTrigger(alert, triggerCount) {
+  if (!isRecurring(alert)) return true;
+  return Boolean(alert.max_triggers) && triggerCount >= alert.max_triggers;
+}
+
+module.exports = {
+  parseRearmParams,
+  isRecurring,
+  isExpired,
+  isCoolingDown,
+  hasCrossedResetLevel,
+  isFinalTrigger
+};
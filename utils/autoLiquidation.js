@@ -0,0 +1,203 @@
+/**
+ * Auto-liquidation for loss limit breaches
+ *
+ * When a lock has auto_liquidate enabled, a breach:
+ * 1. Cancels working orders (for the offending symbol on position breaches, all orders on daily breaches)
+ * 2. Submits market orders to flatten the offending position (or all positions on daily breaches)
+ *
+ * Every request sent to TradeStation is recorded in loss_limit_liquidations
+ * together with the response, linked to the loss_limit_alerts row.
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+const { tradestationRequest } = require('./tradestationProxy');
+const { captureException } = require('./errorReporting');
+
+// TradeStation order statuses that are still working (can be cancelled)
+const WORKING_ORDER_STATUSES = new Set(['ACK', 'DON', 'FPR', 'OPN', 'PLA', 'REC', 'RSN']);
+
+/**
+ * Check whether the lock that produced a breach has auto-liquidation enabled
+ */
+async function isAutoLiquidateEnabled(userId, accountId, limitType) {
+  const result = await pool.query(
+    `SELECT auto_liquidate FROM loss_limit_locks
+     WHERE user_id = $1 AND account_id = $2 AND limit_type = $3
+     LIMIT 1`,
+    [userId, accountId, limitType]
+  );
+  return result.rows[0]?.auto_liquidate === true;
+}
+
+/**
+ * Build the closing market order for a position
+ * Futures use BUY/SELL, stocks SELL/BUYTOCOVER, options SELLTOCLOSE/BUYTOCLOSE
+ */
+function buildFlattenOrder(accountId, position) {
+  const quantity = Math.abs(parseFloat(position.Quantity) || 0);
+  const isLong = position.LongShort ? position.LongShort === 'Long' : parseFloat(position.Quantity) > 0;
+  const assetType = String(position.AssetType || '').toUpperCase();
+
+  let tradeAction;
+  if (assetType.includes('OPTION')) {
+    tradeAction = isLong ? 'SELLTOCLOSE' : 'BUYTOCLOSE';
+  } else if (assetType === 'STOCK') {
+    tradeAction = isLong ? 'SELL' : 'BUYTOCOVER';
+  } else {
+    tradeAction = isLong ? 'SELL' : 'BUY';
+  }
+
+  return {
+    AccountID: accountId,
+    Symbol: position.Symbol,
+    Quantity: String(quantity),
+    OrderType: 'Market',
+    TradeAction: tradeAction,
+    TimeInForce: { Duration: 'DAY' },
+    Route: 'Intelligent'
+  };
+}
+
+async function recordLiquidation(alertId, userId, accountId, entry) {
+  try {
+    await pool.query(
+      `INSERT INTO loss_limit_liquidations
+       (alert_id, user_id, account_id, action, symbol, order_id, request_payload, response_status, response_data, success)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        alertId,
+        userId,
+        accountId,
+        entry.action,
+        entry.symbol || null,
+        entry.orderId || null,
+        entry.request ? JSON.stringify(entry.request) : null,
+        entry.status || null,
+        entry.response !== undefined ? JSON.stringify(entry.response) : null,
+        entry.success === true
+      ]
+    );
+  } catch (error) {
+    logger.error(`[AutoLiquidation] Failed to record ${entry.action} for alert ${alertId}:`, error.message);
+  }
+}
+
+/**
+ * Cancel working orders and flatten positions for a breached account
+ *
+ * @param {object} params
+ * @param {string|number} params.userId
+ * @param {string} params.accountId
+ * @param {boolean} params.paperTrading
+ * @param {number} params.alertId - loss_limit_alerts.id the actions are recorded against
+ * @param {string[]|null} params.symbols - Symbols to liquidate; null liquidates the whole account
+ * @returns {Promise<{ cancelled: number, flattened: number, failed: number, entries: object[] }>}
+ */
+async function liquidateAccount({ userId, accountId, paperTrading, alertId, symbols = null }) {
+  const symbolFilter = symbols ? new Set(symbols.filter(Boolean)) : null;
+  const matchesSymbol = (symbol) => !symbolFilter || symbolFilter.has(symbol);
+  const entries = [];
+
+  const record = async (entry) => {
+    entries.push(entry);
+    await recordLiquidation(alertId, userId, accountId, entry);
+  };
+
+  logger.info(`[AutoLiquidation] Liquidating account ${accountId} for alert ${alertId} (${symbolFilter ? [...symbolFilter].join(',') : 'all positions'})`);
+
+  // Step 1: Cancel working orders first so brackets/stops can't re-open the position
+  try {
+    const ordersResult = await tradestationRequest(userId, {
+      method: 'GET',
+      path: `/brokerage/accounts/${accountId}/orders`,
+      paperTrading,
+    });
+
+    if (!ordersResult.ok) {
+      logger.warn(`[AutoLiquidation] Failed to fetch orders for account ${accountId}: ${ordersResult.status}`);
+    }
+
+    const workingOrders = (ordersResult.data?.Orders || []).filter(order => {
+      if (!WORKING_ORDER_STATUSES.has(order.Status)) return false;
+      const legSymbols = (order.Legs || []).map(leg => leg.Symbol);
+      return legSymbols.length === 0 ? matchesSymbol(order.Symbol) : legSymbols.some(matchesSymbol);
+    });
+
+    for (const order of workingOrders) {
+      const result = await tradestationRequest(userId, {
+        method: 'DELETE',
+        path: `/orderexecution/orders/${order.OrderID}`,
+        paperTrading,
+      });
+      await record({
+        action: 'cancel',
+        symbol: order.Legs?.[0]?.Symbol || order.Symbol || null,
+        orderId: order.OrderID,
+        request: { method: 'DELETE', OrderID: order.OrderID },
+        status: result.status,
+        response: result.data,
+        success: result.ok
+      });
+    }
+  } catch (error) {
+    logger.error(`[AutoLiquidation] Error cancelling orders for account ${accountId}:`, error.message);
+    try { captureException(error, { scope: 'autoLiquidation-cancel', accountId, alertId }); } catch (_) {}
+  }
+
+  // Step 2: Flatten positions with market orders (fresh positions, not the cached stream state)
+  try {
+    const positionsResult = await tradestationRequest(userId, {
+      method: 'GET',
+      path: `/brokerage/accounts/${accountId}/positions`,
+      paperTrading,
+    });
+
+    if (!positionsResult.ok) {
+      logger.warn(`[AutoLiquidation] Failed to fetch positions for account ${accountId}: ${positionsResult.status}`);
+    }
+
+    const openPositions = (positionsResult.data?.Positions || []).filter(position =>
+      matchesSymbol(position.Symbol) && Math.abs(parseFloat(position.Quantity) || 0) > 0
+    );
+
+    for (const position of openPositions) {
+      const orderBody = buildFlattenOrder(accountId, position);
+      const result = await tradestationRequest(userId, {
+        method: 'POST',
+        path: '/orderexecution/orders',
+        paperTrading,
+        body: orderBody,
+      });
+      await record({
+        action: 'flatten',
+        symbol: position.Symbol,
+        orderId: result.data?.Orders?.[0]?.OrderID || null,
+        request: orderBody,
+        status: result.status,
+        response: result.data,
+        success: result.ok && !result.data?.Errors?.length
+      });
+    }
+  } catch (error) {
+    logger.error(`[AutoLiquidation] Error flattening positions for account ${accountId}:`, error.message);
+    try { captureException(error, { scope: 'autoLiquidation-flatten', accountId, alertId }); } catch (_) {}
+  }
+
+  const summary = {
+    cancelled: entries.filter(e => e.action === 'cancel' && e.success).length,
+    flattened: entries.filter(e => e.action === 'flatten' && e.success).length,
+    failed: entries.filter(e => !e.success).length,
+    entries
+  };
+
+  logger.info(`[AutoLiquidation] Account ${accountId} alert ${alertId}: cancelled ${summary.cancelled}, flattened ${summary.flattened}, failed ${summary.failed}`);
+
+  return summary;
+}
+
+module.exports = {
+  isAutoLiquidateEnabled,
+  buildFlattenOrder,
+  liquidateAccount
+};
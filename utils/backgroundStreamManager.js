@@ -13,132 +13,7 @@
 
 const pool = require('../db');
 const logger = require('../config/logging');
-
-/**
- * InternalSubscriber - Mimics Express response for StreamMultiplexer compatibility
- */
-class InternalSubscriber {
-  constructor(onData, onEnd, onError) {
-    this.id = `bg-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-    this._onData = onData;
-    this._onEnd = onEnd;
-    this._onError = onError;
-    this._ended = false;
-    this._buffer = '';
-    
-    // Express response compatibility
-    this.writable = true; // CRITICAL: StreamMultiplexer checks this before writing
-    this.writableEnded = false;
-    this.finished = false;
-    this.destroyed = false;
-    this._eventHandlers = { close: [], finish: [], error: [] };
-    this._reqEventHandlers = { close: [], aborted: [] };
-    this.req = { 
-      query: {}, 
-      headers: {}, 
-      aborted: false, 
-      destroyed: false,
-      on: (event, handler) => {
-        if (this._reqEventHandlers[event]) this._reqEventHandlers[event].push(handler);
-        return this.req;
-      },
-      once: (event, handler) => {
-        const wrapper = (...args) => {
-          handler(...args);
-          const idx = this._reqEventHandlers[event]?.indexOf(wrapper);
-          if (idx !== -1) this._reqEventHandlers[event].splice(idx, 1);
-        };
-        if (this._reqEventHandlers[event]) this._reqEventHandlers[event].push(wrapper);
-        return this.req;
-      }
-    };
-  }
-  
-  setHeader() {}
-  status() { return this; }
-  
-  write(chunk) {
-    if (this._ended) return false;
-    
-    this._buffer += chunk.toString();
-    
-    // Cap buffer at 64KB to prevent memory issues
-    if (this._buffer.length > 65536) {
-      const idx = this._buffer.indexOf('\n', this._buffer.length - 65536);
-      this._buffer = idx !== -1 ? this._buffer.slice(idx + 1) : this._buffer.slice(-65536);
-    }
-    
-    // Parse NDJSON lines
-    const lines = this._buffer.split('\n');
-    this._buffer = lines.pop() || '';
-    
-    for (const line of lines) {
-      if (line.trim()) {
-        try {
-          this._onData(JSON.parse(line));
-        } catch (_) {
-          this._onData({ raw: line });
-        }
-      }
-    }
-    return true;
-  }
-  
-  end() {
-    if (this._ended) return;
-    this._ended = true;
-    this.writable = false;
-    logger.warn(`[InternalSubscriber] ⚠️ writable set to FALSE in end() for ${this.id}`);
-    this.writableEnded = true;
-    this.finished = true;
-    this._eventHandlers.close.forEach(h => { try { h(); } catch (_) {} });
-    this._onEnd();
-  }
-  
-  json(data) {
-    this.write(JSON.stringify(data));
-    this.end();
-  }
-  
-  on(event, handler) {
-    if (this._eventHandlers[event]) this._eventHandlers[event].push(handler);
-    return this;
-  }
-  
-  once(event, handler) {
-    const wrapper = (...args) => {
-      handler(...args);
-      this.off(event, wrapper);
-    };
-    this.on(event, wrapper);
-    return this;
-  }
-  
-  off(event, handler) {
-    if (this._eventHandlers[event]) {
-      const idx = this._eventHandlers[event].indexOf(handler);
-      if (idx !== -1) this._eventHandlers[event].splice(idx, 1);
-    }
-    return this;
-  }
-  
-  removeAllListeners(event) {
-    if (this._eventHandlers[event]) this._eventHandlers[event] = [];
-    return this;
-  }
-  
-  destroy() {
-    logger.warn(`[InternalSubscriber] ⚠️ writable set to FALSE in destroy() for ${this.id}`);
-    this.writable = false;
-    this.destroyed = true;
-    this.req.destroyed = true;
-    // Clear callbacks to prevent memory leaks
-    this._onData = () => {};
-    this._onEnd = () => {};
-    this._onError = () => {};
-    this.end();
-  }
-}
+const { InternalSubscriber } = require('./internalSubscriber');
 
 /**
  * BackgroundStream - Single background stream with auto-reconnect
@@ -290,6 +165,7 @@ class BackgroundStream {
       case 'quotes': return require('./quoteStreamManager');
       case 'positions': return require('./positionsStreamManager');
       case 'orders': return require('./ordersStreamManager');
+      case 'bars': return require('./barsStreamManager');
       default: return null;
     }
   }
@@ -312,12 +188,17 @@ class BackgroundStream {
       data
     };
     
-    // For positions streams, include account info from deps
-    if (this.streamType === 'positions' && this.deps) {
+    // For positions and orders streams, include account info from deps
+    if ((this.streamType === 'positions' || this.streamType === 'orders') && this.deps) {
       eventData.accountId = this.deps.accountId;
       eventData.paperTrading = this.deps.paperTrading;
     }
     
+    // For bars streams, include the chart parameters (ticker, interval, unit, barsback)
+    if (this.streamType === 'bars') {
+      eventData.deps = this.deps;
+    }
+    
     this.manager.emit('data', eventData);
   }
   
@@ -346,6 +227,7 @@ class BackgroundStream {
       if (this.shouldTripCircuitBreaker()) {
         logger.warn(`[BackgroundStream] Circuit breaker tripped due to ${this.recentFailures.length} rapid failures. Setting to idle: ${this.getKey()}`);
         this.status = 'idle';
+        this.emitFailure();
         return;
       }
     } else {
@@ -367,6 +249,7 @@ class BackgroundStream {
     if (this.shouldTripCircuitBreaker()) {
       logger.warn(`[BackgroundStream] Circuit breaker tripped due to ${this.recentFailures.length} rapid failures. Setting to idle: ${this.getKey()}`);
       this.status = 'idle';
+      this.emitFailure();
       return;
     }
     
@@ -388,6 +271,20 @@ class BackgroundStream {
     return this.recentFailures.length >= this.maxRecentFailures;
   }
   
+  /**
+   * Let engines notify the user that this stream went idle (no more reconnects)
+   */
+  emitFailure() {
+    this.manager.emit('streamFailure', {
+      userId: this.userId,
+      streamType: this.streamType,
+      key: this.getKey(),
+      deps: this.deps,
+      failures: this.recentFailures.length,
+      detectedAt: new Date().toISOString()
+    });
+  }
+  
   scheduleReconnect() {
     // CRITICAL: Do NOT reconnect if stream was permanently stopped
     // This prevents memory leaks when users close the website or alerts are deleted
@@ -505,7 +402,7 @@ class BackgroundStreamManager {
   }
   
   async startStreamsForUser(userId, config) {
-    const { quotes = [], positions = [], orders = [] } = config;
+    const { quotes = [], positions = [], orders = [], bars = [] } = config;
     
     for (const symbolsCsv of quotes) {
       const key = `${userId}|quotes|${symbolsCsv}`;
@@ -539,6 +436,15 @@ class BackgroundStreamManager {
       }
     }
     
+    for (const barDeps of bars) {
+      const key = `${userId}|bars|${JSON.stringify(barDeps)}`;
+      if (!this.streams.has(key)) {
+        const stream = new BackgroundStream(this, userId, 'bars', barDeps);
+        this.streams.set(key, stream);
+        await stream.start();
+      }
+    }
+    
     logger.info(`[BackgroundStreamManager] User ${userId} streams started. Total: ${this.streams.size}`);
   }
   
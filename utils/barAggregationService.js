@@ -0,0 +1,578 @@
+/**
+ * BarAggregationService - time, range, Renko and tick bars cut from one 1-minute series per symbol
+ *
+ * - One 1-minute source per symbol/session template, shared by all users: history comes from
+ *   the bar store (utils/barStore) and a single 1-minute bars stream (barsStreamManager) keeps
+ *   it current; closed bars from that stream are recorded in the bar store
+ * - One view per bar spec (utils/barAggregator) serves both getBars() (barcharts history) and
+ *   addSubscriber() (bars streams), so charts in different timeframes agree bar for bar
+ * - Daily/Weekly/Monthly, 1-minute bars, date-bounded history and minute intervals needing more
+ *   than MAX_BASE_BARS minutes of history stay on TradeStation (handles() returns false)
+ * - Off unless BAR_AGGREGATION=true
+ */
+
+const logger = require('../config/logging');
+const barStore = require('./barStore');
+const { InternalSubscriber } = require('./internalSubscriber');
+const {
+  PATH_BAR_TYPES,
+  parseBarSpec,
+  createSessionResolver,
+  getBucketEnd,
+  aggregateTimeBars,
+  getLastTimeBar,
+  createPathBarBuilder
+} = require('./barAggregator');
+
+const MAX_BASE_BARS = 10000; // 1-minute bars kept per source (about a week of futures)
+const PATH_HISTORY_MINUTES = 5000; // 1-minute history range, Renko and tick views are built from
+const DEFAULT_BARSBACK = 100;
+const BASE_STREAM_BARSBACK = 120; // Every (re)open of the 1-minute stream backfills two hours
+const HISTORY_TTL_MS = 60_000; // History of a source without a stream is refetched after this
+// History of a streaming source is refetched after this: a stream reopen only backfills BASE_STREAM_BARSBACK
+const STREAM_HISTORY_TTL_MS = BASE_STREAM_BARSBACK * 60_000;
+const MAX_VIEW_BARS = 2000; // Completed range/Renko/tick bars kept per view
+const IDLE_EVICT_MS = 30 * 60_000;
+const RECONNECT_DELAY_MS = 2000;
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+const createError = (message, status) => Object.assign(new Error(message), { status });
+
+const parseBarsBack = (barsback) => Math.min(parseInt(barsback, 10) || DEFAULT_BARSBACK, MAX_BASE_BARS);
+
+class BarAggregationService {
+  constructor() {
+    // "SYMBOL|sessiontemplate" -> source
+    this.sources = new Map();
+
+    this.stats = {
+      historyFetches: 0,
+      baseBarsApplied: 0,
+      barsServed: 0,
+      streamsOpened: 0,
+      reconnects: 0
+    };
+  }
+
+  isEnabled() {
+    return process.env.BAR_AGGREGATION === 'true';
+  }
+
+  /**
+   * Whether a barcharts request or stream with these parameters is served from 1-minute bars
+   */
+  handles({ unit, interval, barsback } = {}) {
+    if (!this.isEnabled()) return false;
+    const spec = parseBarSpec({ unit, interval });
+    if (!spec) return false;
+    // Invalid range/Renko/tick sizes are rejected here, TradeStation doesn't know these units
+    if (spec.error) return String(unit).toLowerCase() !== 'minute';
+    if (spec.type !== 'time') return true;
+    return spec.size > 1 && parseBarsBack(barsback) * spec.size <= MAX_BASE_BARS;
+  }
+
+  getSource(ticker, sessiontemplate) {
+    const symbol = String(ticker).toUpperCase();
+    const key = `${symbol}|${sessiontemplate || 'Default'}`;
+    let source = this.sources.get(key);
+    if (!source) {
+      this.pruneSources();
+      source = {
+        key,
+        symbol,
+        sessiontemplate: sessiontemplate || undefined,
+        resolveSession: createSessionResolver(symbol),
+        // { time, closed, bar } oldest first
+        bars: [],
+        historyDepth: 0,
+        fetchedAt: 0,
+        historyPromise: null,
+        sink: null,
+        // Time of the first bar the current 1-minute stream delivered
+        streamSince: null,
+        streamPromise: null,
+        ownerUserId: null,
+        pendingSubscribers: 0,
+        reconnectAttempts: 0,
+        reconnectTimer: null,
+        views: new Map(),
+        lastUsedAt: Date.now()
+      };
+      this.sources.set(key, source);
+    }
+    source.lastUsedAt = Date.now();
+    return source;
+  }
+
+  /**
+   * MEMORY SAFETY: Drop sources and views nobody streamed or requested recently
+   */
+  pruneSources() {
+    const cutoff = Date.now() - IDLE_EVICT_MS;
+    for (const [key, source] of this.sources) {
+      for (const [viewKey, view] of source.views) {
+        if (view.subscribers.size === 0 && view.lastUsedAt < cutoff) source.views.delete(viewKey);
+      }
+      if (!source.sink && source.pendingSubscribers === 0 && source.views.size === 0 && source.lastUsedAt < cutoff) {
+        this.sources.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Minutes of 1-minute history a view needs for `count` bars
+   */
+  historyMinutes(spec, count) {
+    if (spec.type === 'time') return Math.min(count * spec.size + spec.size, MAX_BASE_BARS);
+    return PATH_HISTORY_MINUTES;
+  }
+
+  /**
+   * Load 1-minute history unless the source already covers it (recently fetched, or fetched
+   * within the backfill window of the stream keeping it current)
+   */
+  async ensureHistory(userId, source, minutes) {
+    const isFresh = () => Date.now() - source.fetchedAt < (source.sink ? STREAM_HISTORY_TTL_MS : HISTORY_TTL_MS);
+    if (isFresh() && source.historyDepth >= minutes) return;
+
+    if (source.historyPromise) {
+      await source.historyPromise.catch(() => {});
+      if (isFresh() && source.historyDepth >= minutes) return;
+    }
+
+    source.historyPromise = (async () => {
+      this.stats.historyFetches++;
+      const bars = await barStore.getBars(userId, {
+        ticker: source.symbol,
+        unit: 'Minute',
+        interval: 1,
+        barsback: minutes,
+        sessiontemplate: source.sessiontemplate
+      });
+      for (const bar of bars) this.upsertBar(source, bar);
+      source.historyDepth = minutes;
+      source.fetchedAt = Date.now();
+    })();
+
+    try {
+      await source.historyPromise;
+    } finally {
+      source.historyPromise = null;
+    }
+  }
+
+  /**
+   * Merge a 1-minute bar into the source.
+   * The stream re-sends the forming bar on every update, so a bar with the same TimeStamp
+   * replaces the existing one; a newer TimeStamp closes the previous bar.
+   * @returns {{ time: number, closed: boolean, bar: object }|null}
+   */
+  upsertBar(source, bar) {
+    const time = Date.parse(bar && bar.TimeStamp);
+    if (!time) return null;
+    const entry = { time, closed: bar.BarStatus !== 'Open', bar };
+    const bars = source.bars;
+    const last = bars[bars.length - 1];
+
+    if (!last || time > last.time) {
+      if (last) last.closed = true;
+      bars.push(entry);
+      if (bars.length > MAX_BASE_BARS) bars.splice(0, bars.length - MAX_BASE_BARS);
+      return entry;
+    }
+
+    // Binary search for history merges and backfills
+    let low = 0;
+    let high = bars.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (bars[mid].time === time) {
+        bars[mid].bar = bar;
+        bars[mid].closed = entry.closed || mid < bars.length - 1;
+        return bars[mid];
+      }
+      if (bars[mid].time < time) low = mid + 1;
+      else high = mid - 1;
+    }
+    entry.closed = true;
+    bars.splice(low, 0, entry);
+    return entry;
+  }
+
+  getView(source, spec) {
+    let view = source.views.get(spec.key);
+    if (!view) {
+      view = {
+        spec,
+        // res -> userId
+        subscribers: new Map(),
+        builder: PATH_BAR_TYPES.includes(spec.type) ? createPathBarBuilder(spec, source.symbol) : null,
+        completed: [],
+        foldedThrough: 0,
+        lastBucket: null,
+        lastUsedAt: Date.now()
+      };
+      source.views.set(spec.key, view);
+    }
+    view.lastUsedAt = Date.now();
+    return view;
+  }
+
+  /**
+   * Feed closed 1-minute bars a range/Renko/tick view hasn't seen yet
+   * @returns {object[]} newly completed bars
+   */
+  foldView(source, view) {
+    const { bars } = source;
+    let start = bars.length;
+    while (start > 0 && bars[start - 1].time > view.foldedThrough) start--;
+
+    const completed = [];
+    for (let i = start; i < bars.length && bars[i].closed; i++) {
+      completed.push(...view.builder.add(bars[i]));
+      view.foldedThrough = bars[i].time;
+    }
+    if (completed.length > 0) {
+      view.completed.push(...completed);
+      if (view.completed.length > MAX_VIEW_BARS) view.completed.splice(0, view.completed.length - MAX_VIEW_BARS);
+    }
+    return completed;
+  }
+
+  /**
+   * Forming range/Renko/tick bar including the open 1-minute bar
+   */
+  getFormingBar(source, view) {
+    const last = source.bars[source.bars.length - 1];
+    if (!last || last.closed || last.time <= view.foldedThrough) return view.builder.current();
+    const preview = view.builder.clone();
+    const completed = preview.add(last);
+    // A bar the open minute would complete is shown as forming until the minute closes
+    return completed.length > 0 ? { ...completed[0], BarStatus: 'Open' } : preview.current();
+  }
+
+  /**
+   * Latest `count` bars of a view, oldest first
+   */
+  getViewBars(source, view, count) {
+    if (view.spec.type === 'time') {
+      const minutes = view.spec.size;
+      const entries = source.bars.slice(-(count * minutes + minutes));
+      return aggregateTimeBars(entries, minutes, source.resolveSession).slice(-count);
+    }
+
+    this.foldView(source, view);
+    const forming = this.getFormingBar(source, view);
+    const bars = forming ? [...view.completed, forming] : view.completed.slice();
+    return bars.slice(-count);
+  }
+
+  /**
+   * Aggregated bars for /marketdata/barcharts (same shape as TradeStation's Bars)
+   */
+  async getBars(userId, { ticker, interval, unit, barsback, sessiontemplate }) {
+    const spec = parseBarSpec({ unit, interval });
+    if (!spec || spec.error) throw createError(spec ? spec.error : `Unsupported unit: ${unit}`, 400);
+
+    const count = parseBarsBack(barsback);
+    const source = this.getSource(ticker, sessiontemplate);
+    await this.ensureHistory(String(userId), source, this.historyMinutes(spec, count));
+
+    const bars = this.getViewBars(source, this.getView(source, spec), count);
+    this.stats.barsServed += bars.length;
+    return bars;
+  }
+
+  /**
+   * Stream aggregated bars: history (last bar flagged IsEndOfHistory) then live updates.
+   * Same contract as barsStreamManager.addSubscriber (errors go to res.status().json()).
+   */
+  async addSubscriber(userId, { ticker, interval, unit, barsback, sessiontemplate }, res) {
+    const respondError = (status, payload) => {
+      try { res.setHeader('Content-Type', 'application/json'); } catch (_) {}
+      try { return res.status(status).json(payload); } catch (_) { try { res.end(); } catch (_) {} }
+    };
+
+    const spec = parseBarSpec({ unit, interval });
+    if (!spec || spec.error) return respondError(400, { error: spec ? spec.error : `Unsupported unit: ${unit}` });
+
+    const count = parseBarsBack(barsback);
+    const source = this.getSource(ticker, sessiontemplate);
+    userId = String(userId);
+
+    let failure = null;
+    source.pendingSubscribers++;
+    try {
+      const opened = await this.ensureStream(source, userId);
+      if (opened.error) {
+        failure = opened;
+      } else {
+        try {
+          await this.ensureHistory(userId, source, this.historyMinutes(spec, count));
+        } catch (err) {
+          logger.warn(`[BarAggregation] History fetch failed for ${source.key}: ${err.message}`);
+          if (source.bars.length === 0) failure = { status: err.status || 502, response: { error: err.message } };
+        }
+      }
+    } finally {
+      source.pendingSubscribers--;
+    }
+
+    if (failure || res.req?.aborted || res.req?.destroyed || res.finished || res.writableEnded) {
+      this.maybeCloseStream(source);
+      if (failure) return respondError(failure.status, failure.response);
+      try { res.end(); } catch (_) {}
+      return;
+    }
+
+    const view = this.getView(source, spec);
+    const bars = this.getViewBars(source, view, count);
+    if (bars.length > 0) bars[bars.length - 1] = { ...bars[bars.length - 1], IsEndOfHistory: true };
+    if (view.spec.type === 'time' && bars.length > 0) {
+      view.lastBucket = Math.max(view.lastBucket || 0, bars[bars.length - 1].Epoch);
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    if (bars.length > 0) {
+      try { res.write(bars.map(bar => JSON.stringify(bar)).join('\n') + '\n'); } catch (_) {}
+      this.stats.barsServed += bars.length;
+    }
+    view.subscribers.set(res, userId);
+
+    let cleanupDone = false;
+    const onClose = () => {
+      if (cleanupDone) return;
+      cleanupDone = true;
+      view.subscribers.delete(res);
+      view.lastUsedAt = Date.now();
+      this.maybeCloseStream(source);
+    };
+    res.once('close', onClose);
+    res.once('finish', onClose);
+    res.once('error', onClose);
+    if (res.req) {
+      res.req.once('close', () => { if (!res.writableEnded && !res.finished) onClose(); });
+      res.req.once('aborted', () => { if (!res.writableEnded && !res.finished) onClose(); });
+    }
+  }
+
+  /**
+   * Open the source's 1-minute stream with a subscriber's token
+   * @returns {Promise<{ error?: true, status?: number, response?: object }>}
+   */
+  async ensureStream(source, userId) {
+    if (source.sink) return {};
+    if (source.streamPromise) return source.streamPromise;
+
+    source.streamPromise = (async () => {
+      const sink = new InternalSubscriber(
+        (lines) => this.handleBaseLines(source, sink, lines),
+        (endedSink) => this.handleBaseEnd(source, endedSink),
+        undefined,
+        { lines: true, idPrefix: 'agg' }
+      );
+      source.streamSince = null;
+      const barsStreamManager = require('./barsStreamManager');
+      await barsStreamManager.addSubscriber(userId, {
+        ticker: source.symbol,
+        interval: '1',
+        unit: 'Minute',
+        barsback: String(BASE_STREAM_BARSBACK),
+        sessiontemplate: source.sessiontemplate
+      }, sink);
+
+      if (sink.errorPayload || sink.writableEnded) {
+        return { error: true, status: sink.errorPayload ? sink.statusCode : 502, response: sink.errorPayload || { error: 'Bars stream closed while opening' } };
+      }
+      source.sink = sink;
+      source.ownerUserId = userId;
+      source.reconnectAttempts = 0;
+      this.stats.streamsOpened++;
+      logger.info(`[BarAggregation] 1-minute stream open for ${source.key} (user ${userId})`);
+      return {};
+    })();
+
+    try {
+      return await source.streamPromise;
+    } finally {
+      source.streamPromise = null;
+    }
+  }
+
+  hasSubscribers(source) {
+    for (const view of source.views.values()) {
+      if (view.subscribers.size > 0) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Close the 1-minute stream once no aggregated stream uses it
+   */
+  maybeCloseStream(source) {
+    if (source.pendingSubscribers > 0 || this.hasSubscribers(source)) return;
+    if (source.reconnectTimer) {
+      clearTimeout(source.reconnectTimer);
+      source.reconnectTimer = null;
+    }
+    const sink = source.sink;
+    source.sink = null;
+    // Keep the bars as recently fetched history
+    source.fetchedAt = Date.now();
+    if (sink) sink.end();
+  }
+
+  handleBaseLines(source, sink, lines) {
+    // Lines from a superseded stream
+    if (source.sink && sink !== source.sink) return;
+
+    const passthrough = [];
+    const closed = [];
+    for (const line of lines) {
+      let data;
+      try { data = JSON.parse(line); } catch (_) { continue; }
+      if (data.LateJoin) continue;
+      if (data.Heartbeat || data.Error) {
+        passthrough.push(line);
+        continue;
+      }
+
+      const entry = this.upsertBar(source, data);
+      if (!entry) continue;
+      if (!source.streamSince) source.streamSince = entry.time;
+      if (data.BarStatus === 'Closed') closed.push(data);
+      this.stats.baseBarsApplied++;
+      this.applyUpdate(source, entry);
+    }
+
+    if (passthrough.length > 0) {
+      for (const view of source.views.values()) this.writeToView(view, passthrough);
+    }
+    if (closed.length > 0) this.recordClosedBars(source, closed);
+  }
+
+  /**
+   * Store closed 1-minute bars; the stream has no gaps since its first bar
+   */
+  recordClosedBars(source, bars) {
+    barStore.recordStreamBars({
+      ticker: source.symbol,
+      unit: 'Minute',
+      interval: 1,
+      sessiontemplate: source.sessiontemplate
+    }, bars, source.streamSince).catch((error) => {
+      logger.warn(`[BarAggregation] Failed to record 1-minute bars for ${source.key}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Push the bars a 1-minute update changed to each streamed view
+   */
+  applyUpdate(source, entry) {
+    for (const view of source.views.values()) {
+      if (view.subscribers.size === 0) continue;
+      const bars = [];
+
+      if (view.spec.type === 'time') {
+        const minutes = view.spec.size;
+        const bucketEnd = getBucketEnd(source.resolveSession, entry.time, minutes);
+        if (view.lastBucket && bucketEnd > view.lastBucket) {
+          // The previous period is complete now
+          const previous = getLastTimeBar(source.bars, minutes, source.resolveSession, view.lastBucket);
+          if (previous) bars.push(previous);
+        }
+        const current = getLastTimeBar(source.bars, minutes, source.resolveSession, bucketEnd);
+        if (current) bars.push(current);
+        view.lastBucket = Math.max(view.lastBucket || 0, bucketEnd);
+      } else {
+        bars.push(...this.foldView(source, view));
+        const forming = this.getFormingBar(source, view);
+        if (forming) bars.push(forming);
+      }
+
+      if (bars.length > 0) this.writeToView(view, bars.map(bar => JSON.stringify(bar)));
+    }
+  }
+
+  writeToView(view, lines) {
+    const chunk = lines.join('\n') + '\n';
+    for (const res of Array.from(view.subscribers.keys())) {
+      if (!res.writable || res.writableEnded || res.finished || res.destroyed) {
+        view.subscribers.delete(res);
+        continue;
+      }
+      try { res.write(chunk); } catch (_) { view.subscribers.delete(res); }
+    }
+  }
+
+  /**
+   * 1-minute stream dropped: reconnect with a subscriber's token, end the streams after repeated failures
+   */
+  handleBaseEnd(source, sink) {
+    if (sink !== source.sink) return;
+    source.sink = null;
+    source.fetchedAt = Date.now();
+    if (!this.hasSubscribers(source)) return;
+    this.scheduleReconnect(source);
+  }
+
+  scheduleReconnect(source) {
+    source.reconnectAttempts++;
+    if (source.reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
+      logger.warn(`[BarAggregation] 1-minute stream for ${source.key} could not be reopened, ending aggregated streams`);
+      for (const view of source.views.values()) {
+        for (const res of Array.from(view.subscribers.keys())) {
+          view.subscribers.delete(res);
+          try { res.end(); } catch (_) {}
+        }
+      }
+      return;
+    }
+
+    this.stats.reconnects++;
+    source.reconnectTimer = setTimeout(async () => {
+      source.reconnectTimer = null;
+      if (!this.hasSubscribers(source) || source.sink) return;
+
+      const users = new Set();
+      for (const view of source.views.values()) {
+        for (const userId of view.subscribers.values()) users.add(userId);
+      }
+      const userId = users.has(source.ownerUserId) ? source.ownerUserId : users.values().next().value;
+      const opened = await this.ensureStream(source, userId);
+      if (opened.error) {
+        logger.warn(`[BarAggregation] Reopen failed for ${source.key} (${opened.status})`);
+        this.scheduleReconnect(source);
+      } else {
+        // A concurrent maybeCloseStream may have left nobody listening
+        this.maybeCloseStream(source);
+      }
+    }, RECONNECT_DELAY_MS * source.reconnectAttempts);
+    if (source.reconnectTimer.unref) source.reconnectTimer.unref();
+  }
+
+  getStats() {
+    let views = 0;
+    let subscribers = 0;
+    let streams = 0;
+    for (const source of this.sources.values()) {
+      views += source.views.size;
+      if (source.sink) streams++;
+      for (const view of source.views.values()) subscribers += view.subscribers.size;
+    }
+    return {
+      ...this.stats,
+      sources: this.sources.size,
+      views,
+      subscribers,
+      baseStreams: streams
+    };
+  }
+}
+
+// Singleton instance
+const barAggregationService = new BarAggregationService();
+
+module.exports = barAggregationService;
@@ -0,0 +1,394 @@
+/**
+ * Bar aggregation - build larger bars from TradeStation 1-minute bars
+ *
+ * Bar types (`unit` / `interval`, as on /marketdata/barcharts):
+ * - Minute: time bars of `interval` minutes (2, 3, 5, 15, 60, 240...), aligned to the start of
+ *   the exchange session (utils/sessionCalendar) and cut at its end
+ * - Range: bars spanning `interval` points from low to high
+ * - Renko: bricks of `interval` points (a reversal needs a two brick move)
+ * - Tick: bars of at least `interval` ticks, counted from each minute's TotalTicks
+ *
+ * TradeStation streams no ticks, so range and Renko bars walk each minute along
+ * open -> nearer extreme -> other extreme -> close (completion times are interpolated along
+ * that path) and tick bars close on minute boundaries. Output bars use the TradeStation
+ * shape: string prices and volumes, TimeStamp is the bar close.
+ *
+ * Base bars are `{ time, closed, bar }` entries, oldest first, where `time` is the
+ * 1-minute bar's close in ms and `bar` the TradeStation bar.
+ */
+
+const moment = require('moment-timezone');
+const { getCurrentSession, MARKET_TIMEZONE } = require('./sessionCalendar');
+const { getContractSpec } = require('./contractRegistry');
+
+const MINUTE_MS = 60000;
+const MAX_TIME_BAR_MINUTES = 1440;
+const MAX_TICK_BAR_SIZE = 1000000;
+// Guards against sizes far below the price movement (e.g. a 0.0001 range on an index future)
+const MAX_BARS_PER_MINUTE = 500;
+
+const PATH_BAR_TYPES = ['range', 'renko', 'tick'];
+const SUM_FIELDS = ['TotalVolume', 'UpVolume', 'DownVolume', 'UpTicks', 'DownTicks', 'TotalTicks', 'UnchangedTicks', 'UnchangedVolume'];
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+// TradeStation timestamps carry no milliseconds
+const toTimeStamp = (time) => new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+/**
+ * Parse unit/interval into a bar spec
+ * @returns {{ type: 'time'|'range'|'renko'|'tick', size: number, key: string }|{ error: string }|null}
+ *   null for units that are not aggregated (Daily, Weekly, Monthly)
+ */
+function parseBarSpec({ unit, interval } = {}) {
+  const type = String(unit || '').toLowerCase();
+  const size = Number(interval);
+
+  if (type === 'minute') {
+    if (!Number.isInteger(size) || size < 1 || size > MAX_TIME_BAR_MINUTES) {
+      return { error: `interval must be a whole number of minutes between 1 and ${MAX_TIME_BAR_MINUTES}` };
+    }
+    return { type: 'time', size, key: `time:${size}` };
+  }
+  if (type === 'range' || type === 'renko') {
+    if (!Number.isFinite(size) || size <= 0) return { error: `interval must be a positive ${type} size in points` };
+    return { type, size, key: `${type}:${size}` };
+  }
+  if (type === 'tick') {
+    if (!Number.isInteger(size) || size < 1 || size > MAX_TICK_BAR_SIZE) {
+      return { error: `interval must be a whole number of ticks between 1 and ${MAX_TICK_BAR_SIZE}` };
+    }
+    return { type, size, key: `tick:${size}` };
+  }
+  return null;
+}
+
+/**
+ * Session lookup for bucketing a symbol's bars (futures: CME Globex, otherwise US equities
+ * including extended hours). Caches the last session since bars arrive in order.
+ * @returns {(time: number) => { start: number, end: number }}
+ */
+function createSessionResolver(symbol) {
+  const market = getContractSpec(symbol) ? 'futures' : 'equities';
+  let cached = null;
+
+  return (time) => {
+    if (cached && time >= cached.start && time < cached.end) return cached;
+    const session = getCurrentSession(market, new Date(time), { extended: true });
+    if (session) {
+      cached = { start: session.start.getTime(), end: session.end.getTime() };
+    } else {
+      // Outside the calendar (e.g. weekend bars of a 24 hour session template): align to the day
+      const day = moment(time).tz(MARKET_TIMEZONE).startOf('day');
+      cached = { start: day.valueOf(), end: day.clone().add(1, 'day').valueOf() };
+    }
+    return cached;
+  };
+}
+
+/**
+ * Close time of the time bar a 1-minute bar belongs to
+ */
+function getBucketEnd(resolveSession, time, minutes) {
+  const openTime = time - MINUTE_MS;
+  const session = resolveSession(openTime);
+  const length = minutes * MINUTE_MS;
+  const index = Math.floor((openTime - session.start) / length);
+  return Math.min(session.start + (index + 1) * length, session.end);
+}
+
+/**
+ * Merge consecutive 1-minute bars into one bar closing at `endTime`
+ */
+function mergeBars(entries, endTime, status) {
+  const first = entries[0].bar;
+  const last = entries[entries.length - 1].bar;
+  let high = first.High;
+  let low = first.Low;
+  const sums = Object.fromEntries(SUM_FIELDS.map(field => [field, 0]));
+
+  for (const { bar } of entries) {
+    if (toNumber(bar.High) > toNumber(high)) high = bar.High;
+    if (toNumber(bar.Low) < toNumber(low)) low = bar.Low;
+    for (const field of SUM_FIELDS) sums[field] += toNumber(bar[field]);
+  }
+
+  return {
+    High: high,
+    Low: low,
+    Open: first.Open,
+    Close: last.Close,
+    TimeStamp: toTimeStamp(endTime),
+    Epoch: endTime,
+    ...Object.fromEntries(SUM_FIELDS.map(field => [field, String(sums[field])])),
+    OpenInterest: last.OpenInterest,
+    IsRealtime: !!last.IsRealtime,
+    IsEndOfHistory: false,
+    BarStatus: status
+  };
+}
+
+/**
+ * Time bars from 1-minute bars
+ * @returns {object[]} oldest first; the last bar is Open while its period is still forming
+ */
+function aggregateTimeBars(entries, minutes, resolveSession) {
+  const bars = [];
+  let group = [];
+  let groupEnd = null;
+
+  const flush = (isLast) => {
+    if (group.length === 0) return;
+    const last = group[group.length - 1];
+    const complete = !isLast || (last.closed && last.time >= groupEnd);
+    bars.push(mergeBars(group, groupEnd, complete ? 'Closed' : 'Open'));
+  };
+
+  for (const entry of entries) {
+    const end = getBucketEnd(resolveSession, entry.time, minutes);
+    if (end !== groupEnd) {
+      flush(false);
+      group = [];
+      groupEnd = end;
+    }
+    group.push(entry);
+  }
+  flush(true);
+  return bars;
+}
+
+/**
+ * The time bar containing the last 1-minute bar, scanning back from the end
+ */
+function getLastTimeBar(entries, minutes, resolveSession, endTime = null) {
+  if (entries.length === 0) return null;
+  const groupEnd = endTime || getBucketEnd(resolveSession, entries[entries.length - 1].time, minutes);
+
+  let index = entries.length - 1;
+  while (index >= 0 && entries[index].time > groupEnd) index--;
+  const group = [];
+  for (let i = index; i >= 0 && getBucketEnd(resolveSession, entries[i].time, minutes) === groupEnd; i--) {
+    group.unshift(entries[i]);
+  }
+  if (group.length === 0) return null;
+
+  const last = group[group.length - 1];
+  const complete = index < entries.length - 1 || (last.closed && last.time >= groupEnd);
+  return mergeBars(group, groupEnd, complete ? 'Closed' : 'Open');
+}
+
+/**
+ * Shared state for range, Renko and tick bars: the forming bar, fed minute by minute
+ */
+class PathBarBuilder {
+  constructor(spec, { tickSize = null } = {}) {
+    this.spec = spec;
+    this.tickSize = tickSize;
+    this.forming = null;
+    this.lastTime = 0;
+    this.lastPrice = null;
+  }
+
+  clone() {
+    const copy = Object.create(Object.getPrototypeOf(this));
+    Object.assign(copy, this);
+    copy.forming = this.forming ? { ...this.forming, sums: { ...this.forming.sums } } : null;
+    return copy;
+  }
+
+  round(price) {
+    if (this.tickSize) return Math.round(price / this.tickSize) * this.tickSize;
+    return Math.round(price * 1e8) / 1e8;
+  }
+
+  formatPrice(price) {
+    const rounded = this.round(price);
+    if (!this.tickSize) return String(rounded);
+    const decimals = (String(this.tickSize).split('.')[1] || '').length;
+    return rounded.toFixed(decimals);
+  }
+
+  startBar(price, time) {
+    this.forming = { open: price, high: price, low: price, close: price, time, sums: Object.fromEntries(SUM_FIELDS.map(field => [field, 0])), bar: null };
+  }
+
+  addShare(entry, share) {
+    if (!this.forming || share <= 0) return;
+    for (const field of SUM_FIELDS) this.forming.sums[field] += toNumber(entry.bar[field]) * share;
+    this.forming.bar = entry.bar;
+  }
+
+  toBar(state, status) {
+    return {
+      High: this.formatPrice(state.high),
+      Low: this.formatPrice(state.low),
+      Open: this.formatPrice(state.open),
+      Close: this.formatPrice(state.close),
+      TimeStamp: toTimeStamp(state.time),
+      Epoch: state.time,
+      ...Object.fromEntries(SUM_FIELDS.map(field => [field, String(Math.round(state.sums[field]))])),
+      OpenInterest: state.bar ? state.bar.OpenInterest : undefined,
+      IsRealtime: !!(state.bar && state.bar.IsRealtime),
+      IsEndOfHistory: false,
+      BarStatus: status
+    };
+  }
+
+  /**
+   * Forming bar as an Open bar, null before the first minute
+   */
+  current() {
+    return this.forming ? this.toBar(this.forming, 'Open') : null;
+  }
+}
+
+/**
+ * Range and Renko bars: walk each minute's price path and close bars at the size boundary
+ */
+class PriceBarBuilder extends PathBarBuilder {
+  constructor(spec, options) {
+    super(spec, options);
+    // Renko: bounds of the last brick (the next brick closes one brick size beyond them)
+    this.brickLow = null;
+    this.brickHigh = null;
+  }
+
+  /**
+   * Fold one closed 1-minute bar
+   * @returns {object[]} bars completed by this minute
+   */
+  add(entry) {
+    const { bar, time } = entry;
+    const open = toNumber(bar.Open);
+    const high = toNumber(bar.High);
+    const low = toNumber(bar.Low);
+    const close = toNumber(bar.Close);
+    const path = close >= open ? [open, low, high, close] : [open, high, low, close];
+    // Gaps from the previous close are walked too
+    if (this.lastPrice !== null) path.unshift(this.lastPrice);
+    const distance = path.slice(1).reduce((sum, price, i) => sum + Math.abs(price - path[i]), 0);
+
+    const completed = [];
+    const minuteStart = time - MINUTE_MS;
+    let consumed = 0;
+    let travelled = 0;
+
+    if (!this.forming) {
+      this.startBar(this.round(path[0]), minuteStart);
+      this.brickLow = this.brickHigh = this.forming.open;
+    }
+
+    const complete = (price, position, direction) => {
+      this.addShare(entry, distance > 0 ? (position - consumed) / distance : 0);
+      consumed = position;
+
+      const state = this.forming;
+      state.close = price;
+      if (this.spec.type === 'renko') {
+        // Bricks span exactly one brick size and have no wicks
+        state.open = direction > 0 ? this.brickHigh : this.brickLow;
+        state.high = Math.max(state.open, price);
+        state.low = Math.min(state.open, price);
+        if (direction > 0) {
+          this.brickLow = this.brickHigh;
+          this.brickHigh = price;
+        } else {
+          this.brickHigh = this.brickLow;
+          this.brickLow = price;
+        }
+      } else {
+        state.high = Math.max(state.high, price);
+        state.low = Math.min(state.low, price);
+      }
+
+      // Completion time interpolated along the minute, strictly after the previous bar
+      const at = Math.floor((minuteStart + (distance > 0 ? position / distance : 1) * MINUTE_MS) / 1000) * 1000;
+      state.time = Math.max(at, this.lastTime + 1000);
+      this.lastTime = state.time;
+      completed.push(this.toBar(state, 'Closed'));
+      this.startBar(price, state.time);
+    };
+
+    for (let i = 1; i < path.length; i++) {
+      const from = path[i - 1];
+      const to = path[i];
+      const direction = to > from ? 1 : -1;
+      let price = from;
+
+      while (to !== price && completed.length < MAX_BARS_PER_MINUTE) {
+        const target = this.nextTarget(direction);
+        const reached = direction > 0 ? target > price && to >= target - 1e-9 : target < price && to <= target + 1e-9;
+        if (!reached) break;
+        complete(target, travelled + Math.abs(target - from), direction);
+        price = target;
+      }
+
+      this.forming.high = Math.max(this.forming.high, to);
+      this.forming.low = Math.min(this.forming.low, to);
+      travelled += Math.abs(to - from);
+    }
+
+    this.addShare(entry, distance > 0 ? (distance - consumed) / distance : 1);
+    this.forming.close = close;
+    this.forming.time = Math.max(time, this.lastTime);
+    this.lastPrice = close;
+    return completed;
+  }
+
+  /**
+   * Price at which the forming bar completes when moving in `direction`
+   */
+  nextTarget(direction) {
+    const size = this.spec.size;
+    if (this.spec.type === 'range') {
+      return this.round(direction > 0 ? this.forming.low + size : this.forming.high - size);
+    }
+    return this.round(direction > 0 ? this.brickHigh + size : this.brickLow - size);
+  }
+}
+
+/**
+ * Tick bars: whole minutes until the tick count is reached
+ */
+class TickBarBuilder extends PathBarBuilder {
+  add(entry) {
+    const { bar, time } = entry;
+    if (!this.forming) this.startBar(toNumber(bar.Open), time - MINUTE_MS);
+    this.forming.high = Math.max(this.forming.high, toNumber(bar.High));
+    this.forming.low = Math.min(this.forming.low, toNumber(bar.Low));
+    this.forming.close = toNumber(bar.Close);
+    this.forming.time = time;
+    this.addShare(entry, 1);
+    this.lastPrice = this.forming.close;
+    this.lastTime = time;
+
+    const ticks = this.forming.sums.TotalTicks || (this.forming.sums.UpTicks + this.forming.sums.DownTicks + this.forming.sums.UnchangedTicks);
+    if (ticks < this.spec.size) return [];
+    const completed = this.toBar(this.forming, 'Closed');
+    this.forming = null;
+    return [completed];
+  }
+}
+
+/**
+ * Builder for range, Renko or tick bars
+ * @param {{ type: string, size: number }} spec
+ * @param {string} symbol - Prices are rounded to the contract tick size when known
+ */
+function createPathBarBuilder(spec, symbol) {
+  const contract = getContractSpec(symbol);
+  const options = { tickSize: contract ? contract.tickSize : null };
+  return spec.type === 'tick' ? new TickBarBuilder(spec, options) : new PriceBarBuilder(spec, options);
+}
+
+module.exports = {
+  MINUTE_MS,
+  PATH_BAR_TYPES,
+  parseBarSpec,
+  toTimeStamp,
+  createSessionResolver,
+  getBucketEnd,
+  aggregateTimeBars,
+  getLastTimeBar,
+  createPathBarBuilder
+};
@@ -0,0 +1,409 @@
+/**
+ * BarStore - local copy of TradeStation barcharts history with gap filling
+ *
+ * - Bars are kept per series (symbol, unit, interval, session template) in market_bars;
+ *   market_bar_ranges records the time ranges known to be complete, everything else is a gap
+ * - getBars() answers from the series' latest range: only the tail since its last bar is
+ *   fetched (firstdate), and when it holds fewer bars than asked for the missing head is
+ *   backfilled (lastdate + barsback), merging into older ranges as gaps close
+ * - The shared 1-minute bars stream (barAggregationService) records closed bars as they come in
+ * - Daily, weekly and monthly equity history is adjusted for splits and dividends after the fact,
+ *   so those series are dropped and fetched fresh once their oldest bars are ADJUSTED_HISTORY_MAX_AGE_MS
+ *   old (futures history is never adjusted and is kept)
+ * - Minute bars older than INTRADAY_RETENTION_DAYS are pruned; BAR_STORE=false turns the store off
+ * - Database failures fall back to a plain TradeStation request
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+const { tradestationRequest } = require('./tradestationProxy');
+const { getContractSpec } = require('./contractRegistry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_MS = {
+  Minute: 60 * 1000,
+  Daily: DAY_MS,
+  Weekly: 7 * DAY_MS,
+  Monthly: 31 * DAY_MS
+};
+const DEFAULT_BARSBACK = 1; // TradeStation's default
+const MAX_BARSBACK = 57600; // TradeStation's limit per request
+const TAIL_REFRESH_MS = 10_000; // A range's tail is refetched when last checked longer ago than this
+const MAX_TAIL_GAP_BARS = 5000; // Further behind than this (or barsback) the series is fetched fresh
+const MAX_BACKFILL_PASSES = 3;
+const MAX_HISTORY_STARTS = 1000; // Series remembered as having no older bars (oldest forgotten first)
+const ADJUSTED_HISTORY_MAX_AGE_MS = DAY_MS;
+const INTRADAY_RETENTION_DAYS = 90;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const createError = (message, status) => Object.assign(new Error(message), { status });
+
+const normalizeUnit = (unit) => {
+  const value = String(unit || 'Daily').toLowerCase();
+  return Object.keys(UNIT_MS).find(name => name.toLowerCase() === value) || null;
+};
+
+const toIso = (time) => new Date(time).toISOString().replace('.000Z', 'Z');
+
+class BarStore {
+  constructor() {
+    // series key -> promise of the last queued operation
+    this.locks = new Map();
+    // series key -> start time of a range TradeStation had no older bars for
+    this.historyStarts = new Map();
+    this.lastPruneAt = 0;
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      tailFetches: 0,
+      backfills: 0,
+      refreshes: 0,
+      barsFetched: 0,
+      streamBarsRecorded: 0,
+      fallbacks: 0
+    };
+  }
+
+  isEnabled() {
+    return process.env.BAR_STORE !== 'false';
+  }
+
+  /**
+   * Whether barcharts requests with these parameters can be answered from the store
+   */
+  supports({ unit, interval } = {}) {
+    if (!this.isEnabled()) return false;
+    const name = normalizeUnit(unit);
+    if (!name) return false;
+    const size = interval === undefined || interval === '' ? 1 : Number(interval);
+    if (!Number.isInteger(size)) return false;
+    return name === 'Minute' ? size >= 1 && size <= 1440 : size === 1;
+  }
+
+  getSeries({ ticker, unit, interval, sessiontemplate }) {
+    const series = {
+      symbol: String(ticker).toUpperCase(),
+      unit: normalizeUnit(unit),
+      interval: interval === undefined || interval === '' ? 1 : Number(interval),
+      sessionTemplate: sessiontemplate || 'Default'
+    };
+    series.key = `${series.symbol}|${series.unit}|${series.interval}|${series.sessionTemplate}`;
+    series.barMs = UNIT_MS[series.unit] * series.interval;
+    series.adjusted = series.unit !== 'Minute' && !getContractSpec(series.symbol);
+    return series;
+  }
+
+  seriesParams(series) {
+    return [series.symbol, series.unit, series.interval, series.sessionTemplate];
+  }
+
+  /**
+   * Latest `barsback` bars of a series, oldest first (same shape as TradeStation's Bars)
+   */
+  async getBars(userId, params) {
+    if (!this.supports(params)) {
+      throw createError(`Unsupported bar interval: ${params.interval} ${params.unit}`, 400);
+    }
+    const series = this.getSeries(params);
+    const count = Math.min(parseInt(params.barsback, 10) || DEFAULT_BARSBACK, MAX_BARSBACK);
+
+    try {
+      return await this.withLock(series.key, () => this.loadBars(userId, series, count));
+    } catch (error) {
+      // TradeStation errors carry a status, anything else is the database
+      if (error.status) throw error;
+      logger.warn(`[BarStore] Falling back to TradeStation for ${series.key}: ${error.message}`);
+      this.stats.fallbacks++;
+      return this.fetchBars(userId, series, { barsback: count });
+    }
+  }
+
+  async loadBars(userId, series, count) {
+    this.maybePrune();
+
+    let range = await this.getLatestRange(series);
+    const now = Date.now();
+
+    if (range && series.adjusted && now - range.fetchedAt >= ADJUSTED_HISTORY_MAX_AGE_MS) {
+      // Stored equity bars may predate a split or dividend adjustment
+      this.stats.refreshes++;
+      await this.deleteSeries(series);
+      range = null;
+    }
+
+    if (!range || (now - range.end) / series.barMs > Math.max(count, MAX_TAIL_GAP_BARS)) {
+      // Nothing stored yet, or so far behind that the tail would be larger than the request
+      this.stats.misses++;
+      const bars = await this.fetchBars(userId, series, { barsback: count });
+      if (bars.length > 0) {
+        await this.storeBars(series, bars);
+        await this.mergeRange(series, Date.parse(bars[0].TimeStamp), Date.parse(bars[bars.length - 1].TimeStamp), true);
+      }
+      return bars;
+    }
+
+    if (now - range.checkedAt >= TAIL_REFRESH_MS) {
+      // Refetch from the last stored bar on, it may have been the forming bar
+      this.stats.tailFetches++;
+      const bars = await this.fetchBars(userId, series, { firstdate: toIso(range.end) });
+      await this.storeBars(series, bars);
+      const last = bars.length > 0 ? Date.parse(bars[bars.length - 1].TimeStamp) : 0;
+      range = await this.mergeRange(series, range.start, Math.max(range.end, last), true);
+    }
+
+    let rows = await this.readBars(series, range, count);
+    if (rows.length >= count) this.stats.hits++;
+
+    for (let pass = 0; pass < MAX_BACKFILL_PASSES && rows.length < count; pass++) {
+      if (this.historyStarts.get(series.key) === range.start) break;
+      this.stats.backfills++;
+      const missing = count - rows.length;
+      const previous = await this.getPreviousRange(series, range.start);
+
+      if (previous && (range.start - previous.end) / series.barMs <= Math.max(missing, MAX_TAIL_GAP_BARS)) {
+        // Close the gap to the previous range, the merged range may already hold enough bars
+        const bars = await this.fetchBars(userId, series, { firstdate: toIso(previous.end), lastdate: toIso(range.start) });
+        await this.storeBars(series, bars);
+        range = await this.mergeRange(series, previous.end, range.start, false);
+      } else {
+        const bars = await this.fetchBars(userId, series, { barsback: missing + 1, lastdate: toIso(range.start) });
+        await this.storeBars(series, bars);
+        const first = bars.length > 0 ? Date.parse(bars[0].TimeStamp) : range.start;
+        range = await this.mergeRange(series, Math.min(first, range.start), range.start, false);
+        // Fewer bars than asked for: TradeStation has nothing older
+        if (bars.length <= missing) this.setHistoryStart(series.key, range.start);
+      }
+      rows = await this.readBars(series, range, count);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Record closed bars from a bars stream that has been connected since `since`
+   */
+  async recordStreamBars(params, bars, since) {
+    if (!this.isEnabled() || bars.length === 0) return;
+    const series = this.getSeries(params);
+    const last = Date.parse(bars[bars.length - 1].TimeStamp);
+    if (!since || !last) return;
+
+    await this.withLock(series.key, async () => {
+      await this.storeBars(series, bars);
+      await this.mergeRange(series, Math.min(since, last), last, true);
+      this.stats.streamBarsRecorded += bars.length;
+    });
+  }
+
+  async fetchBars(userId, series, query) {
+    const result = await tradestationRequest(userId, {
+      method: 'GET',
+      path: `/marketdata/barcharts/${encodeURIComponent(series.symbol)}`,
+      query: {
+        unit: series.unit,
+        interval: series.interval,
+        sessiontemplate: series.sessionTemplate === 'Default' ? undefined : series.sessionTemplate,
+        ...query
+      }
+    });
+    if (!result.ok) {
+      throw createError(result.data?.Message || `TradeStation barcharts request failed (${result.status})`, result.status);
+    }
+    const bars = result.data?.Bars || [];
+    this.stats.barsFetched += bars.length;
+    return bars;
+  }
+
+  async storeBars(series, bars) {
+    const rows = bars.filter(bar => bar && Date.parse(bar.TimeStamp));
+    if (rows.length === 0) return;
+
+    await pool.query(`
+      INSERT INTO market_bars (symbol, unit, bar_interval, session_template, bar_time, bar_status, data)
+      SELECT $1, $2, $3, $4, t.bar_time, t.bar_status, t.data
+      FROM unnest($5::timestamptz[], $6::text[], $7::jsonb[]) AS t(bar_time, bar_status, data)
+      ON CONFLICT (symbol, unit, bar_interval, session_template, bar_time)
+      DO UPDATE SET
+        bar_status = EXCLUDED.bar_status,
+        data = EXCLUDED.data,
+        updated_at = NOW()
+    `, [
+      ...this.seriesParams(series),
+      rows.map(bar => new Date(Date.parse(bar.TimeStamp))),
+      rows.map(bar => bar.BarStatus || null),
+      rows.map(bar => JSON.stringify(bar))
+    ]);
+  }
+
+  /**
+   * Remember that a series has no bars older than `start` (bounded, oldest entry evicted)
+   */
+  setHistoryStart(key, start) {
+    this.historyStarts.delete(key);
+    this.historyStarts.set(key, start);
+    if (this.historyStarts.size > MAX_HISTORY_STARTS) {
+      this.historyStarts.delete(this.historyStarts.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop every stored bar and range of a series
+   */
+  async deleteSeries(series) {
+    this.historyStarts.delete(series.key);
+    const params = this.seriesParams(series);
+    await pool.query(`
+      DELETE FROM market_bar_ranges
+      WHERE symbol = $1 AND unit = $2 AND bar_interval = $3 AND session_template = $4
+    `, params);
+    await pool.query(`
+      DELETE FROM market_bars
+      WHERE symbol = $1 AND unit = $2 AND bar_interval = $3 AND session_template = $4
+    `, params);
+  }
+
+  async getLatestRange(series) {
+    const result = await pool.query(`
+      SELECT start_time, end_time, checked_at, fetched_at
+      FROM market_bar_ranges
+      WHERE symbol = $1 AND unit = $2 AND bar_interval = $3 AND session_template = $4
+      ORDER BY end_time DESC
+      LIMIT 1
+    `, this.seriesParams(series));
+    return result.rows[0] ? this.toRange(result.rows[0]) : null;
+  }
+
+  /**
+   * Newest range ending before `time`
+   */
+  async getPreviousRange(series, time) {
+    const result = await pool.query(`
+      SELECT start_time, end_time, checked_at, fetched_at
+      FROM market_bar_ranges
+      WHERE symbol = $1 AND unit = $2 AND bar_interval = $3 AND session_template = $4
+        AND end_time < $5
+      ORDER BY end_time DESC
+      LIMIT 1
+    `, [...this.seriesParams(series), new Date(time)]);
+    return result.rows[0] ? this.toRange(result.rows[0]) : null;
+  }
+
+  toRange(row) {
+    return {
+      start: new Date(row.start_time).getTime(),
+      end: new Date(row.end_time).getTime(),
+      checkedAt: new Date(row.checked_at).getTime(),
+      fetchedAt: new Date(row.fetched_at).getTime()
+    };
+  }
+
+  /**
+   * Mark start..end as complete, merging every range it overlaps or touches
+   * @param {boolean} checked - the tail was just confirmed (stamps checked_at)
+   */
+  async mergeRange(series, start, end, checked) {
+    const params = this.seriesParams(series);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const overlapping = await client.query(`
+        SELECT id, start_time, end_time, checked_at, fetched_at
+        FROM market_bar_ranges
+        WHERE symbol = $1 AND unit = $2 AND bar_interval = $3 AND session_template = $4
+          AND start_time <= $6 AND end_time >= $5
+        FOR UPDATE
+      `, [...params, new Date(start), new Date(end)]);
+
+      const merged = { start, end, checkedAt: checked ? Date.now() : 0, fetchedAt: Date.now() };
+      for (const row of overlapping.rows) {
+        const range = this.toRange(row);
+        merged.start = Math.min(merged.start, range.start);
+        // fetched_at is the oldest fetch of any bar in the range
+        merged.fetchedAt = Math.min(merged.fetchedAt, range.fetchedAt);
+        // checked_at belongs to the range holding the newest bar
+        if (range.end > merged.end || (range.end === merged.end && !checked)) merged.checkedAt = range.checkedAt;
+        merged.end = Math.max(merged.end, range.end);
+      }
+
+      if (overlapping.rows.length > 0) {
+        await client.query('DELETE FROM market_bar_ranges WHERE id = ANY($1)', [overlapping.rows.map(row => row.id)]);
+      }
+      await client.query(`
+        INSERT INTO market_bar_ranges (symbol, unit, bar_interval, session_template, start_time, end_time, checked_at, fetched_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [...params, new Date(merged.start), new Date(merged.end), new Date(merged.checkedAt), new Date(merged.fetchedAt)]);
+
+      await client.query('COMMIT');
+      return merged;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Latest `count` stored bars within a range, oldest first
+   */
+  async readBars(series, range, count) {
+    const result = await pool.query(`
+      SELECT data
+      FROM market_bars
+      WHERE symbol = $1 AND unit = $2 AND bar_interval = $3 AND session_template = $4
+        AND bar_time >= $5 AND bar_time <= $6
+      ORDER BY bar_time DESC
+      LIMIT $7
+    `, [...this.seriesParams(series), new Date(range.start), new Date(range.end), count]);
+    return result.rows.map(row => row.data).reverse();
+  }
+
+  /**
+   * Serialize store operations per series so ranges aren't merged from stale reads
+   */
+  withLock(key, fn) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.then(fn);
+    const settled = run.catch(() => {});
+    this.locks.set(key, settled);
+    settled.then(() => {
+      if (this.locks.get(key) === settled) this.locks.delete(key);
+    });
+    return run;
+  }
+
+  /**
+   * Drop minute bars past retention (at most once per PRUNE_INTERVAL_MS, never awaited)
+   */
+  maybePrune() {
+    if (Date.now() - this.lastPruneAt < PRUNE_INTERVAL_MS) return;
+    this.lastPruneAt = Date.now();
+
+    (async () => {
+      const cutoff = new Date(Date.now() - INTRADAY_RETENTION_DAYS * DAY_MS);
+      const bars = await pool.query(`DELETE FROM market_bars WHERE unit = 'Minute' AND bar_time < $1`, [cutoff]);
+      await pool.query(`DELETE FROM market_bar_ranges WHERE unit = 'Minute' AND end_time < $1`, [cutoff]);
+      await pool.query(`UPDATE market_bar_ranges SET start_time = $1 WHERE unit = 'Minute' AND start_time < $1`, [cutoff]);
+      if (bars.rowCount > 0) {
+        logger.info(`[BarStore] Pruned ${bars.rowCount} minute bars older than ${INTRADAY_RETENTION_DAYS} days`);
+      }
+    })().catch((error) => {
+      logger.error('[BarStore] Failed to prune bars:', error.message);
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.isEnabled(),
+      pendingSeries: this.locks.size
+    };
+  }
+}
+
+// Singleton instance
+const barStore = new BarStore();
+
+module.exports = barStore;
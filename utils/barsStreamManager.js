@@ -89,11 +89,21 @@ const wrappedAddSubscriber = async (userId, params, res) => {
   }
 };
 
+// Intraday timeframes above 1 minute and range/Renko/tick bars are cut from one shared
+// 1-minute stream per symbol (barAggregationService), everything else streams from TradeStation
+const addSubscriber = (userId, params, res) => {
+  const barAggregationService = require('./barAggregationService');
+  if (barAggregationService.handles(params)) {
+    return barAggregationService.addSubscriber(userId, params, res);
+  }
+  return wrappedAddSubscriber(userId, params, res);
+};
+
 // Use addSubscriber (not addExclusiveSubscriber) to allow multiple concurrent streams per user
 // The multiplexer will automatically share upstreams when multiple charts use the same ticker/interval/unit
 module.exports = { 
   multiplexer: mux,  // Export the instance for debug access
-  addSubscriber: wrappedAddSubscriber
+  addSubscriber
 };
 
 
@@ -0,0 +1,200 @@
+/**
+ * Futures contract registry
+ *
+ * Contract specifications (tick size/value, point value, listed months, trading hours,
+ * expiration and roll rules) are seeded from config/futuresContracts.json.
+ *
+ * Expiration rules (last trading day of a contract month):
+ * - nth_weekday: nth weekday of the month (ISO weekday, 5 = Friday), optionally
+ *   `businessDaysBefore` it (CME FX: two business days before the third Wednesday)
+ * - nth_last_business_day / nth_business_day: counted from the end / start of the month
+ * - business_days_before_day: `businessDays` business days before a calendar day; with
+ *   `adjustReference` a non-business reference day first moves to the business day before it
+ *   (NYMEX crude: three business days before the 25th of the prior month)
+ * `monthOffset` applies the rule to an earlier month (-1 = month before the contract month).
+ *
+ * Roll rules: `businessDays` before the expiration (`anchor: expiration`) or before the
+ * contract month starts (`anchor: month_start`, ahead of first notice for physically
+ * delivered products).
+ *
+ * Business days skip weekends and CME holidays (utils/exchangeCalendar); an expiration
+ * that falls on a holiday moves to the business day before it.
+ */
+
+const moment = require('moment-timezone');
+const registryData = require('../config/futuresContracts.json');
+const { isBusinessDay, addBusinessDays } = require('./exchangeCalendar');
+
+const MONTH_CODES = ['F', 'G', 'H', 'J', 'K', 'M', 'N', 'Q', 'U', 'V', 'X', 'Z'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Contract dates are exchange (Central time) calendar dates
+const EXCHANGE_TIMEZONE = 'America/Chicago';
+
+// Unknown products are treated like quarterly equity index futures
+const DEFAULT_RULES = {
+  months: 'HMUZ',
+  expiration: { type: 'nth_weekday', weekday: 5, n: 3 },
+  roll: { anchor: 'expiration', businessDays: 6 }
+};
+
+const specs = new Map(registryData.products.map(product => [product.root, product]));
+
+/**
+ * Split a symbol into root, month and year
+ * Accepts full contracts (ESZ25, 6EH26), continuous symbols (@ES) and bare roots (ES)
+ * @returns {{ root: string, monthCode: string|null, month: number|null, year: number|null }|null}
+ */
+function parseContractSymbol(symbol) {
+  if (!symbol || typeof symbol !== 'string') return null;
+  const normalized = symbol.trim().toUpperCase().replace(/^@/, '');
+
+  if (specs.has(normalized)) {
+    return { root: normalized, monthCode: null, month: null, year: null };
+  }
+  const match = normalized.match(/^(.+)([FGHJKMNQUVXZ])(\d{2})$/);
+  if (match) {
+    return {
+      root: match[1],
+      monthCode: match[2],
+      month: MONTH_CODES.indexOf(match[2]) + 1,
+      year: 2000 + parseInt(match[3], 10)
+    };
+  }
+  return null;
+}
+
+/**
+ * Contract specification for a symbol or root
+ * @returns {object|null} Registry entry with trading hours resolved, null if not a known future
+ */
+function getContractSpec(symbol) {
+  const parsed = parseContractSymbol(symbol);
+  const spec = parsed && specs.get(parsed.root);
+  if (!spec) return null;
+  return {
+    ...spec,
+    tradingHours: registryData.tradingHours[spec.tradingHours] || null
+  };
+}
+
+/**
+ * All specifications, optionally for one sector (equity, energy, metals, rates, fx, agriculture)
+ */
+function listContractSpecs({ sector = null } = {}) {
+  return registryData.products
+    .filter(spec => !sector || spec.sector === sector)
+    .map(spec => getContractSpec(spec.root));
+}
+
+const rulesFor = (root) => specs.get(root) || DEFAULT_RULES;
+
+/**
+ * Last trading day of a contract
+ * @param {number} month - 1-12
+ * @returns {moment.Moment} Date at midnight UTC
+ */
+function getExpirationDate(root, year, month) {
+  const rule = rulesFor(root).expiration;
+  const monthStart = moment.utc({ year, month: month - 1, day: 1 }).add(rule.monthOffset || 0, 'months');
+
+  switch (rule.type) {
+    case 'nth_weekday': {
+      const date = monthStart.clone();
+      while (date.isoWeekday() !== rule.weekday) date.add(1, 'day');
+      date.add(rule.n - 1, 'weeks');
+      if (rule.businessDaysBefore) return addBusinessDays(date, -rule.businessDaysBefore);
+      return isBusinessDay(date) ? date : addBusinessDays(date, -1);
+    }
+    case 'nth_last_business_day': {
+      const date = monthStart.clone().endOf('month').startOf('day');
+      while (!isBusinessDay(date)) date.subtract(1, 'day');
+      return addBusinessDays(date, -(rule.n - 1));
+    }
+    case 'nth_business_day': {
+      const date = monthStart.clone();
+      while (!isBusinessDay(date)) date.add(1, 'day');
+      return addBusinessDays(date, rule.n - 1);
+    }
+    case 'business_days_before_day': {
+      const reference = monthStart.clone().date(rule.day);
+      if (rule.adjustReference && !isBusinessDay(reference)) {
+        return addBusinessDays(addBusinessDays(reference, -1), -rule.businessDays);
+      }
+      return addBusinessDays(reference, -rule.businessDays);
+    }
+    default:
+      throw new Error(`Unknown expiration rule "${rule.type}" for ${root}`);
+  }
+}
+
+/**
+ * Date the front month rolls to the next contract (first day the next contract is used)
+ * @returns {moment.Moment} Date at midnight UTC
+ */
+function getRollDate(root, year, month) {
+  const rule = rulesFor(root).roll;
+  const anchor = rule.anchor === 'month_start'
+    ? moment.utc({ year, month: month - 1, day: 1 })
+    : getExpirationDate(root, year, month);
+  return addBusinessDays(anchor, -rule.businessDays);
+}
+
+const formatContract = (root, year, month) => `${root}${MONTH_CODES[month - 1]}${String(year % 100).padStart(2, '0')}`;
+
+/**
+ * Listed contracts from the front month on (a contract is front until its roll date)
+ * @param {string} root - Product root (e.g. 'ES')
+ * @param {number} count - Number of contracts
+ * @param {Date} date - Reference date
+ * @returns {Array<{ symbol, root, monthCode, month, year, monthName, expirationDate, rollDate }>}
+ */
+function getContractChain(root, count = 4, date = new Date()) {
+  const listedMonths = rulesFor(root).months.split('').map(code => MONTH_CODES.indexOf(code) + 1);
+  const today = moment(date).tz(EXCHANGE_TIMEZONE).format('YYYY-MM-DD');
+  const chain = [];
+
+  const year = moment(date).tz(EXCHANGE_TIMEZONE).year();
+  for (let yearOffset = 0; chain.length < count && yearOffset <= count; yearOffset++) {
+    for (const month of listedMonths) {
+      const contractYear = year + yearOffset;
+      const rollDate = getRollDate(root, contractYear, month);
+      if (chain.length === 0 && rollDate.format('YYYY-MM-DD') <= today) continue;
+
+      chain.push({
+        symbol: formatContract(root, contractYear, month),
+        root,
+        monthCode: MONTH_CODES[month - 1],
+        month,
+        year: contractYear,
+        monthName: MONTH_NAMES[month - 1],
+        expirationDate: getExpirationDate(root, contractYear, month).format('YYYY-MM-DD'),
+        rollDate: rollDate.format('YYYY-MM-DD')
+      });
+      if (chain.length >= count) break;
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Front-month contract for a product
+ */
+function getFrontContract(root, date = new Date()) {
+  return getContractChain(root, 1, date)[0];
+}
+
+module.exports = {
+  MONTH_CODES,
+  MONTH_NAMES,
+  EXCHANGE_TIMEZONE,
+  parseContractSymbol,
+  getContractSpec,
+  listContractSpecs,
+  getExpirationDate,
+  getRollDate,
+  getContractChain,
+  getFrontContract
+};
@@ -0,0 +1,300 @@
+/**
+ * Economic calendar - scheduled macro releases used for trading blackouts
+ *
+ * Events are imported from:
+ * - CSV with a header row: title, datetime (or date + time), category?, impact?, country?, id?
+ *   Times without an offset are read in the import timezone (default America/New_York)
+ * - ICS (iCalendar) VEVENTs: SUMMARY, DTSTART (UTC, TZID or floating), UID, CATEGORIES
+ *
+ * The category is detected from the title when not given (FOMC, CPI, NFP, ...).
+ * Events are keyed by event_key (CSV id / ICS UID, else category + release date + title), so
+ * re-importing a calendar updates events whose time moved instead of duplicating them. Rows
+ * without an id that move to another day, or share a title with another release that day,
+ * can't be told apart: give them an id.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const pool = require('../db');
+const { MARKET_TIMEZONE } = require('./sessionCalendar');
+
+const EVENT_CATEGORIES = ['fomc', 'cpi', 'nfp', 'ppi', 'pce', 'gdp', 'retail_sales', 'jobless_claims', 'ism', 'other'];
+const EVENT_IMPACTS = ['low', 'medium', 'high'];
+const HIGH_IMPACT_CATEGORIES = ['fomc', 'cpi', 'nfp'];
+const MAX_IMPORT_EVENTS = 2000;
+
+const CATEGORY_PATTERNS = [
+  ['fomc', /\bFOMC\b|Federal Funds|Fed(eral Reserve)? (Interest )?Rate|Fed Chair|Powell/i],
+  ['cpi', /\bCPI\b|Consumer Price/i],
+  ['nfp', /Non-?\s?Farm|\bNFP\b|Employment Situation/i],
+  ['ppi', /\bPPI\b|Producer Price/i],
+  ['pce', /\bPCE\b|Personal (Consumption|Income)/i],
+  ['gdp', /\bGDP\b|Gross Domestic/i],
+  ['retail_sales', /Retail Sales/i],
+  ['jobless_claims', /Jobless Claims|Initial Claims/i],
+  ['ism', /\bISM\b/i]
+];
+
+/**
+ * Category of an event title ('other' when nothing matches)
+ */
+function detectCategory(title) {
+  const match = CATEGORY_PATTERNS.find(([, pattern]) => pattern.test(title || ''));
+  return match ? match[0] : 'other';
+}
+
+function normalizeCategory(value, title) {
+  const category = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (EVENT_CATEGORIES.includes(category)) return category;
+  return detectCategory(title || value);
+}
+
+function normalizeImpact(value, category) {
+  const impact = String(value || '').trim().toLowerCase();
+  if (EVENT_IMPACTS.includes(impact)) return impact;
+  return HIGH_IMPACT_CATEGORIES.includes(category) ? 'high' : 'medium';
+}
+
+function buildEventKey(event) {
+  if (event.uid) return String(event.uid).slice(0, 255);
+  // Release date (market timezone) rather than time, so a time change keeps the key
+  const date = moment(event.scheduledAt).tz(MARKET_TIMEZONE).format('YYYY-MM-DD');
+  const hash = crypto.createHash('sha1').update(`${event.title.toLowerCase()}|${date}`).digest('hex').slice(0, 16);
+  return `${event.category}:${date}:${hash}`;
+}
+
+/**
+ * Validate and normalize one event
+ * @returns {{ event?: object, error?: string }}
+ */
+function normalizeEvent(input, timezone = MARKET_TIMEZONE) {
+  const title = String(input.title || '').trim();
+  if (!title) return { error: 'title is required' };
+
+  let scheduled = null;
+  if (input.scheduledAt instanceof Date) {
+    scheduled = moment(input.scheduledAt);
+  } else if (input.scheduledAt) {
+    const value = String(input.scheduledAt).trim();
+    // Offset/Z present -> absolute, otherwise local time in the import timezone
+    scheduled = /(Z|[+-]\d{2}:?\d{2})$/i.test(value)
+      ? moment.parseZone(value, moment.ISO_8601, true)
+      : moment.tz(value, ['YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm'], true, timezone);
+  }
+  if (!scheduled || !scheduled.isValid()) {
+    return { error: `Invalid date/time for "${title}"` };
+  }
+
+  const category = normalizeCategory(input.category, title);
+  const event = {
+    title: title.slice(0, 255),
+    category,
+    impact: normalizeImpact(input.impact, category),
+    country: String(input.country || 'US').trim().toUpperCase().slice(0, 10),
+    scheduledAt: scheduled.toDate().toISOString(),
+    uid: input.uid ? String(input.uid).trim() : null
+  };
+  event.eventKey = buildEventKey(event);
+  return { event };
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+// RFC 4180 rows (quoted fields may contain commas, quotes as "" and newlines)
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (char === '"') inQuotes = false;
+      else field += char;
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field); field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(value => value.trim())) rows.push(row);
+      row = [];
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.some(value => value.trim())) rows.push(row);
+  return rows;
+}
+
+const CSV_COLUMNS = {
+  title: ['title', 'event', 'name', 'summary'],
+  datetime: ['datetime', 'scheduled_at', 'scheduledat', 'timestamp', 'start'],
+  date: ['date'],
+  time: ['time'],
+  category: ['category', 'type'],
+  impact: ['impact', 'importance'],
+  country: ['country', 'currency'],
+  uid: ['id', 'uid', 'event_id']
+};
+
+/**
+ * Parse events from CSV text
+ * @returns {{ events: object[], errors: string[] }}
+ */
+function parseCsv(text, { timezone = MARKET_TIMEZONE } = {}) {
+  const rows = parseCsvRows(String(text || '').replace(/^﻿/, ''));
+  if (rows.length < 2) return { events: [], errors: ['CSV needs a header row and at least one event'] };
+
+  const header = rows[0].map(name => name.trim().toLowerCase().replace(/\s+/g, '_'));
+  const column = (key) => header.findIndex(name => CSV_COLUMNS[key].includes(name));
+  const index = Object.fromEntries(Object.keys(CSV_COLUMNS).map(key => [key, column(key)]));
+
+  if (index.title === -1 || (index.datetime === -1 && index.date === -1)) {
+    return { events: [], errors: ['CSV header must include title and datetime (or date and time) columns'] };
+  }
+
+  const events = [];
+  const errors = [];
+  rows.slice(1).forEach((row, i) => {
+    const value = (key) => (index[key] === -1 ? '' : (row[index[key]] || '').trim());
+    const scheduledAt = index.datetime !== -1
+      ? value('datetime')
+      : `${value('date')} ${value('time') || '00:00'}`;
+
+    const { event, error } = normalizeEvent({
+      title: value('title'),
+      scheduledAt,
+      category: value('category'),
+      impact: value('impact'),
+      country: value('country'),
+      uid: value('uid')
+    }, timezone);
+
+    if (error) errors.push(`Row ${i + 2}: ${error}`);
+    else events.push(event);
+  });
+  return { events, errors };
+}
+
+// ============================================================================
+// ICS
+// ============================================================================
+
+const unescapeIcs = (value) => value
+  .replace(/\\n/gi, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+function parseIcsDate(value, params, timezone) {
+  if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) return null; // All-day, no release time
+  if (value.endsWith('Z')) return moment.utc(value, 'YYYYMMDDTHHmmss[Z]', true);
+  const zone = params.TZID && moment.tz.zone(params.TZID) ? params.TZID : timezone;
+  return moment.tz(value, 'YYYYMMDDTHHmmss', true, zone);
+}
+
+/**
+ * Parse events from iCalendar text (VEVENT components)
+ * @returns {{ events: object[], errors: string[] }}
+ */
+function parseIcs(text, { timezone = MARKET_TIMEZONE } = {}) {
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = String(text || '').replace(/\r\n[ \t]/g, '').replace(/\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const errors = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') { current = {}; continue; }
+    if (line === 'END:VEVENT') {
+      if (current) {
+        const label = current.title || current.uid || `event ${events.length + errors.length + 1}`;
+        if (!current.start) {
+          errors.push(`${label}: DTSTART with a time is required`);
+        } else {
+          const { event, error } = normalizeEvent({ ...current, scheduledAt: current.start.toDate() }, timezone);
+          if (error) errors.push(`${label}: ${error}`);
+          else events.push(event);
+        }
+      }
+      current = null;
+      continue;
+    }
+    if (!current) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const [name, ...paramParts] = line.slice(0, separator).split(';');
+    const value = line.slice(separator + 1);
+    const params = Object.fromEntries(paramParts.map(part => {
+      const [key, ...rest] = part.split('=');
+      return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+    }));
+
+    switch (name.toUpperCase()) {
+      case 'SUMMARY': current.title = unescapeIcs(value); break;
+      case 'UID': current.uid = value.trim(); break;
+      case 'CATEGORIES': current.category = unescapeIcs(value).split(',')[0]; break;
+      case 'DTSTART': {
+        const start = parseIcsDate(value.trim(), params, timezone);
+        current.start = start && start.isValid() ? start : null;
+        break;
+      }
+      default: break;
+    }
+  }
+  return { events, errors };
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+const EVENT_COLUMNS = 'id, event_key, title, category, impact, country, scheduled_at, source, created_at, updated_at';
+
+/**
+ * Insert or update events by event_key
+ * @returns {Promise<{ inserted: number, updated: number }>}
+ */
+async function upsertEvents(events, source) {
+  let inserted = 0;
+  let updated = 0;
+
+  for (const event of events.slice(0, MAX_IMPORT_EVENTS)) {
+    const result = await pool.query(
+      `INSERT INTO economic_events (event_key, title, category, impact, country, scheduled_at, source)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (event_key) DO UPDATE SET
+         title = EXCLUDED.title,
+         category = EXCLUDED.category,
+         impact = EXCLUDED.impact,
+         country = EXCLUDED.country,
+         scheduled_at = EXCLUDED.scheduled_at,
+         source = EXCLUDED.source,
+         updated_at = NOW()
+       RETURNING (xmax = 0) AS inserted`,
+      [event.eventKey, event.title, event.category, event.impact, event.country, event.scheduledAt, source]
+    );
+    if (result.rows[0].inserted) inserted++;
+    else updated++;
+  }
+  return { inserted, updated };
+}
+
+module.exports = {
+  EVENT_CATEGORIES,
+  EVENT_IMPACTS,
+  EVENT_COLUMNS,
+  MAX_IMPORT_EVENTS,
+  detectCategory,
+  normalizeEvent,
+  parseCsv,
+  parseIcs,
+  upsertEvents
+};
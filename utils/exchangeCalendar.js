@@ -0,0 +1,122 @@
+/**
+ * CME exchange holiday calendar
+ *
+ * Full-day closures are computed from the US holiday rules CME Globex follows:
+ * New Year's Day, Martin Luther King Jr. Day, Presidents' Day, Good Friday, Memorial Day,
+ * Juneteenth (from 2022), Independence Day, Labor Day, Thanksgiving and Christmas.
+ * Fixed-date holidays on a Saturday are observed the Friday before (except New Year's Day,
+ * which is then not observed), on a Sunday the Monday after.
+ *
+ * Dates are calendar dates: 'YYYY-MM-DD' strings or moments at midnight UTC.
+ */
+
+const moment = require('moment-timezone');
+
+const holidayCache = new Map();
+
+const toDate = (value) => (typeof value === 'string' ? value : moment.utc(value).format('YYYY-MM-DD'));
+
+// nth weekday (ISO, 1 = Monday) of a month (1-12); n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n === -1) {
+    const date = moment.utc({ year, month: month - 1 }).endOf('month').startOf('day');
+    while (date.isoWeekday() !== weekday) date.subtract(1, 'day');
+    return date;
+  }
+  const date = moment.utc({ year, month: month - 1, day: 1 });
+  while (date.isoWeekday() !== weekday) date.add(1, 'day');
+  return date.add(n - 1, 'weeks');
+}
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return moment.utc({ year, month: month - 1, day });
+}
+
+function observed(date, { skipSaturday = false } = {}) {
+  if (date.isoWeekday() === 6) return skipSaturday ? null : date.clone().subtract(1, 'day');
+  if (date.isoWeekday() === 7) return date.clone().add(1, 'day');
+  return date;
+}
+
+/**
+ * Exchange holidays of a year
+ * @returns {Array<{ date: string, name: string }>} Sorted by date
+ */
+function getExchangeHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const fixed = (month, day) => moment.utc({ year, month: month - 1, day });
+  const holidays = [
+    { name: "New Year's Day", date: observed(fixed(1, 1), { skipSaturday: true }) },
+    { name: 'Martin Luther King Jr. Day', date: nthWeekday(year, 1, 1, 3) },
+    { name: "Presidents' Day", date: nthWeekday(year, 2, 1, 3) },
+    { name: 'Good Friday', date: easterSunday(year).subtract(2, 'days') },
+    { name: 'Memorial Day', date: nthWeekday(year, 5, 1, -1) },
+    { name: 'Juneteenth', date: year >= 2022 ? observed(fixed(6, 19)) : null },
+    { name: 'Independence Day', date: observed(fixed(7, 4)) },
+    { name: 'Labor Day', date: nthWeekday(year, 9, 1, 1) },
+    { name: 'Thanksgiving Day', date: nthWeekday(year, 11, 4, 4) },
+    { name: 'Christmas Day', date: observed(fixed(12, 25)) }
+  ]
+    .filter(holiday => holiday.date)
+    .map(holiday => ({ date: holiday.date.format('YYYY-MM-DD'), name: holiday.name }));
+
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * Holiday name for a date, null on regular days
+ */
+function getExchangeHoliday(date) {
+  const key = toDate(date);
+  const holiday = getExchangeHolidays(parseInt(key.slice(0, 4), 10)).find(h => h.date === key);
+  return holiday ? holiday.name : null;
+}
+
+/**
+ * Weekday that isn't an exchange holiday
+ */
+function isBusinessDay(date) {
+  const day = moment.utc(toDate(date));
+  return day.isoWeekday() <= 5 && !getExchangeHoliday(day);
+}
+
+/**
+ * Move a date by business days (negative = backwards)
+ * @returns {moment.Moment} New moment (midnight UTC)
+ */
+function addBusinessDays(date, days) {
+  const result = moment.utc(toDate(date), 'YYYY-MM-DD', true);
+  // An invalid date is never a business day, so the loop below would never end
+  if (!result.isValid()) throw new Error(`Invalid date: ${date}`);
+  const step = days < 0 ? -1 : 1;
+  let remaining = Math.abs(days);
+  while (remaining > 0) {
+    result.add(step, 'day');
+    if (isBusinessDay(result)) remaining--;
+  }
+  return result;
+}
+
+module.exports = {
+  getExchangeHolidays,
+  getExchangeHoliday,
+  isBusinessDay,
+  addBusinessDays
+};
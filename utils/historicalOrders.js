@@ -0,0 +1,83 @@
+/**
+ * Order history for an account from TradeStation
+ *
+ * /historicalorders covers up to 90 days back but excludes today, so today's orders
+ * come from /orders. Historical pages are followed via NextToken.
+ */
+
+const logger = require('../config/logging');
+const { tradestationRequest } = require('./tradestationProxy');
+
+const MAX_LOOKBACK_DAYS = 90;
+const HISTORICAL_PAGE_SIZE = 600;
+const MAX_HISTORICAL_PAGES = 20;
+
+/**
+ * Fetch historical orders since lookbackDays ago plus today's orders
+ * @returns {Promise<object[]>} TradeStation order objects
+ * @throws {Error} with status when a TradeStation request fails
+ */
+async function fetchAccountOrders(userId, accountId, paperTrading, lookbackDays) {
+  const days = Math.min(Math.max(lookbackDays, 1), MAX_LOOKBACK_DAYS);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const orders = [];
+
+  let nextToken;
+  for (let page = 0; page < MAX_HISTORICAL_PAGES; page++) {
+    const result = await tradestationRequest(userId, {
+      method: 'GET',
+      path: `/brokerage/accounts/${accountId}/historicalorders`,
+      paperTrading,
+      query: { since, pageSize: HISTORICAL_PAGE_SIZE, ...(nextToken ? { nextToken } : {}) }
+    });
+    if (!result.ok) {
+      const error = new Error(`TradeStation historical orders request failed (${result.status})`);
+      error.status = result.status;
+      throw error;
+    }
+    orders.push(...(result.data?.Orders || []));
+    nextToken = result.data?.NextToken;
+    if (!nextToken) break;
+  }
+
+  const todayResult = await tradestationRequest(userId, {
+    method: 'GET',
+    path: `/brokerage/accounts/${accountId}/orders`,
+    paperTrading
+  });
+  if (!todayResult.ok) {
+    const error = new Error(`TradeStation orders request failed (${todayResult.status})`);
+    error.status = todayResult.status;
+    throw error;
+  }
+  orders.push(...(todayResult.data?.Orders || []));
+
+  return orders;
+}
+
+/**
+ * Live and paper accounts of a user (a failed listing is logged and skipped)
+ * @returns {Promise<object[]>} TradeStation accounts with isPaperTrading
+ */
+async function fetchUserAccounts(userId) {
+  const accounts = [];
+  for (const paperTrading of [false, true]) {
+    const result = await tradestationRequest(userId, {
+      method: 'GET',
+      path: '/brokerage/accounts',
+      paperTrading,
+    });
+    if (result.ok && result.data?.Accounts) {
+      accounts.push(...result.data.Accounts.map(acc => ({ ...acc, isPaperTrading: paperTrading })));
+    } else {
+      logger.warn(`[Historical Orders] Failed to fetch ${paperTrading ? 'paper' : 'live'} accounts for user ${userId}:`, result.status);
+    }
+  }
+  return accounts;
+}
+
+module.exports = {
+  MAX_LOOKBACK_DAYS,
+  fetchAccountOrders,
+  fetchUserAccounts
+};
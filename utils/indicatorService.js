@@ -0,0 +1,455 @@
+/**
+ * IndicatorService - Technical indicators computed locally from TradeStation bars
+ *
+ * Replaces Alpha Vantage for SMA/EMA/RSI/MACD/BBANDS/VWAP/ATR (Alpha Vantage
+ * has no futures coverage and is rate limited):
+ * - Historical bars come from /marketdata/barcharts and are cached per symbol/timeframe
+ * - Series used by alerts are kept current by a background bars stream
+ *   (BackgroundStreamManager 'bars' streams), so alert checks don't refetch history
+ * - formatAlphaVantageResponse() keeps /api/indicators responses in the
+ *   Alpha Vantage shape the frontend already parses
+ */
+
+const moment = require('moment-timezone');
+const { SMA, EMA, RSI, MACD, BollingerBands, ATR } = require('technicalindicators');
+const logger = require('../config/logging');
+const { tradestationRequest } = require('./tradestationProxy');
+const { getTradingDate } = require('./sessionCalendar');
+const { getContractSpec } = require('./contractRegistry');
+
+const LOCAL_FUNCTIONS = new Set(['SMA', 'EMA', 'RSI', 'MACD', 'BBANDS', 'VWAP', 'ATR']);
+
+// Timeframes accepted from alerts (5min, 1hour) and Alpha Vantage style intervals (60min)
+const TIMEFRAMES = {
+  '1min': { unit: 'Minute', interval: 1 },
+  '5min': { unit: 'Minute', interval: 5 },
+  '15min': { unit: 'Minute', interval: 15 },
+  '30min': { unit: 'Minute', interval: 30 },
+  '60min': { unit: 'Minute', interval: 60 },
+  '1hour': { unit: 'Minute', interval: 60 },
+  '4hour': { unit: 'Minute', interval: 240 },
+  'daily': { unit: 'Daily', interval: 1 },
+  'weekly': { unit: 'Weekly', interval: 1 },
+  'monthly': { unit: 'Monthly', interval: 1 }
+};
+
+const DEFAULT_BARSBACK = 500;
+const MAX_CACHED_BARS = 1000;
+const MAX_CACHED_SERIES = 200;
+const SERIES_IDLE_EVICT_MS = 30 * 60_000;
+const INTRADAY_TTL_MS = 60_000;
+const DAILY_TTL_MS = 15 * 60_000;
+const TIME_ZONE = 'America/New_York';
+
+const SERIES_TYPES = { open: 'Open', high: 'High', low: 'Low', close: 'Close' };
+
+const INDICATOR_NAMES = {
+  SMA: 'Simple Moving Average (SMA)',
+  EMA: 'Exponential Moving Average (EMA)',
+  RSI: 'Relative Strength Index (RSI)',
+  MACD: 'Moving Average Convergence/Divergence (MACD)',
+  BBANDS: 'Bollinger Bands (BBANDS)',
+  VWAP: 'Volume Weighted Average Price (VWAP)',
+  ATR: 'Average True Range (ATR)'
+};
+
+function getTimeframeConfig(timeframe) {
+  return TIMEFRAMES[String(timeframe || '').toLowerCase()] || null;
+}
+
+const toNumber = (value) => parseFloat(value);
+
+/**
+ * Compute an indicator over bars (oldest first)
+ * @param {string} [symbol] - Selects the session calendar for VWAP resets
+ * @returns {Array<{ timestamp: string, values: object }>} oldest first, only bars with a value
+ */
+function computeIndicator(fn, bars, params = {}, symbol = null) {
+  const seriesField = SERIES_TYPES[String(params.series_type || 'close').toLowerCase()] || 'Close';
+  const values = bars.map(bar => toNumber(bar[seriesField]));
+  const period = parseInt(params.time_period, 10) || (fn === 'RSI' || fn === 'ATR' ? 14 : 20);
+
+  // technicalindicators returns results aligned to the end of the input
+  const align = (results, mapValues) => {
+    const offset = bars.length - results.length;
+    return results
+      .map((result, i) => ({ timestamp: bars[offset + i].TimeStamp, values: mapValues(result) }))
+      .filter(point => point.values !== null);
+  };
+
+  switch (fn) {
+    case 'SMA':
+      return align(SMA.calculate({ period, values }), v => ({ SMA: v }));
+    case 'EMA':
+      return align(EMA.calculate({ period, values }), v => ({ EMA: v }));
+    case 'RSI':
+      return align(RSI.calculate({ period, values }), v => ({ RSI: v }));
+    case 'MACD': {
+      const results = MACD.calculate({
+        values,
+        fastPeriod: parseInt(params.fastperiod, 10) || 12,
+        slowPeriod: parseInt(params.slowperiod, 10) || 26,
+        signalPeriod: parseInt(params.signalperiod, 10) || 9,
+        SimpleMAOscillator: false,
+        SimpleMASignal: false
+      });
+      return align(results, v => (v.signal === undefined ? null : {
+        MACD: v.MACD,
+        MACD_Signal: v.signal,
+        MACD_Hist: v.histogram
+      }));
+    }
+    case 'BBANDS': {
+      // Alpha Vantage allows separate up/down multipliers; technicalindicators uses one
+      const stdDev = parseFloat(params.nbdevup) || parseFloat(params.nbdevdn) || 2;
+      return align(BollingerBands.calculate({ period, values, stdDev }), v => ({
+        'Real Upper Band': v.upper,
+        'Real Middle Band': v.middle,
+        'Real Lower Band': v.lower
+      }));
+    }
+    case 'ATR':
+      return align(ATR.calculate({
+        period,
+        high: bars.map(bar => toNumber(bar.High)),
+        low: bars.map(bar => toNumber(bar.Low)),
+        close: bars.map(bar => toNumber(bar.Close))
+      }), v => ({ ATR: v }));
+    case 'VWAP':
+      return computeSessionVwap(bars, symbol);
+    default:
+      throw new Error(`Unsupported indicator: ${fn}`);
+  }
+}
+
+/**
+ * Intraday VWAP, reset at the start of each trading date from the session calendar
+ * (futures at the CME Globex evening open, stocks at the Eastern date)
+ * (typical price weighted by bar volume, same as Alpha Vantage)
+ */
+function computeSessionVwap(bars, symbol = null) {
+  const market = symbol && getContractSpec(symbol) ? 'futures' : 'equities';
+  const points = [];
+  let sessionDate = null;
+  let cumulativePV = 0;
+  let cumulativeVolume = 0;
+
+  for (const bar of bars) {
+    // TimeStamp is the bar close, a bar ending at the session close still belongs to it
+    const date = getTradingDate(market, new Date(new Date(bar.TimeStamp).getTime() - 1));
+    if (date !== sessionDate) {
+      sessionDate = date;
+      cumulativePV = 0;
+      cumulativeVolume = 0;
+    }
+
+    const volume = toNumber(bar.TotalVolume) || 0;
+    const typicalPrice = (toNumber(bar.High) + toNumber(bar.Low) + toNumber(bar.Close)) / 3;
+    cumulativePV += typicalPrice * volume;
+    cumulativeVolume += volume;
+
+    if (cumulativeVolume > 0) {
+      points.push({ timestamp: bar.TimeStamp, values: { VWAP: cumulativePV / cumulativeVolume } });
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Build an Alpha Vantage compatible response body
+ */
+function formatAlphaVantageResponse(fn, symbol, interval, params, points) {
+  const intraday = !['daily', 'weekly', 'monthly'].includes(interval);
+  const formatTime = (timestamp) => moment(timestamp).tz(TIME_ZONE).format(intraday ? 'YYYY-MM-DD HH:mm' : 'YYYY-MM-DD');
+  const seriesType = String(params.series_type || 'close').toLowerCase();
+  const lastRefreshed = points.length > 0 ? formatTime(points[points.length - 1].timestamp) : null;
+
+  const meta = {
+    '1: Symbol': symbol,
+    '2: Indicator': INDICATOR_NAMES[fn],
+    '3: Last Refreshed': lastRefreshed,
+    '4: Interval': interval
+  };
+
+  switch (fn) {
+    case 'MACD':
+      meta['5.1: Fast Period'] = parseInt(params.fastperiod, 10) || 12;
+      meta['5.2: Slow Period'] = parseInt(params.slowperiod, 10) || 26;
+      meta['5.3: Signal Period'] = parseInt(params.signalperiod, 10) || 9;
+      meta['6: Series Type'] = seriesType;
+      meta['7: Time Zone'] = 'US/Eastern';
+      break;
+    case 'BBANDS':
+      meta['5: Time Period'] = parseInt(params.time_period, 10) || 20;
+      meta['6.1: Deviation multiplier for upper band'] = parseFloat(params.nbdevup) || 2;
+      meta['6.2: Deviation multiplier for lower band'] = parseFloat(params.nbdevdn) || 2;
+      meta['6.3: MA Type'] = 0;
+      meta['7: Series Type'] = seriesType;
+      meta['8: Time Zone'] = 'US/Eastern';
+      break;
+    case 'VWAP':
+      meta['5: Time Zone'] = 'US/Eastern';
+      break;
+    case 'ATR':
+      meta['5: Time Period'] = parseInt(params.time_period, 10) || 14;
+      meta['6: Time Zone'] = 'US/Eastern';
+      break;
+    default:
+      meta['5: Time Period'] = parseInt(params.time_period, 10) || (fn === 'RSI' ? 14 : 20);
+      meta['6: Series Type'] = seriesType;
+      meta['7: Time Zone'] = 'US/Eastern';
+  }
+
+  // Alpha Vantage lists newest first with values as 4-decimal strings
+  const analysis = {};
+  for (let i = points.length - 1; i >= 0; i--) {
+    const formatted = {};
+    for (const [key, value] of Object.entries(points[i].values)) {
+      formatted[key] = Number(value).toFixed(4);
+    }
+    analysis[formatTime(points[i].timestamp)] = formatted;
+  }
+
+  return {
+    'Meta Data': meta,
+    [`Technical Analysis: ${fn}`]: analysis
+  };
+}
+
+class IndicatorService {
+  constructor() {
+    // "SYMBOL|timeframe" -> { bars, fetchedAt, streamKey }
+    this.series = new Map();
+
+    // In-flight history fetches, to avoid stampedes from concurrent requests
+    this.inFlight = new Map();
+
+    // Background bars streams started for alerts: streamKey -> { userId, seriesKey }
+    this.streams = new Map();
+
+    this.isListening = false;
+
+    this.stats = {
+      historyFetches: 0,
+      streamBarsApplied: 0,
+      computations: 0
+    };
+  }
+
+  getSeriesKey(symbol, timeframe) {
+    return `${String(symbol).toUpperCase()}|${String(timeframe).toLowerCase()}`;
+  }
+
+  getStreamDeps(symbol, timeframe) {
+    const config = getTimeframeConfig(timeframe);
+    return { ticker: String(symbol).toUpperCase(), interval: String(config.interval), unit: config.unit, barsback: '1' };
+  }
+
+  isStreaming(streamKey) {
+    if (!streamKey || !this.streams.has(streamKey)) return false;
+    // The stream can still end underneath us (failures, server-side stops)
+    const backgroundStreamManager = require('./backgroundStreamManager');
+    return backgroundStreamManager.streams.has(streamKey);
+  }
+
+  isFresh(entry, timeframe) {
+    if (!entry) return false;
+    if (this.isStreaming(entry.streamKey)) return true;
+    const ttl = getTimeframeConfig(timeframe).unit === 'Minute' ? INTRADAY_TTL_MS : DAILY_TTL_MS;
+    return Date.now() - entry.fetchedAt < ttl;
+  }
+
+  /**
+   * Get bars (oldest first) for a symbol/timeframe, fetching history if stale
+   */
+  async getBars(userId, symbol, timeframe) {
+    const config = getTimeframeConfig(timeframe);
+    if (!config) {
+      throw new Error(`Unsupported timeframe: ${timeframe}`);
+    }
+
+    const key = this.getSeriesKey(symbol, timeframe);
+    const cached = this.series.get(key);
+    if (this.isFresh(cached, timeframe)) {
+      return cached.bars;
+    }
+
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = (async () => {
+      this.stats.historyFetches++;
+      const result = await tradestationRequest(userId, {
+        method: 'GET',
+        path: `/marketdata/barcharts/${encodeURIComponent(String(symbol).toUpperCase())}`,
+        query: { unit: config.unit, interval: config.interval, barsback: DEFAULT_BARSBACK }
+      });
+
+      if (!result.ok) {
+        const error = new Error(`TradeStation barcharts request failed (${result.status})`);
+        error.status = result.status;
+        throw error;
+      }
+
+      const bars = (result.data?.Bars || []).slice(-MAX_CACHED_BARS);
+      const existing = this.series.get(key);
+      this.series.set(key, { bars, fetchedAt: Date.now(), streamKey: existing?.streamKey || null });
+      this.pruneSeries();
+      return bars;
+    })();
+
+    this.inFlight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * MEMORY SAFETY: Drop series that are neither streamed nor recently fetched
+   */
+  pruneSeries() {
+    if (this.series.size <= MAX_CACHED_SERIES) return;
+    const cutoff = Date.now() - SERIES_IDLE_EVICT_MS;
+    for (const [key, entry] of this.series) {
+      const streamed = this.isStreaming(entry.streamKey);
+      if (!streamed && entry.fetchedAt < cutoff) {
+        this.series.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Compute an indicator series for a symbol
+   * @returns {Promise<Array<{ timestamp: string, values: object }>>}
+   */
+  async getIndicatorSeries(userId, symbol, fn, timeframe, params = {}) {
+    const bars = await this.getBars(userId, symbol, timeframe);
+    this.stats.computations++;
+    return computeIndicator(fn, bars, params, symbol);
+  }
+
+  /**
+   * Latest value of a single-output indicator (used by alerts)
+   * @returns {Promise<number|null>}
+   */
+  async getLatestValue(userId, symbol, indicator, timeframe, period) {
+    const fn = String(indicator).toUpperCase();
+    try {
+      const points = await this.getIndicatorSeries(userId, symbol, fn, timeframe, { time_period: period });
+      const last = points[points.length - 1];
+      const value = last ? last.values[fn] : null;
+      return Number.isFinite(value) ? value : null;
+    } catch (error) {
+      logger.error(`[IndicatorService] Failed to compute ${fn} for ${symbol} ${timeframe}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Keep the given series current with background bars streams.
+   * Streams not in the list are stopped.
+   *
+   * @param {Array<{ userId: number, symbol: string, timeframe: string }>} wanted
+   */
+  async syncStreams(wanted) {
+    const backgroundStreamManager = require('./backgroundStreamManager');
+    this.ensureListening(backgroundStreamManager);
+
+    const wantedByStreamKey = new Map();
+    for (const { userId, symbol, timeframe } of wanted) {
+      if (!getTimeframeConfig(timeframe)) continue;
+      const seriesKey = this.getSeriesKey(symbol, timeframe);
+      // One stream per series is enough - bars are the same for every user
+      const alreadyWanted = [...wantedByStreamKey.values()].some(w => w.seriesKey === seriesKey);
+      if (alreadyWanted) continue;
+      const deps = this.getStreamDeps(symbol, timeframe);
+      const streamKey = `${userId}|bars|${JSON.stringify(deps)}`;
+      wantedByStreamKey.set(streamKey, { userId, seriesKey, deps });
+    }
+
+    // Stop streams no longer needed
+    for (const [streamKey, { seriesKey }] of this.streams) {
+      if (wantedByStreamKey.has(streamKey)) continue;
+      this.streams.delete(streamKey);
+      const entry = this.series.get(seriesKey);
+      if (entry && entry.streamKey === streamKey) entry.streamKey = null;
+      await backgroundStreamManager.stopStreamByKey(streamKey);
+      logger.info(`[IndicatorService] Stopped bars stream ${streamKey}`);
+    }
+
+    // Start new streams (and restart ones stopped elsewhere)
+    for (const [streamKey, { userId, seriesKey, deps }] of wantedByStreamKey) {
+      if (this.isStreaming(streamKey)) continue;
+      try {
+        await backgroundStreamManager.startStreamsForUser(userId, { bars: [deps] });
+        this.streams.set(streamKey, { userId, seriesKey });
+        const entry = this.series.get(seriesKey);
+        if (entry) entry.streamKey = streamKey;
+        logger.info(`[IndicatorService] Started bars stream ${streamKey}`);
+      } catch (error) {
+        logger.error(`[IndicatorService] Failed to start bars stream ${streamKey}:`, error.message);
+      }
+    }
+  }
+
+  ensureListening(backgroundStreamManager) {
+    if (this.isListening) return;
+    backgroundStreamManager.on('data', (event) => {
+      if (event.streamType === 'bars') this.handleStreamBar(event);
+    });
+    this.isListening = true;
+  }
+
+  /**
+   * Merge a streamed bar into the cached series.
+   * The stream re-sends the forming bar on every tick, so a bar with the same
+   * TimeStamp replaces the last one; a newer TimeStamp starts a new bar.
+   */
+  handleStreamBar(event) {
+    const bar = event.data;
+    if (!bar || !bar.TimeStamp || !event.deps) return;
+
+    const streamKey = `${event.userId}|bars|${JSON.stringify(event.deps)}`;
+    const stream = this.streams.get(streamKey);
+    if (!stream) return;
+
+    const entry = this.series.get(stream.seriesKey);
+    // History not loaded yet - the next getBars() call will fetch it
+    if (!entry || entry.bars.length === 0) return;
+
+    const bars = entry.bars;
+    const last = bars[bars.length - 1];
+    if (last.TimeStamp === bar.TimeStamp) {
+      bars[bars.length - 1] = bar;
+    } else if (new Date(bar.TimeStamp) > new Date(last.TimeStamp)) {
+      bars.push(bar);
+      if (bars.length > MAX_CACHED_BARS) bars.shift();
+    } else {
+      return;
+    }
+
+    entry.streamKey = streamKey;
+    this.stats.streamBarsApplied++;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cachedSeries: this.series.size,
+      activeStreams: this.streams.size
+    };
+  }
+}
+
+// Singleton instance
+const indicatorService = new IndicatorService();
+
+module.exports = indicatorService;
+module.exports.LOCAL_FUNCTIONS = LOCAL_FUNCTIONS;
+module.exports.getTimeframeConfig = getTimeframeConfig;
+module.exports.computeIndicator = computeIndicator;
+module.exports.formatAlphaVantageResponse = formatAlphaVantageResponse;
@@ -0,0 +1,173 @@
+/**
+ * InternalSubscriber - Mimics an Express response so server-side consumers can subscribe to a
+ * StreamMultiplexer like an HTTP client does
+ *
+ * Used by background streams (utils/backgroundStreamManager), WebSocket gateway topics
+ * (utils/wsGateway), shared quote upstreams (SharedMarketDataMultiplexer) and the bar
+ * aggregation 1-minute streams (utils/barAggregationService).
+ *
+ * - write() splits the NDJSON stream into lines: onData gets each line parsed
+ *   ({ raw: line } when it isn't JSON), or with { lines: true } the complete raw lines of the
+ *   write as one array
+ * - Open failures the multiplexer reports through status().json() are kept in
+ *   statusCode / errorPayload
+ * - onEnd(subscriber) runs once, after the close/finish handlers the multiplexer registered
+ * - Only subscribers created with { replayable: true } (client-facing ones) are served from a
+ *   stream replay (utils/streamReplay); background consumers always get live data
+ */
+
+const logger = require('../config/logging');
+
+const MAX_BUFFER_CHARS = 65536;
+
+class InternalSubscriber {
+  /**
+   * @param {Function} onData - parsed line, or string[] with options.lines
+   * @param {Function} onEnd
+   * @param {Function} [onError]
+   * @param {{ lines?: boolean, idPrefix?: string, replayable?: boolean }} [options]
+   */
+  constructor(onData, onEnd, onError = () => {}, { lines = false, idPrefix = 'bg', replayable = false } = {}) {
+    this.id = `${idPrefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    this._onData = onData;
+    this._onEnd = onEnd;
+    this._onError = onError;
+    this._lines = lines;
+    this.replayable = replayable;
+    this._ended = false;
+    this._buffer = '';
+    this.statusCode = 200;
+    this.errorPayload = null;
+
+    // Express response compatibility
+    this.writable = true; // CRITICAL: StreamMultiplexer checks this before writing
+    this.writableEnded = false;
+    this.finished = false;
+    this.destroyed = false;
+    this._eventHandlers = { close: [], finish: [], error: [] };
+    this._reqEventHandlers = { close: [], aborted: [] };
+    this.req = {
+      query: {},
+      headers: {},
+      aborted: false,
+      destroyed: false,
+      on: (event, handler) => {
+        if (this._reqEventHandlers[event]) this._reqEventHandlers[event].push(handler);
+        return this.req;
+      },
+      once: (event, handler) => {
+        const wrapper = (...args) => {
+          handler(...args);
+          const idx = this._reqEventHandlers[event]?.indexOf(wrapper);
+          if (idx !== -1) this._reqEventHandlers[event].splice(idx, 1);
+        };
+        if (this._reqEventHandlers[event]) this._reqEventHandlers[event].push(wrapper);
+        return this.req;
+      }
+    };
+  }
+
+  setHeader() {}
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  write(chunk) {
+    if (this._ended) return false;
+
+    this._buffer += chunk.toString();
+
+    // Cap buffer at 64KB to prevent memory issues
+    if (this._buffer.length > MAX_BUFFER_CHARS) {
+      const idx = this._buffer.indexOf('\n', this._buffer.length - MAX_BUFFER_CHARS);
+      this._buffer = idx !== -1 ? this._buffer.slice(idx + 1) : this._buffer.slice(-MAX_BUFFER_CHARS);
+    }
+
+    // Parse NDJSON lines
+    const lines = this._buffer.split('\n');
+    this._buffer = lines.pop() || '';
+
+    if (this._lines) {
+      const complete = lines.filter(line => line.trim());
+      if (complete.length > 0) this._onData(complete);
+      return true;
+    }
+
+    for (const line of lines) {
+      if (line.trim()) {
+        let data;
+        try {
+          data = JSON.parse(line);
+        } catch (_) {
+          data = { raw: line };
+        }
+        this._onData(data);
+      }
+    }
+    return true;
+  }
+
+  end() {
+    if (this._ended) return;
+    this._ended = true;
+    this.writable = false;
+    logger.debug(`[InternalSubscriber] writable set to FALSE in end() for ${this.id}`);
+    this.writableEnded = true;
+    this.finished = true;
+    for (const handler of [...this._eventHandlers.close, ...this._eventHandlers.finish]) {
+      try { handler(); } catch (_) {}
+    }
+    this._onEnd(this);
+  }
+
+  /**
+   * Error reply from the multiplexer (kept for the caller, then the subscriber ends)
+   */
+  json(data) {
+    this.errorPayload = data;
+    this.end();
+  }
+
+  on(event, handler) {
+    if (this._eventHandlers[event]) this._eventHandlers[event].push(handler);
+    return this;
+  }
+
+  once(event, handler) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      handler(...args);
+    };
+    this.on(event, wrapper);
+    return this;
+  }
+
+  off(event, handler) {
+    if (this._eventHandlers[event]) {
+      const idx = this._eventHandlers[event].indexOf(handler);
+      if (idx !== -1) this._eventHandlers[event].splice(idx, 1);
+    }
+    return this;
+  }
+
+  removeAllListeners(event) {
+    if (this._eventHandlers[event]) this._eventHandlers[event] = [];
+    return this;
+  }
+
+  destroy() {
+    logger.debug(`[InternalSubscriber] writable set to FALSE in destroy() for ${this.id}`);
+    this.writable = false;
+    this.destroyed = true;
+    this.req.destroyed = true;
+    // Clear callbacks to prevent memory leaks
+    this._onData = () => {};
+    this._onEnd = () => {};
+    this._onError = () => {};
+    this.end();
+  }
+}
+
+module.exports = { InternalSubscriber };
@@ -0,0 +1,238 @@
+/**
+ * Outbound webhook notification channels
+ *
+ * Channel types:
+ * - discord: Discord webhook URL, message sent as an embed
+ * - slack:   Slack incoming webhook URL, message sent as text
+ * - webhook: Any HTTPS endpoint, JSON payload signed with the channel secret:
+ *            X-PrecisionTrader-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ *            X-PrecisionTrader-Timestamp: unix seconds (reject stale timestamps to prevent replay)
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+const CHANNEL_TYPES = ['discord', 'slack', 'webhook'];
+const EVENT_TYPES = ['price_alert', 'loss_alert', 'stream_failure'];
+const MAX_CHANNELS_PER_USER = 10;
+
+const DISCORD_HOSTS = ['discord.com', 'discordapp.com', 'ptb.discord.com', 'canary.discord.com'];
+
+// Embed colors (Discord) per event
+const EVENT_COLORS = {
+  price_alert: 0x3b82f6,
+  loss_alert: 0xef4444,
+  stream_failure: 0xf59e0b,
+  test: 0x22c55e
+};
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Reject hosts that resolve to this machine or a private network by name or literal IP
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+    return true;
+  }
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 || a >= 224
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127);
+  }
+  if (net.isIPv6(host)) {
+    return host === '::1' || host === '::' || host.startsWith('fc') || host.startsWith('fd') || host.startsWith('fe80')
+      || host.startsWith('ff') || host.startsWith('::ffff:');
+  }
+  return false;
+}
+
+/**
+ * Resolve a webhook host at send time and check every address it resolves to
+ * (the URL was only checked by name when the channel was saved)
+ * @returns {Promise<{ address: string, family: number }>} address to connect to
+ */
+async function resolvePublicAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(host);
+  const addresses = family ? [{ address: host, family }] : await dns.lookup(host, { all: true });
+  if (isPrivateHost(host) || addresses.length === 0 || addresses.some(({ address }) => isPrivateHost(address))) {
+    throw new Error('Webhook host resolves to a private address');
+  }
+  return addresses[0];
+}
+
+/**
+ * Validate a webhook URL for a channel type
+ * @returns {string|null} error message, or null if valid
+ */
+function validateChannelUrl(channelType, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return 'url must be a valid URL';
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return 'url must use https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+  if (isPrivateHost(parsed.hostname)) {
+    return 'url must point to a public host';
+  }
+
+  if (channelType === 'discord'
+    && (!DISCORD_HOSTS.includes(parsed.hostname) || !parsed.pathname.startsWith('/api/webhooks/'))) {
+    return 'Discord channels require a Discord webhook URL (https://discord.com/api/webhooks/...)';
+  }
+  if (channelType === 'slack'
+    && (parsed.hostname !== 'hooks.slack.com' || !parsed.pathname.startsWith('/services/'))) {
+    return 'Slack channels require a Slack incoming webhook URL (https://hooks.slack.com/services/...)';
+  }
+  return null;
+}
+
+/**
+ * Validate channel fields from a request body
+ * @param {object} body
+ * @param {object|null} existing - Current channel row when updating (fields not in body are kept)
+ * @returns {{ error: string } | { fields: { name, channel_type, url, events, is_active } }}
+ */
+function parseChannelInput(body = {}, existing = null) {
+  const channelType = body.channel_type !== undefined ? body.channel_type : existing?.channel_type;
+  if (!CHANNEL_TYPES.includes(channelType)) {
+    return { error: `channel_type must be one of: ${CHANNEL_TYPES.join(', ')}` };
+  }
+  if (existing && channelType !== existing.channel_type) {
+    return { error: 'channel_type cannot be changed' };
+  }
+
+  const name = body.name !== undefined ? String(body.name || '').trim() : existing?.name;
+  if (!name) {
+    return { error: 'name is required' };
+  }
+  if (name.length > 100) {
+    return { error: 'name must be at most 100 characters' };
+  }
+
+  const url = body.url !== undefined ? String(body.url || '').trim() : existing?.url;
+  if (!url) {
+    return { error: 'url is required' };
+  }
+  const urlError = validateChannelUrl(channelType, url);
+  if (urlError) {
+    return { error: urlError };
+  }
+
+  let events = existing ? existing.events : EVENT_TYPES;
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      return { error: 'events must be a non-empty array' };
+    }
+    const invalid = body.events.find(event => !EVENT_TYPES.includes(event));
+    if (invalid) {
+      return { error: `Invalid event '${invalid}'. Must be one of: ${EVENT_TYPES.join(', ')}` };
+    }
+    events = [...new Set(body.events)];
+  }
+
+  const isActive = body.is_active !== undefined ? body.is_active === true : (existing ? existing.is_active : true);
+
+  return { fields: { name, channel_type: channelType, url, events, is_active: isActive } };
+}
+
+/**
+ * Mask the secret path of a webhook URL for display (Discord/Slack URLs embed the token)
+ */
+function maskUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const path = parsed.pathname.length > 16 ? `${parsed.pathname.slice(0, 16)}…` : parsed.pathname;
+    return `${parsed.protocol}//${parsed.host}${path}`;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Sign a generic webhook body
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Build the HTTP request for a delivery
+ * @param {object} channel - { channel_type, url }
+ * @param {string|null} secret - Decrypted HMAC secret (generic webhooks)
+ * @param {object} delivery - { id, event_type, payload: { title, message, data, occurredAt } }
+ * @returns {{ url, headers, body }}
+ */
+function buildWebhookRequest(channel, secret, delivery) {
+  const { title, message, data, occurredAt } = delivery.payload;
+  let payload;
+
+  if (channel.channel_type === 'discord') {
+    payload = {
+      username: 'PrecisionTrader',
+      embeds: [{
+        title,
+        description: message,
+        color: EVENT_COLORS[delivery.event_type] || EVENT_COLORS.price_alert,
+        timestamp: occurredAt
+      }]
+    };
+  } else if (channel.channel_type === 'slack') {
+    payload = {
+      text: `*${title}*\n${message}`
+    };
+  } else {
+    payload = {
+      id: delivery.id,
+      event: delivery.event_type,
+      occurred_at: occurredAt,
+      title,
+      message,
+      data
+    };
+  }
+
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'PrecisionTrader-Webhooks/1.0'
+  };
+
+  if (channel.channel_type === 'webhook') {
+    const timestamp = Math.floor(Date.now() / 1000);
+    headers['X-PrecisionTrader-Event'] = delivery.event_type;
+    headers['X-PrecisionTrader-Delivery'] = String(delivery.id);
+    headers['X-PrecisionTrader-Timestamp'] = String(timestamp);
+    if (secret) {
+      headers['X-PrecisionTrader-Signature'] = `sha256=${signPayload(secret, timestamp, body)}`;
+    }
+  }
+
+  return { url: channel.url, headers, body };
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  EVENT_TYPES,
+  MAX_CHANNELS_PER_USER,
+  generateSecret,
+  validateChannelUrl,
+  resolvePublicAddress,
+  parseChannelInput,
+  maskUrl,
+  signPayload,
+  buildWebhookRequest
+};
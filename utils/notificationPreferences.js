@@ -0,0 +1,252 @@
+/**
+ * Per-user notification preferences
+ *
+ * Stored in users.notification_preferences (JSONB), exposed as notificationPreferences
+ * on /auth/settings:
+ * {
+ *   timezone: 'America/New_York',
+ *   events: { price_alert: { email, sms, webhook }, std_dev_alert, position_loss, daily_loss, cooloff_lock, stream_failure },
+ *   quietHours: { enabled, start: 'HH:MM', end: 'HH:MM', holdForDigest, allowEvents: [...] },
+ *   digest: { enabled, intervalMinutes }
+ * }
+ *
+ * Pusher (in-app) notifications are always sent. email_alerts_enabled stays the master
+ * switch for email. During quiet hours, events not in allowEvents are dropped, except
+ * emails which are held for the digest when holdForDigest is set. With digest enabled,
+ * emails are batched into one message every intervalMinutes (workers/notificationDigestWorker).
+ */
+
+const pool = require('../db');
+const moment = require('moment-timezone');
+const logger = require('../config/logging');
+
+const NOTIFICATION_EVENTS = ['price_alert', 'std_dev_alert', 'position_loss', 'daily_loss', 'cooloff_lock', 'stream_failure'];
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'webhook'];
+const DIGEST_INTERVALS = [15, 30, 60, 120, 240, 1440];
+
+const TIME_REGEX = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+const CACHE_TTL_MS = 60 * 1000;
+
+const DEFAULT_PREFERENCES = {
+  timezone: 'America/New_York',
+  events: Object.fromEntries(NOTIFICATION_EVENTS.map(event => [
+    event,
+    Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, true]))
+  ])),
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    holdForDigest: true,
+    allowEvents: ['position_loss', 'daily_loss', 'cooloff_lock']
+  },
+  digest: {
+    enabled: false,
+    intervalMinutes: 60
+  }
+};
+
+// String(userId) -> { preferences, cachedAt } (ids arrive as numbers and as strings)
+const preferencesCache = new Map();
+
+/**
+ * Fill in defaults for missing fields (stored preferences may predate new events)
+ */
+function normalizePreferences(raw) {
+  const stored = raw && typeof raw === 'object' ? raw : {};
+  const events = {};
+  for (const event of NOTIFICATION_EVENTS) {
+    events[event] = { ...DEFAULT_PREFERENCES.events[event], ...(stored.events?.[event] || {}) };
+  }
+  return {
+    timezone: stored.timezone || DEFAULT_PREFERENCES.timezone,
+    events,
+    quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...(stored.quietHours || {}) },
+    digest: { ...DEFAULT_PREFERENCES.digest, ...(stored.digest || {}) }
+  };
+}
+
+/**
+ * Merge a (partial) update into the current preferences and validate the result
+ * @returns {{ error: string } | { preferences: object }}
+ */
+function validatePreferences(update, current = null) {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    return { error: 'notificationPreferences must be an object' };
+  }
+  const base = normalizePreferences(current);
+
+  if (update.timezone !== undefined) {
+    if (typeof update.timezone !== 'string' || !moment.tz.zone(update.timezone)) {
+      return { error: 'notificationPreferences.timezone must be a valid IANA timezone' };
+    }
+    base.timezone = update.timezone;
+  }
+
+  if (update.events !== undefined) {
+    if (!update.events || typeof update.events !== 'object') {
+      return { error: 'notificationPreferences.events must be an object' };
+    }
+    for (const [event, channels] of Object.entries(update.events)) {
+      if (!NOTIFICATION_EVENTS.includes(event)) {
+        return { error: `Unknown notification event '${event}'. Must be one of: ${NOTIFICATION_EVENTS.join(', ')}` };
+      }
+      if (!channels || typeof channels !== 'object') {
+        return { error: `notificationPreferences.events.${event} must be an object` };
+      }
+      for (const [channel, enabled] of Object.entries(channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) {
+          return { error: `Unknown notification channel '${channel}'. Must be one of: ${NOTIFICATION_CHANNELS.join(', ')}` };
+        }
+        if (typeof enabled !== 'boolean') {
+          return { error: `notificationPreferences.events.${event}.${channel} must be a boolean` };
+        }
+        base.events[event][channel] = enabled;
+      }
+    }
+  }
+
+  if (update.quietHours !== undefined) {
+    const quietHours = update.quietHours || {};
+    for (const key of ['enabled', 'holdForDigest']) {
+      if (quietHours[key] !== undefined && typeof quietHours[key] !== 'boolean') {
+        return { error: `notificationPreferences.quietHours.${key} must be a boolean` };
+      }
+    }
+    for (const key of ['start', 'end']) {
+      if (quietHours[key] !== undefined && !TIME_REGEX.test(quietHours[key])) {
+        return { error: `notificationPreferences.quietHours.${key} must be in HH:MM format (24-hour)` };
+      }
+    }
+    if (quietHours.allowEvents !== undefined) {
+      if (!Array.isArray(quietHours.allowEvents)
+        || quietHours.allowEvents.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+        return { error: `notificationPreferences.quietHours.allowEvents must be an array of: ${NOTIFICATION_EVENTS.join(', ')}` };
+      }
+    }
+    for (const key of Object.keys(DEFAULT_PREFERENCES.quietHours)) {
+      if (quietHours[key] !== undefined) base.quietHours[key] = quietHours[key];
+    }
+    if (base.quietHours.start === base.quietHours.end) {
+      return { error: 'notificationPreferences.quietHours start and end must differ' };
+    }
+  }
+
+  if (update.digest !== undefined) {
+    const digest = update.digest || {};
+    if (digest.enabled !== undefined && typeof digest.enabled !== 'boolean') {
+      return { error: 'notificationPreferences.digest.enabled must be a boolean' };
+    }
+    if (digest.intervalMinutes !== undefined && !DIGEST_INTERVALS.includes(digest.intervalMinutes)) {
+      return { error: `notificationPreferences.digest.intervalMinutes must be one of: ${DIGEST_INTERVALS.join(', ')}` };
+    }
+    for (const key of Object.keys(DEFAULT_PREFERENCES.digest)) {
+      if (digest[key] !== undefined) base.digest[key] = digest[key];
+    }
+  }
+
+  return { preferences: base };
+}
+
+/**
+ * Whether `now` falls inside the user's quiet hours (windows may wrap midnight)
+ */
+function isWithinQuietHours(preferences, now = new Date()) {
+  const { quietHours, timezone } = preferences;
+  if (!quietHours.enabled) return false;
+
+  const local = moment(now).tz(timezone);
+  const minutes = local.hours() * 60 + local.minutes();
+  const toMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  };
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Decide what to do with a notification
+ * @param {object} preferences - Normalized preferences
+ * @param {string} channel - 'email' | 'sms' | 'webhook'
+ * @param {string} event - One of NOTIFICATION_EVENTS
+ * @returns {'send' | 'digest' | 'skip'} digest is only returned for email
+ */
+function resolveDelivery(preferences, channel, event, now = new Date()) {
+  if (!preferences.events[event]?.[channel]) return 'skip';
+
+  if (isWithinQuietHours(preferences, now) && !preferences.quietHours.allowEvents.includes(event)) {
+    return channel === 'email' && preferences.quietHours.holdForDigest ? 'digest' : 'skip';
+  }
+  if (channel === 'email' && preferences.digest.enabled) {
+    return 'digest';
+  }
+  return 'send';
+}
+
+/**
+ * Load a user's normalized preferences (cached briefly; engines call this per notification)
+ */
+async function getUserPreferences(userId) {
+  const cached = preferencesCache.get(String(userId));
+  if (cached && Date.now() - cached.cachedAt < CACHE_TTL_MS) {
+    return cached.preferences;
+  }
+
+  const result = await pool.query('SELECT notification_preferences FROM users WHERE id = $1', [userId]);
+  const preferences = normalizePreferences(result.rows[0]?.notification_preferences);
+  preferencesCache.set(String(userId), { preferences, cachedAt: Date.now() });
+  return preferences;
+}
+
+function clearPreferencesCache(userId) {
+  preferencesCache.delete(String(userId));
+}
+
+/**
+ * Resolve delivery for a user; falls back to 'send' if preferences can't be loaded
+ * so a database hiccup never silently drops an alert
+ */
+async function getDeliveryDecision(userId, channel, event) {
+  try {
+    const preferences = await getUserPreferences(userId);
+    return resolveDelivery(preferences, channel, event);
+  } catch (error) {
+    logger.error(`[NotificationPreferences] Failed to load preferences for user ${userId}:`, error.message);
+    return 'send';
+  }
+}
+
+/**
+ * Hold an email notification for the next digest
+ * @param {object} item - { title, message, data }
+ */
+async function queueDigestItem(userId, event, item) {
+  try {
+    await pool.query(`
+      INSERT INTO notification_digest_items (user_id, event_type, title, message, payload)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [userId, event, item.title, item.message, JSON.stringify(item.data || {})]);
+  } catch (error) {
+    logger.error(`[NotificationPreferences] Failed to queue digest item for user ${userId}:`, error.message);
+  }
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_CHANNELS,
+  DIGEST_INTERVALS,
+  DEFAULT_PREFERENCES,
+  normalizePreferences,
+  validatePreferences,
+  isWithinQuietHours,
+  resolveDelivery,
+  getUserPreferences,
+  clearPreferencesCache,
+  getDeliveryDecision,
+  queueDigestItem
+};
@@ -0,0 +1,252 @@
+/**
+ * Performance analytics from daily account snapshots
+ *
+ * Daily P&L comes from the snapshot's TodaysProfitLoss (falls back to the equity change),
+ * so deposits and withdrawals don't show up as returns. Drawdowns are measured on the
+ * P&L curve (first equity + cumulative P&L) for the same reason. Daily return is the
+ * day's P&L over the previous day's equity.
+ */
+
+const moment = require('moment-timezone');
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+const round = (value, decimals = 2) => (value === null || !Number.isFinite(value)
+  ? null
+  : Math.round(value * 10 ** decimals) / 10 ** decimals);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const daysBetween = (from, to) => moment.utc(to).diff(moment.utc(from), 'days');
+
+/**
+ * Daily P&L and returns
+ * @param {Array<{ date: string, equity: number, todaysProfitLoss: number|null }>} points - Sorted by date
+ */
+function buildDailyReturns(points) {
+  const daily = [];
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const current = points[i];
+    const pnl = current.todaysProfitLoss !== null ? current.todaysProfitLoss : current.equity - previous.equity;
+    daily.push({
+      date: current.date,
+      pnl: round(pnl),
+      return: previous.equity > 0 ? pnl / previous.equity : null
+    });
+  }
+  return daily;
+}
+
+/**
+ * Max drawdown on the P&L curve
+ * Duration runs from the peak to recovery (or the last snapshot if not recovered)
+ */
+function computeDrawdown(points, daily) {
+  const empty = { amount: 0, percent: 0, peakDate: null, troughDate: null, recoveryDate: null, durationDays: 0, current: { amount: 0, percent: 0 } };
+  if (points.length === 0) return empty;
+
+  let curve = points[0].equity;
+  let peak = curve;
+  let peakDate = points[0].date;
+  let max = { ...empty };
+  let open = null; // Max drawdown waiting for recovery
+
+  for (const day of daily) {
+    curve += day.pnl;
+
+    if (curve >= peak) {
+      if (open) {
+        open.recoveryDate = day.date;
+        open.durationDays = daysBetween(open.peakDate, day.date);
+        open = null;
+      }
+      peak = curve;
+      peakDate = day.date;
+      continue;
+    }
+
+    const amount = peak - curve;
+    if (amount > max.amount) {
+      max = {
+        amount,
+        percent: peak > 0 ? (amount / peak) * 100 : 0,
+        peakDate,
+        troughDate: day.date,
+        recoveryDate: null,
+        durationDays: 0
+      };
+      open = max;
+    }
+  }
+
+  if (open) {
+    open.durationDays = daysBetween(open.peakDate, points[points.length - 1].date);
+  }
+
+  const currentAmount = peak - curve;
+  return {
+    amount: round(max.amount),
+    percent: round(max.percent),
+    peakDate: max.peakDate,
+    troughDate: max.troughDate,
+    recoveryDate: max.recoveryDate,
+    durationDays: max.durationDays,
+    current: {
+      amount: round(currentAmount),
+      percent: round(peak > 0 ? (currentAmount / peak) * 100 : 0)
+    }
+  };
+}
+
+/**
+ * Annualized Sharpe and Sortino ratios of daily returns
+ * @param {number} riskFreeRate - Annual risk-free rate (0.04 = 4%)
+ */
+function computeRatios(daily, riskFreeRate = 0) {
+  const returns = daily.map(day => day.return).filter(value => value !== null);
+  if (returns.length < 2) return { sharpe: null, sortino: null };
+
+  const dailyRiskFree = riskFreeRate / TRADING_DAYS_PER_YEAR;
+  const excess = returns.map(value => value - dailyRiskFree);
+  const avg = mean(excess);
+
+  const variance = excess.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (excess.length - 1);
+  const std = Math.sqrt(variance);
+  const downside = Math.sqrt(mean(excess.map(value => Math.min(value, 0) ** 2)));
+  const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  return {
+    sharpe: std > 0 ? round((avg / std) * annualize, 3) : null,
+    sortino: downside > 0 ? round((avg / downside) * annualize, 3) : null
+  };
+}
+
+/**
+ * Consecutive winning / losing days (flat days end a streak)
+ */
+function computeStreaks(daily) {
+  const streaks = { longestWin: 0, longestLoss: 0, current: { type: null, length: 0 } };
+  let type = null;
+  let length = 0;
+
+  for (const day of daily) {
+    const dayType = day.pnl > 0 ? 'win' : day.pnl < 0 ? 'loss' : null;
+    if (dayType && dayType === type) {
+      length++;
+    } else {
+      type = dayType;
+      length = dayType ? 1 : 0;
+    }
+    if (type === 'win') streaks.longestWin = Math.max(streaks.longestWin, length);
+    if (type === 'loss') streaks.longestLoss = Math.max(streaks.longestLoss, length);
+  }
+
+  streaks.current = { type, length };
+  return streaks;
+}
+
+/**
+ * Aggregate daily P&L into periods (return is compounded from daily returns)
+ * @param {function(string): string} periodKey - date -> period label
+ */
+function aggregatePeriods(points, daily, periodKey) {
+  const equityByDate = new Map(points.map(point => [point.date, point.equity]));
+  const periods = new Map();
+
+  for (const day of daily) {
+    const key = periodKey(day.date);
+    if (!periods.has(key)) {
+      periods.set(key, { period: key, pnl: 0, growth: 1, tradingDays: 0, winDays: 0, lossDays: 0, endEquity: null });
+    }
+    const period = periods.get(key);
+    period.pnl += day.pnl;
+    if (day.return !== null) period.growth *= 1 + day.return;
+    period.tradingDays++;
+    if (day.pnl > 0) period.winDays++;
+    if (day.pnl < 0) period.lossDays++;
+    period.endEquity = equityByDate.get(day.date);
+  }
+
+  return [...periods.values()].map(({ growth, ...period }) => ({
+    ...period,
+    pnl: round(period.pnl),
+    returnPct: round((growth - 1) * 100, 3)
+  }));
+}
+
+/**
+ * Full analytics for one account
+ * @param {Array<{ date: string, equity: number, todaysProfitLoss: number|null }>} points - Sorted by date
+ * @param {{ riskFreeRate?: number }} options
+ */
+function computeAccountAnalytics(points, { riskFreeRate = 0 } = {}) {
+  const daily = buildDailyReturns(points);
+  const first = points[0] || null;
+  const last = points[points.length - 1] || null;
+  const totalPnL = daily.reduce((sum, day) => sum + day.pnl, 0);
+  const compounded = daily.reduce((growth, day) => (day.return !== null ? growth * (1 + day.return) : growth), 1);
+
+  return {
+    summary: {
+      startDate: first ? first.date : null,
+      endDate: last ? last.date : null,
+      startEquity: first ? round(first.equity) : null,
+      endEquity: last ? round(last.equity) : null,
+      totalPnL: round(totalPnL),
+      totalReturnPct: round((compounded - 1) * 100, 3),
+      tradingDays: daily.length,
+      winDays: daily.filter(day => day.pnl > 0).length,
+      lossDays: daily.filter(day => day.pnl < 0).length,
+      bestDay: daily.length ? daily.reduce((best, day) => (day.pnl > best.pnl ? day : best)) : null,
+      worstDay: daily.length ? daily.reduce((worst, day) => (day.pnl < worst.pnl ? day : worst)) : null
+    },
+    equityCurve: points.map(point => ({ date: point.date, equity: round(point.equity) })),
+    dailyReturns: daily.map(day => ({ ...day, return: round(day.return, 6) })),
+    drawdown: computeDrawdown(points, daily),
+    ratios: computeRatios(daily, riskFreeRate),
+    streaks: computeStreaks(daily),
+    weekly: aggregatePeriods(points, daily, date => moment.utc(date).format('GGGG-[W]WW')),
+    monthly: aggregatePeriods(points, daily, date => date.slice(0, 7))
+  };
+}
+
+/**
+ * Intraday drawdown from equity samples of one session
+ * The peak is taken from earlier samples only, since a bucket's low may precede its high
+ * @param {Array<{ sampledAt, equity: number, low: number, high: number }>} samples - Sorted by time
+ */
+function computeIntradayDrawdown(samples) {
+  if (samples.length === 0) {
+    return { highWater: null, maxDrawdown: { amount: 0, percent: 0, at: null }, currentDrawdown: { amount: 0, percent: 0 } };
+  }
+
+  let peak = samples[0].high;
+  let max = { amount: 0, percent: 0, at: null };
+  samples.forEach((sample, index) => {
+    const referencePeak = index === 0 ? sample.equity : peak;
+    const amount = referencePeak - sample.low;
+    if (amount > max.amount) {
+      max = { amount, percent: referencePeak > 0 ? (amount / referencePeak) * 100 : 0, at: sample.sampledAt };
+    }
+    peak = Math.max(peak, sample.high);
+  });
+
+  const current = peak - samples[samples.length - 1].equity;
+  return {
+    highWater: round(peak),
+    maxDrawdown: { amount: round(max.amount), percent: round(max.percent), at: max.at },
+    currentDrawdown: { amount: round(current), percent: round(peak > 0 ? (current / peak) * 100 : 0) }
+  };
+}
+
+module.exports = {
+  TRADING_DAYS_PER_YEAR,
+  buildDailyReturns,
+  computeDrawdown,
+  computeRatios,
+  computeStreaks,
+  aggregatePeriods,
+  computeAccountAnalytics,
+  computeIntradayDrawdown
+};
@@ -1,4 +1,4 @@
-const { StreamMultiplexer } = require('./streamMultiplexer');
+const { StreamMultiplexer, SharedMarketDataMultiplexer } = require('./streamMultiplexer');
 
 function normalizeSymbolsCsv(csv) {
   const list = String(csv).split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
@@ -6,11 +6,19 @@ function normalizeSymbolsCsv(csv) {
   return Array.from(new Set(list)).sort().join(',');
 }
 
-const mux = new StreamMultiplexer({
-  name: 'Quotes',
-  makeKey: (userId, symbolsCsv) => `${userId}|${normalizeSymbolsCsv(symbolsCsv)}`,
-  buildRequest: (userId, symbolsCsv) => ({ path: `/marketdata/stream/quotes/${normalizeSymbolsCsv(symbolsCsv)}`, paperTrading: false })
-});
+// One upstream per user and symbol list by default. SHARED_QUOTE_STREAMS=true streams each symbol
+// once for every user watching it, with one subscriber's token: only enable it when all users
+// have the same market data entitlements.
+const mux = process.env.SHARED_QUOTE_STREAMS === 'true'
+  ? new SharedMarketDataMultiplexer({
+    name: 'Quotes',
+    buildPath: (symbolsCsv) => `/marketdata/stream/quotes/${symbolsCsv}`
+  })
+  : new StreamMultiplexer({
+    name: 'Quotes',
+    makeKey: (userId, symbolsCsv) => `${userId}|${normalizeSymbolsCsv(symbolsCsv)}`,
+    buildRequest: (userId, symbolsCsv) => ({ path: `/marketdata/stream/quotes/${normalizeSymbolsCsv(symbolsCsv)}`, paperTrading: false })
+  });
 
 // MEMORY LEAK FIX: Don't use exclusive subscribers for quotes
 // This allows user streams and background alert streams to share the same upstream connection
@@ -0,0 +1,231 @@
+/**
+ * Exchange session calendar
+ *
+ * Markets:
+ * - equities: US stocks/ETFs, pre-market 4:00-9:30, regular 9:30-16:00, post-market 16:00-20:00 ET.
+ *   Closed on exchange holidays; early close days end regular trading at 13:00 ET (post 17:00 ET).
+ * - futures: CME Globex, one session per trade date from 17:00 CT the evening before to 16:00 CT
+ *   (Sunday evening opens Monday's session); the 16:00-17:00 CT gap is the daily maintenance break.
+ *   New Year's Day, Good Friday and Christmas are full closures; other holidays close early at
+ *   12:00 CT, early close days (July 3, day after Thanksgiving, Christmas Eve) at 12:15 CT.
+ *
+ * Holidays come from utils/exchangeCalendar. Session times are returned as Dates.
+ */
+
+const moment = require('moment-timezone');
+const { getExchangeHoliday } = require('./exchangeCalendar');
+
+// Timezone used for user-facing trading days, loss limit sessions and trading windows
+const MARKET_TIMEZONE = 'America/New_York';
+
+const MARKETS = {
+  equities: {
+    timezone: 'America/New_York',
+    sessions: [
+      { type: 'pre', start: '04:00', end: '09:30', extended: true },
+      { type: 'regular', start: '09:30', end: '16:00' },
+      { type: 'post', start: '16:00', end: '20:00', extended: true }
+    ],
+    earlyClose: { regular: '13:00', post: '17:00' }
+  },
+  futures: {
+    timezone: 'America/Chicago',
+    open: '17:00', // Previous calendar day
+    close: '16:00',
+    holidayClose: '12:00',
+    earlyClose: '12:15',
+    fullClosures: ["New Year's Day", 'Good Friday', 'Christmas Day']
+  }
+};
+
+const MAX_SEARCH_DAYS = 14;
+
+const at = (date, time, timezone) => moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', timezone);
+
+function assertMarket(market) {
+  if (!MARKETS[market]) {
+    throw new Error(`Unknown market "${market}" (expected ${Object.keys(MARKETS).join(' or ')})`);
+  }
+}
+
+/**
+ * Early close day (shortened session the day before/after a holiday)
+ * @param {string} date - YYYY-MM-DD
+ */
+function isEarlyCloseDay(date) {
+  const day = moment.utc(date);
+  if (day.isoWeekday() > 5 || getExchangeHoliday(date)) return false;
+
+  const monthDay = day.format('MM-DD');
+  if (monthDay === '07-03' || monthDay === '12-24') return true;
+
+  // Day after Thanksgiving
+  const dayBefore = day.clone().subtract(1, 'day').format('YYYY-MM-DD');
+  return getExchangeHoliday(dayBefore) === 'Thanksgiving Day';
+}
+
+/**
+ * Sessions of one trading day
+ * @param {'equities'|'futures'} market
+ * @param {string} date - Trading date (YYYY-MM-DD)
+ * @returns {{ date, market, isTradingDay, holiday, earlyClose, sessions: Array<{ type, start: Date, end: Date, extended: boolean }> }}
+ */
+function getTradingDay(market, date) {
+  assertMarket(market);
+  const config = MARKETS[market];
+  const holiday = getExchangeHoliday(date);
+  const isWeekend = moment.utc(date).isoWeekday() > 5;
+  const earlyClose = isEarlyCloseDay(date);
+  const day = { date, market, isTradingDay: false, holiday, earlyClose, sessions: [] };
+
+  if (isWeekend) return day;
+
+  if (market === 'equities') {
+    if (holiday) return day;
+    day.isTradingDay = true;
+    day.sessions = config.sessions.map(session => ({
+      type: session.type,
+      start: at(date, session.start, config.timezone).toDate(),
+      end: at(date, (earlyClose && config.earlyClose[session.type]) || session.end, config.timezone).toDate(),
+      extended: !!session.extended
+    }));
+    // Post-market starts at the (early) regular close
+    if (earlyClose) day.sessions[2].start = day.sessions[1].end;
+    return day;
+  }
+
+  if (holiday && config.fullClosures.includes(holiday)) return day;
+
+  let close = config.close;
+  if (holiday) close = config.holidayClose;
+  else if (earlyClose) close = config.earlyClose;
+
+  const previousDay = moment.utc(date).subtract(1, 'day').format('YYYY-MM-DD');
+  day.isTradingDay = true;
+  day.earlyClose = close !== config.close;
+  day.sessions = [{
+    type: 'regular',
+    start: at(previousDay, config.open, config.timezone).toDate(),
+    end: at(date, close, config.timezone).toDate(),
+    extended: false
+  }];
+  return day;
+}
+
+const sessionsFor = (day, extended) => day.sessions.filter(session => extended || !session.extended);
+
+// Calendar date in the market timezone
+const localDate = (market, now) => moment(now).tz(MARKETS[market].timezone).format('YYYY-MM-DD');
+
+const shiftDate = (date, days) => moment.utc(date).add(days, 'days').format('YYYY-MM-DD');
+
+/**
+ * Session open at `now`, null when the market is closed
+ * @param {{ extended?: boolean }} options - Include pre/post-market sessions (equities)
+ */
+function getCurrentSession(market, now = new Date(), { extended = false } = {}) {
+  assertMarket(market);
+  const time = new Date(now).getTime();
+  const today = localDate(market, now);
+
+  // A futures session belongs to the next day's trade date once it opens in the evening
+  for (const date of [today, shiftDate(today, 1)]) {
+    const day = getTradingDay(market, date);
+    const session = sessionsFor(day, extended).find(s => time >= s.start.getTime() && time < s.end.getTime());
+    if (session) return { ...session, tradingDate: date, market };
+  }
+  return null;
+}
+
+function isMarketOpen(market, now = new Date(), options = {}) {
+  return getCurrentSession(market, now, options) !== null;
+}
+
+/**
+ * Next session that hasn't ended yet (the current one while open)
+ */
+function getNextSession(market, now = new Date(), { extended = false } = {}) {
+  assertMarket(market);
+  const time = new Date(now).getTime();
+  const today = localDate(market, now);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const date = shiftDate(today, offset);
+    const session = sessionsFor(getTradingDay(market, date), extended).find(s => s.end.getTime() > time);
+    if (session) return { ...session, tradingDate: date, market };
+  }
+  return null;
+}
+
+/**
+ * End of the current session, or of the next one while closed
+ * @returns {Date}
+ */
+function getNextSessionEnd(market, now = new Date(), options = {}) {
+  const session = getNextSession(market, now, options);
+  return session ? session.end : null;
+}
+
+/**
+ * Trading date a timestamp belongs to (the next trading day outside sessions)
+ * @returns {string} YYYY-MM-DD
+ */
+function getTradingDate(market, now = new Date()) {
+  const session = getCurrentSession(market, now, { extended: true }) || getNextSession(market, now, { extended: true });
+  return session ? session.tradingDate : localDate(market, now);
+}
+
+/**
+ * Daily window between regular closes: from the previous trading day's close to the next close
+ * (a Friday close runs to Monday's close, holidays are skipped)
+ * @returns {{ start: Date, end: Date, key: string }} key is the start date in MARKET_TIMEZONE
+ */
+function getDailySessionWindow(market, now = new Date()) {
+  assertMarket(market);
+  const time = new Date(now).getTime();
+  const end = getNextSessionEnd(market, now);
+
+  let start = null;
+  const today = localDate(market, now);
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS && !start; offset++) {
+    const regular = sessionsFor(getTradingDay(market, shiftDate(today, -offset)), false)[0];
+    if (regular && regular.end.getTime() <= time) start = regular.end;
+  }
+
+  return {
+    start,
+    end,
+    key: moment(start).tz(MARKET_TIMEZONE).format('YYYY-MM-DD')
+  };
+}
+
+/**
+ * Status summary for a market
+ */
+function getMarketStatus(market, now = new Date()) {
+  const current = getCurrentSession(market, now, { extended: true });
+  const nextRegular = getNextSession(market, now);
+  return {
+    market,
+    timezone: MARKETS[market].timezone,
+    isOpen: !!current && current.type === 'regular',
+    currentSession: current,
+    tradingDate: getTradingDate(market, now),
+    nextSessionEnd: getNextSessionEnd(market, now),
+    nextRegularSession: nextRegular
+  };
+}
+
+module.exports = {
+  MARKET_TIMEZONE,
+  MARKETS,
+  isEarlyCloseDay,
+  getTradingDay,
+  getCurrentSession,
+  isMarketOpen,
+  getNextSession,
+  getNextSessionEnd,
+  getTradingDate,
+  getDailySessionWindow,
+  getMarketStatus
+};
@@ -0,0 +1,203 @@
+/**
+ * Backfill of account_snapshots history from TradeStation historical orders
+ *
+ * For each account:
+ * - Daily realized P&L (net of fees) is reconstructed from filled orders
+ *   (FIFO matches of round trips from utils/tradeReconstruction, booked on the exit day)
+ * - End-of-day equity is approximated by walking back from the current balance:
+ *   equity(D) = equity(D + 1) - P&L(D + 1), starting from Equity - TodaysProfitLoss
+ *
+ * Approximations: deposits/withdrawals and overnight unrealized P&L are not known and
+ * are ignored; positions opened before the lookback window are not reconstructed.
+ * Rows are written with source = 'backfill', for past dates only, and never replace
+ * scheduler or manual captures.
+ */
+
+const moment = require('moment-timezone');
+const pool = require('../db');
+const logger = require('../config/logging');
+const { tradestationRequest } = require('./tradestationProxy');
+const { encryptToken } = require('./secureCredentials');
+const { fetchAccountOrders, fetchUserAccounts, MAX_LOOKBACK_DAYS } = require('./historicalOrders');
+const { buildRoundTrips } = require('./tradeReconstruction');
+
+const TIMEZONE = 'America/New_York';
+const SNAPSHOT_TIME = '16:00';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Realized P&L, fees and closed trades per day (YYYY-MM-DD in New York time)
+ * @param {object[]} trips - From buildRoundTrips
+ * @returns {Map<string, { realizedPL: number, fees: number, trades: number }>}
+ */
+function computeDailyRealized(trips) {
+  const days = new Map();
+  const dayOf = (time) => moment(time).tz(TIMEZONE).format('YYYY-MM-DD');
+  const getDay = (date) => {
+    if (!days.has(date)) days.set(date, { realizedPL: 0, fees: 0, trades: 0 });
+    return days.get(date);
+  };
+
+  for (const trip of trips) {
+    for (const part of [...trip.entries, ...trip.exits]) {
+      getDay(dayOf(part.time)).fees += part.fees;
+    }
+    for (const match of trip.matches) {
+      getDay(dayOf(match.closedAt)).realizedPL += match.pnl;
+    }
+
+    if (trip.isClosed) {
+      getDay(dayOf(trip.closedAt)).trades++;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Daily rows from yesterday back to the start date (weekdays, plus weekend days with fills)
+ * @param {number} currentEquity - Equity from current balances
+ * @param {number} todaysPnL - Today's P&L (not part of any backfilled day)
+ */
+function buildBackfillRows(dailyRealized, { currentEquity, todaysPnL, startDate, today }) {
+  const rows = [];
+  let equity = currentEquity - todaysPnL;
+
+  for (let date = moment.tz(today, TIMEZONE).subtract(1, 'day'); date.format('YYYY-MM-DD') >= startDate; date.subtract(1, 'day')) {
+    const key = date.format('YYYY-MM-DD');
+    const day = dailyRealized.get(key);
+    const isWeekend = date.isoWeekday() > 5;
+    if (isWeekend && !day) continue;
+
+    const netPnL = day ? day.realizedPL - day.fees : 0;
+    rows.push({
+      date: key,
+      equity: round(equity),
+      realizedPL: day ? round(day.realizedPL) : 0,
+      fees: day ? round(day.fees) : 0,
+      netPnL: round(netPnL),
+      trades: day ? day.trades : 0
+    });
+
+    // Equity at the end of the previous day
+    equity -= netPnL;
+  }
+
+  return rows.reverse();
+}
+
+/**
+ * Backfill one account
+ * @param {number|string} userId
+ * @param {{ AccountID: string, AccountType: string, isPaperTrading: boolean }} account
+ * @param {number} days - Lookback in days (max 90, TradeStation historical orders limit)
+ */
+async function backfillAccount(userId, account, days) {
+  const accountId = account.AccountID;
+  const isPaperTrading = account.isPaperTrading || false;
+
+  const balancesResult = await tradestationRequest(userId, {
+    method: 'GET',
+    path: `/brokerage/accounts/${accountId}/balances`,
+    paperTrading: isPaperTrading,
+  });
+  const balanceData = balancesResult.ok ? balancesResult.data?.Balances?.[0] : null;
+  const currentEquity = parseFloat(balanceData?.Equity);
+  if (!Number.isFinite(currentEquity)) {
+    throw new Error(`Failed to fetch balances (${balancesResult.status})`);
+  }
+
+  const orders = await fetchAccountOrders(userId, accountId, isPaperTrading, days);
+  const dailyRealized = computeDailyRealized(buildRoundTrips(accountId, orders));
+
+  const today = moment().tz(TIMEZONE).format('YYYY-MM-DD');
+  const todaysFromBalance = parseFloat(balanceData.TodaysProfitLoss);
+  const todaysFromOrders = dailyRealized.get(today);
+  const todaysPnL = Number.isFinite(todaysFromBalance)
+    ? todaysFromBalance
+    : (todaysFromOrders ? todaysFromOrders.realizedPL - todaysFromOrders.fees : 0);
+
+  const rows = buildBackfillRows(dailyRealized, {
+    currentEquity,
+    todaysPnL,
+    startDate: moment.tz(today, TIMEZONE).subtract(days, 'days').format('YYYY-MM-DD'),
+    today
+  });
+
+  const accountType = balanceData.AccountType || account.AccountType || 'Unknown';
+  let written = 0;
+  for (const row of rows) {
+    const snapshotTime = moment.tz(`${row.date} ${SNAPSHOT_TIME}`, TIMEZONE).format('HH:mm:ssZ');
+    const encryptedBalanceData = encryptToken(JSON.stringify({
+      AccountID: accountId,
+      AccountType: accountType,
+      Equity: row.equity,
+      TodaysProfitLoss: row.netPnL,
+      BalanceDetail: { RealizedProfitLoss: row.realizedPL, Commission: row.fees },
+      Backfill: { trades: row.trades, source: 'historicalorders' }
+    }));
+
+    const result = await pool.query(`
+      INSERT INTO account_snapshots (
+        user_id, account_id, account_type, snapshot_date, snapshot_time,
+        balance_data_encrypted, equity, todays_profit_loss, day_trades, is_paper_trading, source
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NULL, $9, 'backfill')
+      ON CONFLICT (user_id, account_id, snapshot_date, is_paper_trading)
+      DO UPDATE SET
+        snapshot_time = EXCLUDED.snapshot_time,
+        balance_data_encrypted = EXCLUDED.balance_data_encrypted,
+        equity = EXCLUDED.equity,
+        todays_profit_loss = EXCLUDED.todays_profit_loss,
+        created_at = NOW()
+      WHERE account_snapshots.source = 'backfill'
+      RETURNING id
+    `, [userId, accountId, accountType, row.date, snapshotTime, encryptedBalanceData, row.equity, row.netPnL, isPaperTrading]);
+
+    written += result.rows.length;
+  }
+
+  return {
+    accountId,
+    isPaperTrading,
+    daysWritten: written,
+    daysSkipped: rows.length - written, // Dates that already have a captured snapshot
+    firstDate: rows.length ? rows[0].date : null,
+    lastDate: rows.length ? rows[rows.length - 1].date : null,
+    totalNetPnL: round(rows.reduce((sum, row) => sum + row.netPnL, 0))
+  };
+}
+
+/**
+ * Backfill all (or one) of a user's live and paper accounts
+ * @param {number|string} userId
+ * @param {{ days?: number, accountId?: string }} options
+ * @returns {Promise<{ accounts: object[], errors: object[] }>}
+ */
+async function backfillUserSnapshots(userId, { days = MAX_LOOKBACK_DAYS, accountId = null } = {}) {
+  const lookbackDays = Math.min(Math.max(parseInt(days, 10) || MAX_LOOKBACK_DAYS, 1), MAX_LOOKBACK_DAYS);
+  const allAccounts = await fetchUserAccounts(userId);
+
+  const accounts = [];
+  const errors = [];
+  for (const account of allAccounts) {
+    if (accountId && account.AccountID !== accountId) continue;
+    try {
+      const summary = await backfillAccount(userId, account, lookbackDays);
+      logger.info(`[Snapshot Backfill] User ${userId} account ${account.AccountID} (${account.isPaperTrading ? 'Paper' : 'Live'}): ${summary.daysWritten} day(s) written`);
+      accounts.push(summary);
+    } catch (error) {
+      logger.error(`[Snapshot Backfill] Error backfilling account ${account.AccountID}:`, error.message);
+      errors.push({ accountId: account.AccountID, isPaperTrading: account.isPaperTrading, error: error.message });
+    }
+  }
+
+  return { lookbackDays, accounts, errors };
+}
+
+module.exports = {
+  computeDailyRealized,
+  buildBackfillRows,
+  backfillAccount,
+  backfillUserSnapshots
+};
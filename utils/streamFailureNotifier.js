@@ -0,0 +1,106 @@
+/**
+ * Stream failure notifications
+ *
+ * BackgroundStreamManager emits 'streamFailure' when a stream's circuit breaker trips
+ * and it stops reconnecting. AlertEngine (quotes) and PositionLossEngine (positions)
+ * forward those here so the user learns that alerts / loss limits aren't being checked.
+ * Notifications are throttled per stream and honor notification preferences.
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+const { getDeliveryDecision, queueDigestItem } = require('./notificationPreferences');
+
+const NOTIFY_INTERVAL_MS = 30 * 60 * 1000;
+
+// stream key -> last notified timestamp
+const lastNotifiedAt = new Map();
+
+// Lazy-load Pusher only when needed
+let pusher = null;
+const getPusher = () => {
+  if (!pusher) {
+    const Pusher = require('pusher');
+    pusher = new Pusher({
+      appId: process.env.PUSHER_APP_ID,
+      key: process.env.PUSHER_KEY,
+      secret: process.env.PUSHER_SECRET,
+      cluster: process.env.PUSHER_CLUSTER,
+      useTLS: true
+    });
+  }
+  return pusher;
+};
+
+/**
+ * Human readable name of the stream
+ */
+function describeStream(event) {
+  if (event.streamType === 'positions' && event.deps?.accountId) {
+    return `positions for account ${event.deps.accountId}`;
+  }
+  if (event.streamType === 'quotes' && typeof event.deps === 'string') {
+    return `quotes for ${event.deps}`;
+  }
+  return `${event.streamType} stream`;
+}
+
+/**
+ * Notify the stream's owner (Pusher always; email and webhooks per preferences)
+ * @param {object} event - 'streamFailure' event from BackgroundStreamManager
+ */
+async function notifyStreamFailure(event) {
+  const now = Date.now();
+  const last = lastNotifiedAt.get(event.key);
+  if (last && now - last < NOTIFY_INTERVAL_MS) return;
+  lastNotifiedAt.set(event.key, now);
+
+  const description = describeStream(event);
+  const notification = {
+    streamType: event.streamType,
+    description,
+    failures: event.failures,
+    detectedAt: event.detectedAt
+  };
+  const title = 'Stream stopped reconnecting';
+  const message = `The ${description} failed ${event.failures} times and stopped reconnecting.`;
+
+  logger.warn(`[StreamFailureNotifier] Notifying user ${event.userId}: ${message}`);
+
+  try {
+    await getPusher().trigger(`user-${event.userId}-alerts`, 'stream_failure', notification);
+  } catch (error) {
+    logger.error('[StreamFailureNotifier] Failed to send Pusher notification:', error.message);
+  }
+
+  try {
+    const emailDecision = await getDeliveryDecision(event.userId, 'email', 'stream_failure');
+    if (emailDecision !== 'skip') {
+      const userResult = await pool.query(
+        'SELECT email, email_alerts_enabled FROM users WHERE id = $1',
+        [event.userId]
+      );
+      const user = userResult.rows[0];
+      if (user && user.email_alerts_enabled && user.email) {
+        if (emailDecision === 'digest') {
+          await queueDigestItem(event.userId, 'stream_failure', { title, message, data: notification });
+        } else {
+          const { createTransport, buildStreamFailureEmail } = require('../config/email');
+          const transporter = createTransport();
+          await transporter.sendMail(buildStreamFailureEmail({ to: user.email, ...notification }));
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('[StreamFailureNotifier] Failed to send email notification:', error.message);
+  }
+
+  if (await getDeliveryDecision(event.userId, 'webhook', 'stream_failure') === 'send') {
+    const notificationDispatcher = require('../workers/notificationDispatcher');
+    await notificationDispatcher.dispatch(event.userId, 'stream_failure', { title, message, data: notification });
+  }
+}
+
+module.exports = {
+  notifyStreamFailure
+};
@@ -2,7 +2,10 @@
 const { Readable } = require('stream');
 const { buildUrl, getUserAccessToken } = require('./tradestationProxy');
 const { refreshAccessTokenForUserLocked } = require('./tokenRefresh');
+const streamRecorder = require('./streamRecorder');
+const streamReplay = require('./streamReplay');
 const logger = require('../config/logging');
+const { InternalSubscriber } = require('./internalSubscriber');
 
 // Only log verbose stream details if DEBUG_STREAMS=true
 const VERBOSE_LOGGING = process.env.DEBUG_STREAMS === 'true';
@@ -17,6 +20,16 @@ const STALE_PENDING_THRESHOLD_MS = 20000; // Consider pending open stale after 2
 const PERIODIC_CLEANUP_INTERVAL_MS = 60000; // Run cleanup every 60 seconds
 const ZOMBIE_GRACE_PERIOD_MS = 30000; // Wait 30s before destroying connections with 0 subscribers (prevents race conditions)
 
+// Shared market data mode (SharedMarketDataMultiplexer)
+const SHARED_GROUP_MAX_SYMBOLS = 50; // Symbols per shared upstream (TradeStation accepts up to 100)
+const SHARED_RESUBSCRIBE_DEBOUNCE_MS = 250; // Batch symbol additions before reopening a group
+const SHARED_SYMBOL_RELEASE_DELAY_MS = 5000; // Keep streaming a released symbol briefly (covers client reconnects)
+const SHARED_REOPEN_DELAY_MS = 1000; // Base backoff when a shared upstream drops
+const SHARED_MAX_REOPEN_ATTEMPTS = 5; // Give up and end subscribers after this many failed reopens
+const SHARED_MAX_OWNER_ATTEMPTS = 3; // Users whose token is tried before a group open fails
+
+const REPLAY_KEY_SUFFIX = '|replay'; // Upstreams of replay users' clients (utils/streamReplay)
+
 class StreamMultiplexer {
   /**
    * @param {{
@@ -101,6 +114,7 @@ class StreamMultiplexer {
       return;
     }
     state.aborted = true;
+    if (streamRecorder.isRecording()) streamRecorder.recordEnd(this.name, key, reason);
     
     // Step 2: Close all subscribers
     for (const res of state.subscribers) {
@@ -199,8 +213,17 @@ class StreamMultiplexer {
     }
   }
 
-  async ensureUpstream(userId, deps) {
+  /**
+   * Upstream key of a subscriber. Client subscribers of replay users get separate upstreams, so
+   * background consumers of the same user (InternalSubscriber) never receive recorded data
+   */
+  keyFor(userId, deps, res) {
     const key = this.makeKey(userId, deps);
+    const replayable = !(res instanceof InternalSubscriber) || res.replayable;
+    return replayable && streamReplay.handles(this.name, userId) ? `${key}${REPLAY_KEY_SUFFIX}` : key;
+  }
+
+  async ensureUpstream(userId, deps, key = this.makeKey(userId, deps)) {
     
     // Wait for any pending cleanup to complete before opening new stream
     // CRITICAL: Add timeout to prevent infinite hang if cleanup promise never resolves
@@ -308,13 +331,18 @@ class StreamMultiplexer {
       return err;
     }
     
+    // Replayed upstreams come from a recording (utils/streamReplay) and need no token
+    const replaying = key.endsWith(REPLAY_KEY_SUFFIX);
+    
     let accessToken;
-    try {
-      accessToken = await getUserAccessToken(userId);
-    } catch (tokenErr) {
-      const err = { __error: true, status: 401, response: { error: 'Unauthorized', details: tokenErr && tokenErr.message }, message: 'Failed to acquire access token' };
-      try { rejectLock(err); } catch (_) {}
-      return err;
+    if (!replaying) {
+      try {
+        accessToken = await getUserAccessToken(userId);
+      } catch (tokenErr) {
+        const err = { __error: true, status: 401, response: { error: 'Unauthorized', details: tokenErr && tokenErr.message }, message: 'Failed to acquire access token' };
+        try { rejectLock(err); } catch (_) {}
+        return err;
+      }
     }
     const url = buildUrl(!!paperTrading, path, query);
     
@@ -331,11 +359,13 @@ class StreamMultiplexer {
       timeoutSignal.addEventListener('abort', timeoutListener);
       
       try {
-        upstream = await fetch(url, { 
-          method: 'GET', 
-          headers: { 'Authorization': `Bearer ${accessToken}` },
-          signal: combinedSignal
-        });
+        upstream = replaying
+          ? await streamReplay.openUpstream(this.name, { path, query, paperTrading: !!paperTrading }, combinedSignal)
+          : await fetch(url, { 
+            method: 'GET', 
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+            signal: combinedSignal
+          });
       } finally {
         // Clean up timeout immediately after fetch completes/fails
         clearTimeout(timeoutHandle);
@@ -512,9 +542,13 @@ class StreamMultiplexer {
       aborted: false,
       lastActivityAt: Date.now(), 
       firstDataSent: false,
-      createdAt: Date.now() // Track when connection was created for zombie cleanup grace period
+      createdAt: Date.now(), // Track when connection was created for zombie cleanup grace period
+      request: { path, query, paperTrading: !!paperTrading }, // Recorded with the chunks (utils/streamRecorder)
+      userId, // Recordings only keep the upstreams of the users they were started for
+      replayed: replaying
     };
     this.keyToConnection.set(key, state);
+    if (streamRecorder.isRecording()) streamRecorder.recordOpen(this.name, key, state.request, userId);
 
     // Set up data handler - broadcast synchronously to avoid setImmediate queue buildup
     const dataHandler = (chunk) => {
@@ -565,6 +599,8 @@ class StreamMultiplexer {
         } catch (_) {}
       }
       
+      if (streamRecorder.isRecording()) streamRecorder.record(this.name, key, state.request, chunk, state.userId);
+      
       // Broadcast synchronously to all subscribers
       // Track dead subscribers to remove them after iteration
       const deadSubscribers = [];
@@ -655,7 +691,7 @@ class StreamMultiplexer {
   }
 
   async addSubscriber(userId, deps, res) {
-    const key = this.makeKey(userId, deps);
+    const key = this.keyFor(userId, deps, res);
     
     // Extract stream epoch for connection tracking
     const streamEpoch = res.req?.query?._epoch || res.req?.headers?.['x-stream-epoch'] || '0';
@@ -674,7 +710,7 @@ class StreamMultiplexer {
     
     let state;
     try {
-      state = await this.ensureUpstream(userId, deps);
+      state = await this.ensureUpstream(userId, deps, key);
       
       // Re-check if request was aborted during ensureUpstream
       if (res.req?.aborted || res.req?.destroyed || res.finished || res.writableEnded) {
@@ -807,7 +843,7 @@ class StreamMultiplexer {
    */
   async addExclusiveSubscriber(userId, deps, res) {
     try {
-      const nextKey = this.makeKey(userId, deps);
+      const nextKey = this.keyFor(userId, deps, res);
       const prevKey = this.userToLastKey.get(userId);
       
       // Track last switch time to detect rapid reconnections
@@ -915,6 +951,7 @@ class StreamMultiplexer {
         key,
         subscriberCount: state.subscribers.size,
         aborted: state.aborted,
+        replayed: !!state.replayed,
         lastActivity: Date.now() - state.lastActivityAt,
         subscribers
       });
@@ -1097,4 +1134,508 @@ class StreamMultiplexer {
   }
 }
 
-module.exports = { StreamMultiplexer };
+/**
+ * Shared market data mode: quotes are not account-specific, so instead of one upstream per
+ * user and symbol list, every symbol is streamed once for all users.
+ *
+ * - Symbols are packed into groups of up to SHARED_GROUP_MAX_SYMBOLS; each group is one
+ *   upstream opened through the base class (key `shared|<symbols>`) with a subscribed user's token
+ * - When a group's symbol set changes it is resubscribed: the new upstream is opened before
+ *   the old one is closed (make-before-break). Additions are debounced briefly, releases longer
+ * - Each line is routed to the subscribers of its Symbol; heartbeats go to every subscriber of
+ *   the group. Late joiners get LateJoin plus the latest merged quote of live symbols
+ * - Shared upstreams always go to TradeStation, even for replay users (utils/streamReplay)
+ *
+ * Same addSubscriber(userId, symbolsCsv, res) contract as StreamMultiplexer.
+ */
+class SharedMarketDataMultiplexer extends StreamMultiplexer {
+  /**
+   * @param {{ name: string, buildPath: (symbolsCsv: string) => string, resubscribeDebounceMs?: number,
+   *           releaseDelayMs?: number, reopenDelayMs?: number }} options - delays default to the
+   *           SHARED_* constants (tests shorten them)
+   */
+  constructor({
+    name,
+    buildPath,
+    resubscribeDebounceMs = SHARED_RESUBSCRIBE_DEBOUNCE_MS,
+    releaseDelayMs = SHARED_SYMBOL_RELEASE_DELAY_MS,
+    reopenDelayMs = SHARED_REOPEN_DELAY_MS
+  }) {
+    super({
+      name,
+      makeKey: (_userId, symbolsCsv) => `shared|${symbolsCsv}`,
+      buildRequest: (_userId, symbolsCsv) => ({ path: buildPath(symbolsCsv), paperTrading: false })
+    });
+
+    this.resubscribeDebounceMs = resubscribeDebounceMs;
+    this.releaseDelayMs = releaseDelayMs;
+    this.reopenDelayMs = reopenDelayMs;
+
+    /** @type {Map<any, { res: any, userId: string, symbols: string[], ready: boolean, connectionId: string, subscribedAt: number }>} */
+    this.sharedSubscribers = new Map();
+
+    /** @type {Map<string, Set<any>>} symbol -> subscriber entries */
+    this.symbolSubscribers = new Map();
+
+    /** @type {Map<string, any>} symbol -> group streaming (or about to stream) it */
+    this.symbolToGroup = new Map();
+
+    /** @type {Set<any>} */
+    this.groups = new Set();
+
+    /** @type {Map<string, object>} symbol -> latest merged quote, replayed to late joiners */
+    this.lastQuotes = new Map();
+
+    this.nextGroupId = 1;
+    this.sharedStats = { resubscribes: 0, reopens: 0 };
+  }
+
+  async addSubscriber(userId, symbolsCsv, res) {
+    userId = String(userId);
+    const symbols = Array.from(new Set(String(symbolsCsv || '').split(',').map(s => s.trim().toUpperCase()).filter(Boolean))).sort();
+
+    if (res.req?.aborted || res.req?.destroyed || res.finished || res.writableEnded) {
+      try { res.end(); } catch (_) {}
+      return;
+    }
+    if (symbols.length === 0) {
+      try { res.setHeader('Content-Type', 'application/json'); } catch (_) {}
+      try { return res.status(400).json({ error: 'At least one symbol is required' }); } catch (_) { try { res.end(); } catch (_) {} return; }
+    }
+    if (this.sharedSubscribers.has(res)) {
+      logger.debug(`[${this.name}] ⚠️  Response already subscribed for symbols=${symbols.join(',')}`);
+      return;
+    }
+
+    const entry = {
+      res,
+      userId,
+      symbols,
+      ready: false,
+      connectionId: `${userId}|shared|${symbols.join(',')}|${Date.now()}`,
+      subscribedAt: Date.now()
+    };
+    this.sharedSubscribers.set(res, entry);
+
+    const pending = new Map(); // group -> symbols this subscriber waits for
+    for (const symbol of symbols) {
+      if (!this.symbolSubscribers.has(symbol)) this.symbolSubscribers.set(symbol, new Set());
+      this.symbolSubscribers.get(symbol).add(entry);
+      const group = this._assignSymbol(symbol);
+      if (!pending.has(group)) pending.set(group, []);
+      pending.get(group).push(symbol);
+    }
+
+    let cleanupDone = false;
+    const onClose = () => {
+      if (cleanupDone) return;
+      cleanupDone = true;
+      this._removeSubscriber(entry);
+    };
+    res.once('close', onClose);
+    res.once('finish', onClose);
+    res.once('error', onClose);
+    if (res.req) {
+      res.req.once('close', () => { if (!res.writableEnded && !res.finished) onClose(); });
+      res.req.once('aborted', () => { if (!res.writableEnded && !res.finished) onClose(); });
+    }
+
+    const results = await Promise.all(Array.from(pending, ([group, groupSymbols]) => this._whenStreaming(group, groupSymbols)));
+    const failure = results.find(result => result && result.__error);
+
+    if (cleanupDone || res.req?.aborted || res.req?.destroyed || res.finished || res.writableEnded) {
+      onClose();
+      return;
+    }
+
+    if (failure) {
+      onClose();
+      try { res.setHeader('Content-Type', 'application/json'); } catch (_) {}
+      try { return res.status(failure.status || 500).json(failure.response || { error: 'Failed to start upstream' }); } catch (_) { try { res.end(); } catch (_) {} return; }
+    }
+
+    res._connectionId = entry.connectionId;
+    res._subscribedAt = entry.subscribedAt;
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    entry.ready = true;
+
+    // Symbols that were already streaming for someone else: replay their latest quote
+    const snapshots = symbols
+      .filter(symbol => this.lastQuotes.has(symbol))
+      .map(symbol => JSON.stringify(this.lastQuotes.get(symbol)) + '\n');
+    if (snapshots.length > 0) {
+      try {
+        res.write(JSON.stringify({ LateJoin: true }) + '\n' + snapshots.join(''));
+      } catch (writeErr) {
+        logger.error(`[${this.name}] Failed to send late joiner snapshot:`, writeErr.message);
+      }
+    }
+  }
+
+  /**
+   * Group that streams a symbol: its current group, a group still streaming it after a release,
+   * or the first group with room (a new one when all are full)
+   */
+  _assignSymbol(symbol) {
+    let group = this.symbolToGroup.get(symbol);
+    if (!group) {
+      for (const candidate of this.groups) {
+        if (candidate.streamingSymbols.has(symbol)) { group = candidate; break; }
+      }
+    }
+    if (!group) {
+      for (const candidate of this.groups) {
+        if (candidate.symbols.size < SHARED_GROUP_MAX_SYMBOLS && !candidate.closing) { group = candidate; break; }
+      }
+    }
+    if (!group) {
+      group = {
+        id: this.nextGroupId++,
+        symbols: new Set(),
+        streamingSymbols: new Set(),
+        key: null,
+        sink: null,
+        ownerUserId: null,
+        syncing: false,
+        dirty: false,
+        closing: false,
+        syncTimer: null,
+        syncAt: 0,
+        reopenAttempts: 0,
+        waiters: []
+      };
+      this.groups.add(group);
+    }
+
+    this.symbolToGroup.set(symbol, group);
+    if (!group.symbols.has(symbol)) {
+      group.symbols.add(symbol);
+      if (!group.streamingSymbols.has(symbol)) this._scheduleSync(group, this.resubscribeDebounceMs);
+    }
+    return group;
+  }
+
+  /**
+   * Resolves once the group's upstream carries all symbols ({}), or with the open error
+   */
+  _whenStreaming(group, symbols) {
+    if (group.sink && symbols.every(symbol => group.streamingSymbols.has(symbol))) return Promise.resolve({});
+    return new Promise(resolve => {
+      group.waiters.push({ symbols, resolve });
+      if (!group.syncTimer && !group.syncing) this._scheduleSync(group, this.resubscribeDebounceMs);
+    });
+  }
+
+  _scheduleSync(group, delayMs) {
+    if (group.closing) return;
+    const syncAt = Date.now() + delayMs;
+    if (group.syncTimer) {
+      if (group.syncAt <= syncAt) return;
+      clearTimeout(group.syncTimer);
+    }
+    group.syncAt = syncAt;
+    group.syncTimer = setTimeout(() => {
+      group.syncTimer = null;
+      this._syncGroup(group).catch(err => logger.error(`[${this.name}] Shared group ${group.id} sync failed:`, err));
+    }, delayMs);
+    if (group.syncTimer.unref) group.syncTimer.unref();
+  }
+
+  /**
+   * Reconcile a group's upstream with its desired symbol set
+   */
+  async _syncGroup(group) {
+    if (group.syncing) {
+      group.dirty = true;
+      return;
+    }
+    group.syncing = true;
+    group.dirty = false;
+
+    try {
+      const desired = Array.from(group.symbols).sort();
+      const csv = desired.join(',');
+
+      if (desired.length === 0) {
+        this._closeGroup(group);
+        return;
+      }
+
+      if (group.sink && csv === Array.from(group.streamingSymbols).sort().join(',')) {
+        this._resolveWaiters(group, null);
+        return;
+      }
+
+      const owners = this._ownerCandidates(group);
+      if (owners.length === 0) {
+        this._closeGroup(group);
+        return;
+      }
+
+      const isResubscribe = !!group.sink;
+      let failure = null;
+      for (const ownerUserId of owners) {
+        const sink = new InternalSubscriber(
+          (lines) => this._routeLines(group, sink, lines),
+          (endedSink) => this._handleSinkEnd(group, endedSink),
+          undefined,
+          { lines: true, idPrefix: 'shared' }
+        );
+        await super.addSubscriber(ownerUserId, csv, sink);
+
+        if (group.closing) {
+          sink.end();
+          return;
+        }
+        if (!sink.errorPayload && !sink.writableEnded) {
+          const previous = group.sink;
+          group.sink = sink;
+          group.key = this.makeKey(ownerUserId, csv);
+          group.ownerUserId = ownerUserId;
+          const released = Array.from(group.streamingSymbols).filter(symbol => !group.symbols.has(symbol));
+          group.streamingSymbols = new Set(desired);
+          for (const symbol of released) this.lastQuotes.delete(symbol);
+          // Make-before-break: the new upstream is open, drop the old one
+          if (previous) previous.end();
+          if (isResubscribe) this.sharedStats.resubscribes++;
+          if (VERBOSE_LOGGING) logger.debug(`[${this.name}] Shared group ${group.id} streaming ${desired.length} symbol(s) as user ${ownerUserId}`);
+          failure = null;
+          break;
+        }
+
+        failure = {
+          __error: true,
+          status: sink.errorPayload ? sink.statusCode : 502,
+          response: sink.errorPayload || { error: 'Upstream closed while opening' }
+        };
+        // Only another user's token can fix an auth failure
+        if (failure.status !== 401 && failure.status !== 403) break;
+      }
+
+      if (failure) {
+        logger.warn(`[${this.name}] Shared group ${group.id} failed to open (${failure.status}) for symbols=${csv}`);
+        this._resolveWaiters(group, failure);
+        if (!group.sink) this._scheduleReopen(group);
+      } else {
+        group.reopenAttempts = 0;
+        this._resolveWaiters(group, null);
+      }
+    } finally {
+      group.syncing = false;
+      if (group.dirty && !group.closing) this._scheduleSync(group, this.resubscribeDebounceMs);
+    }
+  }
+
+  /**
+   * Users whose token can open the group: the current owner first, then subscribers by join order
+   */
+  _ownerCandidates(group) {
+    const users = [];
+    for (const symbol of group.symbols) {
+      for (const entry of this.symbolSubscribers.get(symbol) || []) {
+        if (!users.includes(entry.userId)) users.push(entry.userId);
+      }
+    }
+    if (users.includes(group.ownerUserId)) users.unshift(...users.splice(users.indexOf(group.ownerUserId), 1));
+    return users.slice(0, SHARED_MAX_OWNER_ATTEMPTS);
+  }
+
+  _resolveWaiters(group, failure) {
+    const remaining = [];
+    for (const waiter of group.waiters) {
+      if (failure) {
+        waiter.resolve(failure);
+      } else if (waiter.symbols.every(symbol => group.streamingSymbols.has(symbol) || !group.symbols.has(symbol))) {
+        waiter.resolve({});
+      } else {
+        remaining.push(waiter);
+      }
+    }
+    group.waiters = remaining;
+  }
+
+  /**
+   * Route upstream lines to the subscribers of each line's Symbol
+   */
+  _routeLines(group, sink, lines) {
+    // Data from a replacement upstream before the swap, or from a superseded one
+    if (group.sink && sink !== group.sink) return;
+    group.reopenAttempts = 0;
+
+    const outgoing = new Map(); // entry -> string[]
+    const push = (entry, line) => {
+      if (!entry.ready) return;
+      if (!outgoing.has(entry)) outgoing.set(entry, []);
+      outgoing.get(entry).push(line);
+    };
+
+    for (const line of lines) {
+      let data;
+      try { data = JSON.parse(line); } catch (_) { continue; }
+      if (data.LateJoin) continue;
+
+      const symbol = typeof data.Symbol === 'string' ? data.Symbol.toUpperCase() : null;
+      if (symbol) {
+        if (!data.Error) {
+          const merged = this.lastQuotes.get(symbol);
+          this.lastQuotes.set(symbol, merged ? Object.assign(merged, data) : { ...data });
+        }
+        for (const entry of this.symbolSubscribers.get(symbol) || []) push(entry, line);
+      } else {
+        // Heartbeats and stream-level errors go to everyone on this upstream
+        const seen = new Set();
+        for (const groupSymbol of group.streamingSymbols) {
+          for (const entry of this.symbolSubscribers.get(groupSymbol) || []) {
+            if (!seen.has(entry)) {
+              seen.add(entry);
+              push(entry, line);
+            }
+          }
+        }
+      }
+    }
+
+    for (const [entry, entryLines] of outgoing) {
+      const { res } = entry;
+      if (!res.writable || res.writableEnded || res.finished || res.destroyed) {
+        this._removeSubscriber(entry);
+        continue;
+      }
+      try {
+        res.write(entryLines.join('\n') + '\n');
+      } catch (_) {
+        this._removeSubscriber(entry);
+      }
+    }
+  }
+
+  _handleSinkEnd(group, sink) {
+    if (sink !== group.sink) return; // Superseded by a resubscribe, or failed while opening
+    group.sink = null;
+    group.key = null;
+    for (const symbol of group.streamingSymbols) this.lastQuotes.delete(symbol);
+    group.streamingSymbols = new Set();
+
+    if (group.closing || group.symbols.size === 0) {
+      this._closeGroup(group);
+      return;
+    }
+    this._scheduleReopen(group);
+  }
+
+  /**
+   * Reopen a dropped upstream with linear backoff; end its subscribers after too many failures
+   */
+  _scheduleReopen(group) {
+    if (group.closing || group.symbols.size === 0) return;
+    group.reopenAttempts++;
+    if (group.reopenAttempts > SHARED_MAX_REOPEN_ATTEMPTS) {
+      logger.warn(`[${this.name}] Shared group ${group.id} could not be reopened, ending its subscribers`);
+      const entries = new Set();
+      for (const symbol of group.symbols) {
+        for (const entry of this.symbolSubscribers.get(symbol) || []) entries.add(entry);
+      }
+      for (const entry of entries) {
+        this._removeSubscriber(entry);
+        try { entry.res.end(); } catch (_) {}
+      }
+      return;
+    }
+    this.sharedStats.reopens++;
+    this._scheduleSync(group, this.reopenDelayMs * group.reopenAttempts);
+  }
+
+  _closeGroup(group) {
+    group.closing = true;
+    if (group.syncTimer) {
+      clearTimeout(group.syncTimer);
+      group.syncTimer = null;
+    }
+    this._resolveWaiters(group, { __error: true, status: 503, response: { error: 'Stream closed' } });
+    for (const symbol of group.streamingSymbols) this.lastQuotes.delete(symbol);
+    group.streamingSymbols = new Set();
+    const sink = group.sink;
+    group.sink = null;
+    group.key = null;
+    if (sink) sink.end();
+    this.groups.delete(group);
+  }
+
+  _removeSubscriber(entry) {
+    if (this.sharedSubscribers.get(entry.res) !== entry) return;
+    this.sharedSubscribers.delete(entry.res);
+    entry.ready = false;
+
+    for (const symbol of entry.symbols) {
+      const entries = this.symbolSubscribers.get(symbol);
+      if (!entries) continue;
+      entries.delete(entry);
+      if (entries.size > 0) continue;
+
+      this.symbolSubscribers.delete(symbol);
+      const group = this.symbolToGroup.get(symbol);
+      this.symbolToGroup.delete(symbol);
+      if (group) {
+        group.symbols.delete(symbol);
+        // The symbol keeps streaming until the release delay passes, so a quick reconnect reuses it
+        this._scheduleSync(group, this.releaseDelayMs);
+      }
+    }
+  }
+
+  getDebugInfo() {
+    const info = [];
+    for (const group of this.groups) {
+      const state = group.key ? this.keyToConnection.get(group.key) : null;
+      const entries = new Set();
+      for (const symbol of group.symbols) {
+        for (const entry of this.symbolSubscribers.get(symbol) || []) entries.add(entry);
+      }
+      info.push({
+        key: group.key || `shared|group-${group.id}`,
+        group: group.id,
+        ownerUserId: group.ownerUserId,
+        symbols: Array.from(group.symbols).sort(),
+        streamingSymbols: group.streamingSymbols.size,
+        subscriberCount: entries.size,
+        aborted: state ? state.aborted : true,
+        lastActivity: state ? Date.now() - state.lastActivityAt : null,
+        subscribers: Array.from(entries, entry => ({
+          connectionId: entry.connectionId,
+          userId: entry.userId,
+          symbols: entry.symbols,
+          duration: Date.now() - entry.subscribedAt,
+          active: !(entry.res.writableEnded || entry.res.finished || entry.res.destroyed || entry.res.req?.destroyed)
+        }))
+      });
+    }
+    return info;
+  }
+
+  getSharedStats() {
+    return {
+      ...this.sharedStats,
+      groups: this.groups.size,
+      symbols: this.symbolSubscribers.size,
+      subscribers: this.sharedSubscribers.size,
+      upstreams: this.keyToConnection.size
+    };
+  }
+
+  cleanupStaleConnections() {
+    let removed = 0;
+    for (const entry of Array.from(this.sharedSubscribers.values())) {
+      const { res } = entry;
+      if (res.writableEnded || res.finished || res.destroyed || res.req?.destroyed || res.req?.aborted) {
+        this._removeSubscriber(entry);
+        removed++;
+      }
+    }
+    if (removed > 0) logger.debug(`[${this.name}] 🧹 Removed ${removed} stale shared subscriber(s)`);
+    return removed + super.cleanupStaleConnections();
+  }
+}
+
+module.exports = { StreamMultiplexer, SharedMarketDataMultiplexer };
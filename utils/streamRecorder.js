@@ -0,0 +1,313 @@
+/**
+ * StreamRecorder - captures raw upstream chunks from StreamMultiplexer to gzip files
+ *
+ * - One recording at a time, written as gzip-compressed NDJSON to STREAM_RECORDINGS_DIR
+ *   (default recordings/ in the project root)
+ * - The first line is a header ({ type: 'header', version, name, startedAt, streams }), then one
+ *   line per upstream event: { type: 'open' | 'chunk' | 'end', t, stream, key, ... } with t in ms
+ *   since the recording started. Chunks keep their bytes: `data` (UTF-8) or `data64` (base64)
+ * - Only upstreams opened for the listed userIds are recorded
+ * - Upstreams already open when recording starts are recorded from their next chunk (midStream)
+ * - Recording stops by itself after MAX_RECORDING_MS or MAX_RECORDING_BYTES of chunk data
+ * - Account ids never reach the file: paths, keys and AccountID fields carry a keyed alias
+ *   (aliasAccount) instead. Positions and orders chunks are cut at line ends so every AccountID
+ *   is seen whole; the rest of their data is still account data, recordings stay on the server
+ *   and are only reachable through the superuser debug routes
+ * - utils/streamReplay plays recordings back through StreamMultiplexer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const logger = require('../config/logging');
+
+const FORMAT_VERSION = 1;
+const RECORDABLE_STREAMS = ['Quotes', 'Bars', 'Positions', 'Orders', 'MarketAggregates'];
+const DEFAULT_STREAMS = ['Quotes', 'Bars', 'Positions', 'Orders'];
+const ACCOUNT_STREAMS = ['Positions', 'Orders'];
+const ACCOUNT_ALIAS_PATTERN = /^acct-[0-9a-f]{12}$/;
+const DEFAULT_RECORDING_MS = 60 * 60 * 1000;
+const MAX_RECORDING_MS = 8 * 60 * 60 * 1000;
+const MAX_RECORDING_BYTES = 256 * 1024 * 1024; // Uncompressed chunk data
+const RECORDING_FILE_PATTERN = /^[\w.-]+\.ndjson\.gz$/;
+
+const createError = (message, status) => Object.assign(new Error(message), { status });
+
+// Read on every use so tests can point it at a temporary directory
+const getRecordingsDir = () => process.env.STREAM_RECORDINGS_DIR || path.join(__dirname, '..', 'recordings');
+
+/**
+ * Stable alias of an account id (keyed, so recordings don't reveal the id but replays can match it)
+ */
+const aliasAccount = (accountId) => {
+  if (ACCOUNT_ALIAS_PATTERN.test(accountId)) return accountId;
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) throw createError('CREDENTIALS_ENCRYPTION_KEY is required to alias account ids', 500);
+  const digest = crypto.createHmac('sha256', secret).update(`stream-recording|${accountId}`).digest('hex');
+  return `acct-${digest.slice(0, 12)}`;
+};
+
+const aliasAccountList = (ids) => String(ids).split(',').map(id => (id ? aliasAccount(id) : id)).join(',');
+
+// /brokerage/stream/accounts/123,456/positions -> /brokerage/stream/accounts/acct-...,acct-.../positions
+const redactPath = (requestPath) => String(requestPath || '').replace(/\/accounts\/([^/]+)/, (match, ids) => `/accounts/${aliasAccountList(ids)}`);
+
+const getPathAccounts = (requestPath) => {
+  const match = String(requestPath || '').match(/\/accounts\/([^/]+)/);
+  return match ? match[1].split(',').filter(Boolean) : [];
+};
+
+// "user|123,456|0" -> "user|acct-...,acct-...|0"
+const redactKey = (key, accountIds) => String(key).split('|')
+  .map(part => (part && part.split(',').every(id => accountIds.includes(id)) ? aliasAccountList(part) : part))
+  .join('|');
+
+const redactLines = (text) => text.replace(/("AccountID"\s*:\s*")([^"]*)(")/g, (match, before, id, after) => before + aliasAccount(id) + after);
+
+class StreamRecorder {
+  constructor() {
+    this.recording = null;
+  }
+
+  isRecording() {
+    return !!this.recording;
+  }
+
+  /**
+   * Start recording upstream chunks of the given multiplexers (by name) opened for the given users
+   * @param {{ name?: string, streams?: string[], maxMinutes?: number, userIds: Array<string|number> }} options
+   */
+  start({ name, streams, maxMinutes, userIds } = {}) {
+    if (this.recording) throw createError(`Already recording to ${this.recording.file}`, 409);
+    const streamReplay = require('./streamReplay');
+    if (streamReplay.isActive()) throw createError('Stop the replay before recording', 409);
+
+    const users = Array.isArray(userIds) ? userIds.filter(id => id !== undefined && id !== null && id !== '').map(String) : [];
+    if (users.length === 0) throw createError('userIds is required (the users whose upstreams are recorded)', 400);
+    const selected = Array.isArray(streams) && streams.length > 0 ? streams : DEFAULT_STREAMS;
+    const unknown = selected.filter(stream => !RECORDABLE_STREAMS.includes(stream));
+    if (unknown.length > 0) {
+      throw createError(`Unknown streams: ${unknown.join(', ')} (expected ${RECORDABLE_STREAMS.join(', ')})`, 400);
+    }
+    if (selected.some(stream => ACCOUNT_STREAMS.includes(stream)) && !process.env.CREDENTIALS_ENCRYPTION_KEY) {
+      throw createError('CREDENTIALS_ENCRYPTION_KEY is required to record Positions or Orders (account ids are aliased with it)', 500);
+    }
+    const label = String(name || 'session').replace(/[^\w-]+/g, '-').slice(0, 60) || 'session';
+    const minutes = Number(maxMinutes);
+    const durationMs = minutes > 0 ? Math.min(minutes * 60 * 1000, MAX_RECORDING_MS) : DEFAULT_RECORDING_MS;
+
+    const directory = getRecordingsDir();
+    fs.mkdirSync(directory, { recursive: true });
+    const startedAt = Date.now();
+    const file = `${new Date(startedAt).toISOString().replace(/[:.]/g, '-')}-${label}.ndjson.gz`;
+    const gzip = zlib.createGzip();
+    const output = fs.createWriteStream(path.join(directory, file));
+    gzip.pipe(output);
+
+    const recording = {
+      file,
+      label,
+      streams: new Set(selected),
+      userIds: new Set(users),
+      startedAt,
+      gzip,
+      finished: new Promise((resolve) => {
+        output.once('close', resolve);
+        output.once('error', (error) => {
+          logger.error(`[StreamRecorder] Failed writing ${file}:`, error.message);
+          resolve();
+        });
+      }),
+      // "stream|key" of upstreams with an open event in this recording -> account ids in their path
+      openKeys: new Map(),
+      // "stream|key" -> incomplete last line of an account stream, written with the next chunk
+      partials: new Map(),
+      chunks: 0,
+      bytes: 0,
+      stopTimer: null
+    };
+    recording.stopTimer = setTimeout(() => this.stop('duration limit'), durationMs);
+    if (recording.stopTimer.unref) recording.stopTimer.unref();
+
+    this.recording = recording;
+    this.writeLine({ type: 'header', version: FORMAT_VERSION, name: label, startedAt: new Date(startedAt).toISOString(), streams: selected });
+    logger.info(`[StreamRecorder] Recording ${selected.join(', ')} of ${users.length} user(s) to ${file}`);
+    return this.getStatus();
+  }
+
+  /**
+   * Stop recording and wait for the file to be flushed
+   */
+  async stop(reason = 'stopped') {
+    const recording = this.recording;
+    if (!recording) return null;
+    this.recording = null;
+    clearTimeout(recording.stopTimer);
+
+    recording.gzip.end(JSON.stringify({ type: 'stop', t: Date.now() - recording.startedAt, reason }) + '\n');
+    await recording.finished;
+    logger.info(`[StreamRecorder] Stopped ${recording.file} (${reason}): ${recording.chunks} chunks, ${recording.bytes} bytes`);
+    return {
+      file: recording.file,
+      chunks: recording.chunks,
+      bytes: recording.bytes,
+      durationMs: Date.now() - recording.startedAt,
+      reason
+    };
+  }
+
+  /**
+   * Record an upstream chunk (called by StreamMultiplexer for every chunk it broadcasts)
+   * @param {string} stream - multiplexer name
+   * @param {string} key - upstream key
+   * @param {{ path: string, query?: object, paperTrading?: boolean }} request - upstream request
+   * @param {Buffer|Uint8Array} chunk
+   * @param {string|number} userId - user the upstream was opened for
+   */
+  record(stream, key, request, chunk, userId) {
+    const recording = this.recording;
+    if (!recording || !this.isRecorded(stream, userId)) return;
+
+    const t = Date.now() - recording.startedAt;
+    const openKey = `${stream}|${key}`;
+    if (!recording.openKeys.has(openKey)) {
+      // Upstream was open before the recording started
+      this.recordOpen(stream, key, request, userId, true);
+    }
+    const accountIds = recording.openKeys.get(openKey);
+
+    const buffer = Buffer.from(chunk);
+    recording.chunks++;
+    recording.bytes += buffer.length;
+
+    if (ACCOUNT_STREAMS.includes(stream)) {
+      const text = (recording.partials.get(openKey) || '') + buffer.toString('utf8');
+      const lineEnd = text.lastIndexOf('\n');
+      recording.partials.set(openKey, text.slice(lineEnd + 1));
+      if (lineEnd !== -1) {
+        this.writeLine({ type: 'chunk', t, stream, key: redactKey(key, accountIds), data: redactLines(text.slice(0, lineEnd + 1)) });
+      }
+    } else {
+      const text = buffer.toString('utf8');
+      const event = { type: 'chunk', t, stream, key: redactKey(key, accountIds) };
+      if (Buffer.from(text, 'utf8').equals(buffer)) event.data = text;
+      else event.data64 = buffer.toString('base64');
+      this.writeLine(event);
+    }
+
+    if (recording.bytes >= MAX_RECORDING_BYTES) {
+      this.stop('size limit').catch(() => {});
+    }
+  }
+
+  /**
+   * Whether upstreams of this multiplexer opened for this user are being recorded
+   */
+  isRecorded(stream, userId) {
+    const recording = this.recording;
+    return !!recording && recording.streams.has(stream) && recording.userIds.has(String(userId));
+  }
+
+  /**
+   * Record an upstream being opened (before its first chunk)
+   */
+  recordOpen(stream, key, request, userId, midStream = false) {
+    const recording = this.recording;
+    if (!recording || !this.isRecorded(stream, userId)) return;
+    const accountIds = getPathAccounts(request?.path);
+    recording.openKeys.set(`${stream}|${key}`, accountIds);
+    this.writeLine({
+      type: 'open',
+      t: Date.now() - recording.startedAt,
+      stream,
+      key: redactKey(key, accountIds),
+      request: request ? { ...request, path: redactPath(request.path) } : null,
+      ...(midStream ? { midStream: true } : {})
+    });
+  }
+
+  /**
+   * Record an upstream closing
+   */
+  recordEnd(stream, key, reason) {
+    const recording = this.recording;
+    const openKey = `${stream}|${key}`;
+    if (!recording || !recording.openKeys.has(openKey)) return;
+    const accountIds = recording.openKeys.get(openKey);
+    const t = Date.now() - recording.startedAt;
+    const partial = recording.partials.get(openKey);
+    if (partial) this.writeLine({ type: 'chunk', t, stream, key: redactKey(key, accountIds), data: redactLines(partial) });
+    recording.openKeys.delete(openKey);
+    recording.partials.delete(openKey);
+    this.writeLine({ type: 'end', t, stream, key: redactKey(key, accountIds), reason });
+  }
+
+  /**
+   * Upstream path as written to recordings (account ids aliased), used by replays to match requests
+   */
+  redactPath(requestPath) {
+    return redactPath(requestPath);
+  }
+
+  writeLine(event) {
+    try {
+      this.recording.gzip.write(JSON.stringify(event) + '\n');
+    } catch (error) {
+      logger.error('[StreamRecorder] Failed to write event:', error.message);
+    }
+  }
+
+  /**
+   * Absolute path of a recording file (rejects anything but plain recording file names)
+   */
+  resolveFile(file) {
+    if (!RECORDING_FILE_PATTERN.test(String(file || ''))) throw createError('Invalid recording name', 400);
+    const filepath = path.join(getRecordingsDir(), file);
+    if (!fs.existsSync(filepath)) throw createError('Recording not found', 404);
+    return filepath;
+  }
+
+  listRecordings() {
+    const directory = getRecordingsDir();
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory)
+      .filter(file => RECORDING_FILE_PATTERN.test(file))
+      .map((file) => {
+        const stats = fs.statSync(path.join(directory, file));
+        return {
+          file,
+          size: stats.size,
+          modifiedAt: stats.mtime.toISOString(),
+          recording: this.recording?.file === file
+        };
+      })
+      .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  }
+
+  deleteRecording(file) {
+    if (this.recording?.file === file) throw createError('Recording in progress', 409);
+    fs.unlinkSync(this.resolveFile(file));
+  }
+
+  getStatus() {
+    const recording = this.recording;
+    if (!recording) return { recording: false, directory: getRecordingsDir() };
+    return {
+      recording: true,
+      directory: getRecordingsDir(),
+      file: recording.file,
+      streams: Array.from(recording.streams),
+      userIds: Array.from(recording.userIds),
+      startedAt: new Date(recording.startedAt).toISOString(),
+      openUpstreams: recording.openKeys.size,
+      chunks: recording.chunks,
+      bytes: recording.bytes
+    };
+  }
+}
+
+// Singleton instance
+const streamRecorder = new StreamRecorder();
+
+module.exports = streamRecorder;
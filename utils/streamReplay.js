@@ -0,0 +1,308 @@
+/**
+ * StreamReplay - serves StreamMultiplexer upstreams from a recording instead of TradeStation
+ *
+ * - start({ file, speed, userIds }) loads a recording made by utils/streamRecorder; speed is a
+ *   multiplier (1 = real time, 10 = ten times faster) or 'max' (as fast as the subscribers read)
+ * - While a replay is active, client subscribers of the listed users to a recorded stream get
+ *   their own upstreams (StreamMultiplexer.keyFor) opened through openUpstream() (no token, no
+ *   network). Everyone else, background consumers of the same users (InternalSubscriber) and
+ *   shared quote upstreams keep going to TradeStation
+ * - An upstream request is matched to a recorded upstream of the same stream by full path, account
+ *   ids aliased like the recorder does (closest query wins). Symbol list paths (quotes) also match
+ *   recorded upstreams sharing symbols, with lines filtered by Symbol. Unmatched opens get a 404
+ * - Each replayed upstream starts at its recording's first chunk, keeps the recorded gaps divided
+ *   by speed and ends where the recording ended
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const logger = require('../config/logging');
+
+const MAX_SPEED = 1000;
+const MAX_REPLAY_BYTES = 512 * 1024 * 1024; // Uncompressed chunk data loaded into memory
+const YIELD_EVERY_CHUNKS = 100; // 'max' speed yields to the event loop this often
+
+const createError = (message, status) => Object.assign(new Error(message), { status });
+
+/**
+ * @returns {number} speed multiplier, 0 for as fast as possible
+ */
+const parseSpeed = (speed) => {
+  if (speed === undefined || speed === null || speed === '') return 1;
+  const value = String(speed).trim().toLowerCase();
+  if (value === 'max' || value === 'asap' || value === '0') return 0;
+  const multiplier = parseFloat(value.replace(/x$/, ''));
+  if (!(multiplier > 0) || multiplier > MAX_SPEED) {
+    throw createError(`speed must be a multiplier between 0 and ${MAX_SPEED} (1, 10, ...) or 'max'`, 400);
+  }
+  return multiplier;
+};
+
+const normalizeQuery = (query) => {
+  const entries = Object.entries(query || {})
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => [name, String(value)]);
+  return Object.fromEntries(entries.sort(([a], [b]) => a.localeCompare(b)));
+};
+
+const splitSymbolPath = (path) => {
+  const index = String(path).lastIndexOf('/');
+  return {
+    prefix: path.slice(0, index + 1),
+    symbols: path.slice(index + 1).split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean)
+  };
+};
+
+const sleep = (ms, signal) => new Promise((resolve) => {
+  const timer = setTimeout(done, ms);
+  function done() {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', done);
+    resolve();
+  }
+  if (signal) signal.addEventListener('abort', done, { once: true });
+});
+
+class StreamReplay {
+  constructor() {
+    this.replay = null;
+  }
+
+  isActive() {
+    return !!this.replay;
+  }
+
+  /**
+   * Whether this user's upstreams of this multiplexer are served from the replay
+   */
+  handles(stream, userId) {
+    return !!this.replay && this.replay.streams.has(stream) && this.replay.userIds.has(String(userId));
+  }
+
+  /**
+   * Load a recording and start serving its streams to the given users
+   * @param {{ file: string, speed?: number|string, userIds: Array<string|number> }} options
+   */
+  async start({ file, speed, userIds } = {}) {
+    const multiplier = parseSpeed(speed);
+    const users = Array.isArray(userIds) ? userIds.filter(id => id !== undefined && id !== null && id !== '').map(String) : [];
+    if (users.length === 0) throw createError('userIds is required (the users who get the replay)', 400);
+    const streamRecorder = require('./streamRecorder');
+    if (streamRecorder.isRecording()) throw createError('Stop the recording before replaying', 409);
+    const filepath = streamRecorder.resolveFile(file);
+
+    const upstreams = await this.load(filepath);
+    if (upstreams.length === 0) throw createError('Recording has no upstream data', 422);
+
+    if (this.replay) this.stop();
+    this.replay = {
+      file,
+      speed: multiplier,
+      upstreams,
+      streams: new Set(upstreams.map(upstream => upstream.stream)),
+      userIds: new Set(users),
+      // Stream controllers of replayed upstreams still running
+      running: new Set(),
+      startedAt: Date.now(),
+      stats: { opened: 0, unmatched: 0, chunks: 0, completed: 0 }
+    };
+    logger.info(`[StreamReplay] Replaying ${file} (${Array.from(this.replay.streams).join(', ')}) to ${users.length} user(s) at ${multiplier ? `${multiplier}x` : 'max speed'}`);
+    return this.getStatus();
+  }
+
+  /**
+   * Stop replaying: running replayed upstreams end, new opens go to TradeStation again
+   */
+  stop() {
+    const replay = this.replay;
+    if (!replay) return null;
+    this.replay = null;
+    for (const stop of replay.running) stop();
+    logger.info(`[StreamReplay] Stopped replay of ${replay.file}`);
+    return { file: replay.file, userIds: Array.from(replay.userIds), ...replay.stats };
+  }
+
+  /**
+   * Read a recording into recorded upstreams ({ stream, key, request, chunks: [{ t, data }] })
+   */
+  async load(filepath) {
+    const upstreams = [];
+    // "stream|key" -> upstream currently open in the recording
+    const open = new Map();
+    let bytes = 0;
+
+    const input = fs.createReadStream(filepath).pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        let event;
+        try { event = JSON.parse(line); } catch (_) { continue; }
+        const openKey = `${event.stream}|${event.key}`;
+
+        if (event.type === 'open') {
+          const upstream = { stream: event.stream, key: event.key, request: event.request || {}, midStream: !!event.midStream, chunks: [] };
+          upstreams.push(upstream);
+          open.set(openKey, upstream);
+        } else if (event.type === 'chunk') {
+          const upstream = open.get(openKey);
+          if (!upstream) continue;
+          const data = event.data64 !== undefined ? Buffer.from(event.data64, 'base64') : Buffer.from(event.data || '', 'utf8');
+          bytes += data.length;
+          if (bytes > MAX_REPLAY_BYTES) throw createError('Recording is too large to replay', 413);
+          upstream.chunks.push({ t: event.t, data });
+        } else if (event.type === 'end') {
+          open.delete(openKey);
+        }
+      }
+    } catch (error) {
+      if (error.status) throw error;
+      throw createError(`Failed to read recording: ${error.message}`, 422);
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+    return upstreams.filter(upstream => upstream.chunks.length > 0);
+  }
+
+  /**
+   * Recorded chunks for an upstream request, or null when nothing matches
+   * @returns {{ t: number, data: Buffer }[]|null}
+   */
+  match(stream, { path: requestPath, query } = {}) {
+    const candidates = this.replay.upstreams.filter(upstream => upstream.stream === stream);
+    const path = require('./streamRecorder').redactPath(requestPath);
+    const wanted = normalizeQuery(query);
+    const closest = (upstreams) => {
+      let best = null;
+      let bestScore = -1;
+      for (const upstream of upstreams) {
+        const recorded = normalizeQuery(upstream.request.query);
+        const score = Object.keys(wanted).filter(name => recorded[name] === wanted[name]).length;
+        if (score > bestScore) {
+          best = upstream;
+          bestScore = score;
+        }
+      }
+      return best && best.chunks;
+    };
+
+    const samePath = candidates.filter(upstream => upstream.request.path === path);
+    if (samePath.length > 0) return closest(samePath);
+
+    const requested = splitSymbolPath(path);
+    const wantedSymbols = new Set(requested.symbols);
+    const sharingSymbols = candidates.filter((upstream) => {
+      const recorded = splitSymbolPath(upstream.request.path || '');
+      return recorded.prefix === requested.prefix && recorded.symbols.some(symbol => wantedSymbols.has(symbol));
+    });
+    if (sharingSymbols.length > 0) return this.filterBySymbol(sharingSymbols, wantedSymbols);
+    return null;
+  }
+
+  /**
+   * Merge recorded upstreams line by line, keeping lines of the wanted symbols
+   * (lines without a Symbol, like heartbeats, come from the first upstream only)
+   */
+  filterBySymbol(upstreams, symbols) {
+    const lines = [];
+    upstreams.forEach((upstream, index) => {
+      let partial = '';
+      for (const chunk of upstream.chunks) {
+        const parts = (partial + chunk.data.toString('utf8')).split('\n');
+        partial = parts.pop();
+        for (const line of parts) {
+          if (!line.trim()) continue;
+          let symbol;
+          try { symbol = JSON.parse(line).Symbol; } catch (_) { continue; }
+          if (symbol ? symbols.has(String(symbol).toUpperCase()) : index === 0) lines.push({ t: chunk.t, line });
+        }
+      }
+    });
+    lines.sort((a, b) => a.t - b.t);
+    return lines.map(({ t, line }) => ({ t, data: Buffer.from(line + '\n', 'utf8') }));
+  }
+
+  /**
+   * Fetch-like response for a multiplexer upstream
+   * @param {string} stream - multiplexer name
+   * @param {{ path: string, query?: object, paperTrading?: boolean }} request
+   * @param {AbortSignal} signal - the upstream's abort signal
+   */
+  async openUpstream(stream, request, signal) {
+    const replay = this.replay;
+    const chunks = replay ? this.match(stream, request) : null;
+    if (!chunks || chunks.length === 0) {
+      if (replay) replay.stats.unmatched++;
+      const body = JSON.stringify({ error: 'Not found', details: `No recorded ${stream} stream for ${request.path}` });
+      return { ok: false, status: 404, body: null, text: async () => body };
+    }
+
+    replay.stats.opened++;
+    const { speed } = replay;
+    const firstT = chunks[0].t;
+    const openedAt = Date.now();
+    let index = 0;
+    let stopped = false;
+    let stopReplay;
+
+    const body = new ReadableStream({
+      start(controller) {
+        stopReplay = () => {
+          if (stopped) return;
+          stopped = true;
+          replay.running.delete(stopReplay);
+          try { controller.close(); } catch (_) {}
+        };
+        replay.running.add(stopReplay);
+        if (signal) signal.addEventListener('abort', () => { stopped = true; replay.running.delete(stopReplay); }, { once: true });
+      },
+      async pull(controller) {
+        if (stopped) return;
+        if (index >= chunks.length) {
+          replay.stats.completed++;
+          stopReplay();
+          return;
+        }
+        const chunk = chunks[index++];
+        if (speed > 0) {
+          const wait = openedAt + (chunk.t - firstT) / speed - Date.now();
+          if (wait > 0) await sleep(wait, signal);
+        } else if (index % YIELD_EVERY_CHUNKS === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+        if (stopped) return;
+        replay.stats.chunks++;
+        controller.enqueue(new Uint8Array(chunk.data));
+      },
+      cancel() {
+        stopped = true;
+        replay.running.delete(stopReplay);
+      }
+    });
+
+    return { ok: true, status: 200, body, text: async () => '' };
+  }
+
+  getStatus() {
+    const replay = this.replay;
+    if (!replay) return { active: false };
+    return {
+      active: true,
+      file: replay.file,
+      speed: replay.speed || 'max',
+      streams: Array.from(replay.streams),
+      userIds: Array.from(replay.userIds),
+      recordedUpstreams: replay.upstreams.length,
+      runningUpstreams: replay.running.size,
+      startedAt: new Date(replay.startedAt).toISOString(),
+      ...replay.stats
+    };
+  }
+}
+
+// Singleton instance
+const streamReplay = new StreamReplay();
+
+module.exports = streamReplay;
@@ -2,38 +2,48 @@
  * Utility functions for handling tick sizes and price rounding for different futures contracts
  */
 
-// Function to get the appropriate tick size for a futures contract
+const { getContractSpec } = require('./contractRegistry');
+
+// Function to get the appropriate tick size for a futures contract (see config/futuresContracts.json)
 const getTickSize = (ticker) => {
-  if (!ticker) return 0.01; // Default to 2 decimals for non-futures
-  
-  const baseTicker = ticker.replace(/[A-Z]\d{2}$/, ''); // Remove month/year suffix
-  
-  switch (baseTicker) {
-    case 'MNQ':
-    case 'NQ':
-      return 0.25; // Quarter points
-    case 'MES':
-    case 'ES':
-      return 0.25; // Quarter points
-    case 'MYM':
-    case 'YM':
-      return 1; // Whole numbers
-    case 'M2K':
-    case 'RTY':
-      return 0.1; // Tenths
-    case 'CL': // Crude Oil
-      return 0.01; // Pennies
-    case 'GC': // Gold
-      return 0.1; // Tenths
-    default:
-      return 0.01; // Default to 2 decimals for stocks/ETFs
-  }
+  const spec = getContractSpec(ticker);
+  return spec ? spec.tickSize : 0.01; // Default to 2 decimals for stocks/ETFs
+};
+
+// Function to get the dollar value of one tick for one contract (one cent per share for stocks/ETFs)
+const getTickValue = (ticker) => {
+  const spec = getContractSpec(ticker);
+  return spec ? spec.tickValue : 0.01;
+};
+
+// Function to get the dollar value of a one point move for one contract (1 for stocks/ETFs)
+const getPointValue = (ticker) => {
+  const spec = getContractSpec(ticker);
+  return spec ? spec.pointValue : 1;
+};
+
+// Decimal places of a tick size (0.25 -> 2, 0.015625 -> 6)
+const tickDecimals = (tickSize) => {
+  const [, decimals = ''] = tickSize.toFixed(10).replace(/0+$/, '').split('.');
+  return decimals.length;
 };
 
 // Function to round to the appropriate tick size
 const roundToTickSize = (price, ticker) => {
   const tickSize = getTickSize(ticker);
-  return Math.round(price / tickSize) * tickSize;
+  // toFixed drops float noise (e.g. 1.0834500000000001 for 6E)
+  return parseFloat((Math.round(price / tickSize) * tickSize).toFixed(tickDecimals(tickSize)));
+};
+
+// Function to size a position so that a stop `stopDistance` points away risks at most `riskAmount` dollars
+// The stop distance is rounded up to whole ticks; returns 0 if one contract/share already exceeds the risk
+const calculatePositionSize = (ticker, riskAmount, stopDistance) => {
+  const tickSize = getTickSize(ticker);
+  const ticks = Math.ceil(Math.abs(stopDistance) / tickSize - 1e-9);
+  if (!(riskAmount > 0) || !(ticks > 0)) return 0;
+
+  const riskPerUnit = ticks * getTickValue(ticker);
+  return Math.floor(riskAmount / riskPerUnit + 1e-9);
 };
 
 // New function to specifically round to two decimal places
@@ -67,7 +77,10 @@ const roundStdDevLevels = (levels, ticker) => {
 
 module.exports = {
   getTickSize,
+  getTickValue,
+  getPointValue,
   roundToTickSize,
+  calculatePositionSize,
   roundToTwoDecimals,
   roundStdDevLevels
 }; 
\ No newline at end of file
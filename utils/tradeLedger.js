@@ -0,0 +1,150 @@
+/**
+ * Trade ledger - round trips persisted in the trades table
+ *
+ * Trades are reconstructed from filled orders (utils/tradeReconstruction, FIFO matching
+ * within each flat-to-flat round trip) and upserted by trade_key. Syncs come from
+ * POST /trades/sync and from TradeJournalSync, which passes the orders it already loaded.
+ *
+ * Round trips that started before the lookback window can't be reconstructed (their
+ * closing fills look like new positions), so longer lookbacks give a cleaner ledger.
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+const { buildRoundTrips } = require('./tradeReconstruction');
+const { fetchAccountOrders, fetchUserAccounts, MAX_LOOKBACK_DAYS } = require('./historicalOrders');
+
+const TRADE_SIDES = ['long', 'short'];
+const TRADE_STATUSES = ['open', 'closed'];
+
+const TRADE_COLUMNS = `id, account_id, is_paper_trading, trade_key, symbol, side, status, quantity, open_quantity,
+  avg_entry_price, avg_exit_price, point_value, gross_pnl, fees, net_pnl, opened_at, closed_at,
+  order_ids, tags, notes, created_at, updated_at`;
+
+/**
+ * Insert or refresh trades for one account
+ * Open trades that started inside the window but are no longer reconstructed are removed
+ * @param {object[]} trips - From buildRoundTrips
+ * @param {Date|null} windowStart - Start of the orders window (null skips the cleanup)
+ * @returns {Promise<{ upserted: number, removed: number }>}
+ */
+async function upsertTrades(userId, accountId, isPaperTrading, trips, windowStart = null) {
+  let upserted = 0;
+
+  for (const trip of trips) {
+    const result = await pool.query(`
+      INSERT INTO trades (
+        user_id, account_id, is_paper_trading, trade_key, symbol, side, status, quantity, open_quantity,
+        avg_entry_price, avg_exit_price, point_value, gross_pnl, fees, net_pnl, opened_at, closed_at,
+        order_ids, fills
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19::jsonb)
+      ON CONFLICT (user_id, trade_key)
+      DO UPDATE SET
+        status = EXCLUDED.status,
+        quantity = EXCLUDED.quantity,
+        open_quantity = EXCLUDED.open_quantity,
+        avg_entry_price = EXCLUDED.avg_entry_price,
+        avg_exit_price = EXCLUDED.avg_exit_price,
+        gross_pnl = EXCLUDED.gross_pnl,
+        fees = EXCLUDED.fees,
+        net_pnl = EXCLUDED.net_pnl,
+        closed_at = EXCLUDED.closed_at,
+        order_ids = EXCLUDED.order_ids,
+        fills = EXCLUDED.fills,
+        updated_at = NOW()
+      WHERE (trades.status, trades.order_ids, trades.net_pnl)
+        IS DISTINCT FROM (EXCLUDED.status, EXCLUDED.order_ids, EXCLUDED.net_pnl)
+      RETURNING id
+    `, [
+      userId,
+      accountId,
+      isPaperTrading,
+      trip.key,
+      trip.symbol,
+      trip.side,
+      trip.isClosed ? 'closed' : 'open',
+      trip.quantity,
+      trip.openQuantity,
+      trip.avgEntryPrice,
+      trip.avgExitPrice,
+      trip.pointValue,
+      trip.grossPnL,
+      trip.fees,
+      trip.netPnL,
+      trip.openedAt,
+      trip.closedAt,
+      trip.orderIds,
+      JSON.stringify({ entries: trip.entries, exits: trip.exits, matches: trip.matches })
+    ]);
+    upserted += result.rows.length;
+  }
+
+  let removed = 0;
+  if (windowStart) {
+    const result = await pool.query(`
+      DELETE FROM trades
+      WHERE user_id = $1 AND account_id = $2 AND is_paper_trading = $3
+        AND status = 'open' AND opened_at >= $4 AND NOT (trade_key = ANY($5::text[]))
+    `, [userId, accountId, isPaperTrading, windowStart, trips.map(trip => trip.key)]);
+    removed = result.rowCount;
+  }
+
+  return { upserted, removed };
+}
+
+/**
+ * Sync one account's trades
+ * @param {object[]} [orders] - Already loaded orders covering lookbackDays (skips the fetch)
+ */
+async function syncAccountTrades(userId, accountId, isPaperTrading, lookbackDays, orders = null) {
+  const days = Math.min(Math.max(lookbackDays, 1), MAX_LOOKBACK_DAYS);
+  const windowStart = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  windowStart.setUTCHours(0, 0, 0, 0);
+
+  const accountOrders = orders || await fetchAccountOrders(userId, accountId, isPaperTrading, days);
+  const trips = buildRoundTrips(accountId, accountOrders);
+  const result = await upsertTrades(userId, accountId, isPaperTrading, trips, windowStart);
+
+  return {
+    accountId,
+    isPaperTrading,
+    tradesFound: trips.length,
+    openTrades: trips.filter(trip => !trip.isClosed).length,
+    ...result
+  };
+}
+
+/**
+ * Sync all (or one) of a user's live and paper accounts
+ * @param {{ days?: number, accountId?: string }} options
+ * @returns {Promise<{ lookbackDays: number, accounts: object[], errors: object[] }>}
+ */
+async function syncUserTrades(userId, { days = MAX_LOOKBACK_DAYS, accountId = null } = {}) {
+  const lookbackDays = Math.min(Math.max(parseInt(days, 10) || MAX_LOOKBACK_DAYS, 1), MAX_LOOKBACK_DAYS);
+  const allAccounts = await fetchUserAccounts(userId);
+
+  const accounts = [];
+  const errors = [];
+  for (const account of allAccounts) {
+    if (accountId && account.AccountID !== accountId) continue;
+    try {
+      const summary = await syncAccountTrades(userId, account.AccountID, account.isPaperTrading, lookbackDays);
+      logger.info(`[Trade Ledger] User ${userId} account ${account.AccountID} (${account.isPaperTrading ? 'Paper' : 'Live'}): ${summary.tradesFound} trade(s), ${summary.upserted} updated`);
+      accounts.push(summary);
+    } catch (error) {
+      logger.error(`[Trade Ledger] Error syncing account ${account.AccountID}:`, error.message);
+      errors.push({ accountId: account.AccountID, isPaperTrading: account.isPaperTrading, error: error.message });
+    }
+  }
+
+  return { lookbackDays, accounts, errors };
+}
+
+module.exports = {
+  TRADE_SIDES,
+  TRADE_STATUSES,
+  TRADE_COLUMNS,
+  upsertTrades,
+  syncAccountTrades,
+  syncUserTrades
+};
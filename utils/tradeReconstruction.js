@@ -0,0 +1,369 @@
+/**
+ * Round-trip trade reconstruction from TradeStation orders
+ *
+ * Orders (historical + today's, same shape as /brokerage/accounts/{id}/orders) are
+ * flattened into fills (one per executed leg), sorted by time and replayed per
+ * symbol. A round trip opens when the position leaves flat and closes when it
+ * returns to flat; a fill that flips the position closes the trip and opens a new
+ * one with the remainder. Fees (CommissionFee + UnbundledRouteFee) are split across
+ * legs and trips by quantity.
+ *
+ * Within a trip, exits are matched FIFO against entry lots; realized P&L is the sum of
+ * the matches (price difference x quantity x futures point value).
+ *
+ * Limitation: fills are replayed from the start of the window, so a position opened
+ * before it is seen as flat. Fills explicitly marked OpenOrClose 'Close' while flat
+ * are skipped; for futures (no open/close flag) choose a window that starts flat.
+ */
+
+const { getPointValue } = require('./tickSizeUtils');
+
+const EPSILON = 1e-9;
+
+// Template fields can declare autoFill to be pre-filled from the reconstructed trade
+const AUTO_FILL_FIELDS = [
+  'symbol',
+  'side',
+  'quantity',
+  'entryPrice',
+  'exitPrice',
+  'grossPnL',
+  'netPnL',
+  'fees',
+  'mae',
+  'mfe',
+  'openedAt',
+  'closedAt',
+  'durationMinutes'
+];
+
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const round = (value, decimals = 4) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Flatten orders into executed fills sorted by time
+ */
+function extractFills(orders) {
+  const seen = new Set();
+  const fills = [];
+
+  // Child order id -> relationship, from ConditionalOrders on parent orders
+  const bracketChildren = new Map();
+  for (const order of orders) {
+    for (const child of order.ConditionalOrders || []) {
+      if (child.OrderID) bracketChildren.set(String(child.OrderID), { parentOrderId: String(order.OrderID), relationship: child.Relationship || null });
+    }
+  }
+
+  for (const order of orders) {
+    const orderId = String(order.OrderID);
+    if (seen.has(orderId)) continue;
+    seen.add(orderId);
+
+    const legs = (order.Legs || []).filter(leg => toNumber(leg.ExecQuantity) > 0);
+    if (legs.length === 0) continue;
+
+    const time = order.ClosedDateTime || order.OpenedDateTime;
+    const totalQuantity = legs.reduce((sum, leg) => sum + toNumber(leg.ExecQuantity), 0);
+    const orderFees = toNumber(order.CommissionFee) + toNumber(order.UnbundledRouteFee);
+    const bracket = bracketChildren.get(orderId) || null;
+
+    legs.forEach((leg, legIndex) => {
+      const quantity = toNumber(leg.ExecQuantity);
+      fills.push({
+        orderId,
+        legIndex,
+        symbol: leg.Symbol,
+        direction: String(leg.BuyOrSell || '').toLowerCase().startsWith('buy') ? 1 : -1,
+        openOrClose: leg.OpenOrClose || null,
+        quantity,
+        price: toNumber(leg.ExecutionPrice) || toNumber(order.FilledPrice),
+        fees: totalQuantity > 0 ? orderFees * (quantity / totalQuantity) : 0,
+        time,
+        orderType: order.OrderType || null,
+        parentOrderId: bracket ? bracket.parentOrderId : null,
+        relationship: bracket ? bracket.relationship : null,
+        conditionalOrders: (order.ConditionalOrders || []).map(child => ({
+          orderId: String(child.OrderID),
+          relationship: child.Relationship || null
+        }))
+      });
+    });
+  }
+
+  return fills.sort((a, b) => new Date(a.time) - new Date(b.time) || a.orderId.localeCompare(b.orderId) || a.legIndex - b.legIndex);
+}
+
+function openTrip(accountId, fill) {
+  return {
+    accountId,
+    symbol: fill.symbol,
+    side: fill.direction > 0 ? 'long' : 'short',
+    pointValue: getPointValue(fill.symbol),
+    position: 0,
+    maxQuantity: 0,
+    entries: [],
+    exits: [],
+    lots: [], // Open entry lots, oldest first: { orderId, price, time, remaining }
+    matches: [],
+    fees: 0,
+    openedAt: fill.time,
+    closedAt: null
+  };
+}
+
+/**
+ * Match an exit against open lots, oldest first
+ */
+function matchFifo(trip, exit) {
+  const sign = trip.side === 'long' ? 1 : -1;
+  let remaining = exit.quantity;
+
+  while (remaining > EPSILON && trip.lots.length > 0) {
+    const lot = trip.lots[0];
+    const quantity = Math.min(remaining, lot.remaining);
+    trip.matches.push({
+      entryOrderId: lot.orderId,
+      exitOrderId: exit.orderId,
+      quantity,
+      entryPrice: lot.price,
+      exitPrice: exit.price,
+      openedAt: lot.time,
+      closedAt: exit.time,
+      pnl: round((exit.price - lot.price) * quantity * trip.pointValue * sign, 2)
+    });
+    lot.remaining -= quantity;
+    remaining -= quantity;
+    if (lot.remaining <= EPSILON) trip.lots.shift();
+  }
+}
+
+function addFillPart(trip, fill, quantity, role) {
+  const part = {
+    orderId: fill.orderId,
+    quantity,
+    price: fill.price,
+    fees: fill.fees * (quantity / fill.quantity),
+    time: fill.time,
+    orderType: fill.orderType,
+    parentOrderId: fill.parentOrderId,
+    relationship: fill.relationship,
+    conditionalOrders: fill.conditionalOrders
+  };
+  trip.fees += part.fees;
+  if (role === 'entry') {
+    trip.entries.push(part);
+    trip.lots.push({ orderId: part.orderId, price: part.price, time: part.time, remaining: quantity });
+    trip.position += quantity;
+    trip.maxQuantity = Math.max(trip.maxQuantity, trip.position);
+  } else {
+    trip.exits.push(part);
+    matchFifo(trip, part);
+    trip.position -= quantity;
+  }
+}
+
+const averagePrice = (parts) => {
+  const quantity = parts.reduce((sum, part) => sum + part.quantity, 0);
+  return quantity > 0 ? parts.reduce((sum, part) => sum + part.price * part.quantity, 0) / quantity : null;
+};
+
+/**
+ * Summarize a trip (averages, FIFO P&L, linked order ids)
+ */
+function finalizeTrip(trip) {
+  const avgEntryPrice = averagePrice(trip.entries);
+  const avgExitPrice = averagePrice(trip.exits);
+  const grossPnL = trip.matches.reduce((sum, match) => sum + match.pnl, 0);
+
+  const parts = [...trip.entries, ...trip.exits];
+  const orderIds = [...new Set(parts.map(part => part.orderId))];
+  const bracketOrders = [];
+  const seenBracket = new Set();
+  for (const part of parts) {
+    for (const child of part.conditionalOrders) {
+      if (!seenBracket.has(child.orderId)) {
+        seenBracket.add(child.orderId);
+        bracketOrders.push({ orderId: child.orderId, parentOrderId: part.orderId, relationship: child.relationship });
+      }
+    }
+  }
+
+  const first = trip.entries[0];
+  return {
+    key: `${trip.accountId}|${trip.symbol}|${first.orderId}|${new Date(first.time).toISOString()}`,
+    accountId: trip.accountId,
+    symbol: trip.symbol,
+    side: trip.side,
+    quantity: trip.maxQuantity,
+    avgEntryPrice: avgEntryPrice !== null ? round(avgEntryPrice) : null,
+    avgExitPrice: avgExitPrice !== null ? round(avgExitPrice) : null,
+    pointValue: trip.pointValue,
+    openQuantity: trip.position,
+    grossPnL: round(grossPnL, 2),
+    fees: round(trip.fees, 2),
+    netPnL: round(grossPnL - trip.fees, 2),
+    openedAt: trip.openedAt,
+    closedAt: trip.closedAt,
+    isClosed: trip.closedAt !== null,
+    entries: trip.entries.map(({ conditionalOrders, ...part }) => part),
+    exits: trip.exits.map(({ conditionalOrders, ...part }) => ({ ...part, isBracketLeg: part.parentOrderId !== null })),
+    matches: trip.matches,
+    orderIds,
+    bracketOrders
+  };
+}
+
+/**
+ * Reconstruct round trips for one account
+ * @param {string} accountId
+ * @param {object[]} orders - TradeStation order objects
+ * @returns {object[]} Trips (closed and, last per symbol, possibly open) ordered by open time
+ */
+function buildRoundTrips(accountId, orders) {
+  const fills = extractFills(orders);
+  const openTrips = new Map(); // symbol -> trip
+  const trips = [];
+
+  for (const fill of fills) {
+    let remaining = fill.quantity;
+    let trip = openTrips.get(fill.symbol);
+
+    if (!trip) {
+      if (fill.openOrClose === 'Close') continue; // Closing a position opened before the window
+      trip = openTrip(accountId, fill);
+      openTrips.set(fill.symbol, trip);
+    }
+
+    const tripDirection = trip.side === 'long' ? 1 : -1;
+    if (fill.direction === tripDirection) {
+      addFillPart(trip, fill, remaining, 'entry');
+      continue;
+    }
+
+    // Reducing fill: close up to the open position, remainder opens the opposite trip
+    const closing = Math.min(remaining, trip.position);
+    addFillPart(trip, fill, closing, 'exit');
+    remaining -= closing;
+
+    if (trip.position <= EPSILON) {
+      trip.closedAt = fill.time;
+      trips.push(finalizeTrip(trip));
+      openTrips.delete(fill.symbol);
+
+      if (remaining > EPSILON) {
+        const flipped = openTrip(accountId, fill);
+        addFillPart(flipped, fill, remaining, 'entry');
+        openTrips.set(fill.symbol, flipped);
+      }
+    }
+  }
+
+  for (const trip of openTrips.values()) {
+    trips.push(finalizeTrip(trip));
+  }
+
+  return trips.sort((a, b) => new Date(a.openedAt) - new Date(b.openedAt));
+}
+
+/**
+ * Maximum adverse / favorable excursion of a trip from bars covering its lifetime
+ * @param {object} trip
+ * @param {object[]} bars - TradeStation bars ({ High, Low })
+ * @returns {{ maePoints, mfePoints, mae, mfe } | null} mae/mfe in dollars for the full quantity
+ */
+function computeExcursions(trip, bars) {
+  if (!bars || bars.length === 0 || trip.avgEntryPrice === null) return null;
+
+  const high = Math.max(...bars.map(bar => toNumber(bar.High)));
+  const low = Math.min(...bars.map(bar => toNumber(bar.Low)));
+  const entry = trip.avgEntryPrice;
+
+  const mfePoints = Math.max(trip.side === 'long' ? high - entry : entry - low, 0);
+  const maePoints = Math.max(trip.side === 'long' ? entry - low : high - entry, 0);
+  const dollars = (points) => round(points * trip.quantity * trip.pointValue, 2);
+
+  return {
+    maePoints: round(maePoints),
+    mfePoints: round(mfePoints),
+    mae: dollars(maePoints),
+    mfe: dollars(mfePoints)
+  };
+}
+
+/**
+ * Value of an autoFill field for a trip
+ */
+function getAutoFillValue(trip, autoFill) {
+  switch (autoFill) {
+    case 'symbol': return trip.symbol;
+    case 'side': return trip.side === 'long' ? 'Long' : 'Short';
+    case 'quantity': return trip.quantity;
+    case 'entryPrice': return trip.avgEntryPrice;
+    case 'exitPrice': return trip.avgExitPrice;
+    case 'grossPnL': return trip.grossPnL;
+    case 'netPnL': return trip.netPnL;
+    case 'fees': return trip.fees;
+    case 'mae': return trip.excursions ? trip.excursions.mae : null;
+    case 'mfe': return trip.excursions ? trip.excursions.mfe : null;
+    case 'openedAt': return trip.openedAt;
+    case 'closedAt': return trip.closedAt;
+    case 'durationMinutes':
+      return trip.closedAt ? Math.round((new Date(trip.closedAt) - new Date(trip.openedAt)) / 60000) : null;
+    default: return null;
+  }
+}
+
+/**
+ * Build a draft journal entry for a trip from the user's template
+ * Fields with autoFill are pre-filled from the trade, others start empty (or their default)
+ * The reconstructed trade itself is kept under entry.trade
+ */
+function buildDraftEntry(trip, template) {
+  const entry = {};
+
+  for (const field of (template && Array.isArray(template.fields) ? template.fields : [])) {
+    const key = field.key || field.id || field.label;
+    if (!key) continue;
+
+    if (field.autoFill && AUTO_FILL_FIELDS.includes(field.autoFill)) {
+      entry[key] = getAutoFillValue(trip, field.autoFill);
+    } else if (field.default !== undefined) {
+      entry[key] = field.default;
+    } else {
+      entry[key] = field.type === 'multi' ? [] : '';
+    }
+  }
+
+  entry.trade = {
+    accountId: trip.accountId,
+    symbol: trip.symbol,
+    side: trip.side,
+    quantity: trip.quantity,
+    avgEntryPrice: trip.avgEntryPrice,
+    avgExitPrice: trip.avgExitPrice,
+    grossPnL: trip.grossPnL,
+    fees: trip.fees,
+    netPnL: trip.netPnL,
+    openedAt: trip.openedAt,
+    closedAt: trip.closedAt,
+    entries: trip.entries,
+    exits: trip.exits,
+    bracketOrders: trip.bracketOrders,
+    excursions: trip.excursions || null
+  };
+
+  return entry;
+}
+
+module.exports = {
+  AUTO_FILL_FIELDS,
+  extractFills,
+  buildRoundTrips,
+  computeExcursions,
+  buildDraftEntry
+};
@@ -0,0 +1,232 @@
+/**
+ * Trading guard - server-side pre-trade checks
+ *
+ * Enforces the same discipline rules the frontend shows, so a modified client
+ * cannot bypass them by calling the order routes directly:
+ * - Manual lockouts (loss_limit_locks with limit_type = 'manual')
+ * - Breached daily loss limits and cooling-off lockouts (loss_limit_alerts with an unexpired lockout)
+ * - Economic event blackouts (economic_event_locks, see workers/economicBlackoutWorker.js)
+ * - Trading hours restrictions (trading_hours_restrictions, see utils/tradingSchedule.js)
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+const { captureException } = require('./errorReporting');
+const { MARKET_TIMEZONE } = require('./sessionCalendar');
+const { evaluateRestriction } = require('./tradingSchedule');
+
+// Helper: Check if a time is within any of the trading windows (blackouts not included)
+function isWithinTradingWindow(timeWindows, now = new Date(), timezone = MARKET_TIMEZONE) {
+  if (!timeWindows || timeWindows.length === 0) {
+    return false;
+  }
+
+  return evaluateRestriction({ time_windows: timeWindows, timezone }, { now }).canTrade;
+}
+
+/**
+ * Collect the account IDs an order request targets.
+ * Orders carry AccountID; order groups carry it on each leg in Orders[].
+ * Replace requests (PUT) usually omit it; the result is then empty and every account
+ * of the user is checked. Client-supplied query params are never trusted for this.
+ */
+function getOrderAccountIds(body) {
+  const ids = new Set();
+  const add = (value) => {
+    if (value && String(value).trim()) ids.add(String(value).trim());
+  };
+
+  if (body && typeof body === 'object') {
+    add(body.AccountID);
+    if (Array.isArray(body.Orders)) {
+      body.Orders.forEach(order => add(order && order.AccountID));
+    }
+  }
+
+  return [...ids];
+}
+
+/**
+ * Collect the symbols an order request targets (Symbol, Orders[].Symbol, Legs[].Symbol).
+ * Empty when the request doesn't name one (e.g. replace), then every schedule scope applies.
+ */
+function getOrderSymbols(body) {
+  const symbols = new Set();
+  const add = (value) => {
+    if (value && String(value).trim()) symbols.add(String(value).trim().toUpperCase());
+  };
+  const addOrder = (order) => {
+    if (!order || typeof order !== 'object') return;
+    add(order.Symbol);
+    if (Array.isArray(order.Legs)) {
+      order.Legs.forEach(leg => add(leg && leg.Symbol));
+    }
+  };
+
+  addOrder(body);
+  if (body && Array.isArray(body.Orders)) {
+    body.Orders.forEach(addOrder);
+  }
+
+  return [...symbols];
+}
+
+/**
+ * Check whether the user may place/modify orders on the given accounts.
+ * When accountIds is empty the account cannot be determined, so every account
+ * of the user is checked (fail closed on the account, not on the rule).
+ * symbols narrows scoped trading hours windows and blackouts to the traded instruments.
+ *
+ * @returns {Promise<null | { status: number, body: object }>} null when trading is allowed
+ */
+async function checkPreTradeGate(userId, accountIds = [], symbols = []) {
+  const accountFilter = accountIds.length > 0 ? accountIds : null;
+
+  try {
+    // Manual lockouts
+    const manualResult = await pool.query(
+      `SELECT id, account_id, expires_at
+       FROM loss_limit_locks
+       WHERE user_id = $1
+         AND limit_type = 'manual'
+         AND expires_at > NOW()
+         AND ($2::text[] IS NULL OR account_id = ANY($2::text[]))
+       ORDER BY expires_at DESC
+       LIMIT 1`,
+      [userId, accountFilter]
+    );
+
+    if (manualResult.rows.length > 0) {
+      const lock = manualResult.rows[0];
+      return {
+        status: 423,
+        body: {
+          success: false,
+          error: 'Trading is locked for this account',
+          code: 'MANUAL_LOCK',
+          reason: 'Account is under a manual trading lockout',
+          accountId: lock.account_id,
+          lockId: lock.id,
+          lockoutExpiresAt: lock.expires_at
+        }
+      };
+    }
+
+    // Daily loss limit breaches and cooling-off lockouts (same source as /loss_limits/lockout_status)
+    const dailyResult = await pool.query(
+      `SELECT id, account_id, alert_type, threshold_amount, loss_amount, lockout_expires_at
+       FROM loss_limit_alerts
+       WHERE user_id = $1
+         AND alert_type IN ('daily', 'cooloff')
+         AND lockout_expires_at > NOW()
+         AND ($2::text[] IS NULL OR account_id = ANY($2::text[]))
+       ORDER BY detected_at DESC
+       LIMIT 1`,
+      [userId, accountFilter]
+    );
+
+    if (dailyResult.rows.length > 0) {
+      const alert = dailyResult.rows[0];
+      const isCooloff = alert.alert_type === 'cooloff';
+      return {
+        status: 423,
+        body: {
+          success: false,
+          error: 'Trading is locked for this account',
+          code: isCooloff ? 'COOLING_OFF' : 'DAILY_LOSS_LIMIT',
+          reason: isCooloff ? 'Cooling-off period after the trading rule was broken' : 'Daily loss limit has been reached',
+          accountId: alert.account_id,
+          alertId: alert.id,
+          thresholdAmount: parseFloat(alert.threshold_amount),
+          lossAmount: parseFloat(alert.loss_amount),
+          lockoutExpiresAt: alert.lockout_expires_at
+        }
+      };
+    }
+
+    // Economic event blackouts
+    const eventResult = await pool.query(
+      `SELECT l.id, l.account_id, l.starts_at, l.expires_at, e.id AS event_id, e.title, e.category, e.scheduled_at
+       FROM economic_event_locks l
+       JOIN economic_events e ON e.id = l.event_id
+       WHERE l.user_id = $1
+         AND l.starts_at <= NOW()
+         AND l.expires_at > NOW()
+         AND ($2::text[] IS NULL OR l.account_id = ANY($2::text[]))
+       ORDER BY l.expires_at DESC
+       LIMIT 1`,
+      [userId, accountFilter]
+    );
+
+    if (eventResult.rows.length > 0) {
+      const lock = eventResult.rows[0];
+      return {
+        status: 423,
+        body: {
+          success: false,
+          error: 'Trading is locked for this account',
+          code: 'EVENT_BLACKOUT',
+          reason: `Trading blackout around ${lock.title}`,
+          accountId: lock.account_id,
+          lockId: lock.id,
+          event: { id: lock.event_id, title: lock.title, category: lock.category, scheduledAt: lock.scheduled_at },
+          lockoutExpiresAt: lock.expires_at
+        }
+      };
+    }
+
+    const restrictionsResult = await pool.query(
+      `SELECT id, account_id, time_windows, timezone, blackouts, expires_at
+       FROM trading_hours_restrictions
+       WHERE user_id = $1
+         AND expires_at > NOW()
+         AND ($2::text[] IS NULL OR account_id = ANY($2::text[]))`,
+      [userId, accountFilter]
+    );
+
+    for (const restriction of restrictionsResult.rows) {
+      const evaluation = evaluateRestriction(restriction, { symbols });
+
+      if (!evaluation.canTrade) {
+        return {
+          status: 403,
+          body: {
+            success: false,
+            error: 'Trading is not allowed at this time',
+            code: evaluation.code,
+            reason: evaluation.reason,
+            accountId: restriction.account_id,
+            restrictionId: restriction.id,
+            symbol: evaluation.symbol,
+            blackout: evaluation.blackout,
+            nextAllowedWindow: evaluation.nextAllowedWindow,
+            timeWindows: restriction.time_windows,
+            timezone: restriction.timezone,
+            restrictionExpiresAt: restriction.expires_at
+          }
+        };
+      }
+    }
+
+    return null;
+  } catch (error) {
+    // Fail closed: an unreadable lock state must not let orders through
+    logger.error('[TradingGuard] Pre-trade check failed:', error.message);
+    try { captureException(error, { scope: 'checkPreTradeGate', userId, accountIds }); } catch (_) {}
+    return {
+      status: 503,
+      body: {
+        success: false,
+        error: 'Trading checks are unavailable, try again shortly',
+        code: 'PRE_TRADE_CHECK_UNAVAILABLE'
+      }
+    };
+  }
+}
+
+module.exports = {
+  isWithinTradingWindow,
+  getOrderAccountIds,
+  getOrderSymbols,
+  checkPreTradeGate
+};
@@ -0,0 +1,361 @@
+/**
+ * Trading hours schedules (trading_hours_restrictions)
+ *
+ * A restriction holds allowed time windows and blackouts, evaluated in the restriction's
+ * timezone (default America/New_York):
+ * - Window: { startTime, endTime, days?, scope?, label? }
+ *   days are ISO weekdays (1 = Monday ... 7 = Sunday, default every day) of the start time;
+ *   an endTime at or before the startTime ends the next day (e.g. 18:00-02:00)
+ * - Blackout: { start, end, scope?, label? } absolute ISO date-times when trading is blocked
+ *   even inside a window (e.g. around a scheduled announcement)
+ * - Scope: { symbols?, assetClasses? } limits a window or blackout to symbols (roots match
+ *   every contract month, ES -> ESZ25) or asset classes ('stocks', 'futures' or a futures
+ *   sector: equity, energy, metals, rates, fx, agriculture). No scope = every symbol.
+ *
+ * A symbol may trade when it is inside one of the windows that apply to it and outside
+ * every blackout that applies to it. Symbols no window applies to are only subject to
+ * blackouts. When the order symbol is unknown (e.g. order replace without Symbol) it may
+ * only trade when any instrument could (inside the windows of every scope) and outside
+ * every blackout.
+ */
+
+const moment = require('moment-timezone');
+const { MARKET_TIMEZONE } = require('./sessionCalendar');
+const { getContractSpec, parseContractSymbol } = require('./contractRegistry');
+
+const TIME_PATTERN = /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/;
+const FUTURES_SECTORS = ['equity', 'energy', 'metals', 'rates', 'fx', 'agriculture'];
+const ASSET_CLASSES = ['stocks', 'futures', ...FUTURES_SECTORS];
+const MAX_WINDOWS = 50;
+const MAX_BLACKOUTS = 100;
+const LOOKAHEAD_DAYS = 8;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+function validateScope(scope, label) {
+  if (scope === undefined || scope === null) return { scope: null };
+  if (typeof scope !== 'object' || Array.isArray(scope)) {
+    return { error: `${label} scope must be an object with symbols and/or assetClasses` };
+  }
+
+  const normalized = {};
+  if (scope.symbols !== undefined) {
+    if (!Array.isArray(scope.symbols) || scope.symbols.some(symbol => typeof symbol !== 'string' || !symbol.trim())) {
+      return { error: `${label} scope.symbols must be an array of symbols` };
+    }
+    normalized.symbols = [...new Set(scope.symbols.map(symbol => symbol.trim().toUpperCase().replace(/^@/, '')))];
+  }
+  if (scope.assetClasses !== undefined) {
+    if (!Array.isArray(scope.assetClasses) || scope.assetClasses.some(assetClass => !ASSET_CLASSES.includes(assetClass))) {
+      return { error: `${label} scope.assetClasses must contain only: ${ASSET_CLASSES.join(', ')}` };
+    }
+    normalized.assetClasses = [...new Set(scope.assetClasses)];
+  }
+  if (!normalized.symbols?.length && !normalized.assetClasses?.length) {
+    return { error: `${label} scope needs at least one symbol or asset class` };
+  }
+  return { scope: normalized };
+}
+
+/**
+ * Validate and normalize time windows from a request body
+ * @returns {{ timeWindows?: object[], error?: string }}
+ */
+function validateTimeWindows(timeWindows) {
+  if (!Array.isArray(timeWindows) || timeWindows.length === 0) {
+    return { error: 'timeWindows is required and must be a non-empty array' };
+  }
+  if (timeWindows.length > MAX_WINDOWS) {
+    return { error: `At most ${MAX_WINDOWS} time windows are allowed` };
+  }
+
+  const normalized = [];
+  for (const window of timeWindows) {
+    if (!window || !window.startTime || !window.endTime) {
+      return { error: 'Each time window must have startTime and endTime' };
+    }
+    if (!TIME_PATTERN.test(window.startTime) || !TIME_PATTERN.test(window.endTime)) {
+      return { error: 'Time must be in HH:MM format (24-hour)' };
+    }
+    if (window.startTime === window.endTime) {
+      return { error: 'startTime and endTime must differ' };
+    }
+    if (window.days !== undefined && (!Array.isArray(window.days) || window.days.length === 0
+      || window.days.some(day => !Number.isInteger(day) || day < 1 || day > 7))) {
+      return { error: 'days must be a non-empty array of ISO weekdays (1 = Monday ... 7 = Sunday)' };
+    }
+    const { scope, error } = validateScope(window.scope, 'Time window');
+    if (error) return { error };
+
+    normalized.push({
+      startTime: window.startTime,
+      endTime: window.endTime,
+      ...(window.days ? { days: [...new Set(window.days)].sort() } : {}),
+      ...(scope ? { scope } : {}),
+      ...(window.label ? { label: String(window.label).slice(0, 100) } : {})
+    });
+  }
+  return { timeWindows: normalized };
+}
+
+/**
+ * Validate and normalize blackouts from a request body
+ * @returns {{ blackouts?: object[], error?: string }}
+ */
+function validateBlackouts(blackouts) {
+  if (blackouts === undefined || blackouts === null) return { blackouts: [] };
+  if (!Array.isArray(blackouts)) return { error: 'blackouts must be an array' };
+  if (blackouts.length > MAX_BLACKOUTS) {
+    return { error: `At most ${MAX_BLACKOUTS} blackouts are allowed` };
+  }
+
+  const normalized = [];
+  for (const blackout of blackouts) {
+    const start = moment(blackout?.start, moment.ISO_8601, true);
+    const end = moment(blackout?.end, moment.ISO_8601, true);
+    if (!start.isValid() || !end.isValid()) {
+      return { error: 'Each blackout must have ISO 8601 start and end date-times' };
+    }
+    if (!end.isAfter(start)) {
+      return { error: 'Blackout end must be after its start' };
+    }
+    const { scope, error } = validateScope(blackout.scope, 'Blackout');
+    if (error) return { error };
+
+    normalized.push({
+      start: start.toISOString(),
+      end: end.toISOString(),
+      ...(scope ? { scope } : {}),
+      ...(blackout.label ? { label: String(blackout.label).slice(0, 100) } : {})
+    });
+  }
+  return { blackouts: normalized };
+}
+
+function validateTimezone(timezone) {
+  if (timezone === undefined || timezone === null) return { timezone: MARKET_TIMEZONE };
+  if (typeof timezone !== 'string' || !moment.tz.zone(timezone)) {
+    return { error: 'timezone must be an IANA timezone (e.g. America/New_York)' };
+  }
+  return { timezone };
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Asset classes of a symbol: ['stocks'] or ['futures', <sector>]
+ */
+function getAssetClasses(symbol) {
+  const spec = getContractSpec(symbol);
+  return spec ? ['futures', spec.sector] : ['stocks'];
+}
+
+/**
+ * Whether a scope covers a symbol (null symbol = unknown, every scope applies)
+ */
+function scopeMatches(scope, symbol) {
+  if (!scope || !symbol) return true;
+  const normalized = symbol.trim().toUpperCase().replace(/^@/, '');
+  const root = parseContractSymbol(normalized)?.root;
+
+  if (scope.symbols && scope.symbols.some(entry => entry === normalized || (root && entry === root))) {
+    return true;
+  }
+  if (scope.assetClasses) {
+    const classes = getAssetClasses(normalized);
+    return scope.assetClasses.some(assetClass => classes.includes(assetClass));
+  }
+  return false;
+}
+
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * Normalized restriction row (time_windows/blackouts may come back as strings)
+ */
+function readRestriction(row) {
+  return {
+    timeWindows: parseJson(row.time_windows ?? row.timeWindows, []),
+    blackouts: parseJson(row.blackouts, []),
+    timezone: row.timezone || MARKET_TIMEZONE,
+    expiresAt: row.expires_at ?? row.expiresAt ?? null
+  };
+}
+
+/**
+ * Concrete [start, end) intervals of windows between two times
+ * Starts one day early so overnight windows that began yesterday are included
+ */
+function expandWindows(windows, timezone, from, to) {
+  const intervals = [];
+  const firstDay = moment(from).tz(timezone).startOf('day').subtract(1, 'day');
+  const lastDay = moment(to).tz(timezone).startOf('day');
+
+  for (const day = firstDay.clone(); !day.isAfter(lastDay); day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    for (const window of windows) {
+      if (window.days && !window.days.includes(day.isoWeekday())) continue;
+      const start = moment.tz(`${date} ${window.startTime}`, 'YYYY-MM-DD HH:mm', timezone);
+      let end = moment.tz(`${date} ${window.endTime}`, 'YYYY-MM-DD HH:mm', timezone);
+      if (window.endTime <= window.startTime) {
+        end = moment.tz(`${day.clone().add(1, 'day').format('YYYY-MM-DD')} ${window.endTime}`, 'YYYY-MM-DD HH:mm', timezone);
+      }
+      if (end.valueOf() > from.valueOf() && start.valueOf() < to.valueOf()) {
+        intervals.push({ start: start.valueOf(), end: end.valueOf(), window });
+      }
+    }
+  }
+  return intervals;
+}
+
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+  }
+  return merged;
+}
+
+function subtractIntervals(intervals, blocked) {
+  let result = intervals;
+  for (const block of blocked) {
+    const next = [];
+    for (const interval of result) {
+      if (block.end <= interval.start || block.start >= interval.end) {
+        next.push(interval);
+        continue;
+      }
+      if (block.start > interval.start) next.push({ start: interval.start, end: block.start });
+      if (block.end < interval.end) next.push({ start: block.end, end: interval.end });
+    }
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Allowed intervals for one symbol over [from, to)
+ */
+function getAllowedIntervals(restriction, symbol, from, to) {
+  const all = [{ start: from.valueOf(), end: to.valueOf() }];
+  const expand = (windows) => (windows.length > 0
+    ? mergeIntervals(expandWindows(windows, restriction.timezone, from, to))
+    : all);
+
+  let base;
+  if (symbol) {
+    base = expand(restriction.timeWindows.filter(window => scopeMatches(window.scope, symbol)));
+  } else {
+    // Unknown symbol: it could be any instrument, so only times allowed whichever scopes it
+    // falls in are allowed. Unscoped windows are all an instrument outside every scope gets;
+    // without them, it has to be inside a window of every scope
+    const unscoped = restriction.timeWindows.filter(window => !window.scope);
+    if (unscoped.length > 0) {
+      base = expand(unscoped);
+    } else {
+      const scopes = new Map();
+      for (const window of restriction.timeWindows) {
+        const key = JSON.stringify(window.scope);
+        if (!scopes.has(key)) scopes.set(key, []);
+        scopes.get(key).push(window);
+      }
+      base = all;
+      for (const windows of scopes.values()) {
+        // Intersection: remove the times this scope doesn't allow
+        base = subtractIntervals(base, subtractIntervals(all, expand(windows)));
+      }
+    }
+  }
+
+  const blocked = restriction.blackouts
+    .filter(blackout => scopeMatches(blackout.scope, symbol))
+    .map(blackout => ({ start: new Date(blackout.start).getTime(), end: new Date(blackout.end).getTime() }));
+
+  return subtractIntervals(base, blocked);
+}
+
+/**
+ * Evaluate a restriction for the order symbols
+ * @param {object} row - trading_hours_restrictions row
+ * @param {{ now?: Date, symbols?: string[] }} options
+ * @returns {{ canTrade: boolean, code: string|null, reason: string|null, symbol: string|null,
+ *             blackout: object|null, allowedUntil: string|null, nextAllowedWindow: object|null }}
+ */
+function evaluateRestriction(row, { now = new Date(), symbols = [] } = {}) {
+  const restriction = readRestriction(row);
+  const time = new Date(now).getTime();
+  const from = moment(time);
+  const to = moment(time).add(LOOKAHEAD_DAYS, 'days');
+  const expiresAt = restriction.expiresAt ? new Date(restriction.expiresAt).getTime() : null;
+
+  let allowedUntil = null;
+  for (const symbol of symbols.length > 0 ? symbols : [null]) {
+    const allowed = getAllowedIntervals(restriction, symbol, from, to);
+    const current = allowed.find(interval => interval.start <= time && time < interval.end);
+
+    if (current) {
+      // Earliest end across symbols (open-ended when it reaches the lookahead or expiry)
+      const end = current.end >= to.valueOf() || (expiresAt && current.end >= expiresAt) ? null : current.end;
+      if (end !== null && (allowedUntil === null || end < allowedUntil)) allowedUntil = end;
+      continue;
+    }
+
+    const blackout = restriction.blackouts.find(b => scopeMatches(b.scope, symbol)
+      && new Date(b.start).getTime() <= time && time < new Date(b.end).getTime()) || null;
+    const next = allowed.find(interval => interval.start > time);
+    let nextAllowedWindow = next
+      ? { start: new Date(next.start).toISOString(), end: next.end >= to.valueOf() ? null : new Date(next.end).toISOString() }
+      : null;
+    // Once the restriction expires trading is unrestricted
+    if (expiresAt && (!next || expiresAt < next.start)) {
+      nextAllowedWindow = { start: new Date(expiresAt).toISOString(), end: null, restrictionExpires: true };
+    }
+
+    return {
+      canTrade: false,
+      code: blackout ? 'BLACKOUT' : 'OUTSIDE_TRADING_HOURS',
+      reason: blackout
+        ? `Trading blackout${blackout.label ? `: ${blackout.label}` : ''}`
+        : 'Outside of allowed trading hours',
+      symbol,
+      blackout,
+      allowedUntil: null,
+      nextAllowedWindow
+    };
+  }
+
+  return {
+    canTrade: true,
+    code: null,
+    reason: null,
+    symbol: null,
+    blackout: null,
+    allowedUntil: allowedUntil ? new Date(allowedUntil).toISOString() : null,
+    nextAllowedWindow: null
+  };
+}
+
+module.exports = {
+  ASSET_CLASSES,
+  validateTimeWindows,
+  validateBlackouts,
+  validateTimezone,
+  getAssetClasses,
+  scopeMatches,
+  readRestriction,
+  getAllowedIntervals,
+  evaluateRestriction
+};
@@ -0,0 +1,179 @@
+/**
+ * Trailing and percentage-move alerts
+ *
+ * trailing_below: Follows the high watermark, triggers when price falls
+ *                 trail_amount (or trail_ticks ticks) below it
+ * trailing_above: Follows the low watermark, triggers when price rises
+ *                 trail_amount (or trail_ticks ticks) above it
+ * percent_move_up / percent_move_down: Trigger when price moves move_percent
+ *                 from the prior close or the session open (move_reference)
+ *
+ * The watermark lives on the alert row (watermark_price) so AlertEngine can
+ * restore it after a restart.
+ */
+
+const { getTickSize } = require('./tickSizeUtils');
+
+const TRAILING_ALERT_TYPES = ['trailing_above', 'trailing_below'];
+const PERCENT_MOVE_ALERT_TYPES = ['percent_move_up', 'percent_move_down'];
+const MOVE_REFERENCES = ['prior_close', 'session_open'];
+
+const isTrailingAlert = (alertType) => TRAILING_ALERT_TYPES.includes(alertType);
+const isPercentMoveAlert = (alertType) => PERCENT_MOVE_ALERT_TYPES.includes(alertType);
+
+/**
+ * Validate trailing / percentage-move parameters from a request body
+ * @returns {{ error: string } | { fields: object }} fields are the trade_alerts columns to store
+ */
+function parseTrailingParams(alertType, body = {}) {
+  const fields = {
+    trail_amount: null,
+    trail_ticks: null,
+    move_percent: null,
+    move_reference: null
+  };
+
+  if (isTrailingAlert(alertType)) {
+    const hasAmount = body.trail_amount !== undefined && body.trail_amount !== null && body.trail_amount !== '';
+    const hasTicks = body.trail_ticks !== undefined && body.trail_ticks !== null && body.trail_ticks !== '';
+
+    if (hasAmount === hasTicks) {
+      return { error: 'Trailing alerts require exactly one of trail_amount or trail_ticks' };
+    }
+    if (hasAmount) {
+      const amount = Number(body.trail_amount);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        return { error: 'trail_amount must be a positive number' };
+      }
+      fields.trail_amount = amount;
+    } else {
+      const ticks = Number(body.trail_ticks);
+      if (!Number.isInteger(ticks) || ticks <= 0 || ticks > 100000) {
+        return { error: 'trail_ticks must be a positive integer' };
+      }
+      fields.trail_ticks = ticks;
+    }
+    return { fields };
+  }
+
+  if (isPercentMoveAlert(alertType)) {
+    const percent = Number(body.move_percent);
+    if (!Number.isFinite(percent) || percent <= 0 || percent > 100) {
+      return { error: 'move_percent must be a number greater than 0 and at most 100' };
+    }
+    const reference = body.move_reference || 'prior_close';
+    if (!MOVE_REFERENCES.includes(reference)) {
+      return { error: `move_reference must be one of: ${MOVE_REFERENCES.join(', ')}` };
+    }
+    fields.move_percent = percent;
+    fields.move_reference = reference;
+    return { fields };
+  }
+
+  const stray = ['trail_amount', 'trail_ticks', 'move_percent', 'move_reference']
+    .find(key => body[key] !== undefined && body[key] !== null);
+  if (stray) {
+    return { error: `${stray} is only supported for trailing and percentage-move alerts` };
+  }
+  return { fields };
+}
+
+/**
+ * Distance from the watermark that triggers a trailing alert, in price units
+ */
+function getTrailOffset(alert) {
+  if (alert.trail_ticks) {
+    return parseInt(alert.trail_ticks, 10) * getTickSize(alert.ticker);
+  }
+  return parseFloat(alert.trail_amount);
+}
+
+/**
+ * Move the watermark with price (high for trailing_below, low for trailing_above)
+ * @returns {boolean} true if the watermark changed
+ */
+function updateWatermark(alert, price) {
+  const current = alert.watermark_price !== null && alert.watermark_price !== undefined
+    ? parseFloat(alert.watermark_price)
+    : null;
+
+  const isNewExtreme = current === null
+    || (alert.alert_type === 'trailing_below' && price > current)
+    || (alert.alert_type === 'trailing_above' && price < current);
+
+  if (isNewExtreme) {
+    alert.watermark_price = price;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Price at which a trailing alert triggers given its current watermark
+ */
+function getTrailingTriggerLevel(alert) {
+  if (alert.watermark_price === null || alert.watermark_price === undefined) return null;
+  const watermark = parseFloat(alert.watermark_price);
+  const offset = getTrailOffset(alert);
+  return alert.alert_type === 'trailing_below' ? watermark - offset : watermark + offset;
+}
+
+function evaluateTrailingAlert(alert, price) {
+  // A new extreme can never trigger (price is at the watermark)
+  if (updateWatermark(alert, price)) return false;
+
+  const level = getTrailingTriggerLevel(alert);
+  if (level === null) return false;
+  return alert.alert_type === 'trailing_below' ? price <= level : price >= level;
+}
+
+/**
+ * Price at which a percentage-move alert triggers for a reference price
+ */
+function getPercentMoveTriggerLevel(alert, referencePrice) {
+  const percent = parseFloat(alert.move_percent) / 100;
+  return alert.alert_type === 'percent_move_up'
+    ? referencePrice * (1 + percent)
+    : referencePrice * (1 - percent);
+}
+
+function evaluatePercentMoveAlert(alert, price, referencePrice) {
+  if (!referencePrice || !Number.isFinite(referencePrice)) return false;
+  const level = getPercentMoveTriggerLevel(alert, referencePrice);
+  return alert.alert_type === 'percent_move_up' ? price >= level : price <= level;
+}
+
+/**
+ * Human readable summary used in notifications
+ */
+function describeTrailingAlert(alert) {
+  if (isTrailingAlert(alert.alert_type)) {
+    const distance = alert.trail_ticks ? `${alert.trail_ticks} ticks` : `${parseFloat(alert.trail_amount)}`;
+    const watermark = alert.watermark_price !== null && alert.watermark_price !== undefined
+      ? ` ${parseFloat(alert.watermark_price)}`
+      : '';
+    return alert.alert_type === 'trailing_below'
+      ? `trailing ${distance} below high${watermark}`
+      : `trailing ${distance} above low${watermark}`;
+  }
+  if (isPercentMoveAlert(alert.alert_type)) {
+    const reference = alert.move_reference === 'session_open' ? 'session open' : 'prior close';
+    return `${alert.alert_type === 'percent_move_up' ? 'up' : 'down'} ${parseFloat(alert.move_percent)}% from ${reference}`;
+  }
+  return '';
+}
+
+module.exports = {
+  TRAILING_ALERT_TYPES,
+  PERCENT_MOVE_ALERT_TYPES,
+  isTrailingAlert,
+  isPercentMoveAlert,
+  parseTrailingParams,
+  getTrailOffset,
+  updateWatermark,
+  getTrailingTriggerLevel,
+  evaluateTrailingAlert,
+  getPercentMoveTriggerLevel,
+  evaluatePercentMoveAlert,
+  describeTrailingAlert
+};
@@ -0,0 +1,406 @@
+/**
+ * WebSocket gateway (/ws) - all market and account streams over one connection
+ *
+ * Protocol (JSON text frames):
+ * - Authenticate once: ?token=<JWT> on the URL, an Authorization: Bearer header, or
+ *   { type: 'auth', token } as the first message (within AUTH_TIMEOUT_MS)
+ * - { type: 'subscribe', id?, topic, params } -> { type: 'subscribed', id, topic, key }
+ *     quotes:    { symbols: ['ESZ25', 'AAPL'] | 'ESZ25,AAPL' }
+ *     bars:      { ticker, interval, unit, barsback?, sessiontemplate? }
+ *     depth:     { ticker }
+ *     positions: { accountId, paperTrading? }
+ *     orders:    { accountId, paperTrading? }
+ * - { type: 'unsubscribe', id } -> { type: 'unsubscribed', id }
+ * - { type: 'ping' } -> { type: 'pong' }
+ * - Stream messages arrive as { type: 'data', id, topic, data } (upstream heartbeats are dropped);
+ *   { type: 'error', id?, error, status? } reports failures; when an upstream ends the
+ *   subscription is closed with { type: 'unsubscribed', id, reason: 'upstream_closed' }
+ *
+ * Each topic (user + topic + normalized params) is one subscriber on the existing
+ * StreamMultiplexer instances, fanned out to every socket subscribed to it, so the upstream
+ * is shared with the HTTP stream routes and background streams of the same user.
+ */
+
+const { WebSocketServer } = require('ws');
+const jwt = require('jsonwebtoken');
+const logger = require('../config/logging');
+const { getMaintenanceStatus } = require('./maintenance');
+const { InternalSubscriber } = require('./internalSubscriber');
+
+const WS_PATH = '/ws';
+const AUTH_TIMEOUT_MS = 10000;
+const PING_INTERVAL_MS = 30000;
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+const MAX_SUBSCRIPTIONS_PER_SOCKET = 50;
+const MAX_QUOTE_SYMBOLS = 100;
+// Data frames are dropped for a socket while this much is queued (slow consumer)
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const normalizeSymbols = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return Array.from(new Set(list.map(s => String(s).trim().toUpperCase()).filter(Boolean))).sort();
+};
+
+const parseAccountParams = (params) => {
+  if (!params.accountId || !String(params.accountId).trim()) return { error: 'accountId is required' };
+  const accountId = String(params.accountId).trim();
+  const paperTrading = params.paperTrading === true || String(params.paperTrading).toLowerCase() === 'true';
+  return { deps: { accountId, paperTrading }, key: `${accountId}|${paperTrading ? 1 : 0}` };
+};
+
+/**
+ * Topic definitions: validate params into multiplexer deps and a stable key, and subscribe
+ */
+const TOPICS = {
+  quotes: {
+    parse(params) {
+      const symbols = normalizeSymbols(params.symbols);
+      if (symbols.length === 0) return { error: 'symbols is required' };
+      if (symbols.length > MAX_QUOTE_SYMBOLS) return { error: `At most ${MAX_QUOTE_SYMBOLS} symbols per quotes subscription` };
+      const csv = symbols.join(',');
+      return { deps: csv, key: csv };
+    },
+    subscribe: (userId, deps, sub) => require('./quoteStreamManager').addSubscriber(userId, deps, sub)
+  },
+  bars: {
+    parse(params) {
+      const ticker = String(params.ticker || params.symbol || '').trim().toUpperCase();
+      const { interval, unit, barsback, sessiontemplate } = params;
+      if (!ticker || !interval || !unit) return { error: 'ticker, interval, and unit are required' };
+      const deps = {
+        ticker,
+        interval: String(interval),
+        unit: String(unit),
+        barsback: barsback !== undefined ? String(barsback) : undefined,
+        sessiontemplate: sessiontemplate || undefined
+      };
+      return { deps, key: [ticker, deps.interval, deps.unit, deps.barsback || '', deps.sessiontemplate || 'Default'].join('|') };
+    },
+    subscribe: (userId, deps, sub) => require('./barsStreamManager').addSubscriber(userId, deps, sub)
+  },
+  depth: {
+    parse(params) {
+      const ticker = String(params.ticker || params.symbol || '').trim().toUpperCase();
+      if (!ticker) return { error: 'ticker is required' };
+      return { deps: { ticker }, key: ticker };
+    },
+    subscribe: (userId, deps, sub) => require('./marketAggregatesStreamManager').addSubscriber(userId, deps, sub)
+  },
+  // Account streams use the non-exclusive subscriber so several accounts can stream at once
+  positions: {
+    parse: parseAccountParams,
+    subscribe: (userId, deps, sub) => require('./positionsStreamManager').addBackgroundSubscriber(userId, deps, sub)
+  },
+  orders: {
+    parse: parseAccountParams,
+    subscribe: (userId, deps, sub) => require('./ordersStreamManager').addBackgroundSubscriber(userId, deps, sub)
+  }
+};
+
+class WebSocketGateway {
+  constructor() {
+    this.wss = null;
+    this.pingInterval = null;
+
+    // topicKey -> { topicKey, userId, topic, subscriber, members: Map<client, Set<id>>, ready: Promise, hasData }
+    this.topics = new Map();
+    this.clients = new Set();
+
+    this.stats = {
+      connections: 0,
+      messagesSent: 0,
+      messagesDropped: 0,
+      subscribeErrors: 0
+    };
+  }
+
+  /**
+   * Attach to the HTTP server returned by app.listen()
+   */
+  attach(server) {
+    if (this.wss) return this.wss;
+
+    this.wss = new WebSocketServer({ server, path: WS_PATH, maxPayload: MAX_PAYLOAD_BYTES });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+    this.wss.on('error', (err) => logger.error('[WsGateway] Server error:', err.message));
+
+    // Terminate sockets that stopped answering pings
+    this.pingInterval = setInterval(() => {
+      for (const client of this.clients) {
+        if (!client.alive) {
+          client.socket.terminate();
+          continue;
+        }
+        client.alive = false;
+        try { client.socket.ping(); } catch (_) {}
+      }
+    }, PING_INTERVAL_MS);
+
+    logger.info(`[WsGateway] Listening on ${WS_PATH}`);
+    return this.wss;
+  }
+
+  close() {
+    if (this.pingInterval) {
+      clearInterval(this.pingInterval);
+      this.pingInterval = null;
+    }
+    for (const client of this.clients) {
+      try { client.socket.close(1001, 'Server shutting down'); } catch (_) {}
+    }
+    if (this.wss) {
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  handleConnection(socket, req) {
+    this.stats.connections++;
+    const client = {
+      socket,
+      userId: null,
+      alive: true,
+      // subscription id -> topicKey
+      subscriptions: new Map(),
+      nextId: 1,
+      authTimer: null
+    };
+    this.clients.add(client);
+
+    socket.on('pong', () => { client.alive = true; });
+    socket.on('message', (raw) => this.handleMessage(client, raw));
+    socket.on('close', () => this.handleClose(client));
+    socket.on('error', (err) => logger.debug(`[WsGateway] Socket error: ${err.message}`));
+
+    const url = new URL(req.url, 'http://localhost');
+    const authHeader = req.headers['authorization'];
+    const token = url.searchParams.get('token') || (authHeader && authHeader.split(' ')[1]);
+
+    if (token) {
+      this.authenticate(client, token);
+    } else {
+      client.authTimer = setTimeout(() => {
+        if (!client.userId) socket.close(4001, 'Authentication timeout');
+      }, AUTH_TIMEOUT_MS);
+    }
+  }
+
+  authenticate(client, token) {
+    jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] }, (err, user) => {
+      if (err || !user?.id) {
+        this.send(client, { type: 'error', error: 'Invalid token', status: 401 });
+        client.socket.close(4001, 'Invalid token');
+        return;
+      }
+      clearTimeout(client.authTimer);
+      client.userId = String(user.id);
+      this.send(client, { type: 'ready', topics: Object.keys(TOPICS) });
+    });
+  }
+
+  handleMessage(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (_) {
+      return this.send(client, { type: 'error', error: 'Messages must be JSON' });
+    }
+    if (!message || typeof message !== 'object') {
+      return this.send(client, { type: 'error', error: 'Messages must be JSON objects' });
+    }
+
+    if (message.type === 'ping') return this.send(client, { type: 'pong' });
+
+    if (!client.userId) {
+      if (message.type === 'auth' && message.token) return this.authenticate(client, String(message.token));
+      return this.send(client, { type: 'error', error: 'Authenticate first', status: 401 });
+    }
+
+    switch (message.type) {
+      case 'subscribe':
+        return this.subscribe(client, message).catch(err => {
+          logger.error('[WsGateway] Subscribe failed:', err.message);
+          this.send(client, { type: 'error', id: message.id, error: 'Failed to subscribe' });
+        });
+      case 'unsubscribe':
+        return this.unsubscribe(client, message.id);
+      case 'auth':
+        return this.send(client, { type: 'error', error: 'Already authenticated' });
+      default:
+        return this.send(client, { type: 'error', error: `Unknown message type "${message.type}"` });
+    }
+  }
+
+  async subscribe(client, message) {
+    const definition = TOPICS[message.topic];
+    if (!definition) {
+      return this.send(client, { type: 'error', id: message.id, error: `topic must be one of: ${Object.keys(TOPICS).join(', ')}` });
+    }
+    const { deps, key, error } = definition.parse(message.params || {});
+    if (error) return this.send(client, { type: 'error', id: message.id, error });
+
+    const id = message.id !== undefined ? String(message.id) : `${message.topic}-${client.nextId++}`;
+    if (client.subscriptions.has(id)) {
+      return this.send(client, { type: 'error', id, error: 'Subscription id already in use' });
+    }
+    if (client.subscriptions.size >= MAX_SUBSCRIPTIONS_PER_SOCKET) {
+      return this.send(client, { type: 'error', id, error: `At most ${MAX_SUBSCRIPTIONS_PER_SOCKET} subscriptions per connection` });
+    }
+
+    const maint = await getMaintenanceStatus();
+    if (maint.is_enabled) {
+      return this.send(client, { type: 'error', id, error: 'Service unavailable (maintenance mode)', status: 503 });
+    }
+
+    const topicKey = `${client.userId}|${message.topic}|${key}`;
+    client.subscriptions.set(id, topicKey);
+
+    let topic = this.topics.get(topicKey);
+    const isNew = !topic;
+    if (isNew) topic = this.openTopic(client.userId, message.topic, topicKey, deps);
+    if (!topic.members.has(client)) topic.members.set(client, new Set());
+    topic.members.get(client).add(id);
+
+    if (!isNew && topic.hasData) {
+      // Joining a live topic: tell the client to load history like the HTTP late-join notice
+      this.send(client, { type: 'data', id, topic: message.topic, data: { LateJoin: true } });
+    }
+
+    const result = await topic.ready;
+    if (!client.subscriptions.has(id)) return; // Unsubscribed or disconnected meanwhile
+    if (result.error) {
+      this.stats.subscribeErrors++;
+      client.subscriptions.delete(id);
+      return this.send(client, { type: 'error', id, topic: message.topic, error: result.error, status: result.status });
+    }
+    this.send(client, { type: 'subscribed', id, topic: message.topic, key });
+  }
+
+  openTopic(userId, topicName, topicKey, deps) {
+    const topic = { topicKey, userId, topic: topicName, subscriber: null, members: new Map(), hasData: false, ready: null };
+
+    topic.subscriber = new InternalSubscriber(
+      (data) => {
+        // Heartbeats and partial/non-JSON upstream lines aren't forwarded
+        if (data.Heartbeat || data.raw !== undefined) return;
+        topic.hasData = true;
+        this.fanOut(topic, data);
+      },
+      () => this.handleTopicEnd(topic),
+      undefined,
+      // WebSocket clients follow a stream replay like HTTP stream clients
+      { idPrefix: 'ws', replayable: true }
+    );
+    this.topics.set(topicKey, topic);
+
+    topic.ready = TOPICS[topicName].subscribe(userId, deps, topic.subscriber)
+      .then(() => {
+        // The multiplexer reports open failures through res.status().json()
+        const failure = topic.subscriber.errorPayload;
+        if (failure) return { error: failure.error || 'Failed to start stream', status: topic.subscriber.statusCode };
+        return {};
+      })
+      .catch(err => ({ error: err.message || 'Failed to start stream', status: err.status || 500 }));
+
+    return topic;
+  }
+
+  fanOut(topic, data) {
+    for (const [client, ids] of topic.members) {
+      for (const id of ids) {
+        this.send(client, { type: 'data', id, topic: topic.topic, data }, { droppable: true });
+      }
+    }
+  }
+
+  /**
+   * Upstream ended (idle timeout, upstream error, or last unsubscribe)
+   */
+  handleTopicEnd(topic) {
+    if (this.topics.get(topic.topicKey) !== topic) return;
+    this.topics.delete(topic.topicKey);
+
+    const failed = !!topic.subscriber.errorPayload;
+    for (const [client, ids] of topic.members) {
+      for (const id of ids) {
+        if (client.subscriptions.get(id) !== topic.topicKey) continue;
+        // Failed opens are reported by subscribe() once topic.ready settles
+        if (failed) continue;
+        client.subscriptions.delete(id);
+        this.send(client, { type: 'unsubscribed', id, topic: topic.topic, reason: 'upstream_closed' });
+      }
+    }
+    topic.members.clear();
+  }
+
+  unsubscribe(client, id) {
+    const key = id !== undefined ? String(id) : null;
+    const topicKey = key !== null ? client.subscriptions.get(key) : null;
+    if (!topicKey) {
+      return this.send(client, { type: 'error', id, error: 'Unknown subscription id' });
+    }
+    client.subscriptions.delete(key);
+    this.leaveTopic(client, topicKey, key);
+    this.send(client, { type: 'unsubscribed', id: key });
+  }
+
+  leaveTopic(client, topicKey, id) {
+    const topic = this.topics.get(topicKey);
+    if (!topic) return;
+
+    const ids = topic.members.get(client);
+    if (ids) {
+      ids.delete(id);
+      if (ids.size === 0) topic.members.delete(client);
+    }
+    if (topic.members.size === 0) {
+      // Ending the subscriber lets the multiplexer close the upstream once nobody else uses it
+      this.topics.delete(topicKey);
+      topic.subscriber.end();
+    }
+  }
+
+  handleClose(client) {
+    clearTimeout(client.authTimer);
+    this.clients.delete(client);
+    for (const [id, topicKey] of client.subscriptions) {
+      this.leaveTopic(client, topicKey, id);
+    }
+    client.subscriptions.clear();
+  }
+
+  send(client, message, { droppable = false } = {}) {
+    const { socket } = client;
+    if (socket.readyState !== socket.OPEN) return;
+    if (droppable && socket.bufferedAmount > MAX_BUFFERED_BYTES) {
+      this.stats.messagesDropped++;
+      return;
+    }
+    try {
+      socket.send(JSON.stringify(message));
+      this.stats.messagesSent++;
+    } catch (err) {
+      logger.debug(`[WsGateway] Send failed: ${err.message}`);
+    }
+  }
+
+  getStats() {
+    const topicsByType = {};
+    for (const topic of this.topics.values()) {
+      topicsByType[topic.topic] = (topicsByType[topic.topic] || 0) + 1;
+    }
+    return {
+      ...this.stats,
+      isRunning: !!this.wss,
+      clients: this.clients.size,
+      authenticatedClients: [...this.clients].filter(client => client.userId).length,
+      topics: this.topics.size,
+      topicsByType
+    };
+  }
+}
+
+// Singleton instance
+const wsGateway = new WebSocketGateway();
+
+module.exports = wsGateway;
@@ -2,12 +2,15 @@ const pool = require('../db');
 const { tradestationRequest } = require('../utils/tradestationProxy');
 const { encryptToken } = require('../utils/secureCredentials');
 const logger = require('../config/logging');
+const moment = require('moment-timezone');
+const sessionCalendar = require('../utils/sessionCalendar');
 
 /**
  * Account Snapshot Scheduler
  * 
  * Automatically captures account snapshots for all active users at a scheduled time.
- * This worker runs daily to ensure we have historical balance data for all users.
+ * This worker runs on every trading day (utils/sessionCalendar) to ensure we have historical
+ * balance data for all users.
  * 
  * Features:
  * - Captures snapshots for all users with valid TradeStation credentials
@@ -18,8 +21,8 @@ const logger = require('../config/logging');
 class AccountSnapshotScheduler {
   constructor() {
     this.isRunning = false;
-    this.scheduledTime = '18:28'; // 3:30 PM ET (before market close at 4 PM ET)
-    this.timezone = 'America/New_York'; // Eastern Time
+    this.scheduledTime = '18:28'; // 6:28 PM ET, after the CME Globex close (runs on trading days only)
+    this.timezone = sessionCalendar.MARKET_TIMEZONE; // Eastern Time
     this.cronJob = null;
   }
 
@@ -49,6 +52,10 @@ class AccountSnapshotScheduler {
       
       // Schedule the job
       this.cronJob = cron.schedule(cronExpression, async () => {
+        if (!this.isTradingDay()) {
+          logger.info('[Account Snapshot Scheduler] Market closed today, skipping snapshot capture');
+          return;
+        }
         logger.info('[Account Snapshot Scheduler] Triggered scheduled snapshot capture');
         await this.captureAllUserSnapshots();
       }, {
@@ -75,11 +82,10 @@ class AccountSnapshotScheduler {
   startIntervalBased() {
     // Check every hour
     this.interval = setInterval(async () => {
-      const now = new Date();
-      const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+      const currentTime = moment().tz(this.timezone).format('HH:mm');
       
       // Check if current time matches scheduled time (within the hour)
-      if (currentTime === this.scheduledTime) {
+      if (currentTime === this.scheduledTime && this.isTradingDay()) {
         logger.info('[Account Snapshot Scheduler] Triggered scheduled snapshot capture (interval-based)');
         await this.captureAllUserSnapshots();
       }
@@ -88,6 +94,16 @@ class AccountSnapshotScheduler {
     logger.info('[Account Snapshot Scheduler] ✅ Interval-based scheduler started');
   }
 
+  /**
+   * Whether today (Eastern date) is an equities or CME Globex trading day
+   * Weekends and full exchange closures get no snapshot
+   */
+  isTradingDay(now = new Date()) {
+    const today = moment(now).tz(this.timezone).format('YYYY-MM-DD');
+    return sessionCalendar.getTradingDay('equities', today).isTradingDay
+      || sessionCalendar.getTradingDay('futures', today).isTradingDay;
+  }
+
   /**
    * Stops the scheduler
    */
@@ -263,8 +279,9 @@ class AccountSnapshotScheduler {
               equity,
               todays_profit_loss,
               day_trades,
-              is_paper_trading
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+              is_paper_trading,
+              source
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'scheduler')
             ON CONFLICT (user_id, account_id, snapshot_date, is_paper_trading)
             DO UPDATE SET
               snapshot_time = EXCLUDED.snapshot_time,
@@ -272,6 +289,7 @@ class AccountSnapshotScheduler {
               equity = EXCLUDED.equity,
               todays_profit_loss = EXCLUDED.todays_profit_loss,
               day_trades = EXCLUDED.day_trades,
+              source = EXCLUDED.source,
               created_at = NOW()
           `;
           
@@ -10,13 +10,46 @@
  * Architecture:
  * - Subscribes to BackgroundStreamManager 'data' events
  * - Maintains in-memory index of alerts by symbol
- * - Uses Pusher for real-time notifications
+ * - Composite alerts evaluate an AND/OR condition tree (price, indicator, time window)
+ *   against the quote, the previous price and a periodically refreshed indicator cache
+ * - Indicator values are computed locally from TradeStation bars (utils/indicatorService)
+ * - Trailing alerts follow a high/low watermark that is persisted (batched) so
+ *   reloads and restarts resume from it; percentage-move alerts use the quote's
+ *   PreviousClose / Open as reference
+ * - Recurring alerts stay indexed after firing and re-arm after a cooldown and/or
+ *   once price crosses back over reset_level, up to max_triggers / expires_at
+ * - Uses Pusher for real-time notifications, plus email and webhook channels
  * - Logs triggered alerts to database
  */
 
 const pool = require('../db');
 const logger = require('../config/logging');
 const Pusher = require('pusher');
+const {
+  normalizeConditionTree,
+  evaluateConditionTree,
+  collectIndicatorConditions,
+  getIndicatorKey,
+  describeConditionTree
+} = require('../utils/alertConditions');
+const {
+  isTrailingAlert,
+  isPercentMoveAlert,
+  evaluateTrailingAlert,
+  evaluatePercentMoveAlert,
+  getTrailingTriggerLevel,
+  getPercentMoveTriggerLevel,
+  describeTrailingAlert
+} = require('../utils/trailingAlerts');
+const {
+  isExpired,
+  isCoolingDown,
+  hasCrossedResetLevel,
+  isFinalTrigger
+} = require('../utils/alertRearm');
+const notificationDispatcher = require('./notificationDispatcher');
+const { getDeliveryDecision, queueDigestItem } = require('../utils/notificationPreferences');
+const { notifyStreamFailure } = require('../utils/streamFailureNotifier');
 
 // Pusher configuration (same as index.js)
 const pusher = new Pusher({
@@ -43,6 +76,21 @@ class AlertEngine {
     // User index: userId -> alertIds[] (for user-specific operations)
     this.alertsByUser = new Map();
     
+    // Last seen price per symbol (cross conditions in composite alerts)
+    this.lastPriceBySymbol = new Map();
+    
+    // Reference prices per symbol for percentage-move alerts: symbol -> { priorClose, sessionOpen }
+    // Quote stream updates only carry changed fields, so keep the last seen values
+    this.referenceBySymbol = new Map();
+    
+    // Trailing alert watermarks waiting to be persisted: alertId -> { price, updatedAt }
+    this.pendingWatermarks = new Map();
+    
+    // Indicator values for indicator/composite alerts: "SYMBOL|indicator|period|timeframe" -> { value, fetchedAt }
+    // Computed outside the hot path, quotes only read from this cache
+    this.indicatorValues = new Map();
+    this.indicatorRefreshMs = 15000;
+    this.isRefreshingIndicators = false;
     
     // Batch write queue for database operations
     this.pendingLogWrites = [];
@@ -54,6 +102,7 @@ class AlertEngine {
       quotesProcessed: 0,
       alertsChecked: 0,
       alertsTriggered: 0,
+      indicatorRefreshes: 0,
       lastProcessedAt: null
     };
     
@@ -78,6 +127,9 @@ class AlertEngine {
     // Subscribe to quote stream data from BackgroundStreamManager
     const backgroundStreamManager = require('../utils/backgroundStreamManager');
     backgroundStreamManager.on('data', (event) => this.handleStreamData(event));
+    backgroundStreamManager.on('streamFailure', (event) => {
+      if (event.streamType === 'quotes') notifyStreamFailure(event);
+    });
     
     // Start batch write timer
     this.startBatchWriteTimer();
@@ -85,6 +137,9 @@ class AlertEngine {
     // Periodically reload alerts to pick up changes (every 60 seconds)
     this.reloadInterval = setInterval(() => this.loadAlerts(), 60000);
     
+    // Refresh indicator values used by composite alerts
+    this.indicatorRefreshInterval = setInterval(() => this.refreshIndicatorValues(), this.indicatorRefreshMs);
+    
     logger.info('[AlertEngine] Started successfully');
   }
 
@@ -100,6 +155,18 @@ class AlertEngine {
       this.reloadInterval = null;
     }
     
+    if (this.indicatorRefreshInterval) {
+      clearInterval(this.indicatorRefreshInterval);
+      this.indicatorRefreshInterval = null;
+    }
+    
+    // Stop bars streams started for indicator alerts
+    try {
+      await require('../utils/indicatorService').syncStreams([]);
+    } catch (error) {
+      logger.error('[AlertEngine] Failed to stop indicator streams:', error.message);
+    }
+    
     if (this.batchWriteTimer) {
       clearInterval(this.batchWriteTimer);
       this.batchWriteTimer = null;
@@ -107,11 +174,15 @@ class AlertEngine {
     
     // Flush any pending writes
     await this.flushPendingWrites();
+    await this.flushWatermarks();
     
     // Clear indexes
     this.alertsBySymbol.clear();
     this.alertsById.clear();
     this.alertsByUser.clear();
+    this.lastPriceBySymbol.clear();
+    this.referenceBySymbol.clear();
+    this.indicatorValues.clear();
     
     logger.info('[AlertEngine] Stopped');
   }
@@ -122,6 +193,16 @@ class AlertEngine {
    */
   async loadAlerts() {
     try {
+      // Deactivate alerts that expired while not being evaluated
+      await pool.query(`
+        UPDATE trade_alerts
+        SET is_active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE is_active = true
+          AND triggered_at IS NULL
+          AND expires_at IS NOT NULL
+          AND expires_at <= NOW()
+      `);
+      
       const result = await pool.query(`
         SELECT * FROM trade_alerts 
         WHERE is_active = true
@@ -130,6 +211,15 @@ class AlertEngine {
       
       const alerts = result.rows;
       
+      // Keep in-memory watermarks that are further along than the persisted ones
+      // (the last batch may not have been flushed yet)
+      for (const alert of alerts) {
+        const pending = this.pendingWatermarks.get(alert.id);
+        if (pending && isTrailingAlert(alert.alert_type)) {
+          alert.watermark_price = pending.price;
+        }
+      }
+      
       // Clear existing indexes
       this.alertsBySymbol.clear();
       this.alertsById.clear();
@@ -142,6 +232,9 @@ class AlertEngine {
       
       logger.info(`[AlertEngine] Loaded ${alerts.length} active alerts for ${this.alertsBySymbol.size} symbols`);
       
+      // Warm indicator cache for composite alerts (don't block loading)
+      this.refreshIndicatorValues();
+      
     } catch (error) {
       logger.error('[AlertEngine] Failed to load alerts:', error.message);
     }
@@ -153,6 +246,16 @@ class AlertEngine {
   indexAlert(alert) {
     const symbol = alert.ticker.toUpperCase();
     
+    if (alert.alert_type === 'composite') {
+      // conditions is JSONB (already parsed by pg), but accept strings from older callers
+      const tree = typeof alert.conditions === 'string' ? JSON.parse(alert.conditions) : alert.conditions;
+      if (!tree) {
+        logger.warn(`[AlertEngine] Composite alert ${alert.id} has no conditions, skipping`);
+        return;
+      }
+      alert.conditions = normalizeConditionTree(tree);
+    }
+    
     // Primary index: by symbol
     if (!this.alertsBySymbol.has(symbol)) {
       this.alertsBySymbol.set(symbol, []);
@@ -168,7 +271,8 @@ class AlertEngine {
     }
     this.alertsByUser.get(alert.user_id).add(alert.id);
     
-    logger.info(`[AlertEngine] 📇 Alert ${alert.id} INDEXED: ${symbol} ${alert.alert_type} ${alert.price_level} | Total alerts for ${symbol}: ${this.alertsBySymbol.get(symbol).length}`);
+    const target = this.describeAlertRule(alert) || alert.price_level;
+    logger.info(`[AlertEngine] 📇 Alert ${alert.id} INDEXED: ${symbol} ${alert.alert_type} ${target} | Total alerts for ${symbol}: ${this.alertsBySymbol.get(symbol).length}`);
   }
 
   /**
@@ -199,34 +303,64 @@ class AlertEngine {
     this.stats.quotesProcessed++;
     this.stats.lastProcessedAt = new Date();
     
+    const previousPrice = this.lastPriceBySymbol.has(symbol) ? this.lastPriceBySymbol.get(symbol) : null;
+    this.updateReferencePrices(symbol, quoteData);
+    
     // O(1) lookup: Get alerts for this symbol
     const symbolAlerts = this.alertsBySymbol.get(symbol);
     if (!symbolAlerts || symbolAlerts.length === 0) {
+      this.lastPriceBySymbol.delete(symbol);
       return; // No alerts for this symbol
     }
     
+    this.lastPriceBySymbol.set(symbol, lastPrice);
+    
     // Log each alert being checked with clear formatting
-    for (const alert of symbolAlerts) {
-      const alertDirection = alert.alert_type === 'above' ? 'Above' : 'Below';
-      const alertPrice = parseFloat(alert.price_level).toFixed(2);
-      logger.debug(`[AlertEngine] 📊 Symbol: ${symbol}, Quote: $${lastPrice.toFixed(2)}, Alert Price: ${alertDirection} $${alertPrice}`);
+    // Iterate over a copy - triggering removes the alert from the index
+    for (const alert of [...symbolAlerts]) {
+      if (alert.alert_type === 'composite') {
+        logger.debug(`[AlertEngine] 📊 Symbol: ${symbol}, Quote: $${lastPrice.toFixed(2)}, Conditions: ${describeConditionTree(alert.conditions)}`);
+      } else if (isTrailingAlert(alert.alert_type) || isPercentMoveAlert(alert.alert_type)) {
+        logger.debug(`[AlertEngine] 📊 Symbol: ${symbol}, Quote: $${lastPrice.toFixed(2)}, Alert: ${describeTrailingAlert(alert)}`);
+      } else {
+        const alertDirection = alert.alert_type === 'above' ? 'Above' : 'Below';
+        const alertPrice = parseFloat(alert.price_level).toFixed(2);
+        logger.debug(`[AlertEngine] 📊 Symbol: ${symbol}, Quote: $${lastPrice.toFixed(2)}, Alert Price: ${alertDirection} $${alertPrice}`);
+      }
       
       this.stats.alertsChecked++;
-      this.checkAlert(alert, lastPrice, quoteData);
+      this.checkAlert(alert, lastPrice, quoteData, previousPrice);
     }
   }
 
   /**
    * Check a single alert against current price
    */
-  checkAlert(alert, currentPrice, quoteData) {
-    const shouldTrigger = this.evaluateAlertCondition(alert, currentPrice);
+  checkAlert(alert, currentPrice, quoteData, previousPrice = null) {
+    if (isExpired(alert)) {
+      this.expireAlert(alert);
+      return;
+    }
     
-    if (!shouldTrigger) {
+    // Recurring alert waiting for price to cross back over its reset level
+    if (alert.armed === false) {
+      if (hasCrossedResetLevel(alert, currentPrice)) {
+        alert.armed = true;
+        this.updateAlertState(alert);
+        logger.info(`[AlertEngine] 🔁 Alert ${alert.id} re-armed: ${alert.ticker} crossed reset level ${alert.reset_level}`);
+      }
       return;
     }
     
-    const priceLevel = parseFloat(alert.price_level);
+    if (isCoolingDown(alert)) {
+      return;
+    }
+    
+    const shouldTrigger = this.evaluateAlertCondition(alert, currentPrice, previousPrice);
+    
+    if (!shouldTrigger) {
+      return;
+    }
     
     // Check if already triggered (race condition prevention)
     if (alert._triggering) {
@@ -237,7 +371,8 @@ class AlertEngine {
     // Mark as triggering immediately to prevent race conditions
     alert._triggering = true;
     
-    logger.info(`[AlertEngine] ✅ Alert ${alert.id} TRIGGERED: ${alert.ticker} ${alert.alert_type} ${alert.price_level}, current: $${currentPrice}`);
+    const target = this.describeAlertRule(alert) || alert.price_level;
+    logger.info(`[AlertEngine] ✅ Alert ${alert.id} TRIGGERED: ${alert.ticker} ${alert.alert_type} ${target}, current: $${currentPrice}`);
     
     // Trigger the alert (this will deactivate it and remove from index)
     this.triggerAlert(alert, currentPrice, quoteData);
@@ -246,7 +381,42 @@ class AlertEngine {
   /**
    * Evaluate if alert condition is met
    */
-  evaluateAlertCondition(alert, currentPrice) {
+  evaluateAlertCondition(alert, currentPrice, previousPrice = null) {
+    if (isTrailingAlert(alert.alert_type)) {
+      const watermarkBefore = alert.watermark_price;
+      const triggered = evaluateTrailingAlert(alert, currentPrice);
+      if (alert.watermark_price !== watermarkBefore) {
+        this.queueWatermark(alert);
+      }
+      return triggered;
+    }
+    
+    if (isPercentMoveAlert(alert.alert_type)) {
+      const references = this.referenceBySymbol.get(alert.ticker.toUpperCase()) || {};
+      const referencePrice = alert.move_reference === 'session_open' ? references.sessionOpen : references.priorClose;
+      alert._referencePrice = referencePrice || null;
+      return evaluatePercentMoveAlert(alert, currentPrice, referencePrice);
+    }
+    
+    if (alert.indicator_type && alert.alert_type !== 'composite') {
+      // Indicator alerts compare the indicator value (not the price) to price_level
+      const [node] = this.getIndicatorRequirements(alert);
+      const value = this.indicatorValues.get(getIndicatorKey(alert.ticker, node))?.value;
+      if (value === undefined || value === null) return false;
+      const threshold = parseFloat(alert.price_level);
+      return alert.alert_type === 'above' ? value >= threshold : value <= threshold;
+    }
+    
+    if (alert.alert_type === 'composite') {
+      return evaluateConditionTree(alert.conditions, {
+        symbol: alert.ticker,
+        price: currentPrice,
+        previousPrice,
+        now: new Date(),
+        getIndicatorValue: (key) => this.indicatorValues.get(key)?.value
+      });
+    }
+    
     const priceLevel = parseFloat(alert.price_level);
     
     switch (alert.alert_type) {
@@ -267,33 +437,94 @@ class AlertEngine {
   async triggerAlert(alert, triggerPrice, quoteData) {
     this.stats.alertsTriggered++;
     
+    const isComposite = alert.alert_type === 'composite';
+    const isTrailing = isTrailingAlert(alert.alert_type);
+    const isPercentMove = isPercentMoveAlert(alert.alert_type);
     const direction = alert.alert_type === 'above' || alert.alert_type === 'cross_above' 
       ? 'crossed above' 
       : 'crossed below';
+    const conditionSummary = this.describeAlertRule(alert);
     
     const triggeredAt = new Date().toISOString();
+    const triggerCount = (alert.trigger_count || 0) + 1;
+    const isFinal = isFinalTrigger(alert, triggerCount);
+    
+    // Level that was actually crossed for alerts without a fixed price_level
+    let triggerLevel = null;
+    if (isTrailing) {
+      triggerLevel = getTrailingTriggerLevel(alert);
+    } else if (isPercentMove && alert._referencePrice) {
+      triggerLevel = getPercentMoveTriggerLevel(alert, alert._referencePrice);
+    }
+    
+    if (isComposite) {
+      logger.info(`[AlertEngine] 🚨 ALERT TRIGGERED: ${alert.ticker} ${triggerPrice} conditions met: ${conditionSummary} (User ${alert.user_id})`);
+    } else if (isTrailing || isPercentMove) {
+      logger.info(`[AlertEngine] 🚨 ALERT TRIGGERED: ${alert.ticker} ${triggerPrice} ${conditionSummary} (User ${alert.user_id})`);
+    } else {
+      logger.info(`[AlertEngine] 🚨 ALERT TRIGGERED: ${alert.ticker} ${triggerPrice} ${direction} ${alert.price_level} (User ${alert.user_id})`);
+    }
     
-    logger.info(`[AlertEngine] 🚨 ALERT TRIGGERED: ${alert.ticker} ${triggerPrice} ${direction} ${alert.price_level} (User ${alert.user_id})`);
+    let message;
+    if (isComposite) {
+      message = `${alert.ticker} conditions met at $${triggerPrice.toFixed(2)}: ${conditionSummary}`;
+    } else if (isTrailing || isPercentMove) {
+      message = `${alert.ticker} at $${triggerPrice.toFixed(2)}: ${conditionSummary}`;
+    } else if (alert.indicator_type) {
+      const [node] = this.getIndicatorRequirements(alert);
+      message = `${alert.ticker} ${node.indicator.toUpperCase()}(${node.period}) ${node.timeframe} ${direction} ${parseFloat(alert.price_level).toFixed(2)}`;
+    } else {
+      message = `${alert.ticker} ${direction} $${parseFloat(alert.price_level).toFixed(2)}`;
+    }
     
     // Build notification payload
     const notification = {
       alertId: alert.id,
       ticker: alert.ticker,
       triggerPrice: triggerPrice,
-      priceLevel: parseFloat(alert.price_level),
+      priceLevel: alert.price_level !== null ? parseFloat(alert.price_level) : null,
       alertType: alert.alert_type,
       timeframe: alert.timeframe,
       description: alert.description,
       stdDevLevel: alert.std_dev_level,
+      conditions: isComposite ? alert.conditions : undefined,
+      triggerLevel: triggerLevel !== null ? triggerLevel : undefined,
+      watermarkPrice: isTrailing ? parseFloat(alert.watermark_price) : undefined,
+      referencePrice: isPercentMove ? alert._referencePrice : undefined,
+      triggerCount,
+      maxTriggers: alert.max_triggers || null,
+      rearms: !isFinal,
       triggeredAt: triggeredAt,
-      message: `${alert.ticker} ${direction} $${parseFloat(alert.price_level).toFixed(2)}${alert.description ? ` - ${alert.description}` : ''}`
+      message: `${message}${alert.description ? ` - ${alert.description}` : ''}`
     };
     
-    // Mark alert as triggered and deactivate in database
-    this.markAlertTriggered(alert.id, triggeredAt, triggerPrice);
+    this.pendingWatermarks.delete(alert.id);
     
-    // Remove from active alerts index (deactivated)
-    this.removeAlert(alert.id);
+    if (isFinal) {
+      // Mark alert as triggered and deactivate in database
+      this.markAlertTriggered(alert.id, triggeredAt, triggerPrice, {
+        watermarkPrice: isTrailing ? alert.watermark_price : null,
+        referencePrice: isPercentMove ? alert._referencePrice : null,
+        triggerCount
+      });
+      
+      // Remove from active alerts index (deactivated)
+      this.removeAlert(alert.id);
+    } else {
+      // Recurring: stay indexed, wait for cooldown / reset level before firing again
+      alert.trigger_count = triggerCount;
+      alert.last_triggered_at = triggeredAt;
+      if (alert.reset_level !== null && alert.reset_level !== undefined) {
+        alert.armed = false;
+      }
+      if (isTrailing) {
+        // Start a fresh watermark from the next quote
+        alert.watermark_price = null;
+      }
+      alert._triggering = false;
+      this.updateAlertState(alert, { referencePrice: isPercentMove ? alert._referencePrice : null });
+      logger.info(`[AlertEngine] 🔁 Alert ${alert.id} fired ${triggerCount}${alert.max_triggers ? `/${alert.max_triggers}` : ''} times, waiting to re-arm`);
+    }
     
     // Send Pusher notification (async, don't wait)
     this.sendPusherNotification(alert.user_id, notification);
@@ -304,6 +535,9 @@ class AlertEngine {
     // Send email notification if user has it enabled (async)
     this.sendEmailNotification(alert, triggerPrice, notification);
     
+    // Deliver to the user's webhook channels (async, retried by NotificationDispatcher)
+    this.sendWebhookNotification(alert, notification);
+    
     // Send SMS if configured (async) - currently disabled
     // this.sendSmsNotification(alert, triggerPrice, notification);
   }
@@ -311,13 +545,17 @@ class AlertEngine {
   /**
    * Mark alert as triggered in database
    */
-  async markAlertTriggered(alertId, triggeredAt, triggerPrice) {
+  async markAlertTriggered(alertId, triggeredAt, triggerPrice, state = {}) {
     try {
       await pool.query(`
         UPDATE trade_alerts 
-        SET triggered_at = $1, is_active = false, updated_at = CURRENT_TIMESTAMP
+        SET triggered_at = $1, is_active = false, updated_at = CURRENT_TIMESTAMP,
+            last_triggered_at = $1,
+            trigger_count = COALESCE($5, trigger_count + 1),
+            watermark_price = COALESCE($3, watermark_price),
+            reference_price = COALESCE($4, reference_price)
         WHERE id = $2
-      `, [triggeredAt, alertId]);
+      `, [triggeredAt, alertId, state.watermarkPrice ?? null, state.referencePrice ?? null, state.triggerCount ?? null]);
       
       logger.info(`[AlertEngine] Alert ${alertId} marked as triggered and deactivated`);
     } catch (err) {
@@ -325,6 +563,52 @@ class AlertEngine {
     }
   }
 
+  /**
+   * Persist the firing state of a recurring alert (stays active)
+   */
+  async updateAlertState(alert, state = {}) {
+    try {
+      await pool.query(`
+        UPDATE trade_alerts
+        SET trigger_count = $2, last_triggered_at = $3, armed = $4,
+            watermark_price = $5, watermark_updated_at = CASE WHEN $5::numeric IS NULL THEN NULL ELSE watermark_updated_at END,
+            reference_price = COALESCE($6, reference_price),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND triggered_at IS NULL
+      `, [
+        alert.id,
+        alert.trigger_count || 0,
+        alert.last_triggered_at || null,
+        alert.armed !== false,
+        alert.watermark_price ?? null,
+        state.referencePrice ?? null
+      ]);
+    } catch (err) {
+      logger.error(`[AlertEngine] Failed to update alert ${alert.id} state:`, err.message);
+    }
+  }
+
+  /**
+   * Deactivate an alert that passed its expires_at
+   */
+  async expireAlert(alert) {
+    if (alert._expiring) return;
+    alert._expiring = true;
+    
+    logger.info(`[AlertEngine] ⌛ Alert ${alert.id} expired (${alert.ticker}, fired ${alert.trigger_count || 0} times)`);
+    this.removeAlert(alert.id);
+    
+    try {
+      await pool.query(`
+        UPDATE trade_alerts
+        SET is_active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND triggered_at IS NULL
+      `, [alert.id]);
+    } catch (err) {
+      logger.error(`[AlertEngine] Failed to deactivate expired alert ${alert.id}:`, err.message);
+    }
+  }
+
   /**
    * Send real-time notification via Pusher
    * Note: Using public channel for now. For production, implement Pusher auth
@@ -342,6 +626,71 @@ class AlertEngine {
     }
   }
 
+  /**
+   * Summary of the alert's rule for notifications (null for plain price alerts)
+   */
+  describeAlertRule(alert) {
+    if (alert.alert_type === 'composite') return describeConditionTree(alert.conditions);
+    if (isTrailingAlert(alert.alert_type) || isPercentMoveAlert(alert.alert_type)) return describeTrailingAlert(alert);
+    return null;
+  }
+
+  /**
+   * Remember prior close / session open for percentage-move alerts
+   */
+  updateReferencePrices(symbol, quoteData) {
+    const priorClose = parseFloat(quoteData.PreviousClose);
+    const sessionOpen = parseFloat(quoteData.Open);
+    if (!priorClose && !sessionOpen) return;
+    
+    const references = this.referenceBySymbol.get(symbol) || { priorClose: null, sessionOpen: null };
+    if (priorClose) references.priorClose = priorClose;
+    if (sessionOpen) references.sessionOpen = sessionOpen;
+    this.referenceBySymbol.set(symbol, references);
+  }
+
+  /**
+   * Queue a trailing alert's watermark to be persisted with the next batch
+   */
+  queueWatermark(alert) {
+    this.pendingWatermarks.set(alert.id, {
+      price: alert.watermark_price,
+      updatedAt: new Date()
+    });
+  }
+
+  /**
+   * Persist changed watermarks (latest value per alert only)
+   */
+  async flushWatermarks() {
+    if (this.pendingWatermarks.size === 0) return;
+    
+    const writes = [...this.pendingWatermarks.entries()];
+    this.pendingWatermarks.clear();
+    
+    try {
+      const values = writes.map((_, i) => `($${i*3+1}::int, $${i*3+2}::numeric, $${i*3+3}::timestamptz)`).join(', ');
+      const params = writes.flatMap(([alertId, w]) => [alertId, w.price, w.updatedAt]);
+      
+      await pool.query(`
+        UPDATE trade_alerts AS ta
+        SET watermark_price = v.price, watermark_updated_at = v.updated_at
+        FROM (VALUES ${values}) AS v(id, price, updated_at)
+        WHERE ta.id = v.id AND ta.triggered_at IS NULL
+      `, params);
+      
+      logger.debug(`[AlertEngine] Persisted ${writes.length} trailing watermarks`);
+    } catch (error) {
+      logger.error(`[AlertEngine] Failed to persist watermarks:`, error.message);
+      // Retry with the next batch unless a newer watermark was queued meanwhile
+      for (const [alertId, w] of writes) {
+        if (!this.pendingWatermarks.has(alertId) && this.alertsById.has(alertId)) {
+          this.pendingWatermarks.set(alertId, w);
+        }
+      }
+    }
+  }
+
   /**
    * Queue alert log for batch write
    */
@@ -351,6 +700,7 @@ class AlertEngine {
       ticker: alert.ticker,
       trigger_price: triggerPrice,
       alert_type: alert.alert_type,
+      trigger_number: notification.triggerCount || null,
       triggered_at: new Date()
     });
   }
@@ -361,6 +711,7 @@ class AlertEngine {
   startBatchWriteTimer() {
     this.batchWriteTimer = setInterval(() => {
       this.flushPendingWrites();
+      this.flushWatermarks();
     }, this.batchWriteIntervalMs);
     
     // Don't prevent Node.js from exiting
@@ -387,18 +738,19 @@ class AlertEngine {
     try {
       // Batch insert
       const values = writes.map((w, i) => 
-        `($${i*4+1}, $${i*4+2}, $${i*4+3}, $${i*4+4})`
+        `($${i*5+1}, $${i*5+2}, $${i*5+3}, $${i*5+4}, $${i*5+5})`
       ).join(', ');
       
       const params = writes.flatMap(w => [
         w.alert_id,
         w.ticker,
         w.trigger_price,
-        w.alert_type
+        w.alert_type,
+        w.trigger_number
       ]);
       
       await pool.query(`
-        INSERT INTO alert_logs (alert_id, ticker, trigger_price, alert_type)
+        INSERT INTO alert_logs (alert_id, ticker, trigger_price, alert_type, trigger_number)
         VALUES ${values}
       `, params);
       
@@ -442,6 +794,21 @@ class AlertEngine {
         return;
       }
       
+      // Notification preferences: per-event toggle, quiet hours, digest batching
+      const decision = await getDeliveryDecision(alert.user_id, 'email', this.getNotificationEvent(alert));
+      if (decision === 'skip') {
+        logger.debug(`[AlertEngine] Email muted by notification preferences for user ${alert.user_id}, skipping`);
+        return;
+      }
+      if (decision === 'digest') {
+        await queueDigestItem(alert.user_id, this.getNotificationEvent(alert), {
+          title: `${alert.ticker} alert triggered`,
+          message: notification.message,
+          data: notification
+        });
+        return;
+      }
+      
       // Build and send email
       const { createTransport, buildPriceAlertEmail } = require('../config/email');
       
@@ -451,7 +818,10 @@ class AlertEngine {
         alertType: alert.alert_type,
         priceLevel: alert.price_level,
         triggeredAt: notification.triggeredAt,
-        description: alert.description
+        description: alert.description,
+        triggerPrice,
+        conditionSummary: this.describeAlertRule(alert),
+        rearms: notification.rearms
       });
       
       const transporter = createTransport();
@@ -463,12 +833,36 @@ class AlertEngine {
     }
   }
 
+  /**
+   * Notification preferences event for an alert
+   */
+  getNotificationEvent(alert) {
+    return alert.std_dev_level ? 'std_dev_alert' : 'price_alert';
+  }
+
+  /**
+   * Send webhook notifications to the user's notification channels
+   */
+  async sendWebhookNotification(alert, notification) {
+    const decision = await getDeliveryDecision(alert.user_id, 'webhook', this.getNotificationEvent(alert));
+    if (decision !== 'send') return;
+    
+    await notificationDispatcher.dispatch(alert.user_id, 'price_alert', {
+      title: `${alert.ticker} alert triggered`,
+      message: notification.message,
+      data: notification
+    });
+  }
+
   /**
    * Send SMS notification (placeholder - uses existing AlertChecker logic)
    * Currently disabled - kept for future use
    */
   async sendSmsNotification(alert, triggerPrice, notification) {
     try {
+      const decision = await getDeliveryDecision(alert.user_id, 'sms', this.getNotificationEvent(alert));
+      if (decision !== 'send') return;
+      
       // Import existing SMS logic from alertChecker
       const AlertChecker = require('./alertChecker');
       const alertChecker = new AlertChecker();
@@ -493,6 +887,10 @@ class AlertEngine {
       this.indexAlert(alert);
       logger.info(`[AlertEngine] ➕ Alert ${alert.id} added/updated: ${alert.ticker} ${alert.alert_type} ${alert.price_level}`);
       
+      if (this.getIndicatorRequirements(alert).length > 0) {
+        this.refreshIndicatorValues();
+      }
+      
       // Also trigger a background stream start for this user/symbol if not already running
       this.ensureStreamForAlert(alert);
     } else {
@@ -639,6 +1037,78 @@ class AlertEngine {
     }
   }
 
+  /**
+   * Indicator leaves an alert depends on (composite conditions or a plain indicator alert)
+   */
+  getIndicatorRequirements(alert) {
+    if (alert.alert_type === 'composite') {
+      return collectIndicatorConditions(alert.conditions);
+    }
+    if (alert.indicator_type) {
+      const indicator = alert.indicator_type.toLowerCase();
+      return [{
+        type: 'indicator',
+        indicator,
+        period: alert.indicator_period || (indicator === 'rsi' ? 14 : 20),
+        timeframe: alert.timeframe || '1hour'
+      }];
+    }
+    return [];
+  }
+
+  /**
+   * Compute indicator values needed by indicator/composite alerts into the cache.
+   * Runs on an interval (and after alerts change) so the quote path never awaits I/O.
+   * Bars for these series are kept current by background bars streams.
+   */
+  async refreshIndicatorValues() {
+    if (this.isRefreshingIndicators) return;
+    this.isRefreshingIndicators = true;
+    
+    try {
+      const indicatorService = require('../utils/indicatorService');
+      
+      // Collect unique indicator requirements across all alerts
+      // (bars are market data, so any user watching the symbol can fetch them)
+      const required = new Map();
+      for (const alert of this.alertsById.values()) {
+        for (const node of this.getIndicatorRequirements(alert)) {
+          const key = getIndicatorKey(alert.ticker, node);
+          if (!required.has(key)) {
+            required.set(key, { symbol: alert.ticker.toUpperCase(), node, userId: alert.user_id });
+          }
+        }
+      }
+      
+      // Drop values no alert needs anymore
+      for (const key of this.indicatorValues.keys()) {
+        if (!required.has(key)) this.indicatorValues.delete(key);
+      }
+      
+      // Keep bars streaming for required series (stops streams nobody needs)
+      await indicatorService.syncStreams(
+        [...required.values()].map(({ symbol, node, userId }) => ({ userId, symbol, timeframe: node.timeframe }))
+      );
+      
+      if (required.size === 0) return;
+      
+      for (const [key, { symbol, node, userId }] of required) {
+        const value = await indicatorService.getLatestValue(userId, symbol, node.indicator, node.timeframe, node.period);
+        if (value !== null && Number.isFinite(value)) {
+          this.indicatorValues.set(key, { value, fetchedAt: Date.now() });
+        } else {
+          logger.warn(`[AlertEngine] No indicator value for ${key}`);
+        }
+      }
+      
+      this.stats.indicatorRefreshes++;
+    } catch (error) {
+      logger.error('[AlertEngine] Failed to refresh indicator values:', error.message);
+    } finally {
+      this.isRefreshingIndicators = false;
+    }
+  }
+
   /**
    * Get engine statistics
    */
@@ -649,6 +1119,8 @@ class AlertEngine {
       uniqueSymbols: this.alertsBySymbol.size,
       uniqueUsers: this.alertsByUser.size,
       pendingWrites: this.pendingLogWrites.length,
+      pendingWatermarks: this.pendingWatermarks.size,
+      cachedIndicatorValues: this.indicatorValues.size,
       isRunning: this.isRunning
     };
   }
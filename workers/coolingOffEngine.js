@@ -0,0 +1,444 @@
+/**
+ * CoolingOffEngine - Behavioral loss limits ('cooloff' rows in loss_limit_locks)
+ *
+ * Locks an account for cooloff_minutes when, within the daily loss session:
+ * - consecutive_losses round trips in a row closed with a net loss, or
+ * - max_trades_per_session round trips have closed
+ *
+ * Fills from the orders background stream schedule a debounced evaluation (every 5 minutes
+ * all accounts are evaluated as a fallback). An evaluation reconstructs the session's round
+ * trips from orders (utils/tradeReconstruction). Only trips closed after the last cooling-off
+ * lockout count, so a streak starts over once a lockout has been served, and every further
+ * trade past the session maximum locks again.
+ *
+ * Lockouts are loss_limit_alerts rows (alert_type 'cooloff'): they show up in
+ * /loss_limits/lockout_status and order routes reject orders with code COOLING_OFF. Users are
+ * notified in-app, by email and through their notification channels (cooloff_lock preferences).
+ *
+ * Orders streams are shared with TradeJournalSync (usesOrdersStream) and only stopped when
+ * neither needs them. If a stream ends anyway (failures, server restarts), fills are picked up
+ * by the 5 minute fallback evaluation, so a lockout can start up to that much late.
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+const { buildRoundTrips } = require('../utils/tradeReconstruction');
+const { fetchAccountOrders } = require('../utils/historicalOrders');
+const notificationDispatcher = require('./notificationDispatcher');
+const { getDeliveryDecision, queueDigestItem } = require('../utils/notificationPreferences');
+
+const FILLED_STATUSES = ['FLL', 'FPR'];
+const EVALUATE_DEBOUNCE_MS = 5000;
+// Historical orders reach back this far so trips opened before the session start are matched
+const ORDERS_LOOKBACK_DAYS = 2;
+
+// BackgroundStreamManager key of a rule's orders stream
+const getOrdersStreamKey = (rule) => `${rule.userId}|orders|${rule.accountId}|${rule.paperTrading ? 1 : 0}`;
+
+// Lazy-load Pusher only when needed
+let pusher = null;
+const getPusher = () => {
+  if (!pusher) {
+    const Pusher = require('pusher');
+    pusher = new Pusher({
+      appId: process.env.PUSHER_APP_ID,
+      key: process.env.PUSHER_KEY,
+      secret: process.env.PUSHER_SECRET,
+      cluster: process.env.PUSHER_CLUSTER,
+      useTLS: true
+    });
+  }
+  return pusher;
+};
+
+/**
+ * Rule that a session's closed trips break, null when none
+ * @param {object[]} trips - Closed round trips of the session, ordered by close time
+ * @param {{ consecutiveLosses: number|null, maxTrades: number|null }} rule
+ * @param {Date|null} since - Close time of the last trade counted by the previous lockout
+ * @returns {{ rule: 'consecutive_losses'|'max_trades', threshold: number, trades: object[] } | null}
+ */
+function evaluateCoolingOff(trips, rule, since = null) {
+  const sinceTime = since ? new Date(since).getTime() : -Infinity;
+  const counted = trips.filter(trip => new Date(trip.closedAt).getTime() > sinceTime);
+  if (counted.length === 0) return null;
+
+  if (rule.consecutiveLosses) {
+    const streak = [];
+    for (let i = counted.length - 1; i >= 0 && counted[i].netPnL < 0; i--) {
+      streak.unshift(counted[i]);
+    }
+    if (streak.length >= rule.consecutiveLosses) {
+      return { rule: 'consecutive_losses', threshold: rule.consecutiveLosses, trades: streak };
+    }
+  }
+
+  if (rule.maxTrades && trips.length >= rule.maxTrades) {
+    return { rule: 'max_trades', threshold: rule.maxTrades, trades: trips };
+  }
+
+  return null;
+}
+
+class CoolingOffEngine {
+  constructor() {
+    this.evaluateIntervalMs = 5 * 60 * 1000;
+
+    // userId|accountId -> { userId, accountId, paperTrading, consecutiveLosses, maxTrades, cooloffMinutes, lockId }
+    this.rules = new Map();
+    // userId|accountId -> debounce timer
+    this.pendingEvaluations = new Map();
+    // userId|accountId -> in-flight evaluation promise
+    this.inFlight = new Map();
+
+    this.stats = {
+      evaluations: 0,
+      lockoutsTriggered: 0,
+      errors: 0,
+      lastEvaluationAt: null
+    };
+
+    this.isRunning = false;
+    this.backgroundStreamManager = null;
+    this.handleStreamData = this.handleStreamData.bind(this);
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('[CoolingOffEngine] Already running');
+      return;
+    }
+
+    logger.info('[CoolingOffEngine] Starting...');
+    this.isRunning = true;
+
+    this.backgroundStreamManager = require('../utils/backgroundStreamManager');
+    this.backgroundStreamManager.on('data', this.handleStreamData);
+
+    await this.loadRules();
+
+    this.interval = setInterval(async () => {
+      await this.loadRules();
+      await this.evaluateAll();
+    }, this.evaluateIntervalMs);
+
+    logger.info(`[CoolingOffEngine] Started successfully. Monitoring ${this.rules.size} account(s)`);
+  }
+
+  async stop() {
+    logger.info('[CoolingOffEngine] Stopping...');
+    this.isRunning = false;
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    for (const timer of this.pendingEvaluations.values()) {
+      clearTimeout(timer);
+    }
+    this.pendingEvaluations.clear();
+
+    if (this.backgroundStreamManager) {
+      this.backgroundStreamManager.off('data', this.handleStreamData);
+    }
+    this.rules.clear();
+
+    logger.info('[CoolingOffEngine] Stopped');
+  }
+
+  /**
+   * Load cooloff rules and make sure each account has an orders stream
+   * Like daily limits, monitoring continues after the lock expires (expiry only freezes the setting)
+   */
+  async loadRules() {
+    try {
+      const result = await pool.query(`
+        SELECT l.id, l.user_id, l.account_id, l.consecutive_losses, l.max_trades_per_session,
+               l.cooloff_minutes, u.account_defaults
+        FROM loss_limit_locks l
+        INNER JOIN users u ON u.id = l.user_id
+        WHERE l.limit_type = 'cooloff'
+      `);
+
+      const previous = this.rules;
+      this.rules = new Map();
+      const ordersByUser = new Map();
+      for (const row of result.rows) {
+        if (!(row.cooloff_minutes > 0) || !(row.consecutive_losses > 0 || row.max_trades_per_session > 0)) continue;
+
+        const settings = (row.account_defaults || {})[row.account_id] || {};
+        const paperTrading = settings.isPaperTrading !== undefined
+          ? settings.isPaperTrading === true
+          : row.account_id.startsWith('SIM');
+
+        this.rules.set(`${row.user_id}|${row.account_id}`, {
+          userId: row.user_id,
+          accountId: row.account_id,
+          paperTrading,
+          consecutiveLosses: row.consecutive_losses || null,
+          maxTrades: row.max_trades_per_session || null,
+          cooloffMinutes: row.cooloff_minutes,
+          lockId: row.id
+        });
+        if (!ordersByUser.has(row.user_id)) ordersByUser.set(row.user_id, []);
+        ordersByUser.get(row.user_id).push({ accountId: row.account_id, paperTrading });
+      }
+
+      for (const [userId, orders] of ordersByUser) {
+        try {
+          await this.backgroundStreamManager.startStreamsForUser(userId, { orders });
+        } catch (err) {
+          logger.error(`[CoolingOffEngine] Failed to start orders streams for user ${userId}:`, err.message);
+        }
+      }
+
+      // Drop orders streams of accounts without a rule anymore (unless TradeJournalSync still uses them)
+      const tradeJournalSync = require('./tradeJournalSync');
+      const wanted = new Set([...this.rules.values()].map(getOrdersStreamKey));
+      for (const rule of previous.values()) {
+        const streamKey = getOrdersStreamKey(rule);
+        if (wanted.has(streamKey) || tradeJournalSync.usesOrdersStream(streamKey)) continue;
+        await this.backgroundStreamManager.stopStreamByKey(streamKey);
+      }
+    } catch (error) {
+      logger.error('[CoolingOffEngine] Failed to load rules:', error.message);
+    }
+  }
+
+  /**
+   * Whether a cooloff rule needs this orders stream (BackgroundStreamManager key)
+   */
+  usesOrdersStream(streamKey) {
+    return [...this.rules.values()].some(rule => getOrdersStreamKey(rule) === streamKey);
+  }
+
+  /**
+   * Schedule an evaluation when an orders stream reports a fill
+   */
+  handleStreamData(event) {
+    if (event.streamType !== 'orders' || !event.accountId) return;
+    if (!FILLED_STATUSES.includes(event.data?.Status)) return;
+
+    const key = `${event.userId}|${event.accountId}`;
+    if (!this.rules.has(key)) return;
+
+    clearTimeout(this.pendingEvaluations.get(key));
+    this.pendingEvaluations.set(key, setTimeout(() => {
+      this.pendingEvaluations.delete(key);
+      const rule = this.rules.get(key);
+      if (rule) {
+        this.evaluateAccount(rule).catch(err => {
+          logger.error(`[CoolingOffEngine] Evaluation failed for ${key}:`, err.message);
+        });
+      }
+    }, EVALUATE_DEBOUNCE_MS));
+  }
+
+  async evaluateAll() {
+    for (const rule of this.rules.values()) {
+      try {
+        await this.evaluateAccount(rule);
+      } catch (err) {
+        logger.error(`[CoolingOffEngine] Evaluation failed for ${rule.userId}|${rule.accountId}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Evaluate one account (concurrent calls for the same account share one run)
+   */
+  async evaluateAccount(rule) {
+    const key = `${rule.userId}|${rule.accountId}`;
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = this.runEvaluation(rule);
+    this.inFlight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async runEvaluation(rule) {
+    const { userId, accountId, paperTrading } = rule;
+    this.stats.evaluations++;
+    this.stats.lastEvaluationAt = new Date().toISOString();
+
+    try {
+      const positionLossEngine = require('./positionLossEngine');
+      const session = positionLossEngine.getDailySession();
+
+      // Previous lockout this session: skip while it's active, count only later trades after it
+      const lastResult = await pool.query(
+        `SELECT lockout_expires_at, position_snapshot
+         FROM loss_limit_alerts
+         WHERE user_id = $1 AND account_id = $2 AND alert_type = 'cooloff' AND detected_at >= $3
+         ORDER BY detected_at DESC
+         LIMIT 1`,
+        [userId, accountId, session.start.toISOString()]
+      );
+      const last = lastResult.rows[0] || null;
+      if (last && new Date(last.lockout_expires_at) > new Date()) return null;
+
+      const orders = await fetchAccountOrders(userId, accountId, paperTrading, ORDERS_LOOKBACK_DAYS);
+      const trips = buildRoundTrips(accountId, orders)
+        .filter(trip => trip.isClosed && new Date(trip.closedAt) >= session.start)
+        .sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+
+      const snapshot = last && typeof last.position_snapshot === 'string'
+        ? JSON.parse(last.position_snapshot)
+        : last?.position_snapshot;
+      const breach = evaluateCoolingOff(trips, rule, snapshot?.LastTradeClosedAt || null);
+      if (!breach) return null;
+
+      return await this.triggerCoolingOff(rule, breach, session);
+    } catch (error) {
+      this.stats.errors++;
+      throw error;
+    }
+  }
+
+  async triggerCoolingOff(rule, breach, session) {
+    const { userId, accountId } = rule;
+    this.stats.lockoutsTriggered++;
+
+    const lossAmount = breach.trades
+      .filter(trip => trip.netPnL < 0)
+      .reduce((sum, trip) => sum + Math.abs(trip.netPnL), 0);
+    const positionSnapshot = {
+      Rule: breach.rule,
+      TradeCount: breach.trades.length,
+      CooloffMinutes: rule.cooloffMinutes,
+      SessionStart: session.start.toISOString(),
+      LastTradeClosedAt: breach.trades[breach.trades.length - 1].closedAt,
+      Trades: breach.trades.map(trip => ({
+        Symbol: trip.symbol,
+        Side: trip.side,
+        Quantity: trip.quantity,
+        NetPnL: trip.netPnL,
+        ClosedAt: trip.closedAt
+      }))
+    };
+    const lockoutExpiresAt = new Date(Date.now() + rule.cooloffMinutes * 60 * 1000);
+
+    const insertResult = await pool.query(`
+      INSERT INTO loss_limit_alerts
+      (user_id, account_id, alert_type, threshold_amount, loss_amount, position_snapshot, lockout_expires_at)
+      VALUES ($1, $2, 'cooloff', $3, $4, $5, $6)
+      RETURNING id, detected_at, lockout_expires_at
+    `, [
+      userId,
+      accountId,
+      breach.threshold,
+      Math.round(lossAmount * 100) / 100,
+      JSON.stringify(positionSnapshot),
+      lockoutExpiresAt.toISOString()
+    ]);
+
+    const alert = insertResult.rows[0];
+    const notification = {
+      alertId: alert.id,
+      alertType: 'cooloff',
+      accountId,
+      rule: breach.rule,
+      thresholdAmount: breach.threshold,
+      lossAmount: Math.round(lossAmount * 100) / 100,
+      positionSnapshot,
+      detectedAt: alert.detected_at,
+      lockoutExpiresAt: alert.lockout_expires_at
+    };
+
+    logger.info(`[CoolingOffEngine] 🧊 Cooling-off lockout ${alert.id} for user ${userId} account ${accountId} (${breach.rule}, ${rule.cooloffMinutes} min)`);
+
+    try {
+      await getPusher().trigger(`user-${userId}-alerts`, 'loss_alert', notification);
+    } catch (err) {
+      logger.error('[CoolingOffEngine] Failed to send Pusher notification:', err.message);
+    }
+    await this.sendEmailNotification(userId, notification);
+    try {
+      await this.sendWebhookNotification(userId, notification);
+    } catch (err) {
+      logger.error('[CoolingOffEngine] Failed to send webhook notification:', err.message);
+    }
+
+    return notification;
+  }
+
+  /**
+   * Title and message for a lockout (emails, webhooks and digest items)
+   */
+  describeLockout(notification) {
+    const minutes = notification.positionSnapshot.CooloffMinutes;
+    const reason = notification.rule === 'consecutive_losses'
+      ? `${notification.thresholdAmount} losing trades in a row`
+      : `${notification.thresholdAmount} trades this session`;
+    return {
+      title: 'Cooling-off lockout',
+      message: `Account ${notification.accountId} is locked for ${minutes} minutes after ${reason} (until ${new Date(notification.lockoutExpiresAt).toISOString()}).`,
+      data: notification
+    };
+  }
+
+  /**
+   * Email the lockout (email_alerts_enabled and the cooloff_lock preferences apply)
+   */
+  async sendEmailNotification(userId, notification) {
+    try {
+      const decision = await getDeliveryDecision(userId, 'email', 'cooloff_lock');
+      if (decision === 'skip') return;
+
+      const userResult = await pool.query(
+        'SELECT email, email_alerts_enabled FROM users WHERE id = $1',
+        [userId]
+      );
+      const user = userResult.rows[0];
+      if (!user || !user.email_alerts_enabled || !user.email) return;
+
+      const description = this.describeLockout(notification);
+      if (decision === 'digest') {
+        await queueDigestItem(userId, 'cooloff_lock', description);
+        return;
+      }
+
+      const { createTransport, buildCoolingOffEmail } = require('../config/email');
+      const transporter = createTransport();
+      await transporter.sendMail(buildCoolingOffEmail({
+        to: user.email,
+        accountId: notification.accountId,
+        title: description.title,
+        message: description.message,
+        lockoutExpiresAt: notification.lockoutExpiresAt,
+        detectedAt: notification.detectedAt
+      }));
+    } catch (err) {
+      logger.error('[CoolingOffEngine] Failed to send email notification:', err.message);
+    }
+  }
+
+  /**
+   * Send the lockout to the user's notification channels
+   */
+  async sendWebhookNotification(userId, notification) {
+    const decision = await getDeliveryDecision(userId, 'webhook', 'cooloff_lock');
+    if (decision !== 'send') return;
+
+    await notificationDispatcher.dispatch(userId, 'loss_alert', this.describeLockout(notification));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      monitoredAccounts: this.rules.size,
+      isRunning: this.isRunning
+    };
+  }
+}
+
+// Singleton instance
+const coolingOffEngine = new CoolingOffEngine();
+
+module.exports = coolingOffEngine;
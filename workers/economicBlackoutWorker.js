@@ -0,0 +1,218 @@
+/**
+ * EconomicBlackoutWorker - Trading blackouts around scheduled economic events
+ *
+ * Every minute:
+ * - Creates an economic_event_locks row (minutes_before .. minutes_after around the release)
+ *   for each enabled subscription and upcoming event in one of its categories.
+ *   Rescheduled events move their locks until the blackout has ended, wherever the new
+ *   time is (a lock moved past the lookahead stays inactive until its new start).
+ * - Sends Pusher notifications (user-{id}-alerts) when blackouts start and end,
+ *   one message per user and event covering all of its locked accounts.
+ *
+ * Order routes reject orders while a lock is active (utils/tradingGuard, code EVENT_BLACKOUT).
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+
+const LOOKAHEAD_HOURS = 24;
+const LOCK_RETENTION_DAYS = 7;
+
+// Lazy-load Pusher only when needed
+let pusher = null;
+const getPusher = () => {
+  if (!pusher) {
+    const Pusher = require('pusher');
+    pusher = new Pusher({
+      appId: process.env.PUSHER_APP_ID,
+      key: process.env.PUSHER_KEY,
+      secret: process.env.PUSHER_SECRET,
+      cluster: process.env.PUSHER_CLUSTER,
+      useTLS: true
+    });
+  }
+  return pusher;
+};
+
+class EconomicBlackoutWorker {
+  constructor() {
+    this.intervalMs = 60000;
+    this.isProcessing = false;
+
+    this.stats = {
+      locksCreated: 0,
+      blackoutsStarted: 0,
+      blackoutsEnded: 0,
+      errors: 0,
+      lastRunAt: null
+    };
+
+    this.isRunning = false;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('[EconomicBlackoutWorker] Already running');
+      return;
+    }
+
+    logger.info('[EconomicBlackoutWorker] Starting...');
+    this.isRunning = true;
+    await this.run();
+    this.interval = setInterval(() => this.run(), this.intervalMs);
+    logger.info('[EconomicBlackoutWorker] Started successfully');
+  }
+
+  async stop() {
+    logger.info('[EconomicBlackoutWorker] Stopping...');
+    this.isRunning = false;
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    logger.info('[EconomicBlackoutWorker] Stopped');
+  }
+
+  async run() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+    this.stats.lastRunAt = new Date().toISOString();
+
+    try {
+      await this.scheduleLocks();
+      await this.notifyTransitions();
+      await pool.query(
+        `DELETE FROM economic_event_locks WHERE expires_at < NOW() - ($1 || ' days')::interval`,
+        [String(LOCK_RETENTION_DAYS)]
+      );
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('[EconomicBlackoutWorker] Run failed:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Move locks of rescheduled events, then create locks for events in the lookahead window
+   */
+  async scheduleLocks() {
+    // Not limited to the lookahead: an event moved days away must not keep its old blackout.
+    // A blackout that already started and moved to later is notified again when it restarts
+    await pool.query(
+      `UPDATE economic_event_locks l
+       SET starts_at = e.scheduled_at - make_interval(mins => s.minutes_before),
+           expires_at = e.scheduled_at + make_interval(mins => s.minutes_after),
+           start_notified_at = CASE
+             WHEN e.scheduled_at - make_interval(mins => s.minutes_before) > NOW() THEN NULL
+             ELSE l.start_notified_at
+           END
+       FROM economic_events e, economic_event_subscriptions s
+       WHERE e.id = l.event_id
+         AND s.user_id = l.user_id
+         AND s.account_id = l.account_id
+         AND l.end_notified_at IS NULL
+         AND (l.starts_at <> e.scheduled_at - make_interval(mins => s.minutes_before)
+              OR l.expires_at <> e.scheduled_at + make_interval(mins => s.minutes_after))`
+    );
+
+    const result = await pool.query(
+      `INSERT INTO economic_event_locks (user_id, account_id, event_id, starts_at, expires_at)
+       SELECT s.user_id, s.account_id, e.id,
+              e.scheduled_at - make_interval(mins => s.minutes_before),
+              e.scheduled_at + make_interval(mins => s.minutes_after)
+       FROM economic_event_subscriptions s
+       JOIN economic_events e ON e.category = ANY(s.categories)
+       WHERE s.enabled = true
+         AND e.scheduled_at + make_interval(mins => s.minutes_after) > NOW()
+         AND e.scheduled_at - make_interval(mins => s.minutes_before) < NOW() + ($1 || ' hours')::interval
+       ON CONFLICT (user_id, account_id, event_id) DO UPDATE SET
+         starts_at = EXCLUDED.starts_at,
+         expires_at = EXCLUDED.expires_at
+       WHERE economic_event_locks.end_notified_at IS NULL
+         AND (economic_event_locks.starts_at <> EXCLUDED.starts_at
+              OR economic_event_locks.expires_at <> EXCLUDED.expires_at)
+       RETURNING (xmax = 0) AS inserted`,
+      [String(LOOKAHEAD_HOURS)]
+    );
+    this.stats.locksCreated += result.rows.filter(row => row.inserted).length;
+  }
+
+  /**
+   * Notify blackouts that started or ended since the last run
+   */
+  async notifyTransitions() {
+    // Ended first so a blackout missed entirely (worker down) only sends its end
+    const ended = await pool.query(
+      `UPDATE economic_event_locks
+       SET end_notified_at = NOW(), start_notified_at = COALESCE(start_notified_at, NOW())
+       WHERE expires_at <= NOW() AND end_notified_at IS NULL
+       RETURNING id, user_id, account_id, event_id, starts_at, expires_at`
+    );
+    const started = await pool.query(
+      `UPDATE economic_event_locks
+       SET start_notified_at = NOW()
+       WHERE starts_at <= NOW() AND expires_at > NOW() AND start_notified_at IS NULL
+       RETURNING id, user_id, account_id, event_id, starts_at, expires_at`
+    );
+
+    this.stats.blackoutsEnded += ended.rows.length;
+    this.stats.blackoutsStarted += started.rows.length;
+
+    await this.sendNotifications('event_blackout_ended', ended.rows);
+    await this.sendNotifications('event_blackout_started', started.rows);
+  }
+
+  async sendNotifications(eventName, locks) {
+    if (locks.length === 0) return;
+
+    const eventIds = [...new Set(locks.map(lock => lock.event_id))];
+    const eventsResult = await pool.query(
+      'SELECT id, title, category, impact, scheduled_at FROM economic_events WHERE id = ANY($1::int[])',
+      [eventIds]
+    );
+    const events = new Map(eventsResult.rows.map(event => [event.id, event]));
+
+    // userId|eventId -> payload
+    const grouped = new Map();
+    for (const lock of locks) {
+      const key = `${lock.user_id}|${lock.event_id}`;
+      if (!grouped.has(key)) {
+        const event = events.get(lock.event_id);
+        grouped.set(key, {
+          userId: lock.user_id,
+          payload: {
+            event: event ? {
+              id: event.id,
+              title: event.title,
+              category: event.category,
+              impact: event.impact,
+              scheduledAt: event.scheduled_at
+            } : { id: lock.event_id },
+            accountIds: [],
+            startsAt: lock.starts_at,
+            expiresAt: lock.expires_at
+          }
+        });
+      }
+      grouped.get(key).payload.accountIds.push(lock.account_id);
+    }
+
+    for (const { userId, payload } of grouped.values()) {
+      try {
+        await getPusher().trigger(`user-${userId}-alerts`, eventName, payload);
+      } catch (err) {
+        logger.error('[EconomicBlackoutWorker] Failed to send Pusher notification:', err.message);
+      }
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, isRunning: this.isRunning };
+  }
+}
+
+// Singleton instance
+const economicBlackoutWorker = new EconomicBlackoutWorker();
+
+module.exports = economicBlackoutWorker;
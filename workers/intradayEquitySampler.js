@@ -0,0 +1,448 @@
+/**
+ * IntradayEquitySampler - Intraday equity time series per account
+ *
+ * Equity is tracked from the positions streams instead of polling balances:
+ * - A balances baseline (Equity, TodaysProfitLoss) is fetched once the account's
+ *   position snapshot has arrived, at each session change and every 30 minutes
+ *   to correct drift (fees, cash movements)
+ * - Each position update moves equity by the change in the position's today's P&L;
+ *   when a position closes, its last today's P&L becomes realized
+ *
+ * Every 5 minutes the current equity (plus the low/high seen since the previous
+ * sample) is written to account_equity_samples. Unchanged samples while flat are
+ * skipped. Raw samples are downsampled to hourly rows and kept for 14 days, hourly
+ * rows for a year.
+ *
+ * Accounts sampled: daily loss limit accounts (realized P&L feeds PositionLossEngine's
+ * daily check) and accounts with intradayEquityEnabled in account_defaults.
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+const { tradestationRequest } = require('../utils/tradestationProxy');
+
+const configuredSampleMinutes = parseInt(process.env.INTRADAY_EQUITY_SAMPLE_MINUTES, 10);
+const SAMPLE_MINUTES = configuredSampleMinutes > 0 && 60 % configuredSampleMinutes === 0 ? configuredSampleMinutes : 5;
+const HOURLY_RESOLUTION = 60;
+const RAW_RETENTION_DAYS = 14;
+const HOURLY_RETENTION_DAYS = 365;
+const BASELINE_REFRESH_MS = 30 * 60 * 1000;
+
+// BackgroundStreamManager key of a sampled account's positions stream
+const getPositionsStreamKey = (account) => `${account.userId}|positions|${account.accountId}|${account.paperTrading ? 1 : 0}`;
+
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+class IntradayEquitySampler {
+  constructor() {
+    // accountKey (`${userId}|${accountId}|${paperTrading ? 1 : 0}`) -> tracked state
+    this.accounts = new Map();
+
+    // Resolutions (minutes) stored in account_equity_samples
+    this.sampleMinutes = SAMPLE_MINUTES;
+    this.hourlyResolution = HOURLY_RESOLUTION;
+    this.rawRetentionDays = RAW_RETENTION_DAYS;
+
+    this.reloadIntervalMs = 60000;
+    this.maintenanceIntervalMs = 60 * 60 * 1000;
+    this.isSampling = false;
+    this.isRefreshing = false;
+
+    this.stats = {
+      samplesWritten: 0,
+      baselinesFetched: 0,
+      lastSampleAt: null,
+      lastMaintenanceAt: null
+    };
+
+    this.isRunning = false;
+    this.backgroundStreamManager = null;
+    this.handleStreamData = this.handleStreamData.bind(this);
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('[IntradayEquitySampler] Already running');
+      return;
+    }
+
+    logger.info('[IntradayEquitySampler] Starting...');
+    this.isRunning = true;
+
+    this.backgroundStreamManager = require('../utils/backgroundStreamManager');
+    this.backgroundStreamManager.on('data', this.handleStreamData);
+
+    await this.loadAccounts();
+
+    this.reloadInterval = setInterval(async () => {
+      await this.loadAccounts();
+      await this.refreshBaselines();
+    }, this.reloadIntervalMs);
+
+    // Align samples to bucket boundaries (e.g. :00, :05, :10)
+    const bucketMs = SAMPLE_MINUTES * 60 * 1000;
+    this.sampleTimeout = setTimeout(() => {
+      this.sample();
+      this.sampleInterval = setInterval(() => this.sample(), bucketMs);
+    }, bucketMs - (Date.now() % bucketMs));
+
+    this.maintenanceInterval = setInterval(() => this.runMaintenance(), this.maintenanceIntervalMs);
+
+    logger.info(`[IntradayEquitySampler] Started successfully. Sampling ${this.accounts.size} account(s) every ${SAMPLE_MINUTES} minutes`);
+  }
+
+  async stop() {
+    logger.info('[IntradayEquitySampler] Stopping...');
+    this.isRunning = false;
+
+    clearInterval(this.reloadInterval);
+    clearTimeout(this.sampleTimeout);
+    clearInterval(this.sampleInterval);
+    clearInterval(this.maintenanceInterval);
+    this.reloadInterval = this.sampleTimeout = this.sampleInterval = this.maintenanceInterval = null;
+
+    if (this.backgroundStreamManager) {
+      this.backgroundStreamManager.off('data', this.handleStreamData);
+    }
+    this.accounts.clear();
+
+    logger.info('[IntradayEquitySampler] Stopped');
+  }
+
+  getSessionKey() {
+    return require('./positionLossEngine').getDailySession().key;
+  }
+
+  /**
+   * Load accounts to sample and make sure each has a positions stream
+   */
+  async loadAccounts() {
+    try {
+      const wanted = new Map(); // accountKey -> { userId, accountId, paperTrading }
+
+      const dailyResult = await pool.query(`
+        SELECT l.user_id, l.account_id, u.account_defaults
+        FROM loss_limit_locks l
+        INNER JOIN users u ON u.id = l.user_id
+        WHERE l.limit_type = 'daily'
+      `);
+      for (const row of dailyResult.rows) {
+        const settings = (row.account_defaults || {})[row.account_id] || {};
+        const paperTrading = settings.isPaperTrading !== undefined
+          ? settings.isPaperTrading === true
+          : row.account_id.startsWith('SIM');
+        wanted.set(`${row.user_id}|${row.account_id}|${paperTrading ? 1 : 0}`, { userId: String(row.user_id), accountId: row.account_id, paperTrading });
+      }
+
+      const optInResult = await pool.query(`
+        SELECT id, account_defaults
+        FROM users
+        WHERE account_defaults IS NOT NULL
+      `);
+      for (const row of optInResult.rows) {
+        for (const [accountId, settings] of Object.entries(row.account_defaults || {})) {
+          if (!settings || typeof settings !== 'object' || settings.intradayEquityEnabled !== true) continue;
+          const paperTrading = settings.isPaperTrading === true;
+          wanted.set(`${row.id}|${accountId}|${paperTrading ? 1 : 0}`, { userId: String(row.id), accountId, paperTrading });
+        }
+      }
+
+      // Start streams for new accounts
+      const toStartByUser = new Map();
+      for (const [accountKey, account] of wanted) {
+        if (this.accounts.has(accountKey)) continue;
+        this.accounts.set(accountKey, {
+          ...account,
+          positions: new Map(), // positionId -> today's P&L
+          snapshotReceived: false,
+          baseline: null,
+          low: null,
+          high: null,
+          lastSampledEquity: null
+        });
+        if (!toStartByUser.has(account.userId)) toStartByUser.set(account.userId, []);
+        toStartByUser.get(account.userId).push({ accountId: account.accountId, paperTrading: account.paperTrading });
+      }
+
+      for (const [userId, positions] of toStartByUser) {
+        try {
+          await this.backgroundStreamManager.startStreamsForUser(userId, { positions });
+        } catch (err) {
+          logger.error(`[IntradayEquitySampler] Failed to start position streams for user ${userId}:`, err.message);
+        }
+      }
+
+      // Drop accounts no longer sampled (stop the stream unless PositionLossEngine uses it)
+      const positionLossEngine = require('./positionLossEngine');
+      for (const [accountKey, state] of this.accounts) {
+        if (wanted.has(accountKey)) continue;
+        this.accounts.delete(accountKey);
+        const streamKey = getPositionsStreamKey(state);
+        if (!positionLossEngine.usesPositionsStream(streamKey)) {
+          await this.backgroundStreamManager.stopStreamByKey(streamKey);
+        }
+      }
+    } catch (error) {
+      logger.error('[IntradayEquitySampler] Failed to load accounts:', error.message);
+    }
+  }
+
+  /**
+   * Apply a position stream update to the account's equity
+   */
+  handleStreamData(event) {
+    if (event.streamType !== 'positions' || !event.accountId) return;
+
+    const state = this.accounts.get(`${event.userId}|${event.accountId}|${event.paperTrading ? 1 : 0}`);
+    if (!state) return;
+
+    const data = event.data || {};
+    if (data.StreamStatus === 'EndSnapshot') {
+      state.snapshotReceived = true;
+      return;
+    }
+    if (!data.PositionID && !data.Symbol) return;
+
+    state.snapshotReceived = true;
+    const positionId = data.PositionID || `${data.Symbol}_${event.accountId}`;
+    const todaysPL = toNumber(data.TodaysProfitLoss) ?? toNumber(data.UnrealizedProfitLoss);
+    const closed = data.Deleted === true || toNumber(data.Quantity) === 0;
+
+    if (closed) {
+      if (state.baseline && state.positions.has(positionId)) {
+        state.baseline.realizedPL += todaysPL ?? state.positions.get(positionId);
+      }
+      state.positions.delete(positionId);
+    } else if (todaysPL !== null) {
+      state.positions.set(positionId, todaysPL);
+    }
+
+    this.trackExtremes(state);
+  }
+
+  /**
+   * Today's P&L (realized + open) for the account, or null without a baseline
+   */
+  getSessionPnL(state) {
+    if (!state.baseline) return null;
+    let open = 0;
+    for (const value of state.positions.values()) open += value;
+    return state.baseline.realizedPL + open;
+  }
+
+  getEquity(state) {
+    const sessionPnL = this.getSessionPnL(state);
+    if (sessionPnL === null) return null;
+    return state.baseline.equity - state.baseline.todaysPL + sessionPnL;
+  }
+
+  trackExtremes(state) {
+    const equity = this.getEquity(state);
+    if (equity === null) return;
+    state.low = state.low === null ? equity : Math.min(state.low, equity);
+    state.high = state.high === null ? equity : Math.max(state.high, equity);
+  }
+
+  /**
+   * Fetch baselines that are missing, stale or from a previous session
+   * Sequential to avoid bursts against the TradeStation API
+   */
+  async refreshBaselines() {
+    if (this.isRefreshing) return;
+    this.isRefreshing = true;
+
+    try {
+      const sessionKey = this.getSessionKey();
+      for (const state of this.accounts.values()) {
+        if (!state.snapshotReceived) continue;
+        const baseline = state.baseline;
+        if (baseline && baseline.sessionKey === sessionKey && Date.now() - baseline.fetchedAt < BASELINE_REFRESH_MS) continue;
+        await this.fetchBaseline(state, sessionKey);
+      }
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  async fetchBaseline(state, sessionKey) {
+    try {
+      const result = await tradestationRequest(state.userId, {
+        method: 'GET',
+        path: `/brokerage/accounts/${state.accountId}/balances`,
+        paperTrading: state.paperTrading,
+      });
+      const balance = result.ok ? result.data?.Balances?.[0] : null;
+      const equity = toNumber(balance?.Equity);
+      if (equity === null) {
+        logger.warn(`[IntradayEquitySampler] No balances for account ${state.accountId}: ${result.status}`);
+        return;
+      }
+
+      const todaysPL = toNumber(balance.TodaysProfitLoss) ?? 0;
+      let open = 0;
+      for (const value of state.positions.values()) open += value;
+
+      if (state.baseline?.sessionKey !== sessionKey) {
+        state.low = null;
+        state.high = null;
+      }
+      state.baseline = { equity, todaysPL, realizedPL: todaysPL - open, sessionKey, fetchedAt: Date.now() };
+      this.stats.baselinesFetched++;
+      this.trackExtremes(state);
+    } catch (error) {
+      logger.error(`[IntradayEquitySampler] Error fetching balances for account ${state.accountId}:`, error.message);
+    }
+  }
+
+  /**
+   * Write one sample per account for the current bucket
+   */
+  async sample() {
+    if (this.isSampling) return;
+    this.isSampling = true;
+
+    try {
+      const bucketMs = SAMPLE_MINUTES * 60 * 1000;
+      const sampledAt = new Date(Math.floor(Date.now() / bucketMs) * bucketMs);
+      const sessionKey = this.getSessionKey();
+      const rows = [];
+
+      for (const state of this.accounts.values()) {
+        if (!state.baseline || state.baseline.sessionKey !== sessionKey) continue;
+        const equity = this.getEquity(state);
+        if (equity === null) continue;
+
+        // Nothing moved while flat - the previous sample still holds
+        if (state.positions.size === 0 && state.lastSampledEquity !== null
+          && Math.abs(equity - state.lastSampledEquity) < 0.005 && state.low === state.high) {
+          continue;
+        }
+
+        rows.push([
+          state.userId, state.accountId, state.paperTrading, sampledAt, sessionKey,
+          equity, state.low ?? equity, state.high ?? equity, this.getSessionPnL(state)
+        ]);
+        state.lastSampledEquity = equity;
+        state.low = equity;
+        state.high = equity;
+      }
+
+      for (const row of rows) {
+        await pool.query(`
+          INSERT INTO account_equity_samples
+            (user_id, account_id, is_paper_trading, resolution, sampled_at, session_key, equity, equity_low, equity_high, session_pnl)
+          VALUES ($1, $2, $3, ${SAMPLE_MINUTES}, $4, $5, $6, $7, $8, $9)
+          ON CONFLICT (user_id, account_id, is_paper_trading, resolution, sampled_at)
+          DO UPDATE SET
+            equity = EXCLUDED.equity,
+            equity_low = LEAST(account_equity_samples.equity_low, EXCLUDED.equity_low),
+            equity_high = GREATEST(account_equity_samples.equity_high, EXCLUDED.equity_high),
+            session_pnl = EXCLUDED.session_pnl
+        `, row);
+      }
+
+      this.stats.samplesWritten += rows.length;
+      this.stats.lastSampleAt = new Date().toISOString();
+    } catch (error) {
+      logger.error('[IntradayEquitySampler] Failed to write samples:', error.message);
+    } finally {
+      this.isSampling = false;
+    }
+  }
+
+  /**
+   * Downsample recent raw samples to hourly rows and apply retention
+   * Hours from the last two days are re-aggregated, so a missed run catches up
+   */
+  async runMaintenance() {
+    try {
+      await pool.query(`
+        INSERT INTO account_equity_samples
+          (user_id, account_id, is_paper_trading, resolution, sampled_at, session_key, equity, equity_low, equity_high, session_pnl)
+        SELECT user_id, account_id, is_paper_trading, ${HOURLY_RESOLUTION}, date_trunc('hour', sampled_at),
+               (array_agg(session_key ORDER BY sampled_at DESC))[1],
+               (array_agg(equity ORDER BY sampled_at DESC))[1],
+               MIN(equity_low),
+               MAX(equity_high),
+               (array_agg(session_pnl ORDER BY sampled_at DESC))[1]
+        FROM account_equity_samples
+        WHERE resolution = ${SAMPLE_MINUTES}
+          AND sampled_at >= date_trunc('hour', NOW()) - INTERVAL '2 days'
+          AND sampled_at < date_trunc('hour', NOW())
+        GROUP BY user_id, account_id, is_paper_trading, date_trunc('hour', sampled_at)
+        ON CONFLICT (user_id, account_id, is_paper_trading, resolution, sampled_at)
+        DO UPDATE SET
+          session_key = EXCLUDED.session_key,
+          equity = EXCLUDED.equity,
+          equity_low = EXCLUDED.equity_low,
+          equity_high = EXCLUDED.equity_high,
+          session_pnl = EXCLUDED.session_pnl
+      `);
+
+      const raw = await pool.query(`
+        DELETE FROM account_equity_samples
+        WHERE resolution = ${SAMPLE_MINUTES} AND sampled_at < NOW() - INTERVAL '${RAW_RETENTION_DAYS} days'
+      `);
+      const hourly = await pool.query(`
+        DELETE FROM account_equity_samples
+        WHERE resolution = ${HOURLY_RESOLUTION} AND sampled_at < NOW() - INTERVAL '${HOURLY_RETENTION_DAYS} days'
+      `);
+
+      this.stats.lastMaintenanceAt = new Date().toISOString();
+      if (raw.rowCount > 0 || hourly.rowCount > 0) {
+        logger.info(`[IntradayEquitySampler] Pruned ${raw.rowCount} raw and ${hourly.rowCount} hourly sample(s)`);
+      }
+    } catch (error) {
+      logger.error('[IntradayEquitySampler] Maintenance failed:', error.message);
+    }
+  }
+
+  /**
+   * Whether a sampled account needs this positions stream (BackgroundStreamManager key)
+   */
+  usesPositionsStream(streamKey) {
+    return [...this.accounts.values()].some(state => getPositionsStreamKey(state) === streamKey);
+  }
+
+  /**
+   * Realized P&L for the current session, or null if the account isn't tracked yet
+   * Used by PositionLossEngine instead of polling balances
+   */
+  getRealizedPnL(userId, accountId, paperTrading) {
+    const state = this.accounts.get(`${userId}|${accountId}|${paperTrading ? 1 : 0}`);
+    if (!state || !state.baseline || state.baseline.sessionKey !== this.getSessionKey()) return null;
+    return state.baseline.realizedPL;
+  }
+
+  /**
+   * Live equity for an account (between samples), or null if not tracked
+   */
+  getLiveEquity(userId, accountId, paperTrading) {
+    const state = this.accounts.get(`${userId}|${accountId}|${paperTrading ? 1 : 0}`);
+    if (!state || !state.baseline) return null;
+    return {
+      equity: this.getEquity(state),
+      sessionPnL: this.getSessionPnL(state),
+      openPositions: state.positions.size,
+      sessionKey: state.baseline.sessionKey,
+      baselineAt: new Date(state.baseline.fetchedAt).toISOString()
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      sampleMinutes: SAMPLE_MINUTES,
+      accounts: this.accounts.size,
+      isRunning: this.isRunning
+    };
+  }
+}
+
+// Singleton instance
+const intradayEquitySampler = new IntradayEquitySampler();
+
+module.exports = intradayEquitySampler;
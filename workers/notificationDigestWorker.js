@@ -0,0 +1,157 @@
+/**
+ * NotificationDigestWorker - Sends batched notification emails
+ *
+ * Email notifications held by notification preferences (digest batching or quiet
+ * hours with holdForDigest) are stored in notification_digest_items. Every minute
+ * this worker sends one digest email per user once:
+ * - the user is outside quiet hours, and
+ * - with digest enabled, the oldest held item is at least intervalMinutes old
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+const { normalizePreferences, isWithinQuietHours } = require('../utils/notificationPreferences');
+
+const MAX_ITEMS_PER_DIGEST = 100;
+const SENT_RETENTION_DAYS = 7;
+
+class NotificationDigestWorker {
+  constructor() {
+    this.intervalMs = 60000;
+    this.isProcessing = false;
+
+    this.stats = {
+      digestsSent: 0,
+      itemsSent: 0,
+      lastRunAt: null
+    };
+
+    this.isRunning = false;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('[NotificationDigestWorker] Already running');
+      return;
+    }
+
+    logger.info('[NotificationDigestWorker] Starting...');
+    this.isRunning = true;
+    this.interval = setInterval(() => this.processDigests(), this.intervalMs);
+    logger.info('[NotificationDigestWorker] Started successfully');
+  }
+
+  async stop() {
+    logger.info('[NotificationDigestWorker] Stopping...');
+    this.isRunning = false;
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    logger.info('[NotificationDigestWorker] Stopped');
+  }
+
+  /**
+   * Send digests that are due
+   */
+  async processDigests() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+    this.stats.lastRunAt = new Date().toISOString();
+
+    try {
+      const pendingResult = await pool.query(`
+        SELECT d.user_id, MIN(d.created_at) AS oldest_at,
+               u.email, u.email_alerts_enabled, u.notification_preferences
+        FROM notification_digest_items d
+        JOIN users u ON u.id = d.user_id
+        WHERE d.sent_at IS NULL
+        GROUP BY d.user_id, u.email, u.email_alerts_enabled, u.notification_preferences
+      `);
+
+      const now = new Date();
+      for (const row of pendingResult.rows) {
+        const preferences = normalizePreferences(row.notification_preferences);
+
+        // Email turned off since the items were held - drop them
+        if (!row.email_alerts_enabled || !row.email) {
+          await this.markSent(row.user_id);
+          continue;
+        }
+
+        if (isWithinQuietHours(preferences, now)) continue;
+
+        const ageMs = now.getTime() - new Date(row.oldest_at).getTime();
+        if (preferences.digest.enabled && ageMs < preferences.digest.intervalMinutes * 60 * 1000) continue;
+
+        await this.sendDigest(row.user_id, row.email, preferences);
+      }
+
+      await pool.query(`
+        DELETE FROM notification_digest_items
+        WHERE sent_at IS NOT NULL AND sent_at < NOW() - ($1 || ' days')::interval
+      `, [SENT_RETENTION_DAYS]);
+    } catch (error) {
+      logger.error('[NotificationDigestWorker] Failed to process digests:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Send one digest email with all held items for a user
+   */
+  async sendDigest(userId, email, preferences) {
+    try {
+      const itemsResult = await pool.query(`
+        SELECT id, event_type, title, message, created_at
+        FROM notification_digest_items
+        WHERE user_id = $1 AND sent_at IS NULL
+        ORDER BY created_at
+      `, [userId]);
+      const items = itemsResult.rows;
+      if (items.length === 0) return;
+
+      const { createTransport, buildNotificationDigestEmail } = require('../config/email');
+      const emailData = buildNotificationDigestEmail({
+        to: email,
+        items: items.slice(-MAX_ITEMS_PER_DIGEST),
+        totalCount: items.length,
+        timezone: preferences.timezone
+      });
+
+      const transporter = createTransport();
+      await transporter.sendMail(emailData);
+
+      await pool.query(
+        'UPDATE notification_digest_items SET sent_at = NOW() WHERE id = ANY($1::int[])',
+        [items.map(item => item.id)]
+      );
+
+      this.stats.digestsSent++;
+      this.stats.itemsSent += items.length;
+      logger.info(`[NotificationDigestWorker] 📧 Digest with ${items.length} notification(s) sent to ${email}`);
+    } catch (error) {
+      logger.error(`[NotificationDigestWorker] Failed to send digest for user ${userId}:`, error.message);
+    }
+  }
+
+  async markSent(userId) {
+    await pool.query(
+      'UPDATE notification_digest_items SET sent_at = NOW() WHERE user_id = $1 AND sent_at IS NULL',
+      [userId]
+    );
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning
+    };
+  }
+}
+
+// Singleton instance
+const notificationDigestWorker = new NotificationDigestWorker();
+
+module.exports = notificationDigestWorker;
@@ -0,0 +1,318 @@
+/**
+ * NotificationDispatcher - Delivers alert events to user webhook channels
+ *
+ * - dispatch() records one notification_deliveries row per subscribed channel and
+ *   attempts delivery immediately (callers don't wait)
+ * - Failed deliveries are retried with exponential backoff by a polling loop, so
+ *   retries survive restarts; rows are leased before sending so another instance
+ *   (or the poller) doesn't send the same delivery twice
+ * - 4xx responses other than 408/429 are permanent failures (no retry)
+ * - The host is resolved and checked on every send and the connection is pinned to the checked
+ *   address; response bodies are never read or stored (only the status code)
+ * - Delivery rows older than DELIVERY_RETENTION_DAYS are pruned
+ */
+
+const https = require('https');
+const pool = require('../db');
+const logger = require('../config/logging');
+const { decryptToken } = require('../utils/secureCredentials');
+const { buildWebhookRequest, resolvePublicAddress } = require('../utils/notificationChannels');
+
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const LEASE_SECONDS = 60;
+const DELIVERY_RETENTION_DAYS = 30;
+
+/**
+ * Delay before the next attempt after `attempts` failed attempts (with ±20% jitter)
+ */
+function getBackoffMs(attempts) {
+  const delay = Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+/**
+ * POST a webhook request to the public address its host resolves to right now
+ * (pinned through lookup, so the name can't be rebound to a private address in between)
+ * @returns {Promise<{ status: number, headers: object }>}
+ */
+async function postWebhook(request) {
+  const url = new URL(request.url);
+  const { address, family } = await resolvePublicAddress(url.hostname);
+
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, {
+      method: 'POST',
+      headers: { ...request.headers, 'Content-Length': Buffer.byteLength(request.body) },
+      lookup: (hostname, options, callback) => (options.all
+        ? callback(null, [{ address, family }])
+        : callback(null, address, family))
+    }, (res) => {
+      clearTimeout(timer);
+      // Discard the body, only the status is kept
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers }));
+      res.on('error', reject);
+    });
+    const timer = setTimeout(() => {
+      req.destroy(Object.assign(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`), { name: 'TimeoutError' }));
+    }, REQUEST_TIMEOUT_MS);
+    req.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    req.end(request.body);
+  });
+}
+
+class NotificationDispatcher {
+  constructor() {
+    this.pollIntervalMs = 10000;
+    this.pruneIntervalMs = 60 * 60 * 1000;
+    this.batchSize = 50;
+    this.isPolling = false;
+
+    this.stats = {
+      dispatched: 0,
+      delivered: 0,
+      retried: 0,
+      failed: 0
+    };
+
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the retry poller
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn('[NotificationDispatcher] Already running');
+      return;
+    }
+
+    logger.info('[NotificationDispatcher] Starting...');
+    this.isRunning = true;
+
+    this.pollInterval = setInterval(() => this.processDueDeliveries(), this.pollIntervalMs);
+    this.pruneInterval = setInterval(() => this.pruneDeliveries(), this.pruneIntervalMs);
+
+    logger.info('[NotificationDispatcher] Started successfully');
+  }
+
+  /**
+   * Stop the retry poller (pending deliveries stay in the database)
+   */
+  async stop() {
+    logger.info('[NotificationDispatcher] Stopping...');
+    this.isRunning = false;
+
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+    if (this.pruneInterval) {
+      clearInterval(this.pruneInterval);
+      this.pruneInterval = null;
+    }
+
+    logger.info('[NotificationDispatcher] Stopped');
+  }
+
+  /**
+   * Queue an event for every active channel of the user subscribed to it and try delivering now
+   * @param {number} userId
+   * @param {string} eventType - 'price_alert' | 'loss_alert'
+   * @param {object} event - { title, message, data }
+   * @param {object} options - { channelId } to target a single channel regardless of subscriptions (test sends)
+   * @returns {Promise<object[]>} Delivery rows after the first attempt
+   */
+  async dispatch(userId, eventType, event, options = {}) {
+    try {
+      const payload = {
+        title: event.title,
+        message: event.message,
+        data: event.data || {},
+        occurredAt: new Date().toISOString()
+      };
+
+      const params = [userId, eventType, JSON.stringify(payload), LEASE_SECONDS];
+      let channelFilter = 'c.is_active = true AND $2 = ANY(c.events)';
+      if (options.channelId) {
+        params.push(options.channelId);
+        channelFilter = 'c.id = $5';
+      }
+
+      // Insert leased rows so the poller leaves them alone while we attempt them here
+      const result = await pool.query(`
+        INSERT INTO notification_deliveries (channel_id, user_id, event_type, payload, next_attempt_at)
+        SELECT c.id, c.user_id, $2, $3::jsonb, NOW() + ($4 || ' seconds')::interval
+        FROM notification_channels c
+        WHERE c.user_id = $1 AND ${channelFilter}
+        RETURNING id
+      `, params);
+
+      if (result.rows.length === 0) return [];
+      this.stats.dispatched += result.rows.length;
+
+      const deliveries = await this.loadDeliveries(result.rows.map(row => row.id));
+      return Promise.all(deliveries.map(delivery => this.attemptDelivery(delivery)));
+    } catch (error) {
+      logger.error(`[NotificationDispatcher] Failed to dispatch ${eventType} for user ${userId}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Load deliveries joined with their channel
+   */
+  async loadDeliveries(ids) {
+    const result = await pool.query(`
+      SELECT d.id, d.channel_id, d.user_id, d.event_type, d.payload, d.attempts,
+             c.channel_type, c.url, c.secret_encrypted, c.is_active
+      FROM notification_deliveries d
+      JOIN notification_channels c ON c.id = d.channel_id
+      WHERE d.id = ANY($1::int[])
+    `, [ids]);
+    return result.rows;
+  }
+
+  /**
+   * Send one delivery and record the outcome
+   */
+  async attemptDelivery(delivery) {
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let errorMessage = null;
+    let retryAfterMs = null;
+
+    try {
+      const secret = delivery.secret_encrypted ? decryptToken(delivery.secret_encrypted) : null;
+      const request = buildWebhookRequest(delivery, secret, delivery);
+
+      const response = await postWebhook(request);
+      responseStatus = response.status;
+
+      if (response.status < 200 || response.status >= 300) {
+        errorMessage = `HTTP ${response.status} from webhook endpoint`;
+
+        const retryAfter = parseInt(response.headers['retry-after'], 10);
+        if (response.status === 429 && Number.isFinite(retryAfter)) {
+          retryAfterMs = Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+        }
+      }
+    } catch (error) {
+      errorMessage = error.name === 'TimeoutError' ? `Timed out after ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+    }
+
+    const delivered = errorMessage === null;
+    const retryable = !delivered && attempts < MAX_ATTEMPTS && (responseStatus === null || isRetryableStatus(responseStatus));
+    const status = delivered ? 'delivered' : (retryable ? 'pending' : 'failed');
+    const nextAttemptAt = retryable ? new Date(Date.now() + (retryAfterMs ?? getBackoffMs(attempts))).toISOString() : null;
+
+    if (delivered) {
+      this.stats.delivered++;
+    } else if (retryable) {
+      this.stats.retried++;
+      logger.warn(`[NotificationDispatcher] Delivery ${delivery.id} attempt ${attempts} failed (${errorMessage}), retrying at ${nextAttemptAt}`);
+    } else {
+      this.stats.failed++;
+      logger.error(`[NotificationDispatcher] Delivery ${delivery.id} failed after ${attempts} attempt(s): ${errorMessage}`);
+    }
+
+    try {
+      const result = await pool.query(`
+        UPDATE notification_deliveries
+        SET status = $2, attempts = $3, next_attempt_at = $4, last_attempt_at = NOW(),
+            response_status = $5, error = $6,
+            delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE NULL END
+        WHERE id = $1
+        RETURNING id, channel_id, event_type, status, attempts, response_status, error,
+                  next_attempt_at, last_attempt_at, delivered_at, created_at
+      `, [delivery.id, status, attempts, nextAttemptAt, responseStatus, errorMessage]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error(`[NotificationDispatcher] Failed to record delivery ${delivery.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Retry deliveries whose backoff has elapsed
+   */
+  async processDueDeliveries() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      // Lease due rows; deliveries for disabled/deleted channels are failed instead of sent
+      const result = await pool.query(`
+        UPDATE notification_deliveries d
+        SET next_attempt_at = NOW() + ($2 || ' seconds')::interval
+        WHERE d.id IN (
+          SELECT id FROM notification_deliveries
+          WHERE status = 'pending' AND next_attempt_at <= NOW()
+          ORDER BY next_attempt_at
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING d.id
+      `, [this.batchSize, LEASE_SECONDS]);
+
+      if (result.rows.length === 0) return;
+
+      const deliveries = await this.loadDeliveries(result.rows.map(row => row.id));
+      for (const delivery of deliveries) {
+        if (!delivery.is_active) {
+          await pool.query(`
+            UPDATE notification_deliveries
+            SET status = 'failed', next_attempt_at = NULL, error = 'Channel disabled'
+            WHERE id = $1
+          `, [delivery.id]);
+          continue;
+        }
+        await this.attemptDelivery(delivery);
+      }
+    } catch (error) {
+      logger.error('[NotificationDispatcher] Failed to process due deliveries:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Delete old delivery log rows
+   */
+  async pruneDeliveries() {
+    try {
+      const result = await pool.query(`
+        DELETE FROM notification_deliveries
+        WHERE created_at < NOW() - ($1 || ' days')::interval AND status <> 'pending'
+      `, [DELIVERY_RETENTION_DAYS]);
+      if (result.rowCount > 0) {
+        logger.info(`[NotificationDispatcher] Pruned ${result.rowCount} old deliveries`);
+      }
+    } catch (error) {
+      logger.error('[NotificationDispatcher] Failed to prune deliveries:', error.message);
+    }
+  }
+
+  /**
+   * Get dispatcher statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning
+    };
+  }
+}
+
+// Singleton instance
+const notificationDispatcher = new NotificationDispatcher();
+
+module.exports = notificationDispatcher;
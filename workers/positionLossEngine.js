@@ -13,11 +13,30 @@
  * - Uses Pusher for real-time notifications
  * - Logs triggered alerts to database
  * - Dynamically starts/stops streams when max position loss is enabled/disabled
+ *
+ * Daily loss limits ('daily' rows in loss_limit_locks):
+ * - Realized P&L comes from IntradayEquitySampler (stream-driven), falling back to polling
+ *   account balances until the sampler has a baseline (TradeStation has no balances stream)
+ * - Unrealized P&L comes from the same position streams used for position loss
+ * - One alert per account per session; the lockout expires at the session boundary
  */
 
 const pool = require('../db');
+const moment = require('moment-timezone');
 const logger = require('../config/logging');
 const Pusher = require('pusher');
+const { tradestationRequest } = require('../utils/tradestationProxy');
+const { isAutoLiquidateEnabled, liquidateAccount } = require('../utils/autoLiquidation');
+const notificationDispatcher = require('./notificationDispatcher');
+const { getDeliveryDecision, queueDigestItem } = require('../utils/notificationPreferences');
+const { notifyStreamFailure } = require('../utils/streamFailureNotifier');
+const sessionCalendar = require('../utils/sessionCalendar');
+
+// BackgroundStreamManager key of a monitored account's positions stream
+const getPositionsStreamKey = (accountKey) => {
+  const [userId, accountId, paperTrading] = accountKey.split('|');
+  return `${userId}|positions|${accountId}|${paperTrading}`;
+};
 
 // Pusher configuration (same as index.js)
 const pusher = new Pusher({
@@ -55,10 +74,32 @@ class PositionLossEngine {
     // positionKey -> true (set immediately when processing starts)
     this.processingAlerts = new Set();
     
+    // Daily loss limits from loss_limit_locks
+    // Key: `${userId}|${accountId}` -> { threshold_amount, isPaperTrading, lockId }
+    this.dailyLimitsCache = new Map();
+    
+    // Latest realized P&L from balances polling
+    // Key: accountKey -> { realizedPL, sessionKey, fetchedAt }
+    this.realizedPnLCache = new Map();
+    
+    // Accounts that already have a daily alert in the current session
+    // Key: `${userId}|${accountId}|${sessionKey}`
+    this.dailyTriggeredCache = new Set();
+    
+    // Session boundary for daily limits: the equities regular close from the session
+    // calendar (4 PM ET, 1 PM on early close days, weekends and holidays skipped), or a
+    // fixed daily HH:MM in America/New_York when DAILY_LOSS_RESET_TIME is set
+    this.dailySessionResetTime = process.env.DAILY_LOSS_RESET_TIME || null;
+    this.dailySessionTimezone = sessionCalendar.MARKET_TIMEZONE;
+    this.balancePollMs = 30000;
+    this.isPollingBalances = false;
+    
     // Stats for monitoring
     this.stats = {
       positionsProcessed: 0,
       alertsTriggered: 0,
+      dailyAlertsTriggered: 0,
+      balancesPolled: 0,
       lastProcessedAt: null
     };
     
@@ -84,6 +125,11 @@ class PositionLossEngine {
     // Subscribe to position stream data from BackgroundStreamManager
     this.backgroundStreamManager.on('data', (event) => this.handleStreamData(event));
     
+    // Tell users when a position stream stops reconnecting (loss limits unmonitored)
+    this.backgroundStreamManager.on('streamFailure', (event) => {
+      if (event.streamType === 'positions') notifyStreamFailure(event);
+    });
+    
     // Load existing alerts into cache (minimal data)
     await this.loadTriggeredAlertsCache();
     
@@ -93,7 +139,12 @@ class PositionLossEngine {
     // Load users with max position loss enabled and start their streams
     await this.loadMonitoredAccounts();
     
-    logger.info(`[PositionLossEngine] ✅ Started successfully. Monitoring ${this.monitoredAccounts.size} user(s) with ${this.lossLimitsCache.size} active loss limit(s)`);
+    logger.info(`[PositionLossEngine] ✅ Started successfully. Monitoring ${this.monitoredAccounts.size} user(s) with ${this.lossLimitsCache.size} active loss limit(s) and ${this.dailyLimitsCache.size} daily limit(s)`);
+    
+    // Initial realized P&L fetch for daily limits (don't block startup)
+    this.pollDailyBalances().catch(err => {
+      logger.error('[PositionLossEngine] Initial balance poll failed:', err.message);
+    });
     
     // Periodically reload loss limits and monitored accounts (every 60 seconds)
     this.reloadInterval = setInterval(async () => {
@@ -106,7 +157,16 @@ class PositionLossEngine {
       if (process.env.DEBUG_STREAMS === 'true' || alertCount > 1000) {
         logger.info(`[PositionLossEngine] 📊 Memory: ${alertCount} tracked alerts (~${estimatedMemoryKB} KB)`);
       }
+      
+      this.pruneDailySessionState();
     }, 60000);
+    
+    // Poll balances for accounts with daily loss limits (realized P&L)
+    this.balancePollInterval = setInterval(() => {
+      this.pollDailyBalances().catch(err => {
+        logger.error('[PositionLossEngine] Balance poll failed:', err.message);
+      });
+    }, this.balancePollMs);
   }
 
   /**
@@ -121,12 +181,20 @@ class PositionLossEngine {
       this.reloadInterval = null;
     }
     
+    if (this.balancePollInterval) {
+      clearInterval(this.balancePollInterval);
+      this.balancePollInterval = null;
+    }
+    
     // Clear indexes
     this.positionCache.clear();
     this.monitoredAccounts.clear();
     this.lossLimitsCache.clear();
     this.triggeredAlertsCache.clear();
     this.processingAlerts.clear();
+    this.dailyLimitsCache.clear();
+    this.realizedPnLCache.clear();
+    this.dailyTriggeredCache.clear();
     
     logger.info('[PositionLossEngine] Stopped');
   }
@@ -165,6 +233,19 @@ class PositionLossEngine {
       
       logger.info(`[PositionLossEngine] ✅ Loaded ${loadedCount} existing alert(s) into cache`);
       
+      // Daily alerts already raised in the current session
+      const session = this.getDailySession();
+      const dailyResult = await pool.query(`
+        SELECT DISTINCT user_id, account_id
+        FROM loss_limit_alerts
+        WHERE alert_type = 'daily'
+          AND detected_at >= $1
+      `, [session.start.toISOString()]);
+      
+      for (const row of dailyResult.rows) {
+        this.dailyTriggeredCache.add(`${row.user_id}|${row.account_id}|${session.key}`);
+      }
+      
     } catch (error) {
       logger.error('[PositionLossEngine] Failed to load triggered alerts cache:', error.message);
     }
@@ -223,6 +304,46 @@ class PositionLossEngine {
     } catch (error) {
       logger.error('[PositionLossEngine] Failed to load loss limits:', error.message);
     }
+    
+    await this.loadDailyLimits();
+  }
+
+  /**
+   * Load daily loss limits from loss_limit_locks
+   * Like position limits, monitoring continues after the lock expires (expiry only freezes the setting)
+   */
+  async loadDailyLimits() {
+    try {
+      const result = await pool.query(`
+        SELECT l.id, l.user_id, l.account_id, l.threshold_amount, u.account_defaults
+        FROM loss_limit_locks l
+        INNER JOIN users u ON u.id = l.user_id
+        WHERE l.limit_type = 'daily'
+      `);
+      
+      this.dailyLimitsCache.clear();
+      
+      for (const row of result.rows) {
+        const threshold = parseFloat(row.threshold_amount);
+        if (!(threshold > 0)) continue;
+        
+        const settings = (row.account_defaults || {})[row.account_id] || {};
+        const isPaperTrading = settings.isPaperTrading !== undefined
+          ? settings.isPaperTrading === true
+          : row.account_id.startsWith('SIM');
+        
+        this.dailyLimitsCache.set(`${row.user_id}|${row.account_id}`, {
+          threshold_amount: threshold,
+          isPaperTrading,
+          lockId: row.id
+        });
+      }
+      
+      if (process.env.DEBUG_STREAMS === 'true') logger.debug(`[PositionLossEngine] Loaded ${this.dailyLimitsCache.size} daily loss limit(s) into cache`);
+      
+    } catch (error) {
+      logger.error('[PositionLossEngine] Failed to load daily loss limits:', error.message);
+    }
   }
 
 
@@ -268,6 +389,16 @@ class PositionLossEngine {
    * Remove a loss limit lock from the cache (called when user deletes a lock)
    */
   removeLossLimit(userId, accountId, limitType) {
+    if (limitType === 'daily') {
+      if (this.dailyLimitsCache.delete(`${userId}|${accountId}`)) {
+        logger.info(`[PositionLossEngine] ➖ Daily loss limit cache removed: ${userId}|${accountId}`);
+        this.loadMonitoredAccounts().catch(err => {
+          logger.error('[PositionLossEngine] Failed to reload monitored accounts after limit removal:', err.message);
+        });
+      }
+      return;
+    }
+    
     const cacheKey = `${userId}|${accountId}|${limitType}`;
     const removed = this.lossLimitsCache.delete(cacheKey);
     
@@ -359,6 +490,16 @@ class PositionLossEngine {
       
       logger.info(`[PositionLossEngine] Total accounts with position loss monitoring: ${totalAccountsMonitored}`);
       
+      // Daily loss limits also need the account's position stream (unrealized P&L)
+      for (const [key, limit] of this.dailyLimitsCache) {
+        const [userId, accountId] = key.split('|');
+        const accountKey = `${userId}|${accountId}|${limit.isPaperTrading ? 1 : 0}`;
+        if (!newMonitoredAccounts.has(userId)) {
+          newMonitoredAccounts.set(userId, new Set());
+        }
+        newMonitoredAccounts.get(userId).add(accountKey);
+      }
+      
       
       // Start streams for newly monitored accounts
       for (const [userId, accountKeys] of newMonitoredAccounts) {
@@ -381,34 +522,24 @@ class PositionLossEngine {
         }
       }
       
-      // Stop streams for accounts that no longer need monitoring
-      for (const [userId, existingKeys] of this.monitoredAccounts) {
+      // Stop position streams of accounts that no longer need monitoring (only those streams:
+      // other workers own the user's remaining streams, IntradayEquitySampler may share these)
+      const intradayEquitySampler = require('./intradayEquitySampler');
+      const previousAccounts = this.monitoredAccounts;
+      this.monitoredAccounts = newMonitoredAccounts;
+      for (const [userId, existingKeys] of previousAccounts) {
         const newKeys = newMonitoredAccounts.get(userId) || new Set();
-        const toStop = [...existingKeys].filter(key => !newKeys.has(key));
-        
-        if (toStop.length > 0) {
-          // Stop individual position streams for accounts no longer monitored
-          for (const key of toStop) {
-            const [, accountId, paperTrading] = key.split('|');
-            const streamKey = `${userId}|positions|${accountId}|${paperTrading}`;
-            
-            await this.backgroundStreamManager.stopStreamByKey(streamKey);
-            logger.info(`[PositionLossEngine] Stopped stream for account ${accountId} (${paperTrading === '1' ? 'paper' : 'live'})`);
-          }
-        }
-      }
-      
-      // Clean up users with no monitored accounts
-      for (const [userId] of this.monitoredAccounts) {
-        if (!newMonitoredAccounts.has(userId) || newMonitoredAccounts.get(userId).size === 0) {
-          // Stop all position streams for this user
-          await this.backgroundStreamManager.stopStreamsForUser(userId);
-          logger.info(`[PositionLossEngine] Stopped position streams for user ${userId} (no longer monitored)`);
+        for (const key of existingKeys) {
+          if (newKeys.has(key)) continue;
+          const [, accountId, paperTrading] = key.split('|');
+          const streamKey = getPositionsStreamKey(key);
+          if (intradayEquitySampler.usesPositionsStream(streamKey)) continue;
+
+          await this.backgroundStreamManager.stopStreamByKey(streamKey);
+          logger.info(`[PositionLossEngine] Stopped stream for account ${accountId} (${paperTrading === '1' ? 'paper' : 'live'})`);
         }
       }
       
-      this.monitoredAccounts = newMonitoredAccounts;
-      
       if (process.env.DEBUG_STREAMS === 'true') logger.debug(`[PositionLossEngine] Monitoring ${this.monitoredAccounts.size} users with max position loss enabled`);
       
     } catch (error) {
@@ -511,6 +642,7 @@ class PositionLossEngine {
       Quantity: positionData.Quantity,
       AveragePrice: positionData.AveragePrice,
       UnrealizedPL: positionData.UnrealizedProfitLoss || positionData.UnrealizedPL || positionData.UnrealizedPnL,
+      TodaysPL: positionData.TodaysProfitLoss,
       _cachedAt: Date.now() // Use timestamp instead of Date object for memory efficiency
     });
     
@@ -520,6 +652,13 @@ class PositionLossEngine {
       logger.error(`[PositionLossEngine] Unhandled error in checkPositionLoss for ${positionData.Symbol}:`, err.message);
       logger.error(`[PositionLossEngine] Error stack:`, err.stack);
     });
+    
+    // Re-evaluate the account's daily loss with the updated unrealized P&L
+    if (this.dailyLimitsCache.has(`${userIdStr}|${accountId}`)) {
+      this.checkDailyLoss(userIdStr, accountId, paperTrading).catch(err => {
+        logger.error(`[PositionLossEngine] Unhandled error in checkDailyLoss for ${accountId}:`, err.message);
+      });
+    }
   }
 
   /**
@@ -695,11 +834,43 @@ class PositionLossEngine {
       // Send email notification if user has it enabled (async)
       this.sendEmailNotification(userId, accountId, positionData, thresholdAmount, lossAmount, notification);
       
+      // Deliver to the user's webhook channels (async, retried by NotificationDispatcher)
+      this.sendWebhookNotification(userId, notification);
+      
+      // Flatten the offending position if the lock opted in (async)
+      this.runAutoLiquidation(userId, accountId, paperTrading, alert.id, 'trade', [symbol]);
+      
     } catch (error) {
       logger.error(`[PositionLossEngine] Failed to trigger alert:`, error.message);
     }
   }
 
+  /**
+   * Cancel working orders and flatten positions when the breached lock has auto_liquidate enabled
+   * symbols = null liquidates every position on the account
+   */
+  async runAutoLiquidation(userId, accountId, paperTrading, alertId, limitType, symbols) {
+    try {
+      const enabled = await isAutoLiquidateEnabled(userId, accountId, limitType);
+      if (!enabled) {
+        return;
+      }
+      
+      const summary = await liquidateAccount({ userId, accountId, paperTrading, alertId, symbols });
+      
+      await pusher.trigger(`user-${userId}-alerts`, 'loss_auto_liquidation', {
+        alertId,
+        alertType: limitType,
+        accountId,
+        cancelled: summary.cancelled,
+        flattened: summary.flattened,
+        failed: summary.failed
+      });
+    } catch (error) {
+      logger.error(`[PositionLossEngine] Auto-liquidation failed for account ${accountId} (alert ${alertId}):`, error.message);
+    }
+  }
+
   /**
    * Send real-time notification via Pusher
    * Note: Using public channel for now. For production, implement Pusher auth
@@ -738,6 +909,14 @@ class PositionLossEngine {
         return;
       }
       
+      // Notification preferences: per-event toggle, quiet hours, digest batching
+      const decision = await getDeliveryDecision(userId, 'email', 'position_loss');
+      if (decision === 'skip') return;
+      if (decision === 'digest') {
+        await queueDigestItem(userId, 'position_loss', this.describeLossAlert(notification));
+        return;
+      }
+      
       // Build and send email
       const { createTransport, buildPositionLossEmail } = require('../config/email');
       
@@ -758,6 +937,358 @@ class PositionLossEngine {
     }
   }
 
+  /**
+   * Title and message for a loss alert (webhooks and digest emails)
+   */
+  describeLossAlert(notification) {
+    const loss = Math.abs(parseFloat(notification.lossAmount)).toFixed(2);
+    const threshold = parseFloat(notification.thresholdAmount).toFixed(2);
+    
+    if (notification.alertType === 'daily') {
+      return {
+        title: 'Daily loss limit reached',
+        message: `Account ${notification.accountId} is down $${loss} today (limit $${threshold}). Trading is locked until ${new Date(notification.lockoutExpiresAt).toISOString()}.`,
+        data: notification
+      };
+    }
+    const symbol = notification.positionSnapshot.Symbol || 'Position';
+    return {
+      title: `${symbol} position loss limit reached`,
+      message: `${symbol} on account ${notification.accountId} is down $${loss} (limit $${threshold}).`,
+      data: notification
+    };
+  }
+
+  /**
+   * Send webhook notifications to the user's notification channels (trade and daily alerts)
+   */
+  async sendWebhookNotification(userId, notification) {
+    const event = notification.alertType === 'daily' ? 'daily_loss' : 'position_loss';
+    const decision = await getDeliveryDecision(userId, 'webhook', event);
+    if (decision !== 'send') return;
+    
+    await notificationDispatcher.dispatch(userId, 'loss_alert', this.describeLossAlert(notification));
+  }
+
+  // ==========================================================================
+  // DAILY LOSS LIMITS
+  // ==========================================================================
+
+  /**
+   * Current daily session window based on the session calendar (or the configured reset time)
+   * Returns { start, end, key } where key identifies the session (start date in ET)
+   */
+  getDailySession(now = new Date()) {
+    if (!this.dailySessionResetTime) {
+      return sessionCalendar.getDailySessionWindow('equities', now);
+    }
+
+    const [hour, minute] = this.dailySessionResetTime.split(':').map(Number);
+    const current = moment(now).tz(this.dailySessionTimezone);
+    let start = current.clone().hour(hour).minute(minute).second(0).millisecond(0);
+    
+    // Before today's reset time, the session started at yesterday's reset
+    if (current.isBefore(start)) {
+      start = start.subtract(1, 'day');
+    }
+    const end = start.clone().add(1, 'day');
+    
+    return {
+      start: start.toDate(),
+      end: end.toDate(),
+      key: start.format('YYYY-MM-DD')
+    };
+  }
+
+  /**
+   * Drop per-session state from previous sessions (called from the reload interval)
+   */
+  pruneDailySessionState() {
+    const { key } = this.getDailySession();
+    
+    for (const triggeredKey of this.dailyTriggeredCache) {
+      if (!triggeredKey.endsWith(`|${key}`)) {
+        this.dailyTriggeredCache.delete(triggeredKey);
+      }
+    }
+    
+    for (const [accountKey, realized] of this.realizedPnLCache) {
+      if (realized.sessionKey !== key) {
+        this.realizedPnLCache.delete(accountKey);
+      }
+    }
+  }
+
+  /**
+   * Poll balances for every account with a daily loss limit and re-check it
+   * Runs sequentially to avoid bursts against the TradeStation API
+   */
+  async pollDailyBalances() {
+    if (this.isPollingBalances || this.dailyLimitsCache.size === 0) {
+      return;
+    }
+    
+    this.isPollingBalances = true;
+    try {
+      const intradayEquitySampler = require('./intradayEquitySampler');
+      for (const [key, limit] of this.dailyLimitsCache) {
+        const [userId, accountId] = key.split('|');
+        
+        // Already tracked from the positions stream
+        if (intradayEquitySampler.getRealizedPnL(userId, accountId, limit.isPaperTrading) !== null) continue;
+        
+        const realizedPL = await this.fetchRealizedPnL(userId, accountId, limit.isPaperTrading);
+        if (realizedPL === null) continue;
+        
+        const accountKey = `${userId}|${accountId}|${limit.isPaperTrading ? 1 : 0}`;
+        this.realizedPnLCache.set(accountKey, {
+          realizedPL,
+          sessionKey: this.getDailySession().key,
+          fetchedAt: Date.now()
+        });
+        
+        await this.checkDailyLoss(userId, accountId, limit.isPaperTrading);
+      }
+    } finally {
+      this.isPollingBalances = false;
+    }
+  }
+
+  /**
+   * Fetch today's realized P&L for an account from TradeStation balances
+   * Returns null if balances could not be fetched
+   */
+  async fetchRealizedPnL(userId, accountId, paperTrading) {
+    try {
+      const result = await tradestationRequest(userId, {
+        method: 'GET',
+        path: `/brokerage/accounts/${accountId}/balances`,
+        paperTrading,
+      });
+      
+      if (!result.ok) {
+        logger.warn(`[PositionLossEngine] Failed to fetch balances for account ${accountId}: ${result.status}`);
+        return null;
+      }
+      
+      const balance = result.data?.Balances?.[0];
+      if (!balance) {
+        return null;
+      }
+      
+      this.stats.balancesPolled++;
+      
+      // Prefer the explicit realized figure; fall back to today's P&L minus open P&L
+      const realized = parseFloat(balance.BalanceDetail?.RealizedProfitLoss);
+      if (!isNaN(realized)) {
+        return realized;
+      }
+      const todays = parseFloat(balance.TodaysProfitLoss);
+      const unrealized = parseFloat(balance.BalanceDetail?.UnrealizedProfitLoss);
+      if (!isNaN(todays)) {
+        return todays - (isNaN(unrealized) ? 0 : unrealized);
+      }
+      return null;
+    } catch (error) {
+      logger.error(`[PositionLossEngine] Error fetching balances for account ${accountId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Sum today's unrealized P&L across cached open positions for an account
+   */
+  getAccountUnrealizedPnL(accountKey) {
+    let unrealized = 0;
+    for (const [cacheKey, position] of this.positionCache) {
+      if (!cacheKey.startsWith(`${accountKey}|`)) continue;
+      const todays = parseFloat(position.TodaysPL);
+      unrealized += !isNaN(todays) ? todays : (parseFloat(position.UnrealizedPL) || 0);
+    }
+    return unrealized;
+  }
+
+  /**
+   * Check realized + unrealized P&L for the current session against the daily limit
+   */
+  async checkDailyLoss(userId, accountId, paperTrading) {
+    try {
+      const userIdStr = String(userId);
+      const limit = this.dailyLimitsCache.get(`${userIdStr}|${accountId}`);
+      if (!limit || limit.isPaperTrading !== paperTrading) {
+        return;
+      }
+      
+      const session = this.getDailySession();
+      const triggeredKey = `${userIdStr}|${accountId}|${session.key}`;
+      if (this.dailyTriggeredCache.has(triggeredKey) || this.processingAlerts.has(triggeredKey)) {
+        return;
+      }
+      
+      const accountKey = `${userIdStr}|${accountId}|${paperTrading ? 1 : 0}`;
+      const realized = this.realizedPnLCache.get(accountKey);
+      const sampledRealizedPL = require('./intradayEquitySampler').getRealizedPnL(userIdStr, accountId, paperTrading);
+      const realizedPL = sampledRealizedPL !== null
+        ? sampledRealizedPL
+        : (realized && realized.sessionKey === session.key ? realized.realizedPL : 0);
+      const unrealizedPL = this.getAccountUnrealizedPnL(accountKey);
+      const totalPL = realizedPL + unrealizedPL;
+      const lossAmount = totalPL < 0 ? Math.abs(totalPL) : 0;
+      
+      if (lossAmount === 0 || lossAmount < limit.threshold_amount) {
+        return;
+      }
+      
+      this.processingAlerts.add(triggeredKey);
+      try {
+        // A restart may have lost the cache; the database is the source of truth
+        const existingAlert = await pool.query(`
+          SELECT id FROM loss_limit_alerts
+          WHERE user_id = $1 AND account_id = $2 AND alert_type = 'daily' AND detected_at >= $3
+          LIMIT 1
+        `, [userIdStr, accountId, session.start.toISOString()]);
+        
+        if (existingAlert.rows.length > 0) {
+          this.dailyTriggeredCache.add(triggeredKey);
+          return;
+        }
+        
+        logger.info(`[PositionLossEngine] 🚨 DAILY ALERT: account ${accountId} loss $${lossAmount.toFixed(2)} (realized $${realizedPL.toFixed(2)}, unrealized $${unrealizedPL.toFixed(2)}) exceeds threshold $${limit.threshold_amount.toFixed(2)}`);
+        
+        await this.triggerDailyLossAlert(userIdStr, accountId, paperTrading, {
+          thresholdAmount: limit.threshold_amount,
+          lossAmount,
+          realizedPL,
+          unrealizedPL,
+          session
+        });
+        this.dailyTriggeredCache.add(triggeredKey);
+      } finally {
+        this.processingAlerts.delete(triggeredKey);
+      }
+    } catch (error) {
+      logger.error(`[PositionLossEngine] Error checking daily loss:`, error.message);
+    }
+  }
+
+  /**
+   * Trigger a daily loss alert - lockout lasts until the session boundary
+   */
+  async triggerDailyLossAlert(userId, accountId, paperTrading, { thresholdAmount, lossAmount, realizedPL, unrealizedPL, session }) {
+    this.stats.dailyAlertsTriggered++;
+    
+    const accountKey = `${userId}|${accountId}|${paperTrading ? 1 : 0}`;
+    const positionSnapshot = {
+      RealizedPL: realizedPL,
+      UnrealizedPL: unrealizedPL,
+      TotalPL: realizedPL + unrealizedPL,
+      SessionStart: session.start.toISOString(),
+      Positions: this.getLatestPositions(userId, accountId, paperTrading).map(p => ({
+        Symbol: p.Symbol,
+        Quantity: p.Quantity,
+        AveragePrice: p.AveragePrice,
+        UnrealizedPL: p.UnrealizedPL,
+        PositionID: p.PositionID || null
+      }))
+    };
+    
+    const insertResult = await pool.query(`
+      INSERT INTO loss_limit_alerts 
+      (user_id, account_id, alert_type, threshold_amount, loss_amount, position_snapshot, lockout_expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, detected_at, lockout_expires_at
+    `, [
+      userId,
+      accountId,
+      'daily',
+      thresholdAmount,
+      lossAmount,
+      JSON.stringify(positionSnapshot),
+      session.end.toISOString()
+    ]);
+    
+    const alert = insertResult.rows[0];
+    
+    const notification = {
+      alertId: alert.id,
+      alertType: 'daily',
+      accountId: accountId,
+      thresholdAmount: thresholdAmount,
+      lossAmount: lossAmount,
+      positionSnapshot: positionSnapshot,
+      detectedAt: alert.detected_at,
+      lockoutExpiresAt: alert.lockout_expires_at
+    };
+    
+    logger.debug(`[PositionLossEngine] Daily alert ${alert.id} recorded for ${accountKey}`);
+    
+    // Send Pusher notification (async, don't wait)
+    this.sendPusherNotification(userId, notification);
+    
+    // Send email notification if user has it enabled (async)
+    this.sendDailyLossEmailNotification(userId, accountId, notification);
+    
+    // Deliver to the user's webhook channels (async, retried by NotificationDispatcher)
+    this.sendWebhookNotification(userId, notification);
+    
+    // Flatten all positions if the lock opted in (async)
+    this.runAutoLiquidation(userId, accountId, paperTrading, alert.id, 'daily', null);
+  }
+
+  /**
+   * Send daily loss email notification if user has email alerts enabled
+   */
+  async sendDailyLossEmailNotification(userId, accountId, notification) {
+    try {
+      const userResult = await pool.query(
+        'SELECT email, email_alerts_enabled FROM users WHERE id = $1',
+        [userId]
+      );
+      
+      const user = userResult.rows[0];
+      if (!user || !user.email_alerts_enabled || !user.email) {
+        return;
+      }
+      
+      const decision = await getDeliveryDecision(userId, 'email', 'daily_loss');
+      if (decision === 'skip') return;
+      if (decision === 'digest') {
+        await queueDigestItem(userId, 'daily_loss', this.describeLossAlert(notification));
+        return;
+      }
+      
+      const { createTransport, buildDailyLossEmail } = require('../config/email');
+      
+      const emailData = buildDailyLossEmail({
+        to: user.email,
+        accountId: accountId,
+        thresholdAmount: notification.thresholdAmount,
+        lossAmount: notification.lossAmount,
+        realizedPL: notification.positionSnapshot.RealizedPL,
+        unrealizedPL: notification.positionSnapshot.UnrealizedPL,
+        lockoutExpiresAt: notification.lockoutExpiresAt,
+        detectedAt: notification.detectedAt
+      });
+      
+      const transporter = createTransport();
+      await transporter.sendMail(emailData);
+    } catch (error) {
+      logger.error(`[PositionLossEngine] Failed to send daily loss email notification:`, error.message);
+    }
+  }
+
+  /**
+   * Whether a monitored account needs this positions stream (BackgroundStreamManager key)
+   */
+  usesPositionsStream(streamKey) {
+    for (const accountKeys of this.monitoredAccounts.values()) {
+      for (const accountKey of accountKeys) {
+        if (getPositionsStreamKey(accountKey) === streamKey) return true;
+      }
+    }
+    return false;
+  }
+
   /**
    * Get latest position state for an account (for initial snapshot)
    * Returns only the most recent state for each position
@@ -799,6 +1330,7 @@ class PositionLossEngine {
       cachedPositions: this.positionCache.size,
       cachedLossLimits: this.lossLimitsCache.size,
       cachedAlerts: this.triggeredAlertsCache.size,
+      cachedDailyLimits: this.dailyLimitsCache.size,
       isRunning: this.isRunning
     };
   }
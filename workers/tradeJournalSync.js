@@ -0,0 +1,348 @@
+/**
+ * TradeJournalSync - Creates draft journal entries from filled orders
+ *
+ * For every account in trade_journal_sync (enabled):
+ * - An orders background stream is kept open; fills (FLL/FPR) schedule a debounced sync
+ * - Every 15 minutes all accounts are synced as a fallback for missed stream updates
+ *
+ * A sync loads historical orders (lookback_days) plus today's orders, reconstructs
+ * round trips (utils/tradeReconstruction) and inserts one draft journal entry per
+ * closed round trip that isn't journaled yet (unique trade_key). Drafts are pre-filled
+ * from the user's trade_journal_template and MAE/MFE from bars covering the trade.
+ * The same orders refresh the account's trade ledger (utils/tradeLedger).
+ */
+
+const pool = require('../db');
+const logger = require('../config/logging');
+const { tradestationRequest } = require('../utils/tradestationProxy');
+const { buildRoundTrips, computeExcursions, buildDraftEntry } = require('../utils/tradeReconstruction');
+const { fetchAccountOrders } = require('../utils/historicalOrders');
+const { syncAccountTrades } = require('../utils/tradeLedger');
+
+const FILLED_STATUSES = ['FLL', 'FPR'];
+const SYNC_DEBOUNCE_MS = 5000;
+const MAX_EXCURSION_BARS = 1000;
+
+// BackgroundStreamManager key of a synced account's orders stream
+const getOrdersStreamKey = (account) => `${account.user_id}|orders|${account.account_id}|${account.paper_trading ? 1 : 0}`;
+
+// Lazy-load Pusher only when needed
+let pusher = null;
+const getPusher = () => {
+  if (!pusher) {
+    const Pusher = require('pusher');
+    pusher = new Pusher({
+      appId: process.env.PUSHER_APP_ID,
+      key: process.env.PUSHER_KEY,
+      secret: process.env.PUSHER_SECRET,
+      cluster: process.env.PUSHER_CLUSTER,
+      useTLS: true
+    });
+  }
+  return pusher;
+};
+
+class TradeJournalSync {
+  constructor() {
+    this.syncIntervalMs = 15 * 60 * 1000;
+
+    // userId|accountId -> sync settings row
+    this.accounts = new Map();
+    // userId|accountId -> debounce timer
+    this.pendingSyncs = new Map();
+    // userId|accountId -> in-flight sync promise
+    this.inFlight = new Map();
+
+    this.stats = {
+      syncs: 0,
+      draftsCreated: 0,
+      errors: 0,
+      lastSyncAt: null
+    };
+
+    this.isRunning = false;
+    this.backgroundStreamManager = null;
+    this.handleStreamData = this.handleStreamData.bind(this);
+  }
+
+  async start() {
+    if (this.isRunning) {
+      logger.warn('[TradeJournalSync] Already running');
+      return;
+    }
+
+    logger.info('[TradeJournalSync] Starting...');
+    this.isRunning = true;
+
+    this.backgroundStreamManager = require('../utils/backgroundStreamManager');
+    this.backgroundStreamManager.on('data', this.handleStreamData);
+
+    await this.loadAccounts();
+
+    this.interval = setInterval(async () => {
+      await this.loadAccounts();
+      await this.syncAll();
+    }, this.syncIntervalMs);
+
+    logger.info(`[TradeJournalSync] Started successfully. Syncing ${this.accounts.size} account(s)`);
+  }
+
+  async stop() {
+    logger.info('[TradeJournalSync] Stopping...');
+    this.isRunning = false;
+
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    for (const timer of this.pendingSyncs.values()) {
+      clearTimeout(timer);
+    }
+    this.pendingSyncs.clear();
+
+    if (this.backgroundStreamManager) {
+      this.backgroundStreamManager.off('data', this.handleStreamData);
+    }
+    this.accounts.clear();
+
+    logger.info('[TradeJournalSync] Stopped');
+  }
+
+  /**
+   * Load enabled accounts and make sure each has an orders stream
+   */
+  async loadAccounts() {
+    try {
+      const result = await pool.query(`
+        SELECT user_id, account_id, paper_trading, lookback_days, last_synced_at
+        FROM trade_journal_sync
+        WHERE enabled = true
+      `);
+
+      const previous = this.accounts;
+      this.accounts = new Map();
+      const ordersByUser = new Map();
+      for (const row of result.rows) {
+        this.accounts.set(`${row.user_id}|${row.account_id}`, row);
+        if (!ordersByUser.has(row.user_id)) ordersByUser.set(row.user_id, []);
+        ordersByUser.get(row.user_id).push({ accountId: row.account_id, paperTrading: row.paper_trading });
+      }
+
+      for (const [userId, orders] of ordersByUser) {
+        try {
+          await this.backgroundStreamManager.startStreamsForUser(userId, { orders });
+        } catch (err) {
+          logger.error(`[TradeJournalSync] Failed to start orders streams for user ${userId}:`, err.message);
+        }
+      }
+
+      // Drop orders streams of accounts no longer synced (unless CoolingOffEngine still uses them)
+      const coolingOffEngine = require('./coolingOffEngine');
+      const wanted = new Set([...this.accounts.values()].map(getOrdersStreamKey));
+      for (const account of previous.values()) {
+        const streamKey = getOrdersStreamKey(account);
+        if (wanted.has(streamKey) || coolingOffEngine.usesOrdersStream(streamKey)) continue;
+        await this.backgroundStreamManager.stopStreamByKey(streamKey);
+      }
+    } catch (error) {
+      logger.error('[TradeJournalSync] Failed to load accounts:', error.message);
+    }
+  }
+
+  /**
+   * Whether a synced account needs this orders stream (BackgroundStreamManager key)
+   */
+  usesOrdersStream(streamKey) {
+    return [...this.accounts.values()].some(account => getOrdersStreamKey(account) === streamKey);
+  }
+
+  /**
+   * Schedule a sync when an orders stream reports a fill
+   */
+  handleStreamData(event) {
+    if (event.streamType !== 'orders' || !event.accountId) return;
+    if (!FILLED_STATUSES.includes(event.data?.Status)) return;
+
+    const key = `${event.userId}|${event.accountId}`;
+    if (!this.accounts.has(key)) return;
+
+    clearTimeout(this.pendingSyncs.get(key));
+    this.pendingSyncs.set(key, setTimeout(() => {
+      this.pendingSyncs.delete(key);
+      const account = this.accounts.get(key);
+      if (account) {
+        this.syncAccount(account).catch(err => {
+          logger.error(`[TradeJournalSync] Sync failed for ${key}:`, err.message);
+        });
+      }
+    }, SYNC_DEBOUNCE_MS));
+  }
+
+  async syncAll() {
+    for (const account of this.accounts.values()) {
+      try {
+        await this.syncAccount(account);
+      } catch (err) {
+        logger.error(`[TradeJournalSync] Sync failed for ${account.user_id}|${account.account_id}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Sync one account (concurrent calls for the same account share one run)
+   * @param {object} account - { user_id, account_id, paper_trading, lookback_days }
+   * @returns {Promise<{ tradesFound: number, draftsCreated: number }>}
+   */
+  async syncAccount(account) {
+    const key = `${account.user_id}|${account.account_id}`;
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const promise = this.runSync(account);
+    this.inFlight.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async runSync(account) {
+    const userId = account.user_id;
+    const accountId = account.account_id;
+    this.stats.syncs++;
+    this.stats.lastSyncAt = new Date().toISOString();
+
+    try {
+      const orders = await fetchAccountOrders(userId, accountId, account.paper_trading, account.lookback_days);
+      const closedTrips = buildRoundTrips(accountId, orders).filter(trip => trip.isClosed);
+
+      try {
+        await syncAccountTrades(userId, accountId, account.paper_trading, account.lookback_days, orders);
+      } catch (err) {
+        logger.error(`[TradeJournalSync] Failed to update trade ledger for ${userId}|${accountId}:`, err.message);
+      }
+
+      let draftsCreated = 0;
+      if (closedTrips.length > 0) {
+        const existing = await pool.query(
+          'SELECT trade_key FROM trade_journal WHERE user_id = $1 AND trade_key = ANY($2::text[])',
+          [userId, closedTrips.map(trip => trip.key)]
+        );
+        const journaled = new Set(existing.rows.map(row => row.trade_key));
+        const newTrips = closedTrips.filter(trip => !journaled.has(trip.key));
+
+        const template = newTrips.length > 0 ? await this.getTemplate(userId) : null;
+        for (const trip of newTrips) {
+          if (await this.createDraft(userId, trip, template)) draftsCreated++;
+        }
+      }
+
+      await pool.query(
+        `UPDATE trade_journal_sync SET last_synced_at = NOW(), last_error = NULL, updated_at = NOW()
+         WHERE user_id = $1 AND account_id = $2`,
+        [userId, accountId]
+      );
+
+      if (draftsCreated > 0) {
+        this.stats.draftsCreated += draftsCreated;
+        logger.info(`[TradeJournalSync] 📓 Created ${draftsCreated} draft journal entr${draftsCreated === 1 ? 'y' : 'ies'} for user ${userId} account ${accountId}`);
+        try {
+          await getPusher().trigger(`user-${userId}-alerts`, 'trade_journal_drafts', { accountId, count: draftsCreated });
+        } catch (err) {
+          logger.error('[TradeJournalSync] Failed to send Pusher notification:', err.message);
+        }
+      }
+
+      return { tradesFound: closedTrips.length, draftsCreated };
+    } catch (error) {
+      this.stats.errors++;
+      await pool.query(
+        'UPDATE trade_journal_sync SET last_error = $3, updated_at = NOW() WHERE user_id = $1 AND account_id = $2',
+        [userId, accountId, error.message]
+      ).catch(() => {});
+      throw error;
+    }
+  }
+
+  async getTemplate(userId) {
+    const result = await pool.query(
+      'SELECT template FROM trade_journal_templates WHERE user_id = $1 ORDER BY id DESC LIMIT 1',
+      [userId]
+    );
+    return result.rows[0]?.template || { fields: [] };
+  }
+
+  /**
+   * Bars covering the trade, sized to stay under MAX_EXCURSION_BARS
+   * The first and last bar may include prices from just outside the trade
+   */
+  async fetchTradeBars(userId, trip) {
+    const minutes = Math.max(1, Math.ceil((new Date(trip.closedAt) - new Date(trip.openedAt)) / 60000));
+    const interval = Math.ceil(minutes / MAX_EXCURSION_BARS);
+    const query = interval <= 1440
+      ? { unit: 'Minute', interval: Math.max(1, interval) }
+      : { unit: 'Daily', interval: 1 };
+
+    const result = await tradestationRequest(userId, {
+      method: 'GET',
+      path: `/marketdata/barcharts/${encodeURIComponent(trip.symbol)}`,
+      query: {
+        ...query,
+        firstdate: new Date(trip.openedAt).toISOString(),
+        lastdate: new Date(new Date(trip.closedAt).getTime() + query.interval * 60000).toISOString()
+      }
+    });
+    if (!result.ok) {
+      throw new Error(`TradeStation barcharts request failed (${result.status})`);
+    }
+    return result.data?.Bars || [];
+  }
+
+  /**
+   * Insert a draft journal entry for a round trip
+   * @returns {Promise<boolean>} false if the trade was journaled concurrently
+   */
+  async createDraft(userId, trip, template) {
+    try {
+      trip.excursions = computeExcursions(trip, await this.fetchTradeBars(userId, trip));
+    } catch (err) {
+      // MAE/MFE are best effort, the draft is still useful without them
+      logger.warn(`[TradeJournalSync] MAE/MFE unavailable for ${trip.key}:`, err.message);
+      trip.excursions = null;
+    }
+
+    const entry = buildDraftEntry(trip, template);
+    const result = await pool.query(
+      `INSERT INTO trade_journal (user_id, entry, status, source, account_id, symbol, order_ids, trade_key, opened_at, closed_at)
+       VALUES ($1, $2::jsonb, 'draft', 'auto', $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (user_id, trade_key) WHERE trade_key IS NOT NULL DO NOTHING
+       RETURNING id`,
+      [
+        userId,
+        JSON.stringify(entry),
+        trip.accountId,
+        trip.symbol,
+        [...new Set([...trip.orderIds, ...trip.bracketOrders.map(order => order.orderId)])],
+        trip.key,
+        trip.openedAt,
+        trip.closedAt
+      ]
+    );
+    return result.rows.length > 0;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      accounts: this.accounts.size,
+      isRunning: this.isRunning
+    };
+  }
+}
+
+// Singleton instance
+const tradeJournalSync = new TradeJournalSync();
+
+module.exports = tradeJournalSync;